@@ -1,56 +1,11 @@
-import { CONFIG } from './config.js';
-
-  const {
-    AMPLIFY_BASE_URL,
-    AMPLIFY_API_KEY,
-    AMPLIFY_MODEL,
-    AMPLIFY_AUTH_SCHEME,
-    AMPLIFY_API_KEY_HEADER,
-    USE_AMPLIFY,
-  } = CONFIG;
-
-function buildHeaders() {
-  const { AMPLIFY_API_KEY, AMPLIFY_AUTH_SCHEME } = CONFIG;
-  if ((AMPLIFY_AUTH_SCHEME || 'bearer') !== 'bearer') {
-    throw new Error(`Unsupported AMPLIFY_AUTH_SCHEME: ${AMPLIFY_AUTH_SCHEME}`);
-  }
-  return {
-    'Content-Type': 'application/json',
-    Authorization: `Bearer ${AMPLIFY_API_KEY}`,
-  };
-}
-
-async function postJson(url, body) {
-  const res = await fetch(url, {
-    method: 'POST',
-    headers: buildHeaders(),
-    body: JSON.stringify(body),
-  });
-  const text = await res.text();
-  let json; try { json = JSON.parse(text); } catch {}
-  if (!res.ok) {
-    const msg = typeof json === 'string' ? json : JSON.stringify(json ?? text);
-    throw new Error(`Amplify API error: ${res.status}${msg ? ` - ${msg}` : ''}`);
-  }
-  return json ?? {};
-}
-
-
-export async function chatWithAmplify(message, context = []) {
-  const {
-      USE_AMPLIFY,
-      AMPLIFY_BASE_URL,
-      AMPLIFY_MODEL,
-      AMPLIFY_PATH,
-    } = CONFIG;
-
-  if (!USE_AMPLIFY) return 'AI is disabled by configuration.';
-  if (!AMPLIFY_BASE_URL) throw new Error('Amplify configuration missing (base URL)');
-  
-  const path = (AMPLIFY_PATH && AMPLIFY_PATH.trim()) || '/chat';
-  const url  = `${AMPLIFY_BASE_URL.replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`;
-
-  const messages = [
+// backend/src/amplifyClient.js
+// Chat entry points used by the routes. The planning system prompt lives here;
+// the actual model call goes through whichever provider LLM_PROVIDER selects
+// (see ./llm/index.js), despite the historical file name.
+import { getProvider } from './llm/index.js';
+
+export function buildMessages(message, context = []) {
+  return [
     {
       role: 'system',
       content: `You are a Program Planning AI Assistant for Vanderbilt University. Help users navigate program planning policies, timelines, and requirements. Focus on:
@@ -76,33 +31,23 @@ export async function chatWithAmplify(message, context = []) {
         - Only include Alcohol guidance if alcohol is mentioned or planned.
         - Only include Technology/Electronic Communications guidance if the user asks about communications/IT, bulk email, social media, recording/AV, software, credentials, or similar.
         - Otherwise omit those sections entirely.
-        - Keep guidance specific and actionable; include short policy label(s) and link(s) when present.
+        - Keep guidance specific and actionable.
+        - When a statement relies on a policy from the POLICY CONTEXT, cite it with its number in square brackets, e.g. [2]. Only cite numbers that appear there.
 `
     },
     ...context,
     { role: 'user', content: message }
   ];
+}
 
-  const payload = {
-    data: {
-      messages,
-      temperature: 0.7,
-      max_tokens: 1500,
-      dataSources: [],               // add file IDs later if you enable RAG
-      options: {
-        model: { id: AMPLIFY_MODEL }, // e.g., gpt-4o-mini
-        prompt: message,
-        ragOnly: false,
-        skipRag: true,
-      },
-    },
-  };
-  const resp = await postJson(url, payload);
+export async function chatWithAmplify(message, context = [], { signal } = {}) {
+  return getProvider().chat(buildMessages(message, context), { signal });
+}
 
-  return (
-    resp?.data ??
-    resp?.choices?.[0]?.message?.content ??
-    resp?.message ??
-    'Sorry, I could not process your request.'
-  );
-}
\ No newline at end of file
+/**
+ * Stream a chat completion, yielding text chunks as they arrive.
+ * Abort `signal` to cancel the upstream request.
+ */
+export async function* streamChatWithAmplify(message, context = [], { signal } = {}) {
+  yield* getProvider().stream(buildMessages(message, context), { signal });
+}
@@ -0,0 +1,146 @@
+// backend/src/auth.js
+import jwt from 'jsonwebtoken';
+import bcrypt from 'bcryptjs';
+import { CONFIG } from './config.js';
+
+export const MIN_PASSWORD_LENGTH = 8;
+const BCRYPT_ROUNDS = 10;
+
+// Routes under /api that must stay reachable without a bearer token
+const PUBLIC_API_PATHS = [
+  /^\/auth\/(login|register|refresh)$/,
+  /^\/public\//,
+  /^\/notifications\/unsubscribe$/,
+  /^\/calendar\/feed\/[^/]+\.ics$/, // secret token in the URL
+];
+
+/**
+ * Stored admin flag, or listed in ADMIN_USERS by Vanderbilt ID. Never by
+ * email: registration saves whatever email a new user sends.
+ */
+export function isAdminUser(user) {
+  if (user?.isAdmin === true) return true;
+  const id = String(user?.vanderbiltId || '').trim().toLowerCase();
+  return Boolean(id) && CONFIG.ADMIN_USERS.includes(id);
+}
+
+/** User object returned to the client, with the effective admin flag */
+export function sessionUser(user) {
+  const plain = typeof user?.toObject === 'function' ? user.toObject() : { ...user };
+  delete plain.passwordHash;
+  return { ...plain, isAdmin: isAdminUser(user) };
+}
+
+/** bcrypt hash stored on the user; throws a RangeError for a short password */
+export async function hashPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new RangeError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+/** False for a missing hash (accounts created before passwords) or a wrong password */
+export async function verifyPassword(password, passwordHash) {
+  if (typeof password !== 'string' || !passwordHash) return false;
+  return bcrypt.compare(password, passwordHash);
+}
+
+/** Claims we embed in every token so routes need no user lookup */
+function userClaims(user) {
+  return {
+    sub: String(user._id),
+    vanderbiltId: user.vanderbiltId,
+    email: (user.email || '').trim().toLowerCase(),
+    firstName: user.firstName,
+    lastName: user.lastName,
+    role: user.role || 'student',
+    isAdmin: isAdminUser(user),
+  };
+}
+
+export function signAccessToken(user) {
+  return jwt.sign(
+    { ...userClaims(user), typ: 'access' },
+    CONFIG.JWT_SECRET,
+    { expiresIn: CONFIG.JWT_ACCESS_TTL }
+  );
+}
+
+export function signRefreshToken(user) {
+  return jwt.sign(
+    { ...userClaims(user), typ: 'refresh' },
+    CONFIG.JWT_SECRET,
+    { expiresIn: CONFIG.JWT_REFRESH_TTL }
+  );
+}
+
+/** Issue the access/refresh pair returned by login and refresh */
+export function issueTokens(user) {
+  return {
+    token: signAccessToken(user),
+    refreshToken: signRefreshToken(user),
+  };
+}
+
+/**
+ * Verify a token of the given type. Throws the jsonwebtoken error
+ * (TokenExpiredError / JsonWebTokenError) so callers can tell them apart.
+ */
+export function verifyToken(token, typ = 'access') {
+  const payload = jwt.verify(token, CONFIG.JWT_SECRET);
+  if (payload.typ !== typ) {
+    throw new jwt.JsonWebTokenError(`Expected ${typ} token`);
+  }
+  return payload;
+}
+
+/** Shape req.user the same way login returns the user */
+export function userFromClaims(payload) {
+  return {
+    _id: payload.sub,
+    vanderbiltId: payload.vanderbiltId,
+    email: payload.email,
+    firstName: payload.firstName,
+    lastName: payload.lastName,
+    role: payload.role,
+    isAdmin: payload.isAdmin === true,
+  };
+}
+
+function readBearer(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, value] = header.split(' ');
+  if (scheme?.toLowerCase() === 'bearer' && value) return value.trim();
+  return null;
+}
+
+/**
+ * Express middleware: require a valid access token on every /api route
+ * except the public ones above. Mount with app.use('/api', requireAuth).
+ */
+export function requireAuth(req, res, next) {
+  if (PUBLIC_API_PATHS.some(re => re.test(req.path))) return next();
+
+  const token = readBearer(req);
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required', code: 'AUTH_REQUIRED' });
+  }
+
+  try {
+    req.user = userFromClaims(verifyToken(token, 'access'));
+    next();
+  } catch (error) {
+    if (error instanceof jwt.TokenExpiredError) {
+      return res.status(401).json({ error: 'Access token expired', code: 'TOKEN_EXPIRED' });
+    }
+    return res.status(401).json({ error: 'Invalid access token', code: 'TOKEN_INVALID' });
+  }
+}
+
+/** Express middleware: only policy administrators (see isAdminUser) may pass */
+export function requireAdmin(req, res, next) {
+  if (!req.user?.isAdmin) {
+    return res.status(403).json({ error: 'Admin access required', code: 'FORBIDDEN' });
+  }
+  next();
+}
@@ -0,0 +1,310 @@
+// backend/src/checklistSpreadsheet.js
+// Checklist exchange with spreadsheets: CSV/XLSX export of an event's
+// checklist, and an import that validates rows against the Event checklist
+// schema and plans a merge with the existing items (previewed before it is
+// saved).
+import ExcelJS from 'exceljs';
+import { Event } from './models.js';
+import { isNearDuplicateTask } from './eventGeneration.js';
+import { dayKey, eventFileName } from './util.js';
+
+export const CHECKLIST_COLUMNS = ['task', 'description', 'dueDate', 'priority', 'timingType', 'category', 'completed', 'estimatedHours'];
+
+export const MAX_IMPORT_ROWS = 500;
+
+// Header cell → column; case, spaces and punctuation are ignored ("Due date" → dueDate)
+const headerKey = (header) => String(header ?? '').toLowerCase().replace(/[^a-z]/g, '');
+const COLUMN_BY_HEADER = new Map(CHECKLIST_COLUMNS.map(column => [column.toLowerCase(), column]));
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'x', 'done'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+const isBlank = (value) => value == null || String(value).trim() === '';
+const isoDate = (date) => (date ? dayKey(date) : '');
+
+// ---------- Export ----------
+
+const exportRows = (checklist = []) => checklist
+  .filter(item => !item.isTimeHeader)
+  .map(item => ({
+    task: item.task,
+    description: item.description || '',
+    dueDate: isoDate(item.dueDate),
+    priority: item.priority || 'medium',
+    timingType: item.timingType || 'recommended',
+    category: item.category || '',
+    completed: item.completed ? 'yes' : 'no',
+    estimatedHours: item.estimatedHours ?? ''
+  }));
+
+// Spreadsheet apps run cells starting with these as formulas (CSV injection)
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  const raw = String(value ?? '');
+  const text = FORMULA_START.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * The checklist (without time-period headers) as CSV text. Cells that would
+ * start a formula get a leading apostrophe, which the import removes again.
+ */
+export function checklistToCsv(checklist) {
+  const lines = [CHECKLIST_COLUMNS.join(','), ...exportRows(checklist).map(row => CHECKLIST_COLUMNS.map(c => csvCell(row[c])).join(','))];
+  return lines.join('\r\n') + '\r\n';
+}
+
+/** The checklist as an .xlsx workbook, with dropdowns for the enum columns. Resolves to a Buffer. */
+export async function checklistToXlsx(checklist, { title = 'Checklist' } = {}) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(title.replace(/[*?:\\/[\]]/g, ' ').slice(0, 31) || 'Checklist');
+  sheet.columns = CHECKLIST_COLUMNS.map(column => ({
+    header: column,
+    key: column,
+    width: { task: 50, description: 50, dueDate: 12, category: 18 }[column] || 14
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  exportRows(checklist).forEach(row => sheet.addRow({
+    ...row,
+    dueDate: row.dueDate ? new Date(row.dueDate) : null,
+    estimatedHours: row.estimatedHours === '' ? null : row.estimatedHours
+  }));
+  sheet.getColumn('dueDate').numFmt = 'yyyy-mm-dd';
+
+  // Leave room below the data for rows added in the spreadsheet
+  const lastRow = sheet.rowCount + 100;
+  const lists = { priority: 'low,medium,high,critical', timingType: 'required,recommended', completed: 'yes,no' };
+  Object.entries(lists).forEach(([column, values]) => {
+    const letter = sheet.getColumn(column).letter;
+    for (let r = 2; r <= lastRow; r++) {
+      sheet.getCell(`${letter}${r}`).dataValidation = { type: 'list', allowBlank: true, formulae: [`"${values}"`] };
+    }
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/** File name for a checklist download in `format` ('csv' or 'xlsx'). */
+export const checklistFileName = (event, format) => eventFileName(event, `-checklist.${format}`);
+
+// ---------- Import ----------
+
+// RFC 4180: quoted fields may hold commas, quotes ("") and line breaks
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, ''); // Excel writes a BOM
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') quoted = false;
+      else field += char;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field); field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field); rows.push(row);
+      row = []; field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows;
+}
+
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, (row) => {
+    // values is 1-based; rich text and formulas reduce to their text/result
+    rows.push(row.values.slice(1).map(value => {
+      if (value && typeof value === 'object' && !(value instanceof Date)) {
+        if (value.richText) return value.richText.map(part => part.text).join('');
+        if ('result' in value) return value.result;
+        if ('text' in value) return value.text;
+      }
+      return value;
+    }));
+  });
+  return rows;
+}
+
+const isXlsx = ({ mimetype = '', originalname = '' } = {}) =>
+  /spreadsheetml|excel/.test(mimetype) || /\.xlsx$/i.test(originalname);
+
+/**
+ * Rows of an uploaded CSV or XLSX file as objects keyed by CHECKLIST_COLUMNS
+ * (unknown columns are ignored, blank rows skipped). `row` is the
+ * spreadsheet row number. Throws a RangeError for a file without a task
+ * column or with more than MAX_IMPORT_ROWS rows.
+ */
+export async function readChecklistFile(file) {
+  const table = isXlsx(file)
+    ? await parseXlsx(file.buffer)
+    : parseCsv(file.buffer.toString('utf8')).map(cells => cells.map(cell => cell.replace(/^'(?=[=+\-@\t\r])/, '')));
+  const [header = [], ...body] = table;
+  const columns = header.map(cell => COLUMN_BY_HEADER.get(headerKey(cell)));
+  if (!columns.includes('task')) throw new RangeError('The file needs a "task" column in its first row');
+
+  const rows = [];
+  body.forEach((cells, index) => {
+    if (cells.every(isBlank)) return;
+    const row = { row: index + 2 };
+    columns.forEach((column, i) => {
+      if (column && !isBlank(cells[i])) row[column] = cells[i];
+    });
+    rows.push(row);
+  });
+  if (rows.length > MAX_IMPORT_ROWS) throw new RangeError(`At most ${MAX_IMPORT_ROWS} rows can be imported at once`);
+  return rows;
+}
+
+// Spreadsheet text to checklist values; anything unrecognised is passed on for the schema to reject
+function normalizeRow(row) {
+  const item = {};
+  CHECKLIST_COLUMNS.forEach(column => {
+    if (row[column] === undefined) return;
+    const value = row[column];
+    const text = String(value).trim();
+
+    if (column === 'dueDate') {
+      if (value instanceof Date) item.dueDate = new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+      else if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+        // Impossible days (2027-02-30) are rejected rather than rolled over
+        const date = new Date(`${text}T00:00:00Z`);
+        item.dueDate = !isNaN(date.getTime()) && dayKey(date) === text ? date : new Date(NaN);
+      }
+      else {
+        const parsed = new Date(text);
+        item.dueDate = isNaN(parsed.getTime()) ? text : new Date(Date.UTC(parsed.getFullYear(), parsed.getMonth(), parsed.getDate()));
+      }
+    } else if (column === 'completed') {
+      const lower = text.toLowerCase();
+      item.completed = TRUE_VALUES.includes(lower) ? true : FALSE_VALUES.includes(lower) ? false : text;
+    } else if (column === 'priority' || column === 'timingType') {
+      item[column] = text.toLowerCase();
+    } else if (column === 'estimatedHours') {
+      item.estimatedHours = typeof value === 'number' ? value : text;
+    } else {
+      item[column] = text;
+    }
+  });
+  return item;
+}
+
+/**
+ * Check rows against the Event checklist schema (required task, priority and
+ * timingType values, dates, numbers). Returns the cast items and the errors
+ * as [{ row, field, message }].
+ */
+export function validateChecklistRows(rows) {
+  const items = rows.map(normalizeRow);
+  const probe = new Event({ userId: 'import', title: 'import', checklist: items });
+  const validation = probe.validateSync();
+
+  const errors = [];
+  Object.entries(validation?.errors || {}).forEach(([path, error]) => {
+    const [, index, field] = path.match(/^checklist\.(\d+)\.(\w+)$/) || [];
+    if (!field) return;
+    errors.push({
+      row: rows[index].row,
+      field,
+      // The cell as written; the cast value of a bad date is only "Invalid Date"
+      message: error.kind === 'required' ? `${field} is required` : `Invalid ${field}: "${rows[index][field] ?? error.value}"`
+    });
+  });
+  errors.sort((a, b) => a.row - b.row);
+
+  // Cast values, only for the columns the row filled in
+  const cast = probe.checklist.map((subdoc, i) => {
+    const item = {};
+    Object.keys(items[i]).forEach(column => { item[column] = subdoc[column]; });
+    return item;
+  });
+  return { items: cast, errors };
+}
+
+// Policy rules own these on the tasks they require (see policyRules.js)
+const RULE_OWNED_FIELDS = ['dueDate', 'timingType'];
+
+const sameValue = (column, a, b) => (column === 'dueDate'
+  ? isoDate(a) === isoDate(b)
+  : String(a ?? '') === String(b ?? ''));
+
+/**
+ * Plan the merge of imported items into `checklist`. A row whose task is a
+ * near duplicate of an existing item (isNearDuplicateTask, as in
+ * PUT /api/events/:id) updates the other columns it fills in; the task text
+ * stays. Other rows add items. Existing items missing from the file are
+ * kept. The due date and timing of tasks required by a policy rule are not
+ * changed (listed in `skipped`). Returns the merged checklist (without
+ * time-period headers) and one change per row: { row, type: 'add' |
+ * 'update' | 'unchanged' | 'duplicate', task, existingTask?, fields?,
+ * skipped? }.
+ */
+export function planChecklistImport(checklist = [], items = [], rows = [], { now = new Date() } = {}) {
+  const merged = checklist.filter(item => !item.isTimeHeader).map(item => ({ ...item }));
+  const matched = new Set();
+  const added = [];
+  const changes = [];
+
+  items.forEach((item, i) => {
+    const row = rows[i]?.row;
+    const index = merged.findIndex((existing, idx) => !matched.has(idx) && !added.includes(idx) &&
+      isNearDuplicateTask(existing.task, item.task));
+
+    if (index === -1) {
+      if (added.some(idx => isNearDuplicateTask(merged[idx].task, item.task))) {
+        changes.push({ row, type: 'duplicate', task: item.task });
+        return;
+      }
+      merged.push({
+        ...item,
+        timingType: item.timingType || 'recommended',
+        ...(item.completed ? { completedAt: now } : {})
+      });
+      added.push(merged.length - 1);
+      changes.push({ row, type: 'add', task: item.task });
+      return;
+    }
+
+    matched.add(index);
+    const existing = merged[index];
+    const differing = Object.keys(item)
+      .filter(column => column !== 'task' && !sameValue(column, item[column], existing[column]));
+    const skipped = existing.ruleId ? differing.filter(column => RULE_OWNED_FIELDS.includes(column)) : [];
+    const fields = differing.filter(column => !skipped.includes(column));
+    if (!fields.length) {
+      changes.push({ row, type: 'unchanged', task: item.task, existingTask: existing.task, ...(skipped.length ? { skipped } : {}) });
+      return;
+    }
+
+    const updated = { ...existing };
+    fields.forEach(column => { updated[column] = item[column]; });
+    if (fields.includes('completed')) updated.completedAt = item.completed ? now : undefined;
+    merged[index] = updated;
+    changes.push({
+      row,
+      type: 'update',
+      task: item.task,
+      existingTask: existing.task,
+      fields: fields.map(field => ({ field, from: existing[field] ?? null, to: item[field] })),
+      ...(skipped.length ? { skipped } : {})
+    });
+  });
+
+  return { checklist: merged, changes };
+}
@@ -0,0 +1,114 @@
+// backend/src/compliance.js
+// Lead-time compliance: does the event leave enough time for the policies
+// that apply to it? Compares the event date and the policy tasks' due dates
+// with each policy's advance-notice window (timeline.minAdvanceNotice, or the
+// rule default from policyRules.js) and returns tiered warnings. Advisory
+// only; saving an event is never blocked.
+import { applicableRules } from './policyRules.js';
+import { parsePolicyReference } from './policyVersions.js';
+import { DAY_MS, dayKey } from './util.js';
+
+export const COMPLIANCE_LEVELS = ['critical', 'warning', 'info'];
+
+// Rules without a policy document (e.g. Dean of Students) warn at this level
+const DEFAULT_LEVEL = 'warning';
+
+const daysBetween = (from, to) => Math.ceil((new Date(to) - new Date(from)) / DAY_MS);
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+/**
+ * One entry per policy (or policy-less rule) that applies to the event, with
+ * the longest lead time among its rules.
+ */
+function policyWindows(event, policies, skipRules) {
+  const windows = new Map();
+  for (const { rule, policy, leadDays } of applicableRules(event, { policies, skipRules })) {
+    const key = policy ? String(policy._id) : rule.id;
+    const entry = windows.get(key) || {
+      policy,
+      ruleIds: [],
+      leadDays: 0,
+      title: policy?.title || rule.title || `${rule.policyCategory} policy`,
+      category: policy?.category || rule.policyCategory || null,
+      level: policy?.severity || DEFAULT_LEVEL,
+      recommendedDays: policy?.timeline?.recommendedAdvanceNotice
+    };
+    entry.ruleIds.push(rule.id);
+    entry.leadDays = Math.max(entry.leadDays, leadDays);
+    windows.set(key, entry);
+  }
+  return [...windows.values()];
+}
+
+const belongsTo = (item, window) =>
+  window.ruleIds.includes(item.ruleId) ||
+  (window.policy && parsePolicyReference(item.policyReference)?.policyId === String(window.policy._id));
+
+/**
+ * Check an event (saved or draft) against the lead times of the policies that
+ * apply to it. `policies` are the active policies (see loadRulePolicies);
+ * `skipRules` as in applicableRules.
+ * Returns { compliant, daysUntilEvent, warnings: [{ level, type, policyId?,
+ * policyTitle, category, requiredDays, recommendedDays?, task?, dueDate?,
+ * deadline?, message }] } with the most severe warnings first. `compliant`
+ * is false when anything above 'info' was found. Past or undated events have
+ * nothing to check.
+ */
+export function checkCompliance(event = {}, { policies = [], skipRules = [], now = new Date() } = {}) {
+  const report = { compliant: true, daysUntilEvent: null, warnings: [] };
+  if (!event.eventDate) return report;
+
+  const eventDate = new Date(event.eventDate);
+  const daysUntilEvent = daysBetween(now, eventDate);
+  report.daysUntilEvent = daysUntilEvent;
+  if (daysUntilEvent < 0) return report;
+
+  const checklist = (event.checklist || []).filter(item => !item.isTimeHeader && !item.completed);
+
+  for (const window of policyWindows(event, policies, skipRules)) {
+    const base = {
+      ...(window.policy ? { policyId: window.policy._id } : {}),
+      policyTitle: window.title,
+      category: window.category,
+      requiredDays: window.leadDays,
+      ...(window.recommendedDays ? { recommendedDays: window.recommendedDays } : {})
+    };
+
+    // The event date itself is inside the notice window
+    if (daysUntilEvent < window.leadDays) {
+      report.warnings.push({
+        ...base,
+        level: window.level,
+        type: 'insufficient_notice',
+        message: `${window.title} requires ${plural(window.leadDays, 'day')} notice; the event is ${plural(daysUntilEvent, 'day')} away.`
+      });
+    } else if (window.recommendedDays && daysUntilEvent < window.recommendedDays) {
+      report.warnings.push({
+        ...base,
+        level: 'info',
+        type: 'short_notice',
+        message: `${window.title} recommends ${plural(window.recommendedDays, 'day')} notice; the event is ${plural(daysUntilEvent, 'day')} away.`
+      });
+    }
+
+    // Policy tasks scheduled after the policy's deadline (when that deadline
+    // has already passed, the notice warning above says it all)
+    if (daysUntilEvent < window.leadDays) continue;
+    const deadline = new Date(eventDate.getTime() - window.leadDays * DAY_MS);
+    checklist
+      .filter(item => item.dueDate && belongsTo(item, window) && new Date(item.dueDate) > deadline)
+      .forEach(item => report.warnings.push({
+        ...base,
+        level: window.level,
+        type: 'task_due_too_late',
+        task: item.task,
+        dueDate: item.dueDate,
+        deadline,
+        message: `"${item.task}" is due ${dayKey(item.dueDate)}, after the ${window.title} deadline of ${dayKey(deadline)}.`
+      }));
+  }
+
+  report.warnings.sort((a, b) => COMPLIANCE_LEVELS.indexOf(a.level) - COMPLIANCE_LEVELS.indexOf(b.level));
+  report.compliant = report.warnings.every(w => w.level === 'info');
+  return report;
+}
@@ -23,6 +23,13 @@ if (fs.existsSync(backendEnv)) {
 const trimLower = (v, def = '') =>
   String(v ?? def).trim().toLowerCase();
 
+// Whole number from the environment, capped at `max`; unset or unparsable
+// values (e.g. "abc", "-1", "1.5") fall back to `def`
+const boundedInt = (v, def, max) => {
+  const n = Number(String(v ?? '').trim() || NaN);
+  return Number.isInteger(n) && n >= 0 ? Math.min(n, max) : def;
+};
+
 export const CONFIG = {
   PORT: process.env.PORT?.trim() || '3001',
 
@@ -43,9 +50,56 @@ export const CONFIG = {
 
   USE_AMPLIFY: trimLower(process.env.USE_AMPLIFY, 'true') === 'true',
 
+  // Which chat backend to use: amplify | openai | local | fake (see src/llm/)
+  LLM_PROVIDER: trimLower(process.env.LLM_PROVIDER, 'amplify'),
+
+  OPENAI_BASE_URL: (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').trim().replace(/\/+$/, ''),
+  OPENAI_API_KEY: (process.env.OPENAI_API_KEY || '').trim(),
+  OPENAI_MODEL: (process.env.OPENAI_MODEL || 'gpt-4o-mini').trim(),
+
+  // Ollama defaults; for llama.cpp use e.g. http://127.0.0.1:8080/v1
+  LOCAL_LLM_BASE_URL: (process.env.LOCAL_LLM_BASE_URL || 'http://127.0.0.1:11434/v1').trim().replace(/\/+$/, ''),
+  LOCAL_LLM_MODEL: (process.env.LOCAL_LLM_MODEL || 'llama3.1').trim(),
+  LOCAL_LLM_API_KEY: (process.env.LOCAL_LLM_API_KEY || '').trim(),
+
+  // Resilience for every model call (see src/llm/resilience.js)
+  LLM_TIMEOUT_MS: Number(process.env.LLM_TIMEOUT_MS) || 30000,
+  LLM_MAX_RETRIES: boundedInt(process.env.LLM_MAX_RETRIES, 2, 10),
+  LLM_RETRY_BASE_MS: Number(process.env.LLM_RETRY_BASE_MS) || 500,
+  LLM_RETRY_MAX_MS: Number(process.env.LLM_RETRY_MAX_MS) || 8000,
+  LLM_BREAKER_THRESHOLD: Number(process.env.LLM_BREAKER_THRESHOLD) || 5,
+  LLM_BREAKER_RESET_MS: Number(process.env.LLM_BREAKER_RESET_MS) || 30000,
+  // Model calls allowed per structured request, including validation repairs
+  LLM_STRUCTURED_ATTEMPTS: Number(process.env.LLM_STRUCTURED_ATTEMPTS) || 3,
+
+  // Semantic policy retrieval (see src/embeddings.js)
+  EMBEDDINGS_ENABLED: trimLower(process.env.EMBEDDINGS_ENABLED, 'true') === 'true',
+  EMBEDDING_MODEL: (process.env.EMBEDDING_MODEL || 'Xenova/all-MiniLM-L6-v2').trim(),
+  EMBEDDING_CACHE_DIR: (process.env.EMBEDDING_CACHE_DIR || '').trim(),
+  EMBEDDING_LOCAL_MODEL_PATH: (process.env.EMBEDDING_LOCAL_MODEL_PATH || '').trim(),
+  // Cosine similarity at which a policy counts as relevant without a keyword hit
+  EMBEDDING_MIN_SCORE: Number(process.env.EMBEDDING_MIN_SCORE) || 0.35,
+
+  // Comma-separated Vanderbilt IDs allowed to manage policies
+  ADMIN_USERS: (process.env.ADMIN_USERS || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean),
+
+  // Required outside development (see the check below)
   JWT_SECRET: (process.env.JWT_SECRET || 'change-me').trim(),
+  // jsonwebtoken "expiresIn" strings, e.g. '15m', '7d'
+  JWT_ACCESS_TTL: (process.env.JWT_ACCESS_TTL || '15m').trim(),
+  JWT_REFRESH_TTL: (process.env.JWT_REFRESH_TTL || '7d').trim(),
 };
 
+// Anyone who knows the default secret can sign access and refresh tokens,
+// so only a development (or test) run may fall back to it
+if (!process.env.JWT_SECRET?.trim()) {
+  const env = trimLower(process.env.NODE_ENV, 'development');
+  if (env !== 'development' && env !== 'test') {
+    throw new Error(`JWT_SECRET must be set when NODE_ENV is "${env}"`);
+  }
+  if (env === 'development') console.warn('⚠️  JWT_SECRET is not set: tokens are signed with the insecure default secret. Set JWT_SECRET before deploying.');
+}
+
 // Debug (optional; comment out after confirming)
 if (process.env.DEBUG_CONFIG === '1') {
   console.log('[CONFIG]', {
@@ -55,6 +109,7 @@ if (process.env.DEBUG_CONFIG === '1') {
     AMPLIFY_AUTH_SCHEME: CONFIG.AMPLIFY_AUTH_SCHEME,
     AMPLIFY_API_KEY_HEADER: CONFIG.AMPLIFY_API_KEY_HEADER,
     USE_AMPLIFY: CONFIG.USE_AMPLIFY,
+    LLM_PROVIDER: CONFIG.LLM_PROVIDER,
     AMPLIFY_PATH: (process.env.AMPLIFY_PATH || '').trim().replace(/\/+$/,''),
     AMPLIFY_STAGE: (process.env.AMPLIFY_STAGE || '').trim().replace(/^\/+|\/+$/g,''),
   });
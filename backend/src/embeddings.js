@@ -0,0 +1,141 @@
+// backend/src/embeddings.js
+// Local CPU sentence embeddings for policy retrieval (@huggingface/transformers
+// running ONNX). The model is fetched once into EMBEDDING_CACHE_DIR, or read from
+// EMBEDDING_LOCAL_MODEL_PATH on machines without internet access. If it can't be
+// loaded, callers get `null` and fall back to keyword matching.
+import crypto from 'crypto';
+import { CONFIG } from './config.js';
+import { Policy } from './models.js';
+
+let extractorPromise = null;
+let loaded = false;
+let unavailableReason = CONFIG.EMBEDDINGS_ENABLED ? null : 'disabled by configuration';
+
+async function loadExtractor() {
+  const { pipeline, env } = await import('@huggingface/transformers');
+  if (CONFIG.EMBEDDING_CACHE_DIR) env.cacheDir = CONFIG.EMBEDDING_CACHE_DIR;
+  if (CONFIG.EMBEDDING_LOCAL_MODEL_PATH) {
+    env.localModelPath = CONFIG.EMBEDDING_LOCAL_MODEL_PATH;
+    env.allowRemoteModels = false;
+  }
+  const extractor = await pipeline('feature-extraction', CONFIG.EMBEDDING_MODEL, { dtype: 'q8' });
+  loaded = true;
+  return extractor;
+}
+
+/** Lazily load the model once; resolves to null if embeddings are unavailable. */
+async function getExtractor() {
+  if (unavailableReason) return null;
+  extractorPromise ||= loadExtractor().catch(error => {
+    unavailableReason = error.message;
+    console.warn(`⚠️ Embedding model ${CONFIG.EMBEDDING_MODEL} unavailable, using keyword policy matching:`, error.message);
+    return null;
+  });
+  return extractorPromise;
+}
+
+export function embeddingsStatus() {
+  return {
+    enabled: CONFIG.EMBEDDINGS_ENABLED,
+    model: CONFIG.EMBEDDING_MODEL,
+    state: unavailableReason ? 'unavailable' : loaded ? 'ready' : 'not-loaded',
+    reason: unavailableReason,
+  };
+}
+
+/**
+ * Embed texts into unit-length vectors (mean pooled).
+ * @returns {Promise<number[][] | null>} null when the model is unavailable
+ */
+export async function embedTexts(texts) {
+  if (!texts.length) return [];
+  const extractor = await getExtractor();
+  if (!extractor) return null;
+  const output = await extractor(texts, { pooling: 'mean', normalize: true });
+  return output.tolist();
+}
+
+/** Vectors are normalized, so the dot product is the cosine similarity. */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+}
+
+const MAX_CHUNK_CHARS = 500;
+
+// Group sentences into chunks of at most MAX_CHUNK_CHARS
+function splitIntoChunks(text) {
+  const sentences = String(text || '').split(/(?<=[.!?])\s+/).map(s => s.trim()).filter(Boolean);
+  const chunks = [];
+  let current = '';
+  for (const sentence of sentences) {
+    if (current && current.length + sentence.length + 1 > MAX_CHUNK_CHARS) {
+      chunks.push(current);
+      current = sentence;
+    } else {
+      current = current ? `${current} ${sentence}` : sentence;
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Texts embedded for a policy: a heading chunk (category, title, tags),
+ * the description in ~500 character pieces, and one chunk per requirement.
+ */
+export function chunkPolicy(policy) {
+  const heading = [
+    `${policy.category}: ${policy.title}`,
+    (policy.tags || []).length ? `Topics: ${policy.tags.join(', ')}` : '',
+  ].filter(Boolean).join('. ');
+
+  return [
+    heading,
+    ...splitIntoChunks(policy.description),
+    ...(policy.requirements || []).map(r => String(r).trim()).filter(Boolean),
+  ];
+}
+
+const hashChunks = (chunks) =>
+  crypto.createHash('sha1').update(`${CONFIG.EMBEDDING_MODEL}\n${chunks.join('\n')}`).digest('hex');
+
+/** True when the stored vectors are missing or were built from other text/another model. */
+export function needsEmbedding(policy) {
+  return policy.embedding?.sourceHash !== hashChunks(chunkPolicy(policy));
+}
+
+/**
+ * Compute the `embedding` field for a policy (plain object or document).
+ * @returns {Promise<object | null>} null when the model is unavailable
+ */
+export async function embedPolicy(policy) {
+  const chunks = chunkPolicy(policy);
+  const vectors = await embedTexts(chunks);
+  if (!vectors) return null;
+  return {
+    model: CONFIG.EMBEDDING_MODEL,
+    sourceHash: hashChunks(chunks),
+    chunks: chunks.map((text, i) => ({ text, vector: vectors[i] })),
+    embeddedAt: new Date(),
+  };
+}
+
+/**
+ * Embed every policy whose text changed since it was last embedded.
+ * Called at startup and after seeding.
+ */
+export async function ensurePolicyEmbeddings() {
+  if (!(await getExtractor())) return { updated: 0, skipped: true };
+
+  const policies = await Policy.find({ retired: { $ne: true } }).select('+embedding').lean();
+  let updated = 0;
+  for (const policy of policies.filter(needsEmbedding)) {
+    const embedding = await embedPolicy(policy);
+    if (!embedding) break;
+    await Policy.updateOne({ _id: policy._id }, { $set: { embedding } }, { timestamps: false });
+    updated++;
+  }
+  return { updated, skipped: false };
+}
@@ -0,0 +1,100 @@
+// backend/src/eventCalendar.js
+// Calendar across all of a user's events: event dates and checklist due
+// dates in a date range, and the days where several critical tasks fall
+// due at once.
+import { DAY_MS, plain, dayKey } from './util.js';
+
+// Longest range one request may cover (a month grid shows six weeks)
+export const MAX_RANGE_DAYS = 100;
+
+// Open critical tasks due the same day before the day is flagged
+export const COLLISION_THRESHOLD = 3;
+
+const parseDay = (value) => (/^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? new Date(`${value}T00:00:00Z`) : new Date(NaN));
+
+/** Critical for collisions: critical priority, or a task a policy rule requires. */
+export const isCriticalTask = (item) => item.priority === 'critical' || item.timingType === 'required';
+
+/**
+ * The range from `from` to `to` (YYYY-MM-DD, `to` inclusive) as
+ * { from, to } with `to` exclusive. Defaults to the month containing `now`.
+ * Throws a RangeError for malformed dates, an empty range or one longer
+ * than MAX_RANGE_DAYS.
+ */
+export function calendarRange({ from, to } = {}, { now = new Date() } = {}) {
+  if (!from && !to) {
+    return {
+      from: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+      to: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+    };
+  }
+  const start = parseDay(from);
+  const end = parseDay(to);
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) throw new RangeError('from and to must be dates (YYYY-MM-DD)');
+  const exclusiveEnd = new Date(end.getTime() + DAY_MS);
+  if (exclusiveEnd <= start) throw new RangeError('to must not be before from');
+  if ((exclusiveEnd - start) / DAY_MS > MAX_RANGE_DAYS) throw new RangeError(`The calendar can show at most ${MAX_RANGE_DAYS} days at once`);
+  return { from: start, to: exclusiveEnd };
+}
+
+/** A calendarRange the way it is requested: { from, to } as YYYY-MM-DD with `to` inclusive. */
+export const rangeDays = ({ from, to }) => ({ from: dayKey(from), to: dayKey(new Date(to.getTime() - DAY_MS)) });
+
+/**
+ * Calendar entries for `events` within [from, to): { events: [{ eventId,
+ * title, date, eventType, status, priority, access }], tasks: [{ eventId,
+ * eventTitle, itemId, task, dueDate, priority, timingType, completed,
+ * critical }], collisions: [{ date, count, tasks }] }. A collision is a day
+ * with at least COLLISION_THRESHOLD open critical tasks (isCriticalTask),
+ * across all events. `accessFor(event)` gives the user's access level.
+ */
+export function calendarView(events, { from, to, accessFor = () => null } = {}) {
+  const inRange = (date) => date && new Date(date) >= from && new Date(date) < to;
+  const entries = { events: [], tasks: [] };
+
+  events.forEach(doc => {
+    const event = plain(doc);
+    const eventId = String(event._id);
+    if (inRange(event.eventDate)) {
+      entries.events.push({
+        eventId,
+        title: event.title,
+        date: dayKey(event.eventDate),
+        eventType: event.eventType || 'other',
+        status: event.status || 'pending',
+        priority: event.priority || 'medium',
+        access: accessFor(doc)
+      });
+    }
+    (event.checklist || [])
+      .filter(item => !item.isTimeHeader && inRange(item.dueDate))
+      .forEach(item => entries.tasks.push({
+        eventId,
+        eventTitle: event.title,
+        itemId: item._id ? String(item._id) : null,
+        task: item.task,
+        dueDate: dayKey(item.dueDate),
+        priority: item.priority || 'medium',
+        timingType: item.timingType || 'recommended',
+        completed: Boolean(item.completed),
+        critical: isCriticalTask(item)
+      }));
+  });
+
+  const byDay = new Map();
+  entries.tasks
+    .filter(task => task.critical && !task.completed)
+    .forEach(task => byDay.set(task.dueDate, [...(byDay.get(task.dueDate) || []), task]));
+  const collisions = [...byDay]
+    .filter(([, tasks]) => tasks.length >= COLLISION_THRESHOLD)
+    .map(([date, tasks]) => ({
+      date,
+      count: tasks.length,
+      tasks: tasks.map(({ eventId, eventTitle, itemId, task }) => ({ eventId, eventTitle, itemId, task }))
+    }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  entries.events.sort((a, b) => a.date.localeCompare(b.date));
+  entries.tasks.sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+  return { ...entries, collisions };
+}
@@ -0,0 +1,65 @@
+// backend/src/eventClone.js
+// Copy an event to a new date: every checklist due date and timeline
+// milestone moves by the same offset and progress starts over.
+import crypto from 'crypto';
+import { plain } from './util.js';
+
+// Planning details carried over as they are
+const COPIED_FIELDS = [
+  'planId', 'templateId', 'title', 'description', 'category', 'priority', 'expectedAttendance',
+  'location', 'budget', 'hasAlcohol', 'requiresAV', 'cateringRequired', 'potentiallyControversial',
+  'involvesMinors', 'eventType', 'notes', 'notifications', 'sourceMessage', 'policyVersions'
+];
+
+const shiftDate = (date, offsetMs) => (date ? new Date(new Date(date).getTime() + offsetMs) : date);
+
+/**
+ * Event data for a copy of `event` on `eventDate`. Collaborators and public
+ * sharing are dropped unless `keepCollaborators` / `keepSharing` is set;
+ * kept sharing gets fresh tokens since share and collaboration links are
+ * unique per event. Communications, activity and status are not copied.
+ * Throws a RangeError when the source event has no date to shift from.
+ */
+export function cloneEventData(event, { eventDate, title, keepCollaborators = false, keepSharing = false } = {}) {
+  const source = plain(event);
+  if (!source.eventDate) throw new RangeError('The event has no date to shift from');
+  const newDate = new Date(eventDate);
+  if (isNaN(newDate.getTime())) throw new RangeError('A valid eventDate is required');
+
+  const offsetMs = newDate - new Date(source.eventDate);
+  const copy = {};
+  COPIED_FIELDS.forEach(field => {
+    if (source[field] !== undefined) copy[field] = source[field];
+  });
+
+  copy.title = title || source.title;
+  copy.eventDate = newDate;
+  if (source.startTime) copy.startTime = shiftDate(source.startTime, offsetMs);
+  if (source.endTime) copy.endTime = shiftDate(source.endTime, offsetMs);
+  copy.status = 'pending';
+
+  // Checklist items keep their _id: dependencies refer to them
+  copy.checklist = (source.checklist || []).map(({ completedAt, ...item }) => ({
+    ...item,
+    dueDate: shiftDate(item.dueDate, offsetMs),
+    completed: false
+  }));
+  copy.timeline = (source.timeline || []).map(({ _id, completedAt, ...milestone }) => ({
+    ...milestone,
+    dueDate: shiftDate(milestone.dueDate, offsetMs),
+    completed: false
+  }));
+
+  if (keepCollaborators && source.collaborators?.length) {
+    copy.collaborators = source.collaborators.map(({ _id, ...c }) => ({ ...c, addedAt: new Date() }));
+    copy.collaborationEnabled = Boolean(source.collaborationEnabled);
+    if (copy.collaborationEnabled) copy.collaborationId = crypto.randomBytes(16).toString('base64url');
+  }
+  if (keepSharing && source.shareEnabled) {
+    copy.shareEnabled = true;
+    copy.shareId = crypto.randomBytes(12).toString('base64url');
+    copy.shareCreatedAt = new Date();
+  }
+
+  return copy;
+}
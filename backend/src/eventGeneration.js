@@ -0,0 +1,485 @@
+// backend/src/eventGeneration.js
+// Turns a chat message into a draft event: the generation prompt, the event
+// attributes the policy rules read (the rules themselves are in
+// policyRules.js), and the time-period grouping of the checklist. Everything
+// except generateEvent() is pure so it can be exercised without a model.
+import { generateStructured } from './llm/structured.js';
+import { LLMError } from './llm/errors.js';
+import { EVENT_DRAFT_SCHEMA, STRUCTURED_SYSTEM_PROMPT } from './eventSchemas.js';
+import { RELEVANCE_PATTERNS } from './policyRag.js';
+import { applyPolicyRules } from './policyRules.js';
+import { DAY_MS, daysBefore } from './util.js';
+
+export function buildEventPrompt(content) {
+  return `Based on this message, create a structured event with a comprehensive time-organized checklist:
+
+"${content}"
+
+Generate a JSON response with this exact structure:
+{
+  "title": "Event Name (e.g., 'Mixer April 2026', 'Team Meeting December 2024')",
+  "description": "Brief 1-2 sentence summary of the event",
+  "eventDate": "YYYY-MM-DD format if a date is mentioned, or null",
+  "category": "meeting|deadline|task|milestone|other",
+  "priority": "low|medium|high|critical",
+  "eventType": "mixer|concert|workshop|lecture|meeting|social|academic|other",
+  "potentiallyControversial": false,
+  "hasAlcohol": false,
+  "involvesMinors": false,
+  "expectedAttendance": "number of attendees if mentioned, or null",
+  "location": { "type": "on-campus|off-campus|null", "venue": "venue if mentioned or null" },
+  "checklist": [
+    {
+      "task": "Clear task description",
+      "dueDate": "YYYY-MM-DD format - when this task should be completed",
+      "priority": "low|medium|high|critical",
+      "timingType": "required|recommended",
+      "completed": false
+    }
+  ]
+}
+
+POTENTIALLY CONTROVERSIAL EVENT DETECTION:
+- Set "potentiallyControversial" to true ONLY if the user explicitly mentions:
+  * The event is controversial, may be controversial, or could be controversial
+  * The event may attract protests, demonstrations, or counterprotests
+  * The event has potential for disruption or controversy
+  * The event involves topics that are explicitly stated as divisive or controversial
+- Default to false unless the user explicitly states the event is controversial or may cause disruption
+- Do NOT assume an event is controversial based on topic alone - only if explicitly mentioned by the user
+
+TIMING TYPE CLASSIFICATION:
+- "required": Policy-mandated deadlines, legal requirements, contract deadlines (e.g., space/venue booking 4 weeks before for campus policy - REQUIRED for on-campus events, alcohol permit deadlines, insurance requirements)
+- "recommended": Best practice timelines, suggestions for optimal planning (e.g., send invitations 2-3 weeks before, confirm catering 1 week before)
+
+IMPORTANT: 
+- For on-campus events, ALWAYS include a "Book/reserve on-campus space/venue via EMS Web App" task in the checklist with timingType "required". This is a mandatory step for all on-campus events.
+- For potentially controversial events, ALWAYS include a task to "Contact Vice Provost and Dean of Students for Freedom of Expression policy guidance" at least 48 hours before the event with timingType "required".
+
+EVENT-TYPE-SPECIFIC DAY-OF-EVENT TASKS:
+- Mixer: Networking setup, name tags preparation, refreshments coordination, greeting station setup, icebreaker materials
+- Concert: Sound check, performer coordination, ticketing/check-in, stage setup, merchandise table, security coordination
+- Workshop: Materials setup, registration table, presentation equipment, handouts preparation, breakout room setup, facilitator briefing
+- Lecture: Podium setup, recording equipment, Q&A preparation, speaker introduction preparation, audience seating arrangement, microphones testing
+- Meeting: Agenda distribution, conference call setup, document sharing, room configuration, participant materials, note-taking setup
+- Social: Decorations, entertainment setup, photo booth, guest check-in, activity stations, refreshment stations
+- Academic: Presentation setup, research materials, discussion prompts, evaluation forms, technology testing, accessibility accommodations
+- Other: General event execution tasks based on event specifics
+
+COMPREHENSIVE TIMELINE RULES (work backwards from event date):
+
+**6+ MONTHS OUT - Strategic Planning:**
+- Budget planning and funding requests
+- Concept development and proposals
+- Sponsorship outreach
+- Initial venue research for large events
+
+**3-6 MONTHS OUT - Major Bookings & Permissions:**
+- Space/venue booking and contracts (REQUIRED for on-campus events - use EMS Web App)
+- Permits and licenses
+- Security arrangements
+- Insurance requirements
+- Speaker/performer bookings
+- Major vendor contracts
+
+**1-3 MONTHS OUT - Marketing & Communications:**
+- Marketing strategy and materials
+- Website updates and social media
+- Publicity campaigns
+- Guest confirmations
+- Registration setup
+
+**2-4 WEEKS OUT - Invitations & RSVPs:**
+- Send invitations
+- Guest list management
+- RSVP tracking
+- Ticket distribution
+- Dietary requirements collection
+
+**1-2 WEEKS OUT - Catering & Supplies:**
+- Finalize catering orders
+- Purchase supplies and decorations
+- Coordinate material deliveries
+- Prepare welcome materials/swag
+- Menu final approvals
+
+**WEEK OF EVENT - Final Preparations:**
+- Confirm all arrangements
+- Final headcount to vendors
+- Prepare event program/agenda
+- Brief staff and volunteers
+- Final venue walkthrough
+
+**2-3 DAYS BEFORE - Setup & Equipment:**
+- Equipment setup and testing
+- AV and technical preparations
+- Stage/room setup
+- Signage installation
+- Final venue preparations
+
+**DAY OF EVENT:**
+Generate event-type-specific tasks based on the eventType field:
+- Mixer: Networking setup, name tags, refreshments coordination, greeting station
+- Concert: Sound check, performer coordination, ticketing, stage setup
+- Workshop: Materials setup, registration table, presentation equipment, handouts
+- Lecture: Podium setup, recording equipment, Q&A preparation, speaker intro
+- Meeting: Agenda distribution, conference call setup, document sharing
+- Social: Decorations, entertainment setup, photo booth, guest check-in
+- Academic: Presentation setup, research materials, discussion prompts
+- Other: General event execution and real-time coordination tasks
+
+**AFTER EVENT:**
+- Cleanup and breakdown
+- Equipment returns
+- Thank you communications
+- Event evaluation
+- Final invoicing and reports
+
+Generate 8-15 relevant tasks across these time periods. Make tasks specific and actionable.
+
+Only return the JSON, no other text.`;
+}
+
+// ---------- Event attributes the policy rules read ----------
+
+// Only explicit mentions count; topic alone never marks an event controversial
+const EXPLICIT_CONTROVERSIAL_KEYWORDS = [
+  'controversial', 'may be controversial', 'could be controversial', 'potentially controversial',
+  'may attract protest', 'may cause disruption', 'potential for disruption', 'may be disruptive',
+  'could cause controversy', 'might be controversial', 'expect protests', 'expect demonstrations'
+];
+
+export function detectLocationType(content = '', draft = {}) {
+  const lower = content.toLowerCase();
+  if (draft.location?.type === 'on-campus' || lower.includes('on-campus') || lower.includes('on campus')) {
+    return 'on-campus';
+  }
+  if (draft.location?.type === 'off-campus' || lower.includes('off-campus') || lower.includes('off campus')) {
+    return 'off-campus';
+  }
+  return null;
+}
+
+export function isPotentiallyControversial(content = '', draft = {}) {
+  const lower = content.toLowerCase();
+  return draft.potentiallyControversial === true ||
+    EXPLICIT_CONTROVERSIAL_KEYWORDS.some(keyword => lower.includes(keyword));
+}
+
+export function involvesMinors(content = '', draft = {}) {
+  return draft.involvesMinors === true || RELEVANCE_PATTERNS.minors.test(content);
+}
+
+export function hasAlcohol(content = '', draft = {}) {
+  return draft.hasAlcohol === true || RELEVANCE_PATTERNS.alcohol.test(content);
+}
+
+// ---------- Time-period organization ----------
+
+// Ordered buckets with the minimum number of days before the event they cover
+export const TIME_PERIODS = [
+  { label: '6+ months out', minDays: 180 },
+  { label: '3-6 months out', minDays: 90 },
+  { label: '1-3 months out', minDays: 30 },
+  { label: '2-4 weeks out', minDays: 14 },
+  { label: '1-2 weeks out', minDays: 7 },
+  { label: 'Week of event', minDays: 1 },
+  { label: 'Day of event', minDays: 0 },
+  { label: 'After event', minDays: -Infinity }
+];
+
+// Tasks without a due date land in the earliest period that usually needs action
+const UNDATED_PERIOD = '3-6 months out';
+
+const PRIORITY_ORDER = { critical: 0, high: 1, medium: 2, low: 3 };
+
+const byDueDate = (a, b) => {
+  if (!a.dueDate && !b.dueDate) return 0;
+  if (!a.dueDate) return 1;
+  if (!b.dueDate) return -1;
+  return new Date(a.dueDate) - new Date(b.dueDate);
+};
+
+export function timePeriodFor(dueDate, eventDate) {
+  if (!dueDate) return UNDATED_PERIOD;
+  const daysUntilEvent = Math.ceil((new Date(eventDate) - new Date(dueDate)) / DAY_MS);
+  return TIME_PERIODS.find(p => daysUntilEvent >= p.minDays).label;
+}
+
+/**
+ * The calendar span of each TIME_PERIODS bucket for an event date, as
+ * { label, start, end } with start inclusive and end exclusive (null for
+ * open ends). A due date falls in a band exactly when timePeriodFor puts
+ * it in that period.
+ */
+export function timePeriodBands(eventDate) {
+  const eventTime = new Date(eventDate).getTime();
+  // timePeriodFor: ceil((event - due) / day) >= minDays  ⇔  due < event - (minDays - 1) days
+  const boundary = (minDays) => (minDays === -Infinity ? null : new Date(eventTime - (minDays - 1) * DAY_MS));
+  return TIME_PERIODS.map((period, i) => ({
+    label: period.label,
+    start: i === 0 ? null : boundary(TIME_PERIODS[i - 1].minDays),
+    end: boundary(period.minDays)
+  }));
+}
+
+/**
+ * Group checklist items into TIME_PERIODS with a `--- PERIOD ---` header item
+ * (isTimeHeader: true) before each non-empty group; within a group, critical
+ * first, then by due date. Without an event date items are only date-sorted.
+ * Existing header items are dropped and rebuilt.
+ */
+export function organizeChecklistByTimePeriods(checklist, eventDate) {
+  const tasks = (checklist || []).filter(item => !item.isTimeHeader);
+
+  if (!eventDate || tasks.length === 0) {
+    return [...tasks].sort(byDueDate);
+  }
+
+  const groups = new Map(TIME_PERIODS.map(p => [p.label, []]));
+  tasks.forEach(task => groups.get(timePeriodFor(task.dueDate, eventDate)).push(task));
+
+  const organized = [];
+  groups.forEach((items, period) => {
+    if (items.length === 0) return;
+
+    organized.push({
+      task: `--- ${period.toUpperCase()} ---`,
+      isTimeHeader: true,
+      timePeriod: period,
+      dueDate: null,
+      priority: 'medium',
+      completed: false
+    });
+
+    items.sort((a, b) => {
+      const aPriority = PRIORITY_ORDER[a.priority] ?? 2;
+      const bPriority = PRIORITY_ORDER[b.priority] ?? 2;
+      return aPriority !== bPriority ? aPriority - bPriority : byDueDate(a, b);
+    });
+    organized.push(...items);
+  });
+
+  return organized;
+}
+
+/**
+ * Loose task match used when merging checklist items from another source
+ * (chat updates, spreadsheet imports): either task contains the first 20
+ * characters of the other, case-insensitively.
+ */
+export function isNearDuplicateTask(a, b) {
+  const x = String(a || '').toLowerCase();
+  const y = String(b || '').toLowerCase();
+  return x.includes(y.substring(0, 20)) || y.includes(x.substring(0, 20));
+}
+
+// ---------- Keyword fallback when the model is unavailable ----------
+
+const MONTHS = 'january|february|march|april|may|june|july|august|september|october|november|december';
+const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+
+function detectNamedType(lower) {
+  const names = ['mixer', 'concert', 'workshop', 'meeting', 'conference', 'lecture', 'seminar'];
+  const found = names.find(n => lower.includes(n));
+  return found ? capitalize(found) : 'Event';
+}
+
+export function generateSmartEventName(content) {
+  const typeName = detectNamedType(content.toLowerCase());
+
+  const monthYear = content.match(new RegExp(`(${MONTHS})\\s+(\\d{4})`, 'i'));
+  if (monthYear) return `${typeName} ${capitalize(monthYear[1].toLowerCase())} ${monthYear[2]}`;
+
+  const year = content.match(/\b(202[4-9]|20[3-9]\d)\b/);
+  if (year) return `${typeName} ${year[0]}`;
+
+  const month = content.match(new RegExp(`\\b(${MONTHS})\\b`, 'i'));
+  if (month) return `${typeName} ${capitalize(month[0].toLowerCase())}`;
+
+  return typeName;
+}
+
+export function extractMainEventDate(content, { now = new Date() } = {}) {
+  const dateFormats = [
+    /(\d{1,2})[/-](\d{1,2})[/-](\d{4})/,                              // MM/DD/YYYY or MM-DD-YYYY
+    new RegExp(`(${MONTHS})\\s+(\\d{1,2}),?\\s+(\\d{4})`, 'i'),        // Month DD, YYYY
+    new RegExp(`(${MONTHS})\\s+(\\d{4})`, 'i')                         // Month YYYY
+  ];
+
+  for (const regex of dateFormats) {
+    const match = content.match(regex);
+    if (match) {
+      const parsed = new Date(match[0]);
+      if (!isNaN(parsed.getTime())) return parsed;
+    }
+  }
+
+  // A bare month name means the 1st of that month this year
+  const monthOnly = content.match(new RegExp(`(${MONTHS})\\b`, 'i'));
+  if (monthOnly) {
+    const parsed = new Date(`${monthOnly[0]} 1, ${now.getFullYear()}`);
+    if (!isNaN(parsed.getTime())) return parsed;
+  }
+
+  return null;
+}
+
+export function detectEventType(content) {
+  const lower = content.toLowerCase();
+  if (lower.includes('mixer')) return 'mixer';
+  if (lower.includes('concert')) return 'concert';
+  if (lower.includes('workshop')) return 'workshop';
+  if (lower.includes('lecture')) return 'lecture';
+  if (lower.includes('meeting')) return 'meeting';
+  if (lower.includes('social')) return 'social';
+  if (lower.includes('academic') || lower.includes('seminar')) return 'academic';
+  return 'other';
+}
+
+export function detectEventCategory(content) {
+  const lower = content.toLowerCase();
+  if (lower.includes('meeting') || lower.includes('conference')) return 'meeting';
+  if (lower.includes('deadline') || lower.includes('due')) return 'deadline';
+  if (lower.includes('milestone')) return 'milestone';
+  return 'task';
+}
+
+export function detectPriority(content) {
+  const lower = content.toLowerCase();
+  if (lower.includes('critical') || lower.includes('urgent') || lower.includes('asap')) return 'critical';
+  if (lower.includes('high') || lower.includes('important') || lower.includes('priority')) return 'high';
+  if (lower.includes('low') || lower.includes('optional')) return 'low';
+  return 'medium';
+}
+
+// Default lead time (days before the event) by task keyword
+function smartDueDate(task, eventDate) {
+  const lower = task.toLowerCase();
+  const has = (...words) => words.some(w => lower.includes(w));
+  if (has('book', 'reserve', 'venue')) return daysBefore(eventDate, 25);
+  if (has('invitation', 'invite', 'rsvp')) return daysBefore(eventDate, 18);
+  if (has('catering', 'food', 'menu')) return daysBefore(eventDate, 10);
+  if (has('setup', 'equipment', 'av')) return daysBefore(eventDate, 2);
+  return daysBefore(eventDate, 7);
+}
+
+function parseTaskWithDueDate(taskText, eventDate) {
+  let task = taskText;
+  let dueDate = null;
+
+  const dueDatePatterns = [/\(due\s+([^)]+)\)/i, /\(by\s+([^)]+)\)/i, /due\s+([a-z]+ \d{1,2})/i, /by\s+([a-z]+ \d{1,2})/i];
+  for (const pattern of dueDatePatterns) {
+    const match = taskText.match(pattern);
+    if (match) {
+      const parsed = new Date(match[1]);
+      if (!isNaN(parsed.getTime())) {
+        dueDate = parsed;
+        task = taskText.replace(match[0], '').trim();
+        break;
+      }
+    }
+  }
+
+  if (!dueDate && eventDate) dueDate = smartDueDate(task, eventDate);
+
+  const lower = task.toLowerCase();
+  let priority = 'medium';
+  if (lower.includes('urgent') || lower.includes('critical')) priority = 'critical';
+  else if (lower.includes('important') || lower.includes('asap')) priority = 'high';
+
+  return { task, description: '', dueDate, priority, timingType: 'recommended', completed: false };
+}
+
+function extractBulletTasks(content, eventDate) {
+  return content.split('\n')
+    .map(line => line.trim())
+    .filter(line => /^[•\-*]/.test(line))
+    .map(line => line.substring(1).trim())
+    .filter(Boolean)
+    .map(text => parseTaskWithDueDate(text, eventDate));
+}
+
+function extractEventSummary(content) {
+  const line = content.split('\n').map(l => l.trim()).find(l => l && !/^[•\-*]/.test(l));
+  if (!line) return 'Event planning checklist';
+  return line.length > 150 ? `${line.substring(0, 150)}...` : line;
+}
+
+/** Best-effort draft from the message text alone (no model) */
+export function extractEventFromContent(content, { now = new Date() } = {}) {
+  const eventDate = extractMainEventDate(content, { now });
+  const locationType = detectLocationType(content);
+  return {
+    title: generateSmartEventName(content),
+    description: extractEventSummary(content),
+    eventDate,
+    category: detectEventCategory(content),
+    priority: detectPriority(content),
+    eventType: detectEventType(content),
+    location: locationType ? { type: locationType } : undefined,
+    potentiallyControversial: isPotentiallyControversial(content),
+    checklist: extractBulletTasks(content, eventDate)
+  };
+}
+
+// ---------- Putting it together ----------
+
+/**
+ * Apply the deterministic rules to a draft (from the model or the fallback):
+ * attribute detection (location, controversy, alcohol, minors), the required
+ * policy tasks from policyRules.js, and time-period grouping. `policies` are
+ * the active policies the rules take lead times from (see loadRulePolicies).
+ */
+export function finalizeEventDraft(draft, content, { policies = [] } = {}) {
+  const eventDate = draft.eventDate ? new Date(draft.eventDate) : null;
+  const locationType = detectLocationType(content, draft);
+
+  const event = {
+    title: draft.title || 'Event from Chat',
+    description: draft.description || 'Event planning checklist',
+    eventDate,
+    category: draft.category || 'task',
+    priority: draft.priority || 'medium',
+    eventType: draft.eventType || 'other',
+    hasAlcohol: hasAlcohol(content, draft),
+    involvesMinors: involvesMinors(content, draft),
+    ...(draft.expectedAttendance != null ? { expectedAttendance: draft.expectedAttendance } : {}),
+    location: locationType ? { ...draft.location, type: locationType } : draft.location,
+    potentiallyControversial: isPotentiallyControversial(content, draft),
+    timeline: [],
+    status: 'pending'
+  };
+
+  const { checklist } = applyPolicyRules(draft.checklist, event, { policies });
+  return { ...event, checklist: organizeChecklistByTimePeriods(checklist, eventDate) };
+}
+
+/**
+ * Draft an event from a chat message. Uses the model when it can and falls
+ * back to keyword extraction when it cannot; either way the policy rules are
+ * applied. `source` tells the caller which path produced the draft.
+ */
+export async function generateEvent({ content, policyContext = [], rulePolicies = [], signal }) {
+  try {
+    const { data, attempts } = await generateStructured({
+      messages: [
+        { role: 'system', content: STRUCTURED_SYSTEM_PROMPT },
+        ...policyContext,
+        { role: 'user', content: buildEventPrompt(content) }
+      ],
+      schema: EVENT_DRAFT_SCHEMA,
+      schemaName: 'event_draft',
+      signal
+    });
+    return { event: finalizeEventDraft(data, content, { policies: rulePolicies }), source: 'ai', attempts };
+  } catch (error) {
+    if (!(error instanceof LLMError)) throw error;
+    console.warn(`⚠️ AI event generation failed (${error.code}), using keyword extraction`);
+    return {
+      event: finalizeEventDraft(extractEventFromContent(content), content, { policies: rulePolicies }),
+      source: 'fallback',
+      aiError: error.code
+    };
+  }
+}
@@ -0,0 +1,211 @@
+// backend/src/eventPdf.js
+// Printable run-of-show for an event: details, the checklist grouped by time
+// period, notes, the policies behind it (numbered, with their citations) and
+// who to contact.
+import PDFDocument from 'pdfkit';
+import { organizeChecklistByTimePeriods } from './eventGeneration.js';
+import { applicableRules } from './policyRules.js';
+import { parsePolicyReference } from './policyVersions.js';
+import { plain, eventFileName } from './util.js';
+
+const MARGIN = 50;
+const COLORS = { text: '#111111', muted: '#666666', rule: '#cccccc', accent: '#866d4b', required: '#b91c1c' };
+const REQUIREMENTS_PER_POLICY = 6;
+const DESCRIPTION_CHARS = 600;
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-US', { timeZone: 'UTC', year: 'numeric', month: 'short', day: 'numeric' }) : '');
+const truncate = (text, max) => (text && text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text);
+
+/**
+ * Ids of the policies the event was planned against (`policyVersions`) and
+ * those its checklist items reference, in that order. The policies behind the
+ * rules that apply are not included (load them with loadRulePolicies);
+ * renderEventPdf picks and numbers the cited ones from the loaded documents.
+ */
+export function relevantPolicyIds(event) {
+  const source = plain(event);
+  const ids = [
+    ...(source.policyVersions || []).map(pv => pv.policyId),
+    ...(source.checklist || []).map(item => parsePolicyReference(item.policyReference)?.policyId)
+  ].filter(Boolean).map(String);
+  return [...new Set(ids)];
+}
+
+// Citation number per checklist item: its policy reference, else the policy of its rule
+function citationFor(item, numbers, rulePolicies) {
+  const ref = parsePolicyReference(item.policyReference);
+  if (ref && numbers.has(String(ref.policyId))) return numbers.get(String(ref.policyId));
+  const policy = item.ruleId && rulePolicies.get(item.ruleId);
+  return policy ? numbers.get(String(policy._id)) : undefined;
+}
+
+function heading(doc, text) {
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(13).fillColor(COLORS.accent).text(text);
+  const y = doc.y + 2;
+  doc.moveTo(MARGIN, y).lineTo(doc.page.width - MARGIN, y).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+  doc.moveDown(0.4);
+  doc.font('Helvetica').fontSize(10).fillColor(COLORS.text);
+}
+
+function detailRows(event) {
+  const location = [event.location?.venue, event.location?.room, event.location?.address].filter(Boolean).join(', ');
+  const flags = [
+    event.hasAlcohol && 'Alcohol served',
+    event.involvesMinors && 'Minors attending',
+    event.potentiallyControversial && 'Potentially controversial',
+    event.requiresAV && 'A/V needed',
+    event.cateringRequired && 'Catering'
+  ].filter(Boolean);
+  return [
+    ['Date', formatDate(event.eventDate) || 'Not set'],
+    ['Type', event.eventType],
+    ['Status', event.status],
+    ['Priority', event.priority],
+    ['Location', [location, event.location?.type].filter(Boolean).join(' — ')],
+    ['Expected attendance', event.expectedAttendance],
+    ['Budget', event.budget?.amount != null ? `${event.budget.amount} ${event.budget.currency || 'USD'}` : null],
+    ['Considerations', flags.join(', ')]
+  ].filter(([, value]) => value != null && value !== '');
+}
+
+function writeChecklist(doc, event, { numbers, rulePolicies }) {
+  const items = organizeChecklistByTimePeriods(event.checklist || [], event.eventDate);
+  if (!items.length) {
+    doc.fillColor(COLORS.muted).text('No checklist items.').fillColor(COLORS.text);
+    return;
+  }
+
+  items.forEach(item => {
+    if (item.isTimeHeader) {
+      doc.moveDown(0.4);
+      doc.font('Helvetica-Bold').fontSize(11).text(item.timePeriod);
+      doc.font('Helvetica').fontSize(10);
+      return;
+    }
+
+    const citation = citationFor(item, numbers, rulePolicies);
+    const meta = [
+      item.dueDate && `due ${formatDate(item.dueDate)}`,
+      item.priority && item.priority !== 'medium' && item.priority,
+      item.completed && item.completedAt && `done ${formatDate(item.completedAt)}`
+    ].filter(Boolean).join(' • ');
+
+    doc.font('Courier').text(item.completed ? '[x] ' : '[ ] ', { continued: true });
+    doc.font(item.completed ? 'Helvetica' : 'Helvetica-Bold').fillColor(item.completed ? COLORS.muted : COLORS.text)
+      .text(item.task, { continued: Boolean(item.timingType === 'required' || citation || meta) });
+    if (item.timingType === 'required') {
+      doc.font('Helvetica-Bold').fillColor(COLORS.required).text('  REQUIRED', { continued: Boolean(citation || meta) });
+    }
+    if (citation) doc.font('Helvetica').fillColor(COLORS.accent).text(` [${citation}]`, { continued: Boolean(meta) });
+    if (meta) doc.font('Helvetica').fillColor(COLORS.muted).text(`  ${meta}`);
+    doc.fillColor(COLORS.text).font('Helvetica');
+
+    if (item.description) {
+      doc.fontSize(9).fillColor(COLORS.muted).text(item.description, { indent: 22 }).fontSize(10).fillColor(COLORS.text);
+    }
+  });
+}
+
+function writePolicies(doc, policies) {
+  policies.forEach((policy, index) => {
+    doc.font('Helvetica-Bold').text(`[${index + 1}] ${policy.title}`, { continued: true })
+      .font('Helvetica').fillColor(COLORS.muted)
+      .text(`  ${[policy.category, `v${policy.version || 1}`, policy.retired && 'retired'].filter(Boolean).join(' • ')}`)
+      .fillColor(COLORS.text);
+    if (policy.description) doc.fontSize(9).text(truncate(policy.description, DESCRIPTION_CHARS)).fontSize(10);
+    (policy.requirements || []).slice(0, REQUIREMENTS_PER_POLICY)
+      .forEach(requirement => doc.fontSize(9).text(`• ${requirement}`, { indent: 10 }).fontSize(10));
+    (policy.citations || []).forEach(citation => doc.fontSize(9).fillColor(COLORS.accent).text(citation, { link: /^https?:/.test(citation) ? citation : null }).fillColor(COLORS.text).fontSize(10));
+    doc.moveDown(0.5);
+  });
+}
+
+function writeContacts(doc, owner, collaborators) {
+  const rows = [
+    ...(owner ? [{ name: [owner.firstName, owner.lastName].filter(Boolean).join(' '), email: owner.email, role: 'Organizer' }] : []),
+    ...collaborators.map(c => ({
+      name: [c.firstName, c.lastName].filter(Boolean).join(' ') || c.email,
+      email: c.email,
+      role: `Collaborator (${c.permission || 'edit'})`
+    }))
+  ];
+  if (!rows.length) {
+    doc.fillColor(COLORS.muted).text('No contacts recorded.').fillColor(COLORS.text);
+    return;
+  }
+  rows.forEach(row => {
+    doc.font('Helvetica-Bold').text(row.name || 'Unknown', { continued: true })
+      .font('Helvetica').text(`  ${[row.role, row.email].filter(Boolean).join(' • ')}`);
+  });
+}
+
+// "Page n of m" and the generation date on every page
+function writeFooters(doc, generatedAt) {
+  const { start, count } = doc.bufferedPageRange();
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i);
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0; // writing inside the margin must not add a page
+    doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted).text(
+      `Generated ${formatDate(generatedAt)} • Page ${i + 1} of ${count}`,
+      MARGIN, doc.page.height - 35, { width: doc.page.width - MARGIN * 2, align: 'center' }
+    );
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+/**
+ * Build the PDF for `event`. `policies` are the Policy documents to cite
+ * (see relevantPolicyIds and loadRulePolicies); `owner` is the organizer's
+ * User, when known. `includeContacts: false` leaves out the contacts
+ * section (public share links). Returns a PDFKit document that has been
+ * ended; pipe it to the response.
+ */
+export function renderEventPdf(event, { policies = [], owner = null, includeContacts = true, now = new Date() } = {}) {
+  const source = plain(event);
+  const rulePolicies = new Map(applicableRules(source, { policies })
+    .filter(({ policy }) => policy)
+    .map(({ rule, policy }) => [rule.id, policy]));
+
+  // Cite only policies the event actually touches, numbered in the order loaded
+  const cited = policies.filter(p => relevantPolicyIds(source).includes(String(p._id)) ||
+    [...rulePolicies.values()].some(rp => String(rp._id) === String(p._id)));
+  const numbers = new Map(cited.map((p, i) => [String(p._id), i + 1]));
+
+  const doc = new PDFDocument({ size: 'LETTER', margin: MARGIN, bufferPages: true, info: { Title: source.title } });
+
+  doc.font('Helvetica-Bold').fontSize(20).fillColor(COLORS.text).text(source.title);
+  doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted).text('Run of show and checklist').fillColor(COLORS.text);
+
+  heading(doc, 'Details');
+  detailRows(source).forEach(([label, value]) => {
+    doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(String(value));
+  });
+  if (source.description) doc.moveDown(0.4).text(source.description);
+
+  heading(doc, 'Checklist');
+  writeChecklist(doc, source, { numbers, rulePolicies });
+
+  if (source.notes) {
+    heading(doc, 'Notes');
+    doc.text(source.notes);
+  }
+
+  if (cited.length) {
+    heading(doc, 'Policies');
+    writePolicies(doc, cited);
+  }
+
+  if (includeContacts) {
+    heading(doc, 'Contacts');
+    writeContacts(doc, owner, source.collaborators || []);
+  }
+
+  writeFooters(doc, now);
+  doc.end();
+  return doc;
+}
+
+/** File name for an event's PDF download. */
+export const pdfFileName = (event) => eventFileName(event, '-run-of-show.pdf');
@@ -0,0 +1,119 @@
+// backend/src/eventSchemas.js
+// JSON Schemas for AI-generated event data. Enum values are read from the
+// Mongoose EventSchema so the two cannot drift apart.
+import { Event } from './models.js';
+
+const enumOf = (path) => Event.schema.path(path).enumValues;
+const checklistEnumOf = (path) => Event.schema.path('checklist').schema.path(path).enumValues;
+
+// YYYY-MM-DD, optionally followed by a time
+const DATE_PATTERN = '^\\d{4}-\\d{2}-\\d{2}([T ].*)?$';
+
+const nullableString = { type: ['string', 'null'] };
+const nullableDate = { type: ['string', 'null'], pattern: DATE_PATTERN };
+
+/**
+ * @typedef {object} ChecklistItemDraft
+ * @property {string} task
+ * @property {string|null} [description]
+ * @property {string|null} [dueDate]       YYYY-MM-DD
+ * @property {'low'|'medium'|'high'|'critical'} priority
+ * @property {'required'|'recommended'} timingType
+ * @property {string|null} [category]
+ * @property {boolean} completed
+ * @property {number|null} [estimatedHours]
+ */
+export const CHECKLIST_ITEM_SCHEMA = {
+  type: 'object',
+  required: ['task'],
+  additionalProperties: false,
+  properties: {
+    task: { type: 'string', minLength: 1 },
+    description: nullableString,
+    dueDate: nullableDate,
+    priority: { type: 'string', enum: checklistEnumOf('priority'), default: 'medium' },
+    timingType: { type: 'string', enum: checklistEnumOf('timingType'), default: 'recommended' },
+    category: nullableString,
+    completed: { type: 'boolean', default: false },
+    estimatedHours: { type: ['number', 'null'], minimum: 0 },
+  },
+};
+
+const LOCATION_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    type: { type: ['string', 'null'], enum: [...enumOf('location.type'), null] },
+    venue: nullableString,
+    room: nullableString,
+    address: nullableString,
+  },
+};
+
+const EVENT_FIELDS = {
+  title: { type: 'string', minLength: 1 },
+  description: nullableString,
+  eventDate: nullableDate,
+  category: { type: 'string', enum: enumOf('category') },
+  priority: { type: 'string', enum: enumOf('priority') },
+  eventType: { type: 'string', enum: enumOf('eventType') },
+  potentiallyControversial: { type: 'boolean' },
+  hasAlcohol: { type: 'boolean' },
+  involvesMinors: { type: 'boolean' },
+  expectedAttendance: { type: ['integer', 'null'], minimum: 0 },
+  location: LOCATION_SCHEMA,
+  budget: {
+    type: 'object',
+    additionalProperties: false,
+    properties: { amount: { type: ['number', 'null'], minimum: 0 } },
+  },
+  checklist: { type: 'array', items: CHECKLIST_ITEM_SCHEMA },
+};
+
+/**
+ * A new event drafted from a chat message.
+ * @typedef {object} EventDraft
+ * @property {string} title
+ * @property {string|null} [description]
+ * @property {string|null} [eventDate]
+ * @property {string} category
+ * @property {string} priority
+ * @property {string} eventType
+ * @property {boolean} potentiallyControversial
+ * @property {boolean} [hasAlcohol]
+ * @property {boolean} [involvesMinors]
+ * @property {number|null} [expectedAttendance]
+ * @property {{type?: string|null, venue?: string|null, room?: string|null, address?: string|null}} [location]
+ * @property {{amount?: number|null}} [budget]
+ * @property {ChecklistItemDraft[]} checklist
+ */
+export const EVENT_DRAFT_SCHEMA = {
+  type: 'object',
+  required: ['title', 'checklist'],
+  additionalProperties: false,
+  properties: {
+    ...EVENT_FIELDS,
+    category: { ...EVENT_FIELDS.category, default: 'task' },
+    priority: { ...EVENT_FIELDS.priority, default: 'medium' },
+    eventType: { ...EVENT_FIELDS.eventType, default: 'other' },
+    potentiallyControversial: { type: 'boolean', default: false },
+  },
+};
+
+/**
+ * Only the fields a conversation changed; everything is optional.
+ * @typedef {Partial<EventDraft>} EventUpdate
+ */
+export const EVENT_UPDATE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: EVENT_FIELDS,
+};
+
+export const STRUCTURED_SYSTEM_PROMPT = 'You are the Vanderbilt Program Planning Assistant. You turn planning conversations into structured event data and always answer with a single JSON object.';
+
+// Schemas clients may request by name from /api/chat/structured
+export const STRUCTURED_SCHEMAS = {
+  eventDraft: EVENT_DRAFT_SCHEMA,
+  eventUpdate: EVENT_UPDATE_SCHEMA,
+};
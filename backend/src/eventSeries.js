@@ -0,0 +1,149 @@
+// backend/src/eventSeries.js
+// Recurring event series. An EventSeries holds the shared details, the
+// checklist (as template tasks, relative to each occurrence's date) and the
+// recurrence rule; each occurrence is an ordinary Event with its own
+// checklist. Tasks that only need doing once for the whole series (booking
+// the space for every date) live on the first occurrence only.
+import { templateFromEvent, eventFromTemplate } from './templates.js';
+import { DAY_MS, plain } from './util.js';
+
+export const MAX_OCCURRENCES = 52;
+
+// Policy rules satisfied once for the series, on the first occurrence
+export const SERIES_SHARED_RULES = ['space-booking'];
+
+// Series fields copied onto occurrences when the series is edited
+export const SERIES_FIELDS = ['title', 'description', 'eventType', 'category', 'priority', 'planId', 'defaults', 'tasks', 'sharedTasks'];
+
+const OCCURRENCE_DETAIL_FIELDS = [
+  'title', 'description', 'eventType', 'category', 'priority', 'planId', 'startTime', 'endTime',
+  'location', 'expectedAttendance', 'hasAlcohol', 'involvesMinors', 'potentiallyControversial'
+];
+
+const normTask = (task) => String(task || '').trim().toLowerCase();
+
+// Same day of the month, clamped to the month's last day (Jan 31 → Feb 28)
+function addMonths(date, months) {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+}
+
+/**
+ * Dates of every occurrence: { frequency: 'weekly' | 'monthly', interval,
+ * startDate, count | until }. At most MAX_OCCURRENCES. Throws a RangeError
+ * for an incomplete rule or one that yields no dates (e.g. `until` before
+ * `startDate`).
+ */
+export function occurrenceDates({ frequency, interval = 1, startDate, count, until } = {}) {
+  const start = new Date(startDate);
+  if (!startDate || isNaN(start.getTime())) throw new RangeError('recurrence.startDate is required');
+  if (!['weekly', 'monthly'].includes(frequency)) throw new RangeError("recurrence.frequency must be 'weekly' or 'monthly'");
+  if (!count && !until) throw new RangeError('recurrence needs a count or an until date');
+
+  const step = Math.max(1, Number(interval) || 1);
+  const end = until ? new Date(until) : null;
+  if (end && isNaN(end.getTime())) throw new RangeError('recurrence.until must be a date');
+  if (end && end < start) throw new RangeError('recurrence.until must not be before recurrence.startDate');
+  const limit = Math.min(count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const dates = [];
+
+  for (let i = 0; dates.length < limit; i++) {
+    const date = frequency === 'weekly'
+      ? new Date(start.getTime() + i * step * 7 * DAY_MS)
+      : addMonths(start, i * step);
+    if (end && date > end) break;
+    dates.push(date);
+  }
+  if (!dates.length) throw new RangeError('The recurrence has no dates');
+  return dates;
+}
+
+/** Rules an occurrence leaves to the first occurrence of its series. */
+export const skipRulesFor = (event) =>
+  event?.seriesId && event.occurrenceIndex > 0 ? SERIES_SHARED_RULES : [];
+
+/**
+ * Series fields from an existing event, which becomes its first occurrence.
+ * Tasks for the shared rules move to `sharedTasks`.
+ */
+export function seriesFromEvent(event) {
+  const { name, tasks, ...fields } = templateFromEvent(event);
+  const source = plain(event);
+  const shared = (task) => SERIES_SHARED_RULES.includes(task.ruleId);
+  return {
+    ...fields,
+    title: name,
+    ...(source.planId ? { planId: source.planId } : {}),
+    tasks: tasks.filter(task => !shared(task)),
+    sharedTasks: tasks.filter(shared)
+  };
+}
+
+/**
+ * Event data for occurrence `index` on `date`, with the series' booking hours
+ * on that date. The first occurrence also gets the series' shared tasks. The
+ * caller applies the policy rules (with skipRulesFor) and the time-period
+ * grouping.
+ */
+export function occurrenceData(series, index, date) {
+  const source = plain(series);
+  const tasks = index === 0 ? [...(source.tasks || []), ...(source.sharedTasks || [])] : source.tasks || [];
+  const event = eventFromTemplate(
+    { ...source, name: source.title, tasks },
+    { eventDate: date, ...(source.planId ? { planId: source.planId } : {}) }
+  );
+  delete event.templateId; // the series is not a template
+  return { ...event, userId: source.userId, seriesId: source._id, occurrenceIndex: index };
+}
+
+/** Say on the first occurrence's shared tasks that they cover every date. */
+export function noteSharedTasks(checklist, dates) {
+  const list = dates.map(d => new Date(d).toISOString().slice(0, 10)).join(', ');
+  return checklist.map(item => SERIES_SHARED_RULES.includes(item.ruleId) && !item.description
+    ? { ...item, description: `Covers every date in the series: ${list}` }
+    : item);
+}
+
+/**
+ * Updates for a future occurrence after the series was edited: the series
+ * details, and its checklist rebuilt from the series tasks. Completed tasks
+ * and tasks added to this occurrence alone (not in `previousTasks`, the
+ * series tasks before the edit) are kept.
+ */
+export function refreshOccurrence(occurrence, series, { previousTasks = [] } = {}) {
+  const current = plain(occurrence);
+  const fresh = occurrenceData(series, current.occurrenceIndex, current.eventDate);
+  const fromSeries = new Set(previousTasks.map(t => normTask(t.task)));
+
+  const kept = (current.checklist || [])
+    .filter(item => !item.isTimeHeader)
+    .filter(item => item.completed || !fromSeries.has(normTask(item.task)));
+  const keptNames = new Set(kept.map(item => normTask(item.task)));
+
+  const updates = {};
+  OCCURRENCE_DETAIL_FIELDS.forEach(field => {
+    if (fresh[field] !== undefined) updates[field] = fresh[field];
+  });
+  updates.checklist = [...kept, ...fresh.checklist.filter(item => !keptNames.has(normTask(item.task)))];
+  return updates;
+}
+
+/** Move an occurrence to a new date; its booking hours and open tasks keep their distance from the event. */
+export function rescheduleOccurrence(occurrence, date) {
+  const current = plain(occurrence);
+  const offsetMs = new Date(date) - new Date(current.eventDate);
+  const shift = (value) => new Date(new Date(value).getTime() + offsetMs);
+  return {
+    eventDate: new Date(date),
+    ...(current.startTime ? { startTime: shift(current.startTime) } : {}),
+    ...(current.endTime ? { endTime: shift(current.endTime) } : {}),
+    checklist: (current.checklist || []).map(item => item.dueDate && !item.completed
+      ? { ...item, dueDate: shift(item.dueDate) }
+      : item)
+  };
+}
@@ -0,0 +1,129 @@
+// backend/src/eventTimeline.js
+// Gantt view of an event: checklist items and timeline milestones laid out
+// from planning start to the event date, with the time-period bands the
+// checklist is grouped by (organizeChecklistByTimePeriods). Also suggests
+// default milestones, one per period that has tasks.
+import { TIME_PERIODS, timePeriodBands, timePeriodFor } from './eventGeneration.js';
+import { dependencyGraph, taskDays } from './taskGraph.js';
+import { DAY_MS, plain, time, startOfDay } from './util.js';
+
+const EVENT_DAY = 'Day of event';
+
+/**
+ * Milestones for an event without any: one per time period before the event
+ * that has dated tasks, due on the last day of that period, and one on the
+ * event day. Each lists the ids of its period's checklist items. Empty
+ * without an event date.
+ */
+export function defaultMilestones(checklist = [], eventDate) {
+  if (!eventDate) return [];
+  const eventTime = time(eventDate);
+  const groups = new Map(TIME_PERIODS.map(p => [p.label, []]));
+  checklist
+    .filter(item => !item.isTimeHeader && item._id && item.dueDate)
+    .forEach(item => groups.get(timePeriodFor(item.dueDate, eventDate)).push(String(item._id)));
+
+  const milestones = TIME_PERIODS
+    .filter(period => period.minDays > 0 && groups.get(period.label).length)
+    .map(period => ({
+      milestone: `${period.label} tasks done`,
+      dueDate: new Date(eventTime - period.minDays * DAY_MS),
+      completed: false,
+      associatedTasks: groups.get(period.label)
+    }));
+  milestones.push({
+    milestone: 'Event day',
+    dueDate: new Date(eventTime),
+    completed: false,
+    associatedTasks: groups.get(EVENT_DAY)
+  });
+  return milestones;
+}
+
+/**
+ * Everything the Gantt chart draws, as { start, end, eventDate, bands,
+ * tasks, undated, milestones, suggestedMilestones }. The range runs from
+ * planning start (the event's creation, or the earliest task or milestone
+ * if sooner) to the day after the event (or the last due date after it).
+ * Each dated task is a bar of taskDays ending on its due date; `undated`
+ * lists the rest. Milestones carry progress over their associated tasks.
+ * `suggestedMilestones` (defaultMilestones) is only set when the event has
+ * none.
+ */
+export function buildTimeline(event, { now = new Date() } = {}) {
+  const source = plain(event);
+  const eventTime = time(source.eventDate);
+  const { items, prerequisites } = dependencyGraph(source.checklist || []);
+  const entries = (source.checklist || []).filter(item => !item.isTimeHeader);
+
+  const tasks = entries
+    .filter(item => item.dueDate)
+    .map(item => {
+      const id = item._id ? String(item._id) : null;
+      const due = startOfDay(time(item.dueDate));
+      return {
+        itemId: id,
+        task: item.task,
+        startDate: new Date(due - (taskDays(item) - 1) * DAY_MS),
+        dueDate: new Date(due),
+        completed: Boolean(item.completed),
+        priority: item.priority || 'medium',
+        timingType: item.timingType || 'recommended',
+        ruleId: item.ruleId || null,
+        timePeriod: eventTime == null ? null : timePeriodFor(item.dueDate, source.eventDate),
+        dependencies: id && items.has(id) ? prerequisites.get(id) : []
+      };
+    })
+    .sort((a, b) => a.dueDate - b.dueDate);
+  const undated = entries
+    .filter(item => !item.dueDate)
+    .map(item => ({ itemId: item._id ? String(item._id) : null, task: item.task, completed: Boolean(item.completed) }));
+
+  const completedIds = new Set(entries.filter(item => item.completed && item._id).map(item => String(item._id)));
+  const knownIds = new Set(entries.filter(item => item._id).map(item => String(item._id)));
+  const milestones = (source.timeline || []).map(milestone => {
+    const associated = (milestone.associatedTasks || []).filter(id => knownIds.has(String(id)));
+    return {
+      _id: milestone._id,
+      milestone: milestone.milestone,
+      description: milestone.description || '',
+      dueDate: milestone.dueDate || null,
+      completed: Boolean(milestone.completed),
+      associatedTasks: associated,
+      progress: { done: associated.filter(id => completedIds.has(String(id))).length, total: associated.length }
+    };
+  });
+
+  const starts = [
+    time(source.createdAt) ?? now.getTime(),
+    ...tasks.map(t => t.startDate.getTime()),
+    ...milestones.map(m => time(m.dueDate)).filter(t => t != null)
+  ];
+  const ends = [
+    eventTime ?? now.getTime(),
+    ...tasks.map(t => t.dueDate.getTime()),
+    ...milestones.map(m => time(m.dueDate)).filter(t => t != null)
+  ];
+  const start = startOfDay(Math.min(...starts));
+  const end = startOfDay(Math.max(...ends)) + DAY_MS;
+
+  // Period bands clipped to the range; empty ones dropped
+  const bands = eventTime == null ? [] : timePeriodBands(source.eventDate)
+    .map(band => ({
+      label: band.label,
+      start: new Date(Math.max(start, band.start ? band.start.getTime() : start)),
+      end: new Date(Math.min(end, band.end ? band.end.getTime() : end))
+    }))
+    .filter(band => band.start < band.end);
+
+  return {
+    start: new Date(start),
+    end: new Date(end),
+    eventDate: eventTime == null ? null : new Date(eventTime),
+    bands,
+    tasks,
+    undated,
+    milestones,
+    ...(milestones.length ? {} : { suggestedMilestones: defaultMilestones(source.checklist || [], source.eventDate) })
+  };
+}
@@ -0,0 +1,152 @@
+// backend/src/icalendar.js
+// iCalendar (RFC 5545) output for events and their checklists, for the
+// .ics download and the per-user subscription feed. An event with booking
+// hours (startTime/endTime) is a timed entry, otherwise all-day on its date;
+// checklist due dates are always all-day.
+import { DEFAULT_BOOKING_HOURS } from './venueConflicts.js';
+import { HOUR_MS, DAY_MS, plain, eventFileName } from './util.js';
+
+const PRODID = '-//Vanderbilt Program Planning//Events//EN';
+const UID_DOMAIN = 'program-planning.vanderbilt.edu';
+
+const PRIORITIES = { critical: 1, high: 3, medium: 5, low: 9 }; // RFC 5545: 1 = highest
+
+// TEXT values escape backslash, semicolon, comma and newlines
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// DATE value from the UTC calendar day (date inputs are stored as UTC midnight)
+const formatDate = (date) => {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}`;
+};
+
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+const isValidDate = (date) => date && !isNaN(new Date(date).getTime());
+
+function allDay(date) {
+  return [
+    `DTSTART;VALUE=DATE:${formatDate(date)}`,
+    `DTEND;VALUE=DATE:${formatDate(new Date(new Date(date).getTime() + DAY_MS))}`
+  ];
+}
+
+// Booking hours in UTC; a start without an end lasts as long as its venue booking
+function timed(start, end) {
+  const finish = isValidDate(end) ? end : new Date(new Date(start).getTime() + DEFAULT_BOOKING_HOURS * HOUR_MS);
+  return [`DTSTART:${formatDateTime(start)}`, `DTEND:${formatDateTime(finish)}`];
+}
+
+function eventComponent(event, { now, appUrl }) {
+  const url = appUrl ? `${appUrl}/events/${event._id}` : null;
+  const description = [event.description, url].filter(Boolean).join('\n\n');
+  const location = [event.location?.venue, event.location?.room, event.location?.address].filter(Boolean).join(', ');
+  return [
+    'BEGIN:VEVENT',
+    `UID:event-${event._id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    ...(event.updatedAt ? [`LAST-MODIFIED:${formatDateTime(event.updatedAt)}`] : []),
+    ...(isValidDate(event.startTime) ? timed(event.startTime, event.endTime) : allDay(event.eventDate)),
+    `SUMMARY:${escapeText(event.title)}`,
+    ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+    ...(location ? [`LOCATION:${escapeText(location)}`] : []),
+    ...(url ? [`URL:${url}`] : []),
+    `STATUS:${event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+    'TRANSP:OPAQUE',
+    'END:VEVENT'
+  ];
+}
+
+// A checklist item as a VEVENT on its due date (shown by Google Calendar and
+// Outlook) or a VTODO (task lists in Apple Reminders, Thunderbird)
+function taskComponent(event, item, { now, taskComponent: kind }) {
+  // VEVENTs have no completed state, so say it in the title
+  const summary = `${kind !== 'todo' && item.completed ? '[Done] ' : ''}${item.task} (${event.title})`;
+  const description = [item.description, item.ruleId ? 'Required by policy.' : null].filter(Boolean).join('\n\n');
+  const lines = [
+    `UID:task-${event._id}-${item._id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    ...(event.updatedAt ? [`LAST-MODIFIED:${formatDateTime(event.updatedAt)}`] : []),
+    `SUMMARY:${escapeText(summary)}`,
+    ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+    `PRIORITY:${PRIORITIES[item.priority] || PRIORITIES.medium}`,
+    ...(item.category ? [`CATEGORIES:${escapeText(item.category)}`] : [])
+  ];
+
+  if (kind === 'todo') {
+    return [
+      'BEGIN:VTODO',
+      ...lines,
+      `DUE;VALUE=DATE:${formatDate(item.dueDate)}`,
+      ...(item.completed
+        ? ['STATUS:COMPLETED', ...(item.completedAt ? [`COMPLETED:${formatDateTime(item.completedAt)}`] : [])]
+        : ['STATUS:NEEDS-ACTION']),
+      'END:VTODO'
+    ];
+  }
+  return ['BEGIN:VEVENT', ...lines, ...allDay(item.dueDate), 'TRANSP:TRANSPARENT', 'END:VEVENT'];
+}
+
+/**
+ * Calendar components for one event: the event itself (at its booking hours,
+ * or all day on its date) and one all-day entry per dated checklist item. Options: `includeCompleted` (default
+ * true), `taskComponent: 'event' | 'todo'` (default 'event'), `appUrl` for
+ * links back to the app, `now` for DTSTAMP. Undated items and time-period
+ * headers are left out.
+ */
+export function eventComponents(event, { includeCompleted = true, taskComponent: kind = 'event', appUrl, now = new Date() } = {}) {
+  const source = plain(event);
+  const lines = isValidDate(source.eventDate) ? eventComponent(source, { now, appUrl }) : [];
+  (source.checklist || [])
+    .filter(item => !item.isTimeHeader && isValidDate(item.dueDate))
+    .filter(item => includeCompleted || !item.completed)
+    .forEach(item => lines.push(...taskComponent(source, item, { now, taskComponent: kind })));
+  return lines;
+}
+
+/**
+ * A complete VCALENDAR for `events`. `name` becomes the calendar's display
+ * name; `refreshHours` asks subscribing clients to poll that often. Other
+ * options are passed to eventComponents.
+ */
+export function buildCalendar(events, { name, refreshHours, ...options } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    ...(refreshHours ? [`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshHours}H`, `X-PUBLISHED-TTL:PT${refreshHours}H`] : []),
+    ...events.flatMap(event => eventComponents(event, options)),
+    'END:VCALENDAR'
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/** File name for an event's .ics download. */
+export const calendarFileName = (event) => eventFileName(event, '.ics');
@@ -0,0 +1,116 @@
+// backend/src/llm/amplify.js
+// Vanderbilt Amplify: POST {base}/{path} with the `{ data: { messages, options } }` envelope.
+import { CONFIG } from '../config.js';
+import { postJson, streamEvents, joinUrl } from './http.js';
+
+function buildHeaders() {
+  const { AMPLIFY_API_KEY, AMPLIFY_AUTH_SCHEME, AMPLIFY_API_KEY_HEADER } = CONFIG;
+  switch (AMPLIFY_AUTH_SCHEME || 'bearer') {
+    case 'bearer':
+      return { Authorization: `Bearer ${AMPLIFY_API_KEY}` };
+    case 'header':
+    case 'api-key':
+      return { [AMPLIFY_API_KEY_HEADER || 'x-api-key']: AMPLIFY_API_KEY };
+    case 'none':
+      return {};
+    default:
+      throw new Error(`Unsupported AMPLIFY_AUTH_SCHEME: ${AMPLIFY_AUTH_SCHEME} (use bearer, header or none)`);
+  }
+}
+
+function chatUrl() {
+  const { AMPLIFY_BASE_URL, AMPLIFY_PATH } = CONFIG;
+  if (!AMPLIFY_BASE_URL) throw new Error('Amplify configuration missing (base URL)');
+  return joinUrl(AMPLIFY_BASE_URL, (AMPLIFY_PATH && AMPLIFY_PATH.trim()) || '/chat');
+}
+
+function buildPayload(messages, { temperature = 0.7, maxTokens = 1500, stream = false } = {}) {
+  const lastUser = [...messages].reverse().find(m => m.role === 'user');
+  return {
+    data: {
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      dataSources: [],               // add file IDs later if you enable RAG
+      options: {
+        model: { id: CONFIG.AMPLIFY_MODEL }, // e.g., gpt-4o-mini
+        prompt: lastUser?.content || '',
+        ragOnly: false,
+        skipRag: true,
+        ...(stream ? { stream: true } : {}),
+      },
+    },
+  };
+}
+
+const replyText = (json) =>
+  json?.data ??
+  json?.choices?.[0]?.message?.content ??
+  json?.message;
+
+// Pull the text delta out of one streamed chunk (Amplify or OpenAI-style)
+function chunkText(json) {
+  if (typeof json === 'string') return json;
+  return (
+    json?.choices?.[0]?.delta?.content ??
+    json?.choices?.[0]?.message?.content ??
+    (typeof json?.data === 'string' ? json.data : undefined) ??
+    json?.delta ??
+    json?.content ??
+    ''
+  );
+}
+
+const DISABLED_REPLY = 'AI is disabled by configuration.';
+
+export const amplifyProvider = {
+  name: 'amplify',
+
+  async chat(messages, { signal, ...options } = {}) {
+    if (!CONFIG.USE_AMPLIFY) return DISABLED_REPLY;
+    const resp = await postJson(chatUrl(), buildPayload(messages, options), {
+      headers: buildHeaders(),
+      signal,
+      label: 'Amplify',
+      timeoutMs: CONFIG.LLM_TIMEOUT_MS,
+    });
+    return replyText(resp) ?? 'Sorry, I could not process your request.';
+  },
+
+  // Amplify may or may not honour `stream`; a plain JSON reply is yielded whole
+  async *stream(messages, { signal, ...options } = {}) {
+    if (!CONFIG.USE_AMPLIFY) {
+      yield DISABLED_REPLY;
+      return;
+    }
+
+    const events = streamEvents(chatUrl(), buildPayload(messages, { ...options, stream: true }), {
+      headers: buildHeaders(),
+      signal,
+      label: 'Amplify',
+      timeoutMs: CONFIG.LLM_TIMEOUT_MS,
+    });
+
+    for await (const { data, body } of events) {
+      if (body !== undefined) {
+        let json; try { json = JSON.parse(body); } catch {}
+        yield json ? (replyText(json) ?? '') : body;
+        return;
+      }
+      let json; try { json = JSON.parse(data); } catch { json = data; }
+      const text = chunkText(json);
+      if (text) yield text;
+    }
+  },
+
+  // No native JSON mode: the schema goes into the prompt and the caller validates
+  async json(messages, { schema, ...options } = {}) {
+    const instruction = {
+      role: 'system',
+      content: `Respond with a single JSON object only — no prose, no code fences.${
+        schema ? ` It must conform to this JSON Schema:\n${JSON.stringify(schema)}` : ''
+      }`,
+    };
+    return this.chat([...messages, instruction], { temperature: 0.2, ...options });
+  },
+};
@@ -0,0 +1,91 @@
+// backend/src/llm/errors.js
+// Typed failures for model calls. `code` is what API responses expose so the
+// frontend can show a specific message instead of a generic apology.
+
+export const LLM_ERROR_CODES = {
+  TIMEOUT: 'AI_TIMEOUT',               // upstream took longer than LLM_TIMEOUT_MS
+  RATE_LIMITED: 'AI_RATE_LIMITED',     // 429 after all retries
+  UPSTREAM: 'AI_UPSTREAM_ERROR',       // 5xx / network failure after all retries
+  UNAVAILABLE: 'AI_UNAVAILABLE',       // circuit breaker open, failing fast
+  BAD_REQUEST: 'AI_BAD_REQUEST',       // 4xx other than 429 (bad key, bad payload)
+  CONFIG: 'AI_CONFIG_ERROR',           // missing URL, unknown provider, etc.
+  INVALID_OUTPUT: 'AI_INVALID_OUTPUT', // structured output failed schema validation after repairs
+  CANCELLED: 'AI_CANCELLED',           // caller aborted the request
+};
+
+// HTTP status our API answers with for each code
+const HTTP_STATUS = {
+  AI_TIMEOUT: 504,
+  AI_RATE_LIMITED: 429,
+  AI_UPSTREAM_ERROR: 502,
+  AI_UNAVAILABLE: 503,
+  AI_BAD_REQUEST: 502,
+  AI_CONFIG_ERROR: 500,
+  AI_INVALID_OUTPUT: 502,
+  AI_CANCELLED: 499,
+};
+
+export class LLMError extends Error {
+  constructor(message, { code = LLM_ERROR_CODES.UPSTREAM, status, retryAfterMs, cause } = {}) {
+    super(message, { cause });
+    this.name = 'LLMError';
+    this.code = code;
+    this.status = status;           // upstream HTTP status, if any
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  /** Worth another attempt: timeouts, 429, 5xx and network failures */
+  get retryable() {
+    return [LLM_ERROR_CODES.TIMEOUT, LLM_ERROR_CODES.RATE_LIMITED, LLM_ERROR_CODES.UPSTREAM].includes(this.code);
+  }
+
+  get httpStatus() {
+    return HTTP_STATUS[this.code] || 500;
+  }
+}
+
+/** Classify an upstream HTTP failure */
+export function errorFromResponse(label, status, bodyText, retryAfterHeader) {
+  const message = `${label} API error: ${status}${bodyText ? ` - ${bodyText}` : ''}`;
+  if (status === 429) {
+    const seconds = Number(retryAfterHeader);
+    return new LLMError(message, {
+      code: LLM_ERROR_CODES.RATE_LIMITED,
+      status,
+      retryAfterMs: Number.isFinite(seconds) ? seconds * 1000 : undefined,
+    });
+  }
+  if (status >= 500) return new LLMError(message, { code: LLM_ERROR_CODES.UPSTREAM, status });
+  return new LLMError(message, { code: LLM_ERROR_CODES.BAD_REQUEST, status });
+}
+
+/** Wrap anything thrown by a provider so callers only ever see LLMError */
+export function toLLMError(error) {
+  if (error instanceof LLMError) return error;
+  if (error?.name === 'AbortError') {
+    return new LLMError('AI request cancelled', { code: LLM_ERROR_CODES.CANCELLED, cause: error });
+  }
+  if (/configuration missing|Unsupported|Unknown LLM_PROVIDER/i.test(error?.message || '')) {
+    return new LLMError(error.message, { code: LLM_ERROR_CODES.CONFIG, cause: error });
+  }
+  // fetch() network failures surface as TypeError('fetch failed')
+  return new LLMError(error?.message || 'AI request failed', { code: LLM_ERROR_CODES.UPSTREAM, cause: error });
+}
+
+/**
+ * Body for a failed AI route: `{ error, code }` plus whatever fallback fields the
+ * route already returned, with the matching HTTP status.
+ *   const { status, body } = aiErrorResponse(err, 'Failed to generate communications');
+ */
+export function aiErrorResponse(error, fallbackMessage, extra = {}) {
+  const llmError = toLLMError(error);
+  return {
+    status: llmError.httpStatus,
+    body: {
+      error: fallbackMessage,
+      code: llmError.code,
+      ...(llmError.validationErrors ? { details: llmError.validationErrors } : {}),
+      ...extra,
+    },
+  };
+}
@@ -0,0 +1,70 @@
+// backend/src/llm/fake.js
+// Deterministic offline provider: no network, same input → same output.
+// Lets the app (and anyone without an Amplify key) run end to end.
+
+const lastUserMessage = (messages) =>
+  [...messages].reverse().find(m => m.role === 'user')?.content || '';
+
+function fakeReply(messages) {
+  const prompt = lastUserMessage(messages).trim();
+  const preview = prompt.length > 120 ? `${prompt.slice(0, 117)}...` : prompt;
+  return [
+    '**Offline assistant** (LLM_PROVIDER=fake)',
+    '',
+    `You asked: "${preview}"`,
+    '',
+    'Planning checklist:',
+    '- Book your space through EMS at least 14 days ahead',
+    '- Confirm budget and vendor quotes',
+    '- Publish marketing 2–3 weeks before the event',
+  ].join('\n');
+}
+
+// Smallest value that satisfies a (simple) JSON Schema node
+function sampleFromSchema(schema = {}) {
+  if (schema.default !== undefined) return schema.default;
+  if (Array.isArray(schema.examples) && schema.examples.length) return schema.examples[0];
+  if (Array.isArray(schema.enum)) return schema.enum[0];
+
+  const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+  switch (type) {
+    case 'object': {
+      const out = {};
+      for (const key of schema.required || []) {
+        out[key] = sampleFromSchema(schema.properties?.[key]);
+      }
+      return out;
+    }
+    case 'array':
+      return Array.from({ length: schema.minItems || 0 }, () => sampleFromSchema(schema.items));
+    case 'string':
+      if (schema.format === 'date' || schema.format === 'date-time') return '2030-01-01';
+      return 'Sample'.padEnd(schema.minLength || 0, 'x');
+    case 'integer':
+    case 'number':
+      return schema.minimum ?? 0;
+    case 'boolean':
+      return false;
+    default:
+      return null;
+  }
+}
+
+export const fakeProvider = {
+  name: 'fake',
+
+  async chat(messages) {
+    return fakeReply(messages);
+  },
+
+  async *stream(messages, { signal } = {}) {
+    for (const word of fakeReply(messages).split(/(?<=\s)/)) {
+      if (signal?.aborted) return;
+      yield word;
+    }
+  },
+
+  async json(messages, { schema } = {}) {
+    return JSON.stringify(schema ? sampleFromSchema(schema) : {});
+  },
+};
@@ -0,0 +1,123 @@
+// backend/src/llm/http.js
+// Small fetch helpers shared by the HTTP-based providers. Every call carries a
+// timeout and failures are thrown as LLMError (see ./errors.js).
+import { LLMError, LLM_ERROR_CODES, errorFromResponse, toLLMError } from './errors.js';
+
+/**
+ * An AbortSignal that fires when the caller aborts or `timeoutMs` passes with
+ * no activity. `touch()` restarts the clock (used per streamed chunk).
+ */
+function createDeadline(callerSignal, timeoutMs) {
+  const controller = new AbortController();
+  let timedOut = false;
+  let timer = null;
+
+  const touch = () => {
+    if (!timeoutMs) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+  };
+  const onCallerAbort = () => controller.abort();
+
+  if (callerSignal?.aborted) controller.abort();
+  callerSignal?.addEventListener('abort', onCallerAbort, { once: true });
+  touch();
+
+  return {
+    signal: controller.signal,
+    touch,
+    clear() {
+      clearTimeout(timer);
+      callerSignal?.removeEventListener('abort', onCallerAbort);
+    },
+    // Turn whatever fetch threw into the right LLMError
+    wrap(error, label) {
+      if (timedOut) {
+        return new LLMError(`${label} request timed out after ${timeoutMs}ms`, {
+          code: LLM_ERROR_CODES.TIMEOUT,
+          cause: error,
+        });
+      }
+      return toLLMError(error);
+    },
+  };
+}
+
+export async function postJson(url, body, { headers = {}, signal, label = 'LLM', timeoutMs } = {}) {
+  const deadline = createDeadline(signal, timeoutMs);
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: deadline.signal,
+    });
+    const text = await res.text();
+    let json; try { json = JSON.parse(text); } catch {}
+    if (!res.ok) {
+      const msg = typeof json === 'string' ? json : JSON.stringify(json ?? text);
+      throw errorFromResponse(label, res.status, msg, res.headers.get('retry-after'));
+    }
+    return json ?? {};
+  } catch (error) {
+    throw deadline.wrap(error, label);
+  } finally {
+    deadline.clear();
+  }
+}
+
+/**
+ * POST a streaming request and yield its events:
+ *   { data }  for every `data:` line of a text/event-stream reply (until [DONE])
+ *   { body }  once, with the full text, when the server answered without streaming
+ * `timeoutMs` is an idle timeout: it restarts on every chunk received.
+ */
+export async function* streamEvents(url, body, { headers = {}, signal, label = 'LLM', timeoutMs } = {}) {
+  const deadline = createDeadline(signal, timeoutMs);
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream', ...headers },
+      body: JSON.stringify(body),
+      signal: deadline.signal,
+    });
+    if (!res.ok) {
+      const text = await res.text();
+      throw errorFromResponse(label, res.status, text, res.headers.get('retry-after'));
+    }
+
+    if (!(res.headers.get('content-type') || '').includes('text/event-stream')) {
+      yield { body: await res.text() };
+      return;
+    }
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const bytes of res.body) {
+      deadline.touch();
+      buffer += decoder.decode(bytes, { stream: true });
+
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline).replace(/\r$/, '');
+        buffer = buffer.slice(newline + 1);
+
+        if (!line.startsWith('data:')) continue;
+        const data = line.slice(5).trim();
+        if (!data) continue;
+        if (data === '[DONE]') return;
+        yield { data };
+      }
+    }
+  } catch (error) {
+    throw deadline.wrap(error, label);
+  } finally {
+    deadline.clear();
+  }
+}
+
+export const joinUrl = (base, path) =>
+  `${String(base).replace(/\/+$/, '')}/${String(path).replace(/^\/+/, '')}`;
@@ -0,0 +1,76 @@
+// backend/src/llm/index.js
+// Provider registry. Every provider implements:
+//
+//   name                                  string shown on /healthz
+//   chat(messages, opts)   → Promise<string>
+//   stream(messages, opts) → AsyncIterable<string>   (text deltas)
+//   json(messages, opts)   → Promise<string>         (raw JSON text; opts.schema = JSON Schema)
+//
+// `messages` are OpenAI-style { role, content }. Common opts: signal,
+// temperature, maxTokens. Pick the provider with LLM_PROVIDER in config.js.
+//
+// getProvider() hands out the selected provider wrapped with retry/backoff and
+// a shared circuit breaker; failures are always LLMError (see ./errors.js).
+import { CONFIG } from '../config.js';
+import { amplifyProvider } from './amplify.js';
+import { createOpenAICompatibleProvider } from './openaiCompatible.js';
+import { fakeProvider } from './fake.js';
+import { CircuitBreaker, withResilience } from './resilience.js';
+import { LLMError, LLM_ERROR_CODES } from './errors.js';
+
+const factories = {
+  amplify: () => amplifyProvider,
+  openai: () => createOpenAICompatibleProvider({
+    name: 'openai',
+    label: 'OpenAI',
+    baseUrl: CONFIG.OPENAI_BASE_URL,
+    model: CONFIG.OPENAI_MODEL,
+    apiKey: CONFIG.OPENAI_API_KEY,
+    timeoutMs: CONFIG.LLM_TIMEOUT_MS,
+  }),
+  // Ollama (`ollama serve`) and llama.cpp (`llama-server`) both speak the OpenAI API under /v1
+  local: () => createOpenAICompatibleProvider({
+    name: 'local',
+    label: 'Local LLM',
+    baseUrl: CONFIG.LOCAL_LLM_BASE_URL,
+    model: CONFIG.LOCAL_LLM_MODEL,
+    apiKey: CONFIG.LOCAL_LLM_API_KEY,
+    timeoutMs: CONFIG.LLM_TIMEOUT_MS,
+  }),
+  fake: () => fakeProvider,
+};
+
+export const LLM_PROVIDERS = Object.keys(factories);
+
+export const breaker = new CircuitBreaker({
+  threshold: CONFIG.LLM_BREAKER_THRESHOLD,
+  resetMs: CONFIG.LLM_BREAKER_RESET_MS,
+});
+
+let cached = null;
+
+export function getProvider() {
+  if (cached) return cached;
+
+  const name = CONFIG.LLM_PROVIDER;
+  const factory = factories[name];
+  if (!factory) {
+    throw new LLMError(`Unknown LLM_PROVIDER "${name}" (expected one of: ${LLM_PROVIDERS.join(', ')})`, {
+      code: LLM_ERROR_CODES.CONFIG,
+    });
+  }
+  cached = withResilience(factory(), {
+    breaker,
+    retries: CONFIG.LLM_MAX_RETRIES,
+    baseMs: CONFIG.LLM_RETRY_BASE_MS,
+    maxMs: CONFIG.LLM_RETRY_MAX_MS,
+  });
+  return cached;
+}
+
+/** Provider + breaker state for /healthz */
+export function llmHealth() {
+  return { provider: CONFIG.LLM_PROVIDER, breaker: breaker.snapshot() };
+}
+
+export { LLMError, LLM_ERROR_CODES, aiErrorResponse } from './errors.js';
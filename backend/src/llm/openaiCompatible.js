@@ -0,0 +1,60 @@
+// backend/src/llm/openaiCompatible.js
+// Any server speaking POST {base}/chat/completions: OpenAI, Azure-style gateways,
+// and local runtimes (Ollama and llama.cpp both expose this under /v1).
+import { postJson, streamEvents, joinUrl } from './http.js';
+
+/**
+ * @param {object} opts
+ * @param {string} opts.name      provider name reported by /healthz
+ * @param {string} opts.baseUrl   e.g. https://api.openai.com/v1 or http://127.0.0.1:11434/v1
+ * @param {string} opts.model
+ * @param {string} [opts.apiKey]  omitted for local servers
+ * @param {string} [opts.label]   prefix for error messages
+ * @param {number} [opts.timeoutMs]
+ */
+export function createOpenAICompatibleProvider({ name, baseUrl, model, apiKey, label = name, timeoutMs }) {
+  const url = () => {
+    if (!baseUrl) throw new Error(`${label} configuration missing (base URL)`);
+    return joinUrl(baseUrl, '/chat/completions');
+  };
+  const headers = () => (apiKey ? { Authorization: `Bearer ${apiKey}` } : {});
+
+  const body = (messages, { temperature = 0.7, maxTokens = 1500, stream = false, responseFormat } = {}) => ({
+    model,
+    messages,
+    temperature,
+    max_tokens: maxTokens,
+    stream,
+    ...(responseFormat ? { response_format: responseFormat } : {}),
+  });
+
+  return {
+    name,
+
+    async chat(messages, { signal, ...options } = {}) {
+      const resp = await postJson(url(), body(messages, options), { headers: headers(), signal, label, timeoutMs });
+      return resp?.choices?.[0]?.message?.content ?? 'Sorry, I could not process your request.';
+    },
+
+    async *stream(messages, { signal, ...options } = {}) {
+      const events = streamEvents(url(), body(messages, { ...options, stream: true }), {
+        headers: headers(),
+        signal,
+        label,
+        timeoutMs,
+      });
+      for await (const { data, body: whole } of events) {
+        let json; try { json = JSON.parse(data ?? whole); } catch { continue; }
+        const text = json?.choices?.[0]?.delta?.content ?? json?.choices?.[0]?.message?.content;
+        if (text) yield text;
+      }
+    },
+
+    async json(messages, { schema, schemaName = 'response', ...options } = {}) {
+      const responseFormat = schema
+        ? { type: 'json_schema', json_schema: { name: schemaName, schema } }
+        : { type: 'json_object' };
+      return this.chat(messages, { temperature: 0.2, ...options, responseFormat });
+    },
+  };
+}
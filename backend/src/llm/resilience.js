@@ -0,0 +1,184 @@
+// backend/src/llm/resilience.js
+// Retry with exponential backoff and a circuit breaker around provider calls.
+import { LLMError, LLM_ERROR_CODES, toLLMError } from './errors.js';
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new LLMError('AI request cancelled', { code: LLM_ERROR_CODES.CANCELLED }));
+  };
+  // A long-lived signal would otherwise collect one listener per retry
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/** Full-jitter exponential backoff, honouring Retry-After when the upstream sends one */
+export function backoffDelay(attempt, { baseMs, maxMs }, error) {
+  if (error?.retryAfterMs) return Math.min(error.retryAfterMs, maxMs);
+  const cap = Math.min(maxMs, baseMs * 2 ** attempt);
+  return Math.round(cap / 2 + Math.random() * (cap / 2));
+}
+
+/**
+ * Three-state breaker: `closed` (normal), `open` (fail fast for resetMs after
+ * `threshold` consecutive failures), `half-open` (let one trial call through).
+ */
+export class CircuitBreaker {
+  constructor({ threshold = 5, resetMs = 30000, now = Date.now } = {}) {
+    this.threshold = threshold;
+    this.resetMs = resetMs;
+    this.now = now;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.trialInFlight = false;
+  }
+
+  /** Throws AI_UNAVAILABLE while open; flips to half-open once resetMs has passed */
+  check() {
+    if (this.state === 'open') {
+      if (this.now() - this.openedAt < this.resetMs) {
+        const retryInMs = this.resetMs - (this.now() - this.openedAt);
+        throw new LLMError('AI service temporarily unavailable (circuit open)', {
+          code: LLM_ERROR_CODES.UNAVAILABLE,
+          retryAfterMs: retryInMs,
+        });
+      }
+      this.state = 'half-open';
+      this.trialInFlight = false;
+    }
+    if (this.state === 'half-open') {
+      if (this.trialInFlight) {
+        throw new LLMError('AI service temporarily unavailable (recovery check in progress)', {
+          code: LLM_ERROR_CODES.UNAVAILABLE,
+        });
+      }
+      this.trialInFlight = true;
+    }
+  }
+
+  success() {
+    if (this.state !== 'closed') console.log('✅ AI circuit breaker closed');
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  failure(error) {
+    this.lastError = { code: error.code, message: error.message, at: new Date(this.now()).toISOString() };
+    this.failures += 1;
+    this.trialInFlight = false;
+    if (this.state === 'half-open' || this.failures >= this.threshold) {
+      if (this.state !== 'open') console.warn(`⚠️ AI circuit breaker opened after ${this.failures} failure(s)`);
+      this.state = 'open';
+      this.openedAt = this.now();
+    }
+  }
+
+  // Caller cancelled: neither a success nor a failure, just release the trial slot
+  release() {
+    this.trialInFlight = false;
+  }
+
+  /** Plain-object view for /healthz */
+  snapshot() {
+    return {
+      state: this.state === 'open' && this.now() - this.openedAt >= this.resetMs ? 'half-open' : this.state,
+      failures: this.failures,
+      threshold: this.threshold,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      resetMs: this.resetMs,
+      lastError: this.lastError,
+    };
+  }
+}
+
+// Only upstream health problems count against the breaker; a bad request or
+// a user hitting "stop" says nothing about whether the service is up.
+const countsAsOutage = (error) => error.retryable;
+
+function settle(breaker, error) {
+  if (error.code === LLM_ERROR_CODES.CANCELLED) breaker.release();
+  else if (countsAsOutage(error)) breaker.failure(error);
+  else breaker.release();
+}
+
+/**
+ * Wrap a provider so chat/json retry with backoff behind the breaker, and
+ * stream retries only until the first chunk has been yielded (after that a
+ * retry would duplicate text the client already has).
+ */
+export function withResilience(provider, { breaker, retries = 2, baseMs = 500, maxMs = 8000 }) {
+  const policy = { baseMs, maxMs };
+
+  async function call(fn, signal) {
+    breaker.check();
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await fn();
+        breaker.success();
+        return result;
+      } catch (raw) {
+        const error = toLLMError(raw);
+        if (!error.retryable || attempt >= retries || signal?.aborted) {
+          settle(breaker, error);
+          throw error;
+        }
+        const delay = backoffDelay(attempt, policy, error);
+        console.warn(`🔁 AI call failed (${error.code}), retry ${attempt + 1}/${retries} in ${delay}ms`);
+        await sleep(delay, signal).catch((e) => { breaker.release(); throw e; });
+      }
+    }
+  }
+
+  return {
+    name: provider.name,
+    breaker,
+
+    chat(messages, options = {}) {
+      return call(() => provider.chat(messages, options), options.signal);
+    },
+
+    json(messages, options = {}) {
+      return call(() => provider.json(messages, options), options.signal);
+    },
+
+    async *stream(messages, options = {}) {
+      const { signal } = options;
+      breaker.check();
+      let settled = false;
+      try {
+        for (let attempt = 0; ; attempt++) {
+          let yielded = false;
+          try {
+            for await (const text of provider.stream(messages, options)) {
+              yielded = true;
+              yield text;
+            }
+            breaker.success();
+            settled = true;
+            return;
+          } catch (raw) {
+            const error = toLLMError(raw);
+            if (yielded || !error.retryable || attempt >= retries || signal?.aborted) {
+              settle(breaker, error);
+              settled = true;
+              throw error;
+            }
+            const delay = backoffDelay(attempt, policy, error);
+            console.warn(`🔁 AI stream failed (${error.code}), retry ${attempt + 1}/${retries} in ${delay}ms`);
+            await sleep(delay, signal);
+          }
+        }
+      } finally {
+        // Consumer stopped reading early (or cancelled during backoff)
+        if (!settled) breaker.release();
+      }
+    },
+  };
+}
@@ -0,0 +1,93 @@
+// backend/src/llm/structured.js
+// Ask the model for JSON matching a schema, validate it, and on failure feed the
+// validation errors back so the model can repair its own output.
+import Ajv from 'ajv';
+import { CONFIG } from '../config.js';
+import { getProvider } from './index.js';
+import { LLMError, LLM_ERROR_CODES } from './errors.js';
+
+// useDefaults fills enum defaults (priority, timingType…); removeAdditional drops
+// keys the schema does not know instead of failing on them.
+const ajv = new Ajv({ allErrors: true, useDefaults: true, removeAdditional: true, strict: false });
+const validators = new WeakMap();
+
+function validatorFor(schema) {
+  if (!validators.has(schema)) validators.set(schema, ajv.compile(schema));
+  return validators.get(schema);
+}
+
+/** Pull a JSON object out of model text: tolerate code fences and chatter around it */
+export function extractJson(text) {
+  const cleaned = String(text ?? '').replace(/```(?:json)?/gi, '').trim();
+  const start = cleaned.indexOf('{');
+  const end = cleaned.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new SyntaxError('no JSON object found in response');
+  }
+  return JSON.parse(cleaned.slice(start, end + 1));
+}
+
+function describeErrors(errors = []) {
+  return errors.slice(0, 20).map((e) => {
+    const where = e.instancePath || '(root)';
+    const allowed = e.params?.allowedValues ? ` (${e.params.allowedValues.join(', ')})` : '';
+    return `${where} ${e.message}${allowed}`;
+  });
+}
+
+/**
+ * @template T
+ * @param {object} opts
+ * @param {{role: string, content: string}[]} opts.messages
+ * @param {object} opts.schema            JSON Schema the result must satisfy
+ * @param {string} [opts.schemaName]
+ * @param {number} [opts.maxAttempts]     model calls including repairs
+ * @param {AbortSignal} [opts.signal]
+ * @returns {Promise<{ data: T, attempts: number }>}
+ * @throws {LLMError} AI_INVALID_OUTPUT (with `validationErrors`) when every attempt fails
+ */
+export async function generateStructured({
+  messages,
+  schema,
+  schemaName = 'response',
+  maxAttempts = CONFIG.LLM_STRUCTURED_ATTEMPTS,
+  signal,
+}) {
+  const validate = validatorFor(schema);
+  const conversation = [...messages];
+  let problems = [];
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const raw = await getProvider().json(conversation, { schema, schemaName, signal });
+
+    let data;
+    try {
+      data = extractJson(raw);
+    } catch (parseError) {
+      problems = [`response is not valid JSON: ${parseError.message}`];
+    }
+
+    if (data !== undefined) {
+      if (validate(data)) {
+        if (attempt > 1) console.log(`🛠️ Structured output repaired on attempt ${attempt}`);
+        return { data, attempts: attempt };
+      }
+      problems = describeErrors(validate.errors);
+    }
+
+    console.warn(`⚠️ Structured output attempt ${attempt}/${maxAttempts} invalid:`, problems.join('; '));
+    conversation.push(
+      { role: 'assistant', content: String(raw ?? '') },
+      {
+        role: 'user',
+        content: `Your previous response did not match the required JSON Schema:\n${problems.map(p => `- ${p}`).join('\n')}\n\nReturn the corrected JSON object only, with no other text.`,
+      }
+    );
+  }
+
+  const error = new LLMError(`AI returned invalid ${schemaName} after ${maxAttempts} attempt(s)`, {
+    code: LLM_ERROR_CODES.INVALID_OUTPUT,
+  });
+  error.validationErrors = problems;
+  throw error;
+}
@@ -8,6 +8,8 @@ const UserSchema = new mongoose.Schema({
   lastName:    { type: String, required: true },
   role:        { type: String, enum: ['student', 'staff'], required: true },
   department:  { type: String },
+  isAdmin:     { type: Boolean, default: false }, // policy administration; never set from login
+  passwordHash: { type: String, select: false },   // bcrypt; load with .select('+passwordHash')
   createdAt:   { type: Date, default: Date.now }
 });
 
@@ -47,6 +49,19 @@ const ProgramPlanSchema = new mongoose.Schema({
   conversationHistory: [{
     role: { type: String, enum: ['user', 'assistant'] },
     content: String,
+    // policies that were in the prompt, as shown to the user (see policyRag.toCitations)
+    citations: [{
+      _id: false,
+      number: Number,
+      policyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Policy' },
+      title: String,
+      category: String,
+      severity: String,
+      version: Number,
+      citations: [String],
+      requirements: [String],
+      referenced: Boolean
+    }],
     timestamp: { type: Date, default: Date.now }
   }],
   status: {
@@ -54,11 +69,49 @@ const ProgramPlanSchema = new mongoose.Schema({
     enum: ['planning', 'approved', 'in-progress', 'completed', 'cancelled'],
     default: 'planning'
   },
+  statusHistory: [{
+    from: String,
+    to: String,
+    changedBy: { type: mongoose.Schema.Types.Mixed },
+    changedAt: { type: Date, default: Date.now }
+  }],
+  archived: { type: Boolean, default: false },
+  archivedAt: Date,
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
+// Allowed lifecycle moves: planning → approved → in-progress → completed/cancelled
+export const PLAN_STATUS_TRANSITIONS = {
+  planning: ['approved', 'cancelled'],
+  approved: ['in-progress', 'cancelled'],
+  'in-progress': ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+ProgramPlanSchema.statics.canTransition = function (from, to) {
+  return (PLAN_STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+ProgramPlanSchema.pre('save', function (next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+ProgramPlanSchema.index({ userId: 1, archived: 1 });
+
 // ---- Policy schema (tolerant + normalized) ----
+const PolicyEmbeddingSchema = new mongoose.Schema(
+  {
+    model: String,
+    sourceHash: String, // model + chunk text; changes when the policy is edited
+    chunks: [{ _id: false, text: String, vector: [Number] }],
+    embeddedAt: Date
+  },
+  { _id: false }
+);
+
 const PolicySchema = new mongoose.Schema(
   {
     category: { type: String, required: true, trim: true },
@@ -90,7 +143,19 @@ const PolicySchema = new mongoose.Schema(
       type: String,
       enum: ['info', 'warning', 'critical'],
       default: 'info'
-    }
+    },
+
+    // retired policies stay for history but are no longer listed or retrieved
+    retired:   { type: Boolean, default: false },
+    retiredAt: Date,
+
+    // this document is always the current version; older ones live in PolicyVersion
+    version:       { type: Number, default: 1, min: 1 },
+    effectiveFrom: { type: Date, default: Date.now },
+    effectiveTo:   Date, // set when retired
+
+    // vectors for semantic retrieval (src/embeddings.js); large, so opt-in via select('+embedding')
+    embedding: { type: PolicyEmbeddingSchema, select: false, default: undefined }
   },
   { collection: 'policies', timestamps: true, versionKey: false }
 );
@@ -108,15 +173,44 @@ PolicySchema.pre('validate', function () {
 });
 
 PolicySchema.index({ category: 1, roleVisibility: 1 });
+PolicySchema.index({ retired: 1 });
+
+// Snapshot of every policy version with its effective window and the field
+// changes from the previous version (see src/policyVersions.js)
+const PolicyVersionSchema = new mongoose.Schema(
+  {
+    policyId:      { type: mongoose.Schema.Types.ObjectId, ref: 'Policy', required: true },
+    version:       { type: Number, required: true },
+    effectiveFrom: { type: Date, required: true },
+    effectiveTo:   Date,
+    snapshot:      { type: mongoose.Schema.Types.Mixed, required: true },
+    changes: [{
+      _id: false,
+      field: String,
+      before: mongoose.Schema.Types.Mixed,
+      after: mongoose.Schema.Types.Mixed
+    }],
+    changedBy: String,
+    changedAt: { type: Date, default: Date.now }
+  },
+  { collection: 'policy_versions', versionKey: false }
+);
+
+PolicyVersionSchema.index({ policyId: 1, version: -1 }, { unique: true });
 PolicySchema.index({ title: 'text', description: 'text', category: 'text', tags: 'text' });
 
 // Event schema for saved events from chat
 const EventSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.Mixed, required: true }, // Allow both ObjectId and string for temp users
   planId: { type: mongoose.Schema.Types.ObjectId, ref: 'ProgramPlan' },
+  templateId: { type: mongoose.Schema.Types.ObjectId, ref: 'Template' }, // Template the event was started from
+  seriesId: { type: mongoose.Schema.Types.ObjectId, ref: 'EventSeries' }, // Recurring series this is an occurrence of
+  occurrenceIndex: Number, // 0 = first occurrence of the series
   title: { type: String, required: true },
   description: { type: String },
   eventDate: { type: Date },
+  startTime: { type: Date }, // Venue booking start; without it the booking covers the whole event day
+  endTime: { type: Date }, // Venue booking end (after startTime)
   category: { type: String, enum: ['meeting', 'deadline', 'task', 'milestone', 'other'], default: 'other' },
   priority: { type: String, enum: ['low', 'medium', 'high', 'critical'], default: 'medium' },
   status: { type: String, enum: ['pending', 'in-progress', 'completed', 'cancelled'], default: 'pending' },
@@ -125,9 +219,9 @@ const EventSchema = new mongoose.Schema({
   expectedAttendance: { type: Number },
   location: {
     type: { type: String, enum: ['on-campus', 'off-campus'] },
-    venue: String,
+    venue: { type: String, trim: true },
     address: String,
-    room: String
+    room: { type: String, trim: true }
   },
   budget: {
     amount: Number,
@@ -137,6 +231,7 @@ const EventSchema = new mongoose.Schema({
   requiresAV: { type: Boolean, default: false },
   cateringRequired: { type: Boolean, default: false },
   potentiallyControversial: { type: Boolean, default: false }, // Event may have potential for disruption
+  involvesMinors: { type: Boolean, default: false }, // Participants under 18 (Protection of Minors)
   eventType: { type: String, enum: ['mixer', 'concert', 'workshop', 'lecture', 'meeting', 'social', 'academic', 'other'], default: 'other' },
   
   // Enhanced checklist with timeline
@@ -152,7 +247,17 @@ const EventSchema = new mongoose.Schema({
     dependencies: [String], // References to other tasks
     isTimeHeader: { type: Boolean, default: false }, // For time period headers
     timePeriod: String, // Time period label for headers
-    timingType: { type: String, enum: ['required', 'recommended'], default: 'recommended' } // Required vs recommended timing
+    timingType: { type: String, enum: ['required', 'recommended'], default: 'recommended' }, // Required vs recommended timing
+    policyReference: String, // "<policyId>@v<version>" the task comes from
+    ruleId: String // Policy rule that requires this task (see policyRules.js)
+  }],
+
+  // Policy versions the event was planned against, for "policy changed" alerts
+  policyVersions: [{
+    _id: false,
+    policyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Policy' },
+    version: Number,
+    title: String
   }],
   
   // Timeline milestones
@@ -195,6 +300,7 @@ const EventSchema = new mongoose.Schema({
     firstName: String,
     lastName: String,
     permission: { type: String, enum: ['view', 'edit', 'admin'], default: 'edit' },
+    inviteTokenHash: String, // pending invite; cleared once a user accepts it and userId is bound
     addedAt: { type: Date, default: Date.now },
     addedBy: { type: mongoose.Schema.Types.Mixed }, // User who added this collaborator
     lastActive: { type: Date, default: Date.now }
@@ -205,7 +311,7 @@ const EventSchema = new mongoose.Schema({
   activityLog: [{
     userId: { type: mongoose.Schema.Types.Mixed },
     userName: String,
-    action: { type: String, enum: ['created', 'updated', 'completed_task', 'uncompleted_task', 'added_collaborator', 'removed_collaborator', 'joined'] },
+    action: { type: String, enum: ['created', 'updated', 'completed_task', 'uncompleted_task', 'added_collaborator', 'removed_collaborator', 'joined', 'access_denied', 'cloned'] },
     description: String,
     timestamp: { type: Date, default: Date.now },
     metadata: { type: mongoose.Schema.Types.Mixed } // Store additional action data
@@ -245,8 +351,100 @@ EventSchema.index({ shareId: 1 }, { sparse: true });
 EventSchema.index({ collaborationId: 1 }, { unique: true, sparse: true });
 EventSchema.index({ 'collaborators.userId': 1 });
 EventSchema.index({ owner: 1 });
+EventSchema.index({ seriesId: 1, occurrenceIndex: 1 });
+// Venue bookings (venueConflicts.js); case-insensitive, so queries must use VENUE_COLLATION
+export const VENUE_COLLATION = { locale: 'en', strength: 2 };
+EventSchema.index({ 'location.venue': 1, eventDate: 1 }, { collation: VENUE_COLLATION });
+
+// Event attributes new events start with (the policy rules read these);
+// shared by templates and series
+const EventDefaultsSchema = new mongoose.Schema({
+  expectedAttendance: Number,
+  location: {
+    type: { type: String, enum: ['on-campus', 'off-campus'] },
+    venue: String,
+    room: String
+  },
+  hasAlcohol: Boolean,
+  involvesMinors: Boolean,
+  potentiallyControversial: Boolean,
+  // Venue booking hours as minutes from midnight UTC of the event date (see templates.js)
+  startMinutes: Number,
+  endMinutes: Number
+}, { _id: false });
+
+// A checklist task placed relative to the event date
+const RelativeTaskSchema = new mongoose.Schema({
+  task: { type: String, required: true },
+  description: String,
+  offsetDays: Number, // Days relative to the event date (negative = before); unset = undated
+  priority: { type: String, enum: ['low', 'medium', 'high', 'critical'], default: 'medium' },
+  category: String,
+  estimatedHours: Number,
+  timingType: { type: String, enum: ['required', 'recommended'], default: 'recommended' },
+  ruleId: String
+}, { _id: false });
+
+// Reusable event template: a checklist with due dates relative to the event date
+const TemplateSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  description: String,
+  eventType: { type: String, enum: ['mixer', 'concert', 'workshop', 'lecture', 'meeting', 'social', 'academic', 'other'], default: 'other' },
+  category: { type: String, enum: ['meeting', 'deadline', 'task', 'milestone', 'other'], default: 'other' },
+  priority: { type: String, enum: ['low', 'medium', 'high', 'critical'], default: 'medium' },
+  defaults: EventDefaultsSchema,
+  tasks: [RelativeTaskSchema],
+
+  owner: { type: mongoose.Schema.Types.Mixed, required: true }, // Allow both ObjectId and string for temp users
+  ownerName: String,
+  shared: { type: Boolean, default: false }, // Visible to everyone
+  curated: { type: Boolean, default: false }, // Team-recommended for its eventType (admins only)
+  sourceEventId: { type: mongoose.Schema.Types.ObjectId, ref: 'Event' },
+  usageCount: { type: Number, default: 0 }
+}, { collection: 'templates', timestamps: true });
+
+TemplateSchema.index({ owner: 1 });
+TemplateSchema.index({ shared: 1, eventType: 1 });
+
+// Recurring series: the shared details and checklist, and the rule that dates
+// its occurrences. Each occurrence is an Event with seriesId/occurrenceIndex.
+const EventSeriesSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.Mixed, required: true }, // Allow both ObjectId and string for temp users
+  planId: { type: mongoose.Schema.Types.ObjectId, ref: 'ProgramPlan' },
+  title: { type: String, required: true, trim: true },
+  description: String,
+  eventType: { type: String, enum: ['mixer', 'concert', 'workshop', 'lecture', 'meeting', 'social', 'academic', 'other'], default: 'other' },
+  category: { type: String, enum: ['meeting', 'deadline', 'task', 'milestone', 'other'], default: 'other' },
+  priority: { type: String, enum: ['low', 'medium', 'high', 'critical'], default: 'medium' },
+  defaults: EventDefaultsSchema,
+
+  recurrence: {
+    frequency: { type: String, enum: ['weekly', 'monthly'], required: true },
+    interval: { type: Number, default: 1, min: 1 }, // Every N weeks/months
+    startDate: { type: Date, required: true }, // First occurrence
+    count: { type: Number, min: 1 }, // Number of occurrences...
+    until: Date // ...or the last possible date
+  },
+
+  tasks: [RelativeTaskSchema], // Repeated for every occurrence
+  sharedTasks: [RelativeTaskSchema] // Done once for the whole series, relative to the first occurrence
+}, { collection: 'event_series', timestamps: true });
+
+EventSeriesSchema.index({ userId: 1 });
+
+// Secret token behind a user's subscribable calendar feed (see icalendar.js).
+// Kept apart from User so temp (non-Mongo) users can have a feed too.
+const CalendarFeedSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.Mixed, required: true, unique: true }, // Allow both ObjectId and string for temp users
+  token: { type: String, required: true, unique: true },
+  lastFetchedAt: Date
+}, { collection: 'calendar_feeds', timestamps: true });
 
 export const User = mongoose.model('User', UserSchema);
 export const ProgramPlan = mongoose.model('ProgramPlan', ProgramPlanSchema);
 export const Policy = mongoose.model('Policy', PolicySchema);
+export const PolicyVersion = mongoose.model('PolicyVersion', PolicyVersionSchema);
 export const Event = mongoose.model('Event', EventSchema);
+export const Template = mongoose.model('Template', TemplateSchema);
+export const EventSeries = mongoose.model('EventSeries', EventSeriesSchema);
+export const CalendarFeed = mongoose.model('CalendarFeed', CalendarFeedSchema);
@@ -0,0 +1,260 @@
+// backend/src/permissions.js
+import crypto from 'crypto';
+import { Event, ProgramPlan, Template, EventSeries } from './models.js';
+
+// Ordered from least to most privileged; collaborators carry view/edit/admin
+export const ACCESS_LEVELS = ['view', 'edit', 'admin', 'owner'];
+
+const rank = (level) => ACCESS_LEVELS.indexOf(level);
+
+export const actorName = (user) =>
+  user ? `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.email || 'Unknown User' : 'Unknown User';
+
+/** Permissions an owner or event admin may grant a collaborator */
+export const COLLABORATOR_PERMISSIONS = ['view', 'edit', 'admin'];
+
+/**
+ * Find the collaborator entry bound to a user. Matched by userId only: the
+ * email on an account is whatever its owner typed, so it proves nothing.
+ */
+export function findCollaborator(event, user) {
+  if (!event || !user?._id) return null;
+  return (event.collaborators || []).find(c => c.userId && String(c.userId) === String(user._id)) || null;
+}
+
+export const hashInviteToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/** One-time token for an invite link; the collaborator entry keeps only its hash */
+export function createInviteToken() {
+  const token = crypto.randomBytes(24).toString('base64url');
+  return { token, hash: hashInviteToken(token) };
+}
+
+/** The pending (not yet accepted) invite an invite-link token belongs to, or null */
+export function findInvite(event, token) {
+  if (!event || !token) return null;
+  const hash = hashInviteToken(token);
+  return (event.collaborators || []).find(c => !c.userId && c.inviteTokenHash === hash) || null;
+}
+
+/**
+ * Resolve what a user may do with an event:
+ * 'owner' | 'admin' | 'edit' | 'view' | null (no access).
+ */
+export function resolveEventAccess(event, user) {
+  if (!event || !user) return null;
+  if (String(event.owner || event.userId) === String(user._id)) return 'owner';
+  const collaborator = findCollaborator(event, user);
+  return collaborator && ACCESS_LEVELS.includes(collaborator.permission)
+    ? collaborator.permission
+    : null;
+}
+
+export function hasAccess(level, required) {
+  return level != null && rank(level) >= rank(required);
+}
+
+/** Record a denied request on the event's activity log (best effort) */
+export async function logAccessDenied(event, user, { required, method, path }) {
+  try {
+    await Event.updateOne(
+      { _id: event._id },
+      {
+        $push: {
+          activityLog: {
+            userId: user?._id || null,
+            userName: actorName(user),
+            action: 'access_denied',
+            description: `Denied ${method} ${path} (requires ${required} access)`,
+            timestamp: new Date(),
+            metadata: { required, method, path, email: user?.email || null }
+          }
+        }
+      }
+    );
+  } catch (e) {
+    console.warn('Could not log access denial:', e.message);
+  }
+}
+
+/**
+ * Build the route guard used by every event/collaboration endpoint.
+ * `isDbReady` is read per request since the server may start without MongoDB.
+ *
+ *   const authorizeEvent = createEventAuthorizer({ isDbReady: () => mongoConnected });
+ *   app.put('/api/events/:id', authorizeEvent('edit'), handler);
+ *   app.get('/api/collaborate/:collaborationId', authorizeEvent('view', { by: 'collaborationId' }), handler);
+ *
+ * On success sets req.event (a Mongoose document) and req.access.
+ */
+export function createEventAuthorizer({ isDbReady }) {
+  return (required, { by = 'id' } = {}) => async (req, res, next) => {
+    try {
+      if (!isDbReady()) {
+        return res.status(503).json({ error: 'Database not connected' });
+      }
+
+      const event = by === 'collaborationId'
+        ? await Event.findOne({ collaborationId: req.params.collaborationId, collaborationEnabled: true })
+        : await Event.findById(req.params.id);
+
+      if (!event) {
+        return res.status(404).json({
+          error: by === 'collaborationId' ? 'Collaborative event not found' : 'Event not found'
+        });
+      }
+
+      const access = resolveEventAccess(event, req.user);
+      if (!hasAccess(access, required)) {
+        await logAccessDenied(event, req.user, { required, method: req.method, path: req.originalUrl });
+        return res.status(403).json({
+          error: 'You do not have permission to perform this action on this event',
+          code: 'FORBIDDEN',
+          required,
+          access: access || 'none'
+        });
+      }
+
+      req.event = event;
+      req.access = access;
+      next();
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+      next(error);
+    }
+  };
+}
+
+/**
+ * Plans have a single owner and no collaborators, so the guard is simpler:
+ * only plan.userId may read or change it. Sets req.plan on success.
+ */
+export function createPlanAuthorizer({ isDbReady }) {
+  return () => async (req, res, next) => {
+    try {
+      if (!isDbReady()) {
+        return res.status(503).json({ error: 'Database not connected' });
+      }
+
+      const plan = await ProgramPlan.findById(req.params.id);
+      if (!plan) {
+        return res.status(404).json({ error: 'Plan not found' });
+      }
+
+      if (String(plan.userId) !== String(req.user?._id)) {
+        return res.status(403).json({
+          error: 'You do not have permission to perform this action on this plan',
+          code: 'FORBIDDEN'
+        });
+      }
+
+      req.plan = plan;
+      next();
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(404).json({ error: 'Plan not found' });
+      }
+      next(error);
+    }
+  };
+}
+
+/**
+ * For routes that take an optional `planId` in the body (chat and event
+ * generation): the plan must be the user's own, or the request gets a 404.
+ * Sets req.plan (lean) when there is one; without a planId or a database the
+ * request goes on without a plan.
+ */
+export function createBodyPlanLoader({ isDbReady }) {
+  return () => async (req, res, next) => {
+    const planId = req.body?.planId;
+    if (!planId || !isDbReady()) return next();
+    try {
+      const plan = await ProgramPlan.findById(planId).lean();
+      if (!plan || String(plan.userId) !== String(req.user?._id)) {
+        return res.status(404).json({ error: 'Plan not found' });
+      }
+
+      req.plan = plan;
+      next();
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(404).json({ error: 'Plan not found' });
+      }
+      next(error);
+    }
+  };
+}
+
+/**
+ * A recurring series belongs to its creator alone, like a plan (occurrences
+ * are events and carry their own collaborators). Sets req.series on success.
+ */
+export function createSeriesAuthorizer({ isDbReady }) {
+  return () => async (req, res, next) => {
+    try {
+      if (!isDbReady()) {
+        return res.status(503).json({ error: 'Database not connected' });
+      }
+
+      const series = await EventSeries.findById(req.params.id);
+      if (!series) {
+        return res.status(404).json({ error: 'Series not found' });
+      }
+
+      if (String(series.userId) !== String(req.user?._id)) {
+        return res.status(403).json({
+          error: 'You do not have permission to perform this action on this series',
+          code: 'FORBIDDEN'
+        });
+      }
+
+      req.series = series;
+      next();
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(404).json({ error: 'Series not found' });
+      }
+      next(error);
+    }
+  };
+}
+
+/**
+ * Templates are readable by their owner, by everyone once shared, and by
+ * admins; only the owner or an admin may change them ('edit').
+ * Sets req.template on success.
+ */
+export function createTemplateAuthorizer({ isDbReady }) {
+  return (required = 'view') => async (req, res, next) => {
+    try {
+      if (!isDbReady()) {
+        return res.status(503).json({ error: 'Database not connected' });
+      }
+
+      const template = await Template.findById(req.params.id);
+      if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+
+      const isOwner = String(template.owner) === String(req.user?._id);
+      const allowed = isOwner || req.user?.isAdmin || (required === 'view' && template.shared);
+      if (!allowed) {
+        return res.status(403).json({
+          error: 'You do not have permission to perform this action on this template',
+          code: 'FORBIDDEN'
+        });
+      }
+
+      req.template = template;
+      next();
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+      next(error);
+    }
+  };
+}
@@ -1,95 +1,200 @@
 // backend/src/policyRag.js
-import { Policy, ProgramPlan, User } from './models.js';
-
-/** Detect if tech policy is relevant for this message/plan */
-function detectTechRelevance(message = '') {
-  const m = String(message || '').toLowerCase();
-
-  const kw = [
-    // approvals / broadcast
-    'email', 'bulk email', 'mass email', 'broadcast', 'listserv', 'mailing list',
-    'newsletter', 'announcement',
-    // channels
-    'social media', 'instagram', 'facebook', 'x.com', 'twitter', 'linkedin', 'youtube',
-    'website', 'web page', 'livestream', 'streaming', 'recording',
-    // device / access / security
-    'wifi', 'network', 'it', 'technology', 'acceptable use', 'aup', 'byod', 'malware',
-    'credentials', 'password', 'data classification', 'privacy'
-  ];
-
-  return kw.some(k => m.includes(k));
+// The one place that decides which policies go into a prompt. Used by chat,
+// event generation and communications generation. Policies are ranked by
+// embedding similarity when the local model is available (src/embeddings.js),
+// with the keyword signals below as a floor and as the fallback.
+import { Policy } from './models.js';
+import { CONFIG } from './config.js';
+import { embedTexts, cosineSimilarity } from './embeddings.js';
+
+// Hard cap on policies per prompt (keeps the context under ~1–2k tokens)
+export const POLICY_CONTEXT_LIMIT = 12;
+
+// Message patterns that switch on the "only when relevant" categories
+export const RELEVANCE_PATTERNS = {
+  alcohol: /\b(alcohol|beer|wine|liquor|keg|bartend(er|ing)?|wet\s*event|id\s*check|abc)\b|\b21\+/i,
+  tech: /\b(e-?mail(s)?|bulk\s*e-?mail|mass\s*e-?mail|broadcast|listserv|mailing\s*list|mailchimp|newsletter|social[\s-]*media|instagram|facebook|twitter|x\.com|linkedin|youtube|website|web\s*page|live\s*stream(ing)?|streaming|record(ing)?|wi-?fi|network|technology|cyber|malware|password(s)?|credential(s)?|acceptable\s*use|aup|av|software|download|install|byod|device(s)?|data\s*classification|privacy|hipaa|ferpa)\b/i,
+  // "IT" only as the acronym; lowercase "it" is just a pronoun
+  techAcronym: /\bIT\b/,
+  minors: /\b(minor(s)?|under\s*18|youth|camp|k-?12|child(ren)?|kids|high\s*school(ers)?)\b/i,
+  offCampus: /\boff[\s-]*campus\b/i,
+};
+
+// Categories that are only included when their signal fires
+const GATED_CATEGORIES = [
+  { signal: 'alcohol', match: /alcohol/i },
+  { signal: 'tech', match: /technology|electronic communications/i },
+  { signal: 'minors', match: /minors/i },
+];
+
+const SPACE_CATEGORY = /space/i;
+
+const SEVERITY_RANK = { critical: 0, warning: 1, info: 2 };
+
+/**
+ * Work out which relevance signals apply. Plan and event fields count as much
+ * as the message text (e.g. `hasAlcohol: true` switches on alcohol and
+ * `involvesMinors: true` switches on minors).
+ */
+export function detectRelevance({ message = '', plan = null, event = null, user = null } = {}) {
+  const text = String(message || '');
+  const source = plan || event || {};
+
+  const locationType = source.location?.type || (RELEVANCE_PATTERNS.offCampus.test(text) ? 'off-campus' : 'on-campus');
+
+  return {
+    alcohol: RELEVANCE_PATTERNS.alcohol.test(text) || source.hasAlcohol === true,
+    tech: RELEVANCE_PATTERNS.tech.test(text) || RELEVANCE_PATTERNS.techAcronym.test(text),
+    minors: RELEVANCE_PATTERNS.minors.test(text) || source.involvesMinors === true,
+    campus: locationType,
+    role: String(user?.role || 'both').toLowerCase(),
+    programType: plan?.programType || event?.eventType || 'other',
+  };
+}
+
+const gateFor = (policy) => GATED_CATEGORIES.find(g => g.match.test(policy.category || ''));
+
+function visibleToRole(policy, role) {
+  const visibility = policy.roleVisibility || 'both';
+  return visibility === 'both' || role === 'both' || visibility === role;
 }
 
-/** Detect if alcohol policy is relevant */
-function detectAlcoholRelevance(message = '', plan = null) {
-  const m = String(message || '').toLowerCase();
-  if (plan?.hasAlcohol === true) return true;
-  const kw = ['alcohol', 'bartender', 'wet event', 'beer', 'wine', 'id check', 'abc'];
-  return kw.some(k => m.includes(k));
+// Untyped policies and policies tagged 'other' are generic
+function matchesProgramType(policy, programType) {
+  const types = policy.programTypes || [];
+  return !types.length || types.includes(programType) || types.includes('other');
 }
 
-/** Condense policies into short, model-friendly context */
-function condensePoliciesToContext(policies = []) {
-  return policies.map(p => {
-    const reqs = (p.requirements || []).slice(0, 6); // keep it tight
-    const cite = (p.citations || [])[0] || '';
-    return [
-      `• Category: ${p.category}`,
-      `  Title: ${p.title}`,
-      p.severity ? `  Severity: ${p.severity}` : null,
-      reqs.length ? `  Key requirements:\n    - ${reqs.join('\n    - ')}` : null,
-      cite ? `  Source: ${cite}` : null
-    ].filter(Boolean).join('\n');
-  }).join('\n\n');
+/**
+ * Text embedded for the query: the message plus the plan/event attributes
+ * that decide which policies apply.
+ */
+export function buildRetrievalQuery({ message = '', plan = null, event = null } = {}) {
+  const source = plan || event || {};
+  return [
+    String(message || '').trim(),
+    (source.programType || source.eventType) && `Program type: ${source.programType || source.eventType}`,
+    source.location?.type && `Location: ${source.location.type}${source.location.venue ? ` (${source.location.venue})` : ''}`,
+    source.hasAlcohol && 'Alcohol will be served',
+    source.expectedAttendance && `Expected attendance: ${source.expectedAttendance}`,
+  ].filter(Boolean).join('\n');
 }
 
 /**
- * Get the most relevant policies for a message/plan/user, and suppress
- * Technology / Alcohol unless applicable.
+ * Similarity of each policy to the query: the best-matching chunk wins.
+ * @returns {Map<string, number>} keyed by policy _id; policies without vectors are absent
  */
-export async function buildPolicyContext({ message, planId, userId }) {
-  // Fetch plan (optional) and user (optional) for filtering
-  const plan = planId ? await ProgramPlan.findById(planId).lean() : null;
-  const user = userId ? await User.findById(userId).lean() : null;
-
-  const role = (user?.role || 'both').toLowerCase(); // 'student' | 'staff' | 'both'
-  const programType = plan?.programType || 'other';
-
-  // Pull policies roughly matching the plan’s type and role visibility
-  const basePolicies = await Policy.find({
-    $and: [
-      { $or: [
-        { programTypes: { $size: 0 } },               // applies to all
-        { programTypes: programType },                // matches plan type
-        { programTypes: 'other' }                     // generic
-      ]},
-      { $or: [
-        { roleVisibility: 'both' },
-        { roleVisibility: role }
-      ]}
-    ]
-  }).lean();
-
-  const techRelevant = detectTechRelevance(message);
-  const alcoholRelevant = detectAlcoholRelevance(message, plan);
-
-  // Filter out Technology / Alcohol when not relevant
-  const filtered = basePolicies.filter(p => {
-    const cat = (p.category || '').toLowerCase();
-    if (cat.includes('technology')) return techRelevant;
-    if (cat.includes('alcohol')) return alcoholRelevant;
-    return true; // keep everything else
+export function scorePolicies(policies, queryVector) {
+  const scores = new Map();
+  for (const p of policies) {
+    const chunks = p.embedding?.chunks || [];
+    if (!chunks.length) continue;
+    scores.set(String(p._id), Math.max(...chunks.map(c => cosineSimilarity(queryVector, c.vector))));
+  }
+  return scores;
+}
+
+/**
+ * Pick and rank the policies relevant to a request. Pure: pass it the full
+ * policy list. Gated categories (alcohol, technology, minors) appear only when
+ * their keyword signal fires, or with `scores` when their similarity reaches
+ * `minScore`; space booking only for on-campus events; everything else when
+ * the program type matches.
+ *
+ * With `scores` the result is ordered by similarity; without, gated categories
+ * come first. Ties go critical before warning before info.
+ */
+export function selectPolicies(policies, signals, { limit = POLICY_CONTEXT_LIMIT, scores = null, minScore = CONFIG.EMBEDDING_MIN_SCORE } = {}) {
+  const scoreOf = (p) => scores?.get(String(p._id)) ?? 0;
+
+  const picked = (policies || []).filter(p => {
+    if (!visibleToRole(p, signals.role)) return false;
+
+    const gate = gateFor(p);
+    if (gate) return Boolean(signals[gate.signal]) || scoreOf(p) >= minScore;
+
+    if (SPACE_CATEGORY.test(p.category || '') && signals.campus !== 'on-campus') return false;
+    return matchesProgramType(p, signals.programType);
   });
 
-  // (Optional) further limit to a sane number
-  const capped = filtered.slice(0, 15);
+  const primary = scores
+    ? (a, b) => scoreOf(b) - scoreOf(a)
+    : (a, b) => (gateFor(a) ? 0 : 1) - (gateFor(b) ? 0 : 1);
+
+  return picked
+    .sort((a, b) =>
+      primary(a, b) ||
+      (SEVERITY_RANK[a.severity] ?? 2) - (SEVERITY_RANK[b.severity] ?? 2) ||
+      String(a.title).localeCompare(String(b.title))
+    )
+    .slice(0, limit);
+}
+
+/**
+ * Condense policies into short, model-friendly context. Entries are numbered
+ * so the model can cite them as [1], [2], ... (see toCitations).
+ */
+export function formatPolicyContext(policies = []) {
+  if (!policies.length) return '';
+
+  const lines = ['POLICY CONTEXT (concise). Cite a policy by its number in square brackets, e.g. [1]:'];
+  policies.forEach((p, i) => {
+    const reqs = (p.requirements || []).slice(0, 6).map(r => `• ${r}`);
+    const cites = (p.citations || []).slice(0, 2).map(u => `(${u})`).join(' ');
+    lines.push(`[${i + 1}] ${p.category}: ${p.title}${cites ? ' ' + cites : ''}\n  ${reqs.join('\n  ')}`);
+  });
+  return lines.join('\n');
+}
+
+const CITATION_MARKER = /\[(\d+)\](?!\()/g;
+
+/**
+ * Structured citations for the policies that were in the context, numbered as
+ * in formatPolicyContext. `referenced` marks the ones the reply cites.
+ */
+export function toCitations(policies = [], responseText = '') {
+  const referenced = new Set([...String(responseText || '').matchAll(CITATION_MARKER)].map(m => Number(m[1])));
+  return policies.map((p, i) => ({
+    number: i + 1,
+    policyId: p._id,
+    title: p.title,
+    category: p.category,
+    severity: p.severity || 'info',
+    version: p.version || 1,
+    citations: p.citations || [],
+    requirements: p.requirements || [],
+    referenced: referenced.has(i + 1),
+  }));
+}
+
+// Similarity scores for this request, or null to fall back to keywords only
+async function semanticScores(policies, query) {
+  if (!query || !policies.some(p => p.embedding?.chunks?.length)) return null;
+  try {
+    const vectors = await embedTexts([query]);
+    return vectors ? scorePolicies(policies, vectors[0]) : null;
+  } catch (error) {
+    console.warn('Semantic policy scoring failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Load policies and build the context for a request.
+ * @returns {Promise<{ policies: object[], contextText: string, signals: object, retrieval: 'semantic' | 'keyword' }>}
+ */
+export async function buildPolicyContext({ message, plan = null, event = null, user = null, limit } = {}) {
+  const all = await Policy.find({ retired: { $ne: true } }).select('+embedding').lean();
+  const signals = detectRelevance({ message, plan, event, user });
+  const scores = await semanticScores(all, buildRetrievalQuery({ message, plan, event }));
+
+  const policies = selectPolicies(all, signals, { limit, scores })
+    .map(({ embedding, ...policy }) => (scores ? { ...policy, score: scores.get(String(policy._id)) } : policy));
 
   return {
-    plan,
-    user,
-    techRelevant,
-    alcoholRelevant,
-    policies: capped,
-    contextText: condensePoliciesToContext(capped)
+    policies,
+    contextText: formatPolicyContext(policies),
+    signals,
+    retrieval: scores ? 'semantic' : 'keyword',
   };
 }
@@ -0,0 +1,214 @@
+// backend/src/policyRules.js
+// Deterministic policy rules: the checklist tasks campus policy requires for
+// an event, with due dates computed from the event date and the policy's
+// timeline. Runs on every draft and save, independent of the model, so a
+// required task never depends on what the LLM happened to return.
+import { Policy } from './models.js';
+import { formatPolicyReference } from './policyVersions.js';
+import { daysBefore, plain } from './util.js';
+
+export const EMS_BOOKING_TASK = 'Reserve on-campus space/venue via EMS Web App';
+export const DEAN_OF_STUDENTS_TASK =
+  'Contact Vice Provost and Dean of Students for Freedom of Expression policy guidance (required at least 48 hours before event)';
+
+// Attendance above which an alcohol event needs security ("additional controls
+// may be required based on event profile")
+export const LARGE_ALCOHOL_EVENT_ATTENDANCE = 100;
+
+/**
+ * Each rule fires when every `when` condition holds for the event:
+ *   field: value         → equals
+ *   field: { gte: n }    → number at least n
+ * Lead time is the matching policy's `timeline.minAdvanceNotice` when there is
+ * one, else `defaultLeadDays`, and never less than `minLeadDays`. An existing
+ * task matching any of the `covers` patterns is adopted instead of adding a
+ * duplicate; they match whole words and name the specific action, so e.g.
+ * "Purchase raffle items" or "Book the DJ" is not taken for a venue booking.
+ * Rules without a `policyCategory` carry their own `title` for warnings.
+ */
+export const POLICY_RULES = [
+  {
+    id: 'space-booking',
+    policyCategory: 'Space Booking',
+    when: { 'location.type': 'on-campus' },
+    task: EMS_BOOKING_TASK,
+    // EMS needs 4 weeks, stricter than the policy's general minimum
+    defaultLeadDays: 28,
+    minLeadDays: 28,
+    priority: 'high',
+    covers: [
+      /\bems\b/i,
+      /\b(book|reserve|reservation)\b.*\b(venue|space|room|hall|ballroom)\b/i,
+      /\b(venue|space|room)\s+(booking|reservation)\b/i
+    ]
+  },
+  {
+    id: 'alcohol-approval',
+    policyCategory: 'Alcohol',
+    when: { hasAlcohol: true },
+    task: 'Request alcohol service approval through Student Centers',
+    defaultLeadDays: 21,
+    priority: 'critical',
+    covers: [
+      /\b(alcohol|wet event)\b.*\b(approval|approve|permit|registration|request)\b/i,
+      /\b(approval|approve|permit|register|registration|request)\b.*\b(alcohol|wet event)\b/i
+    ]
+  },
+  {
+    id: 'alcohol-security',
+    policyCategory: 'Alcohol',
+    when: { hasAlcohol: true, expectedAttendance: { gte: LARGE_ALCOHOL_EVENT_ATTENDANCE } },
+    task: 'Arrange event security for alcohol service (VUPD or approved vendor)',
+    defaultLeadDays: 21,
+    priority: 'high',
+    covers: [/\bvupd\b/i, /\b(arrange|hire|book|request|event)\s+security\b/i, /\bsecurity\s+(officers?|guards?|staff)\b/i]
+  },
+  {
+    id: 'minors-protection',
+    policyCategory: 'Protection of Minors',
+    when: { involvesMinors: true },
+    task: 'Register the program with Youth Protection and complete background checks and training for staff working with minors',
+    defaultLeadDays: 30,
+    priority: 'critical',
+    covers: [/\byouth protection\b/i, /\bbackground checks?\b/i, /\bminors?\b.*\b(registration|register|training)\b/i]
+  },
+  {
+    id: 'dean-of-students',
+    title: 'Freedom of Expression guidance (Dean of Students)',
+    when: { potentiallyControversial: true },
+    task: DEAN_OF_STUDENTS_TASK,
+    defaultLeadDays: 2,
+    priority: 'high',
+    covers: [/\bdean of students\b/i, /\bvice provost\b/i, /\bfreedom of expression\b/i]
+  }
+];
+
+// Fields the rules read; saving any of them re-runs the rules
+export const RULE_EVENT_FIELDS = [
+  'eventDate', 'location', 'hasAlcohol', 'expectedAttendance', 'involvesMinors', 'potentiallyControversial'
+];
+
+const valueAt = (event, path) => path.split('.').reduce((value, key) => value?.[key], event);
+
+function conditionHolds(value, expected) {
+  if (expected && typeof expected === 'object') {
+    return typeof value === 'number' && value >= expected.gte;
+  }
+  return value === expected;
+}
+
+const ruleApplies = (rule, event) =>
+  Object.entries(rule.when).every(([path, expected]) => conditionHolds(valueAt(event, path), expected));
+
+const policyFor = (rule, policies) => rule.policyCategory
+  ? policies.find(p => String(p.category || '').toLowerCase() === rule.policyCategory.toLowerCase())
+  : undefined;
+
+export function leadDaysFor(rule, policy) {
+  const fromPolicy = policy?.timeline?.minAdvanceNotice;
+  const days = Number.isFinite(fromPolicy) ? fromPolicy : rule.defaultLeadDays;
+  return Math.max(days, rule.minLeadDays || 0);
+}
+
+/**
+ * Rules that fire for an event, with their policy (if loaded) and lead time.
+ * `skipRules` are rule ids handled elsewhere (e.g. once for a whole series).
+ */
+export const applicableRules = (event = {}, { policies = [], skipRules = [] } = {}) =>
+  POLICY_RULES.filter(rule => !skipRules.includes(rule.id) && ruleApplies(rule, event)).map(rule => {
+    const policy = policyFor(rule, policies);
+    return { rule, policy, leadDays: leadDaysFor(rule, policy) };
+  });
+
+/**
+ * The required tasks for an event: [{ ruleId, task, dueDate, priority,
+ * category?, policyReference?, leadDays }]. `dueDate` is null without an
+ * event date. `policies` are the active Policy documents (lean is fine).
+ */
+export function evaluateRules(event = {}, { policies = [], skipRules = [] } = {}) {
+  const eventDate = event.eventDate ? new Date(event.eventDate) : null;
+
+  return applicableRules(event, { policies, skipRules }).map(({ rule, policy, leadDays }) => {
+    const category = policy?.category || rule.policyCategory;
+    return {
+      ruleId: rule.id,
+      task: rule.task,
+      dueDate: eventDate ? daysBefore(eventDate, leadDays) : null,
+      priority: rule.priority,
+      ...(category ? { category } : {}),
+      ...(policy ? { policyReference: formatPolicyReference(policy) } : {}),
+      leadDays
+    };
+  });
+}
+
+const mentions = (item, patterns) =>
+  Boolean(item.task) && patterns.some(pattern => pattern.test(item.task));
+
+const earlier = (a, b) => (!a ? b : !b ? a : new Date(Math.min(new Date(a), new Date(b))));
+
+/**
+ * Bring a checklist in line with the rules for an event:
+ * - a required task is added when missing, or an existing task that already
+ *   covers it is adopted (marked required, due no later than the deadline)
+ * - open rule tasks get their due date recomputed (the event date may have moved)
+ * - open rule tasks whose rule no longer applies (or is skipped) are dropped
+ * Completed tasks are never moved or removed. Returns
+ * { checklist, changed } with a new array; every item gets a timingType.
+ */
+export function applyPolicyRules(checklist = [], event = {}, { policies = [], skipRules = [] } = {}) {
+  const required = evaluateRules(event, { policies, skipRules });
+  const activeIds = new Set(required.map(r => r.ruleId));
+  let changed = false;
+
+  const items = checklist.map(plain).filter(item => {
+    const stale = item.ruleId && !activeIds.has(item.ruleId) && !item.completed;
+    if (stale) changed = true;
+    return !stale;
+  });
+
+  for (const { leadDays, ...req } of required) {
+    const rule = POLICY_RULES.find(r => r.id === req.ruleId);
+    let index = items.findIndex(item => item.ruleId === req.ruleId);
+    if (index < 0) {
+      index = items.findIndex(item => !item.isTimeHeader && !item.ruleId && mentions(item, rule.covers));
+    }
+
+    if (index < 0) {
+      items.unshift({ ...req, timingType: 'required', completed: false });
+      changed = true;
+      continue;
+    }
+
+    const item = items[index];
+    if (item.completed) continue;
+
+    // Rule tasks track the deadline; adopted tasks only move earlier
+    const dueDate = item.ruleId ? req.dueDate : earlier(item.dueDate, req.dueDate);
+    const next = {
+      ...item,
+      ruleId: req.ruleId,
+      timingType: 'required',
+      dueDate,
+      policyReference: item.policyReference || req.policyReference,
+      category: item.category || req.category
+    };
+    if (JSON.stringify(next) !== JSON.stringify(item)) {
+      items[index] = next;
+      changed = true;
+    }
+  }
+
+  return {
+    checklist: items.map(item => ({ ...item, timingType: item.timingType || 'recommended' })),
+    changed
+  };
+}
+
+/** Active policies the rules take lead times and references from. */
+export function loadRulePolicies() {
+  const categories = [...new Set(POLICY_RULES.map(r => r.policyCategory).filter(Boolean))];
+  return Policy.find({ retired: { $ne: true }, category: { $in: categories } })
+    .select('category title version timeline severity')
+    .lean();
+}
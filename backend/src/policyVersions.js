@@ -0,0 +1,205 @@
+// backend/src/policyVersions.js
+// Policy version history. The Policy document is always the current version;
+// each version (current included) is also stored as a PolicyVersion snapshot
+// with its effective window and the field changes from the version before.
+// Events and checklist items point at a version ("<policyId>@v<version>") so
+// we can tell planners when the guidance they planned against has changed.
+import { Policy, PolicyVersion } from './models.js';
+
+// Fields whose change makes a new version (admin/bookkeeping fields don't)
+export const VERSIONED_POLICY_FIELDS = [
+  'category', 'title', 'description', 'requirements', 'citations', 'tags',
+  'timeline', 'roleVisibility', 'programTypes', 'severity'
+];
+
+/** Plain JSON copy of the versioned fields (works for documents and lean objects). */
+export function snapshotPolicy(policy) {
+  const source = typeof policy?.toObject === 'function' ? policy.toObject() : policy;
+  const snapshot = {};
+  for (const field of VERSIONED_POLICY_FIELDS) {
+    if (source[field] !== undefined) snapshot[field] = JSON.parse(JSON.stringify(source[field]));
+  }
+  return snapshot;
+}
+
+/** Field-level changes between two snapshots: [{ field, before, after }] */
+export function diffPolicySnapshots(before = {}, after = {}) {
+  return VERSIONED_POLICY_FIELDS
+    .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+    .map(field => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
+}
+
+export const formatPolicyReference = (policy) => `${policy._id}@v${policy.version || 1}`;
+
+/** "<policyId>@v<version>" → { policyId, version }; anything else → null */
+export function parsePolicyReference(ref) {
+  const match = /^([a-f0-9]{24})@v(\d+)$/i.exec(String(ref || '').trim());
+  return match ? { policyId: match[1], version: Number(match[2]) } : null;
+}
+
+/**
+ * `effectiveFrom` for a new version as a Date (default `now`). The Policy
+ * document is what retrieval, the rules and the change alerts read, so a
+ * version takes effect when it is saved: backdating is allowed back to
+ * `notBefore` (the current version's effectiveFrom), so version windows
+ * never overlap. An earlier, future or unreadable date is a RangeError.
+ */
+export function effectiveFromDate(effectiveFrom, { now = new Date(), notBefore } = {}) {
+  if (!effectiveFrom) return now;
+  const date = new Date(effectiveFrom);
+  if (isNaN(date.getTime())) throw new RangeError('effectiveFrom must be a valid date');
+  if (date > now) throw new RangeError('effectiveFrom cannot be in the future: a policy change takes effect when it is saved');
+  if (notBefore && date < notBefore) {
+    throw new RangeError(`effectiveFrom cannot be earlier than the current version's (${new Date(notBefore).toISOString()})`);
+  }
+  return date;
+}
+
+/**
+ * Apply admin edits to a loaded policy document. When a versioned field
+ * changes the version is bumped and `effectiveFrom` moves to the given date
+ * (see effectiveFromDate). Validation runs first so pre-validate
+ * normalization is reflected in the diff. Returns the changes; the caller saves.
+ */
+export async function revisePolicy(policy, updates, { effectiveFrom, now = new Date() } = {}) {
+  const effective = effectiveFromDate(effectiveFrom, { now, notBefore: policy.effectiveFrom });
+  const before = snapshotPolicy(policy);
+  policy.set(updates);
+  await policy.validate();
+
+  const changes = diffPolicySnapshots(before, snapshotPolicy(policy));
+  if (changes.length) {
+    policy.version = (policy.version || 1) + 1;
+    policy.effectiveFrom = effective;
+  }
+  return { changes, before };
+}
+
+/**
+ * Store the policy's current version and close the previous version's window.
+ * Policies saved before versioning existed get their baseline recorded from
+ * `previousSnapshot` on the first edit. A version starting before the
+ * previous one is a RangeError, thrown before anything is written.
+ */
+export async function recordPolicyVersion(policy, { changes = [], previousSnapshot = null, changedBy } = {}) {
+  const version = policy.version || 1;
+  const effectiveFrom = policy.effectiveFrom || new Date();
+
+  if (version > 1) {
+    const previous = await PolicyVersion.findOne({ policyId: policy._id, version: version - 1 });
+    if (previous && previous.effectiveFrom > effectiveFrom) {
+      throw new RangeError(`Version ${version} cannot take effect before version ${version - 1}`);
+    }
+    if (previous) {
+      previous.effectiveTo = effectiveFrom;
+      await previous.save();
+    } else if (previousSnapshot) {
+      await PolicyVersion.create({
+        policyId: policy._id,
+        version: version - 1,
+        // The baseline cannot start after the version that replaces it
+        effectiveFrom: policy.createdAt && policy.createdAt < effectiveFrom ? policy.createdAt : effectiveFrom,
+        effectiveTo: effectiveFrom,
+        snapshot: previousSnapshot,
+        changedBy: 'baseline'
+      });
+    }
+  }
+
+  return PolicyVersion.create({
+    policyId: policy._id,
+    version,
+    effectiveFrom,
+    snapshot: snapshotPolicy(policy),
+    changes,
+    changedBy
+  });
+}
+
+/** End (retire) or reopen (restore) the current version's effective window. */
+export async function setCurrentVersionEnd(policy, effectiveTo) {
+  policy.effectiveTo = effectiveTo || undefined;
+  await PolicyVersion.updateOne(
+    { policyId: policy._id, version: policy.version || 1 },
+    effectiveTo ? { $set: { effectiveTo } } : { $unset: { effectiveTo: 1 } }
+  );
+}
+
+/** Versions newest first, for the admin history view. */
+export function policyHistory(policyId) {
+  return PolicyVersion.find({ policyId }).sort({ version: -1 }).lean();
+}
+
+/** Version stamps recorded on an event for the policies used to plan it. */
+export const toPolicyVersions = (policies = []) =>
+  policies.map(p => ({ policyId: p._id, version: p.version || 1, title: p.title }));
+
+// Loose category match, e.g. checklist "Space booking" ↔ policy "Space Booking"
+const sameCategory = (a, b) => {
+  const x = String(a || '').toLowerCase().trim();
+  const y = String(b || '').toLowerCase().trim();
+  return Boolean(x && y) && (x.includes(y) || y.includes(x));
+};
+
+/**
+ * Point checklist items at the policy whose category they belong to.
+ * Items that already have a reference are left alone.
+ */
+export function linkChecklistToPolicies(checklist = [], policies = []) {
+  return checklist.map(item => {
+    if (item.policyReference || item.isTimeHeader) return item;
+    const policy = policies.find(p => sameCategory(item.category, p.category));
+    return policy ? { ...item, policyReference: formatPolicyReference(policy) } : item;
+  });
+}
+
+/**
+ * Compare what an event/plan was planned against with the current policies.
+ * `policyVersions` are event-level stamps; checklist items contribute their
+ * `policyReference`. One alert per policy that has a newer version or was
+ * retired since, listing the changed fields and the affected tasks.
+ */
+export async function policyChangeAlerts({ policyVersions = [], checklist = [] } = {}) {
+  const planned = new Map(); // policyId → { version, tasks }
+  const note = (policyId, version, task) => {
+    const key = String(policyId);
+    const entry = planned.get(key) || { version, tasks: [] };
+    entry.version = Math.min(entry.version, version);
+    if (task) entry.tasks.push(task);
+    planned.set(key, entry);
+  };
+
+  policyVersions.forEach(pv => pv?.policyId && note(pv.policyId, pv.version || 1));
+  checklist.forEach(item => {
+    const ref = parsePolicyReference(item.policyReference);
+    if (ref) note(ref.policyId, ref.version, item.task);
+  });
+  if (!planned.size) return [];
+
+  const policies = await Policy.find({ _id: { $in: [...planned.keys()] } }).lean();
+  const alerts = [];
+
+  for (const policy of policies) {
+    const { version: plannedVersion, tasks } = planned.get(String(policy._id));
+    const currentVersion = policy.version || 1;
+    if (currentVersion <= plannedVersion && !policy.retired) continue;
+
+    const newer = await PolicyVersion.find({ policyId: policy._id, version: { $gt: plannedVersion } })
+      .sort({ version: 1 }).lean();
+
+    alerts.push({
+      policyId: policy._id,
+      title: policy.title,
+      category: policy.category,
+      severity: policy.severity,
+      plannedVersion,
+      currentVersion,
+      retired: Boolean(policy.retired),
+      effectiveFrom: policy.effectiveFrom,
+      changedFields: [...new Set(newer.flatMap(v => v.changes.map(c => c.field)))],
+      changes: newer.map(v => ({ version: v.version, effectiveFrom: v.effectiveFrom, changes: v.changes })),
+      tasks
+    });
+  }
+  return alerts;
+}
@@ -6,11 +6,51 @@ import { connectDB } from './db.js';
 import crypto from 'crypto';
 import cron from 'node-cron';
 import nodemailer from 'nodemailer';
-import { chatWithAmplify } from './amplifyClient.js';
-import { User, ProgramPlan, Policy, Event } from './models.js';
+import multer from 'multer';
+import { chatWithAmplify, streamChatWithAmplify } from './amplifyClient.js';
+import { llmHealth, LLMError, aiErrorResponse } from './llm/index.js';
+import { generateStructured } from './llm/structured.js';
+import { STRUCTURED_SCHEMAS, EVENT_UPDATE_SCHEMA, STRUCTURED_SYSTEM_PROMPT } from './eventSchemas.js';
+import { generateEvent, organizeChecklistByTimePeriods, isNearDuplicateTask } from './eventGeneration.js';
+import { applyPolicyRules, loadRulePolicies, RULE_EVENT_FIELDS } from './policyRules.js';
+import { checkCompliance } from './compliance.js';
+import { templateFromEvent, eventFromTemplate } from './templates.js';
+import { cloneEventData } from './eventClone.js';
+import { buildCalendar, calendarFileName } from './icalendar.js';
+import { renderEventPdf, relevantPolicyIds, pdfFileName } from './eventPdf.js';
+import { assertAcyclic, scheduleChecklist, analyzeSchedule } from './taskGraph.js';
+import { buildTimeline, defaultMilestones } from './eventTimeline.js';
+import { calendarRange, calendarView, rangeDays } from './eventCalendar.js';
+import { assertBookingTimes, venueConflictQuery, findVenueConflicts, venueSchedule } from './venueConflicts.js';
+import {
+  checklistToCsv, checklistToXlsx, checklistFileName, readChecklistFile, validateChecklistRows, planChecklistImport
+} from './checklistSpreadsheet.js';
+import {
+  occurrenceDates, seriesFromEvent, occurrenceData, skipRulesFor, noteSharedTasks,
+  refreshOccurrence, rescheduleOccurrence, SERIES_FIELDS
+} from './eventSeries.js';
+import { buildPolicyContext, toCitations } from './policyRag.js';
+import { ensurePolicyEmbeddings, embeddingsStatus } from './embeddings.js';
+import {
+  revisePolicy, effectiveFromDate, recordPolicyVersion, setCurrentVersionEnd, policyHistory,
+  policyChangeAlerts, toPolicyVersions, linkChecklistToPolicies, formatPolicyReference, parsePolicyReference
+} from './policyVersions.js';
+import {
+  User, ProgramPlan, Policy, Event, Template, EventSeries, CalendarFeed, PLAN_STATUS_TRANSITIONS, VENUE_COLLATION
+} from './models.js';
+import {
+  requireAuth, requireAdmin, issueTokens, verifyToken, userFromClaims, sessionUser, hashPassword, verifyPassword
+} from './auth.js';
+import {
+  createEventAuthorizer, createPlanAuthorizer, createBodyPlanLoader, createTemplateAuthorizer, createSeriesAuthorizer,
+  resolveEventAccess, findCollaborator, findInvite, createInviteToken, actorName, hasAccess, COLLABORATOR_PERMISSIONS
+} from './permissions.js';
+import { mongoose } from './db.js';
+import { CONFIG } from './config.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+const IS_TEST = process.env.NODE_ENV === 'test';
 
 const normEmail = (e) => (e || '').trim().toLowerCase();
 
@@ -25,10 +65,42 @@ try {
   console.log('Server will continue without MongoDB - some features may be limited');
 }
 
+// Owner/admin/edit/view guard shared by all event, collaboration and communications routes
+const authorizeEvent = createEventAuthorizer({ isDbReady: () => mongoConnected });
+const authorizePlan = createPlanAuthorizer({ isDbReady: () => mongoConnected });
+const loadBodyPlan = createBodyPlanLoader({ isDbReady: () => mongoConnected });
+const authorizeTemplate = createTemplateAuthorizer({ isDbReady: () => mongoConnected });
+const authorizeSeries = createSeriesAuthorizer({ isDbReady: () => mongoConnected });
+
+// Fields only the dedicated share/collaboration endpoints may change
+const PROTECTED_EVENT_FIELDS = [
+  '_id', 'userId', 'owner', 'collaborators', 'collaborationEnabled', 'collaborationId',
+  'shareId', 'shareEnabled', 'shareCreatedAt', 'activityLog', 'generatedCommunications', 'createdAt',
+  'policyVersions', 'seriesId', 'occurrenceIndex'
+];
+
+const stripProtectedFields = (body = {}) => {
+  const clean = { ...body };
+  PROTECTED_EVENT_FIELDS.forEach(f => delete clean[f]);
+  return clean;
+};
+
+// Plan ownership and lifecycle fields are managed by their own endpoints
+const PROTECTED_PLAN_FIELDS = ['_id', 'userId', 'statusHistory', 'archived', 'archivedAt', 'createdAt', 'updatedAt'];
+
+const stripProtectedPlanFields = (body = {}) => {
+  const clean = { ...body };
+  PROTECTED_PLAN_FIELDS.forEach(f => delete clean[f]);
+  return clean;
+};
+
 // Middleware
 app.use(cors({ origin: ['http://localhost:3000', 'http://localhost:5173'], credentials: true }));
 app.use(express.json());
-app.use(morgan('dev'));
+if (!IS_TEST) app.use(morgan('dev'));
+
+// Every /api route needs a valid access token (login/refresh/public routes are exempt)
+app.use('/api', requireAuth);
 
 // Routes
 app.get('/healthz', (req, res) => {
@@ -36,62 +108,120 @@ app.get('/healthz', (req, res) => {
     status: 'OK',
     timestamp: new Date().toISOString(),
     mongodb: mongoConnected ? 'connected' : 'disconnected',
-    amplify: process.env.USE_AMPLIFY === 'true' ? 'enabled' : 'disabled'
+    amplify: process.env.USE_AMPLIFY === 'true' ? 'enabled' : 'disabled',
+    llmProvider: CONFIG.LLM_PROVIDER,
+    llm: llmHealth(),
+    embeddings: embeddingsStatus()
   });
 });
 
-// Auth routes
-app.post('/api/auth/login', async (req, res) => {
+// Auth routes. Accounts live in MongoDB, so there is no login without it.
+app.post('/api/auth/register', async (req, res) => {
   try {
-    const { vanderbiltId, email, firstName, lastName, role } = req.body;
-    
-    if (!vanderbiltId || !email || !firstName || !lastName) {
+    const { vanderbiltId, email, firstName, lastName, role, password } = req.body || {};
+
+    if (!vanderbiltId || !email || !firstName || !lastName || !password) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
-    
-    let user;
-    if (mongoConnected) {
-      try {
-        user = await User.findOne({ vanderbiltId });
-        if (!user) {
-          user = new User({ vanderbiltId, email, firstName, lastName, role });
-          await user.save();
-        }
-      } catch (dbError) {
-        console.warn('Database error in auth, using fallback:', dbError.message);
-        user = {
-          _id: 'temp-' + vanderbiltId,
-          vanderbiltId,
-          email,
-          firstName,
-          lastName,
-          role: role || 'student'
-        };
-      }
-    } else {
-      // Fallback user when MongoDB not available
-      user = {
-        _id: 'temp-' + vanderbiltId,
-        vanderbiltId,
-        email,
-        firstName,
-        lastName,
-        role: role || 'student'
-      };
+    if (!mongoConnected) {
+      return res.status(503).json({ error: 'Database unavailable' });
     }
-    
-    const token = 'mock-jwt-token'; // In production, use proper JWT
-    res.json({ user, token });
+
+    const existing = await User.findOne({ $or: [{ vanderbiltId }, { email: normEmail(email) }] }).lean();
+    if (existing) {
+      return res.status(409).json({ error: 'An account with this Vanderbilt ID or email already exists' });
+    }
+
+    const user = new User({
+      vanderbiltId,
+      email: normEmail(email),
+      firstName,
+      lastName,
+      role,
+      passwordHash: await hashPassword(password)
+    });
+    await user.save();
+
+    res.status(201).json({ user: sessionUser(user), ...issueTokens(user) });
+  } catch (error) {
+    if (error instanceof RangeError || error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Register error:', error);
+    res.status(500).json({ error: 'Registration failed' });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { vanderbiltId, password } = req.body || {};
+
+    if (!vanderbiltId || !password) {
+      return res.status(400).json({ error: 'Vanderbilt ID and password are required' });
+    }
+    if (!mongoConnected) {
+      return res.status(503).json({ error: 'Database unavailable' });
+    }
+
+    const user = await User.findOne({ vanderbiltId: String(vanderbiltId) }).select('+passwordHash');
+    // Same answer for unknown IDs and wrong passwords
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+      return res.status(401).json({ error: 'Invalid Vanderbilt ID or password', code: 'INVALID_CREDENTIALS' });
+    }
+
+    res.json({ user: sessionUser(user), ...issueTokens(user) });
   } catch (error) {
     console.error('Auth error:', error);
     res.status(500).json({ error: 'Authentication failed' });
   }
 });
 
+// Exchange a refresh token for a new access/refresh pair
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'refreshToken is required' });
+    }
+
+    let claims;
+    try {
+      claims = verifyToken(refreshToken, 'refresh');
+    } catch (tokenError) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token', code: 'REFRESH_INVALID' });
+    }
+
+    // Prefer the stored profile so role/name changes take effect on refresh
+    let user = userFromClaims(claims);
+    if (mongoConnected) {
+      const stored = mongoose.isValidObjectId(claims.sub) ? await User.findById(claims.sub).lean() : null;
+      if (!stored) {
+        return res.status(401).json({ error: 'User no longer exists', code: 'REFRESH_INVALID' });
+      }
+      user = stored;
+    }
+
+    res.json({ user: sessionUser(user), ...issueTokens(user) });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh token' });
+  }
+});
+
+// Current authenticated user
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: req.user });
+});
+
 // Program plans
 app.get('/api/plans', async (req, res) => {
   try {
-    const plans = await ProgramPlan.find({ userId: req.query.userId });
+    // Temp (non-Mongo) users cannot own stored plans
+    if (!mongoose.isValidObjectId(req.user._id)) return res.json([]);
+    const filter = { userId: req.user._id };
+    if (req.query.includeArchived !== 'true') filter.archived = { $ne: true };
+    if (req.query.status) filter.status = req.query.status;
+    const plans = await ProgramPlan.find(filter).sort({ updatedAt: -1 });
     res.json(plans);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -100,7 +230,11 @@ app.get('/api/plans', async (req, res) => {
 
 app.post('/api/plans', async (req, res) => {
   try {
-    const plan = new ProgramPlan(req.body);
+    const plan = new ProgramPlan({
+      ...stripProtectedPlanFields(req.body),
+      status: 'planning',
+      userId: req.user._id
+    });
     await plan.save();
     res.json(plan);
   } catch (error) {
@@ -108,170 +242,217 @@ app.post('/api/plans', async (req, res) => {
   }
 });
 
-app.get('/api/plans/:id', async (req, res) => {
-  try {
-    const plan = await ProgramPlan.findById(req.params.id);
-    res.json(plan);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
+app.get('/api/plans/:id', authorizePlan(), async (req, res) => {
+  res.json(req.plan);
 });
 
-const MSG_RE = {
-  alcohol: /\b(alcohol|beer|wine|bartend|wet\s*event|id\s*check|21\+)\b/i,
-  tech: /\b(email(s)?|bulk\s*email|mass\s*email|listserv|mailchimp|social\s*media|wifi|wi-?fi|it\s|cyber|malware|password|credential|record(ing)?|av\b|software|download|install|BYOD|device|HIPAA|FERPA)\b/i,
-  minors: /\b(minor(s)?|under\s*18|youth|camp|K-?12|child|children)\b/i,
-};
-
-function isAlcoholRelevant({ message, plan }) {
-  return Boolean(MSG_RE.alcohol.test(message || '') || (plan && plan.hasAlcohol));
-}
-function isTechRelevant({ message }) {
-  return Boolean(MSG_RE.tech.test(message || ''));
+// Validation error in the same shape Mongoose errors are returned elsewhere
+function statusTransitionError(from, to) {
+  const allowed = PLAN_STATUS_TRANSITIONS[from] || [];
+  return {
+    error: 'Invalid status transition',
+    details: {
+      status: {
+        message: `Cannot change plan status from '${from}' to '${to}'`,
+        from,
+        to,
+        allowed
+      }
+    }
+  };
 }
-function isMinorsRelevant({ message }) {
-  return Boolean(MSG_RE.minors.test(message || ''));
+
+// Apply a status change to a loaded plan; returns an error body or null
+function applyPlanStatus(plan, status, user) {
+  if (status === undefined || status === plan.status) return null;
+  if (!PLAN_STATUS_TRANSITIONS[status]) {
+    return {
+      error: 'Validation failed',
+      details: { status: { message: `Unknown status '${status}'` } }
+    };
+  }
+  if (!ProgramPlan.canTransition(plan.status, status)) {
+    return statusTransitionError(plan.status, status);
+  }
+  plan.statusHistory.push({ from: plan.status, to: status, changedBy: user._id, changedAt: new Date() });
+  plan.status = status;
+  return null;
 }
 
-async function buildPolicyContext({ user, plan, message }) {
-  // Load all policies once, filter in-memory (small set). If you prefer, query by category.
-  const all = await Policy.find().lean();
+// Update plan details/checklist; status changes are validated like /status
+app.put('/api/plans/:id', authorizePlan(), async (req, res) => {
+  try {
+    const plan = req.plan;
+    if (plan.archived) {
+      return res.status(400).json({ error: 'Archived plans cannot be edited. Unarchive it first.' });
+    }
 
-  const programType = plan?.programType || 'other';
-  const role = (user?.role || 'both').toLowerCase(); // 'student' | 'staff' | 'both'
-  const campus = plan?.location?.type || 'on-campus';
+    const { status, ...updates } = stripProtectedPlanFields(req.body);
+    const statusError = applyPlanStatus(plan, status, req.user);
+    if (statusError) return res.status(400).json(statusError);
 
-  // Base "always relevant" buckets
-  const want = [];
+    plan.set(updates);
+    await plan.save();
+    res.json(plan);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('❌ Error updating plan:', error);
+    res.status(500).json({ error: 'Failed to update plan' });
+  }
+});
 
-  // Space booking (usually relevant for on-campus)
-  if (campus === 'on-campus') {
-    want.push('Use of Space', 'Space Booking'); // support either label
+// Checklist items whose policyReference points at a superseded or retired version
+app.get('/api/plans/:id/policy-alerts', authorizePlan(), async (req, res) => {
+  try {
+    const alerts = await policyChangeAlerts({ checklist: req.plan.checklist });
+    res.json({ alerts });
+  } catch (error) {
+    console.error('❌ Error checking policy changes:', error);
+    res.status(500).json({ error: 'Failed to check policy changes' });
   }
+});
 
-  // Marketing/Comms
-  want.push('Marketing and Communications', 'Marketing');
+app.post('/api/plans/:id/status', authorizePlan(), async (req, res) => {
+  try {
+    const plan = req.plan;
+    if (!req.body.status) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: { status: { message: 'status is required' } }
+      });
+    }
+    if (plan.archived) {
+      return res.status(400).json({ error: 'Archived plans cannot change status. Unarchive it first.' });
+    }
 
-  // Alcohol
-  if (isAlcoholRelevant({ message, plan })) {
-    want.push('Alcohol Policy', 'Alcohol');
-  }
+    const statusError = applyPlanStatus(plan, req.body.status, req.user);
+    if (statusError) return res.status(400).json(statusError);
 
-  // Technology / Electronic Communications (only if relevant)
-  if (isTechRelevant({ message })) {
-    want.push('Technology', 'Electronic Communications');
+    await plan.save();
+    res.json(plan);
+  } catch (error) {
+    console.error('❌ Error changing plan status:', error);
+    res.status(500).json({ error: 'Failed to change plan status' });
   }
+});
 
-  // Protection of minors (only if relevant)
-  if (isMinorsRelevant({ message })) {
-    want.push('Protection of Minors');
+app.post('/api/plans/:id/archive', authorizePlan(), async (req, res) => {
+  try {
+    const plan = req.plan;
+    plan.archived = true;
+    plan.archivedAt = new Date();
+    await plan.save();
+    res.json(plan);
+  } catch (error) {
+    console.error('❌ Error archiving plan:', error);
+    res.status(500).json({ error: 'Failed to archive plan' });
   }
+});
 
-  // Filter by wanted categories + role + program type
-  const relevant = all.filter(p => {
-    const catOk = want.some(w => p.category?.toLowerCase().includes(w.toLowerCase()));
-    if (!catOk) return false;
+app.post('/api/plans/:id/unarchive', authorizePlan(), async (req, res) => {
+  try {
+    const plan = req.plan;
+    plan.archived = false;
+    plan.archivedAt = undefined;
+    await plan.save();
+    res.json(plan);
+  } catch (error) {
+    console.error('❌ Error unarchiving plan:', error);
+    res.status(500).json({ error: 'Failed to unarchive plan' });
+  }
+});
 
-    const roleOk =
-      (p.roleVisibility || 'both') === 'both' ||
-      (p.roleVisibility || 'both') === role;
+app.delete('/api/plans/:id', authorizePlan(), async (req, res) => {
+  try {
+    await req.plan.deleteOne();
+    res.json({ message: 'Plan deleted successfully' });
+  } catch (error) {
+    console.error('❌ Error deleting plan:', error);
+    res.status(500).json({ error: 'Failed to delete plan' });
+  }
+});
 
-    const typeOk =
-      !p.programTypes?.length || p.programTypes.includes(programType);
+// Chat with AI
+// Shared by the chat and generation routes: policy context for the user's
+// plan (req.plan from loadBodyPlan, for relevance: location/hasAlcohol/
+// programType); the user's role filters role-specific policies.
+// Returns the model context and the policies it contains (for citations).
+async function prepareChatContext({ message, plan = null, context, user }) {
+  // Build concise policy context (filtered by categories & relevance)
+  let policyContext = '';
+  let policies = [];
+  if (mongoConnected) {
+    try {
+      ({ contextText: policyContext, policies } = await buildPolicyContext({ user, plan, message }));
+    } catch (policyError) {
+      console.warn('Could not build policy context:', policyError.message);
+    }
+  }
 
-    return roleOk && typeOk;
-  });
+  // Prepend a system message with the context (only if we have one)
+  const extraSystem = policyContext
+    ? [{ role: 'system', content: policyContext }]
+    : [];
 
-  if (!relevant.length) return '';
+  // Pass the last few turns + the policy context into the model
+  return {
+    messages: [
+      ...(context || []).slice(-10),
+      ...extraSystem,
+    ],
+    policies,
+  };
+}
 
-  // Short, bounded context string (kept under ~1–2k tokens)
-  const lines = [];
-  lines.push('POLICY CONTEXT (concise):');
-  for (const p of relevant.slice(0, 12)) { // cap to avoid overlong prompts
-    const reqs = (p.requirements || []).slice(0, 6).map(r => `• ${r}`);
-    const cites = (p.citations || []).slice(0, 2).map(u => `(${u})`).join(' ');
-    lines.push(
-      `- ${p.category}: ${p.title}${cites ? ' ' + cites : ''}\n  ${reqs.join('\n  ')}`
+async function saveConversation(plan, message, response, citations = []) {
+  if (!plan || !mongoConnected || !response) return;
+  try {
+    await ProgramPlan.updateOne(
+      { _id: plan._id, userId: plan.userId },
+      {
+        $push: {
+          conversationHistory: {
+            $each: [
+              { role: 'user', content: message, timestamp: new Date() },
+              { role: 'assistant', content: response, citations, timestamp: new Date() },
+            ],
+          },
+        },
+      }
     );
+  } catch (saveError) {
+    console.warn('Could not save conversation history:', saveError.message);
   }
-  return lines.join('\n');
 }
 
-// Chat with AI
-app.post('/api/chat', async (req, res) => {
+app.post('/api/chat', loadBodyPlan(), async (req, res) => {
   try {
-    const { message, planId, context } = req.body;
+    const { message, context } = req.body;
 
     if (!message || typeof message !== 'string' || message.trim().length === 0) {
       return res.status(400).json({ error: 'Message is required' });
     }
 
-    // Load plan for relevance (role/location/hasAlcohol/programType). If you have user
-    // info in session/JWT, you can also pass it into buildPolicyContext.
-    let plan = null;
-    if (planId && mongoConnected) {
-      try {
-        plan = await ProgramPlan.findById(planId).lean();
-      } catch (planError) {
-        console.warn('Could not load plan:', planError.message);
-      }
-    }
-    const user = null; // replace with your authenticated user object if available
+    const { messages, policies } = await prepareChatContext({ message, plan: req.plan, context, user: req.user });
 
-    // Build concise policy context (filtered by categories & relevance)
-    let policyContext = '';
-    if (mongoConnected) {
-      try {
-        policyContext = await buildPolicyContext({ user, plan, message });
-      } catch (policyError) {
-        console.warn('Could not build policy context:', policyError.message);
-      }
-    }
-
-    // Prepend a system message with the context (only if we have one)
-    const extraSystem = policyContext
-      ? [{ role: 'system', content: policyContext }]
-      : [];
+    const response = await chatWithAmplify(message, messages);
 
-    // Pass the last few turns + the policy context into the model
-    const augmentedContext = [
-      ...(context || []).slice(-10),
-      ...extraSystem,
-    ];
-
-    let response;
-    try {
-      response = await chatWithAmplify(message, augmentedContext);
-    } catch (chatError) {
-      console.error('Chat with Amplify failed:', chatError);
-      response = 'I apologize, but I\'m experiencing technical difficulties. Please try again in a moment.';
-    }
+    const citations = toCitations(policies, response);
 
     // Save conversation to plan if possible
-    if (planId && mongoConnected && response) {
-      try {
-        await ProgramPlan.findByIdAndUpdate(
-          planId,
-          {
-            $push: {
-              conversationHistory: {
-                $each: [
-                  { role: 'user', content: message, timestamp: new Date() },
-                  { role: 'assistant', content: response, timestamp: new Date() },
-                ],
-              },
-            },
-          },
-          { new: true }
-        );
-      } catch (saveError) {
-        console.warn('Could not save conversation history:', saveError.message);
-      }
-    }
+    await saveConversation(req.plan, message, response, citations);
 
-    res.json({ response });
+    res.json({ response, citations });
   } catch (error) {
     console.error('Chat endpoint error:', error);
+    if (error instanceof LLMError) {
+      const { status, body } = aiErrorResponse(error, 'AI request failed', {
+        response: 'I apologize, but I\'m experiencing technical difficulties. Please try again in a moment.'
+      });
+      return res.status(status).json(body);
+    }
     res.status(500).json({ 
       error: 'Failed to process chat message',
       response: 'I apologize, but I encountered an error. Please try again.'
@@ -279,6 +460,97 @@ app.post('/api/chat', async (req, res) => {
   }
 });
 
+/**
+ * Streaming chat over Server-Sent Events. Same body as /api/chat; emits
+ *   event: token  data: {"text": "..."}      (repeated)
+ *   event: done   data: {"response": "...", "citations": [...]}  (also saved to the plan)
+ *   event: error  data: {"error": "..."}
+ * Closing the connection aborts the upstream model request.
+ */
+app.post('/api/chat/stream', loadBodyPlan(), async (req, res) => {
+  const { message, context } = req.body;
+
+  if (!message || typeof message !== 'string' || message.trim().length === 0) {
+    return res.status(400).json({ error: 'Message is required' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const upstream = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) upstream.abort();
+  });
+
+  let response = '';
+  try {
+    const { messages, policies } = await prepareChatContext({ message, plan: req.plan, context, user: req.user });
+
+    for await (const text of streamChatWithAmplify(message, messages, { signal: upstream.signal })) {
+      response += text;
+      send('token', { text });
+    }
+
+    const citations = toCitations(policies, response);
+    await saveConversation(req.plan, message, response, citations);
+    send('done', { response, citations });
+  } catch (error) {
+    // The client went away; there is no one left to send an error to
+    if (upstream.signal.aborted) return;
+    console.error('Chat stream error:', error);
+    const { body } = aiErrorResponse(error, 'I apologize, but I\'m experiencing technical difficulties. Please try again in a moment.');
+    send('error', body);
+  } finally {
+    res.end();
+  }
+});
+
+/**
+ * Schema-validated generation. Body: { message, schema: 'eventDraft' | 'eventUpdate', planId? }.
+ * Responds { data, attempts } where data already satisfies the named schema.
+ */
+app.post('/api/chat/structured', loadBodyPlan(), async (req, res) => {
+  const { message, schema: schemaName } = req.body;
+
+  if (!message || typeof message !== 'string' || message.trim().length === 0) {
+    return res.status(400).json({ error: 'Message is required' });
+  }
+  const schema = STRUCTURED_SCHEMAS[schemaName];
+  if (!schema) {
+    return res.status(400).json({
+      error: `Unknown schema '${schemaName}'`,
+      details: { allowed: Object.keys(STRUCTURED_SCHEMAS) }
+    });
+  }
+
+  try {
+    const { messages: policyContext } = await prepareChatContext({ message, plan: req.plan, context: [], user: req.user });
+    const result = await generateStructured({
+      messages: [
+        { role: 'system', content: STRUCTURED_SYSTEM_PROMPT },
+        ...policyContext,
+        { role: 'user', content: message }
+      ],
+      schema,
+      schemaName
+    });
+    res.json(result);
+  } catch (error) {
+    console.error('Structured generation error:', error);
+    const { status, body } = aiErrorResponse(error, 'Failed to generate structured response');
+    res.status(status).json(body);
+  }
+});
+
 // Chat endpoint for generating event updates from conversations
 app.post('/api/chat/generate-event-update', async (req, res) => {
   try {
@@ -331,6 +603,7 @@ Respond in valid JSON format with only the fields that were discussed or changed
     "amount": number_if_discussed
   },
   "hasAlcohol": boolean_if_discussed,
+  "involvesMinors": boolean_if_discussed,
   "eventType": "type if changed",
   "category": "category if changed",
   "priority": "priority if changed",
@@ -351,27 +624,15 @@ TIMING TYPE CLASSIFICATION:
 
 IMPORTANT: Only include fields that were actually discussed or changed. Omit any fields not mentioned in the conversation.`;
 
-    let response;
-    try {
-      response = await chatWithAmplify(updatePrompt, []);
-    } catch (chatError) {
-      console.error('Chat with Amplify failed for event update:', chatError);
-      throw new Error('AI processing failed');
-    }
-
-    // Try to parse the JSON response
-    let eventData;
-    try {
-      // Remove any markdown code blocks if present
-      const cleanResponse = response.replace(/```json\s*|\s*```/g, '').trim();
-      eventData = JSON.parse(cleanResponse);
-    } catch (parseError) {
-      console.warn('Could not parse AI response as JSON, using fallback');
-      eventData = {
-        description: existingEvent.description || '',
-        checklist: []
-      };
-    }
+    // Validated against EVENT_UPDATE_SCHEMA, with automatic repair on bad output
+    const { data: eventData } = await generateStructured({
+      messages: [
+        { role: 'system', content: STRUCTURED_SYSTEM_PROMPT },
+        { role: 'user', content: updatePrompt }
+      ],
+      schema: EVENT_UPDATE_SCHEMA,
+      schemaName: 'event_update'
+    });
 
     // Ensure we only include fields that make sense
     const filteredEventData = {};
@@ -414,6 +675,9 @@ IMPORTANT: Only include fields that were actually discussed or changed. Omit any
     if (typeof eventData.hasAlcohol === 'boolean' && eventData.hasAlcohol !== existingEvent.hasAlcohol) {
       filteredEventData.hasAlcohol = eventData.hasAlcohol;
     }
+    if (typeof eventData.involvesMinors === 'boolean' && eventData.involvesMinors !== existingEvent.involvesMinors) {
+      filteredEventData.involvesMinors = eventData.involvesMinors;
+    }
     if (eventData.eventType && eventData.eventType !== existingEvent.eventType) {
       filteredEventData.eventType = eventData.eventType;
     }
@@ -434,6 +698,12 @@ IMPORTANT: Only include fields that were actually discussed or changed. Omit any
     res.json({ eventData: filteredEventData });
   } catch (error) {
     console.error('Generate event update error:', error);
+    if (error instanceof LLMError) {
+      const { status, body } = aiErrorResponse(error, 'Failed to generate event update', {
+        eventData: { description: '', checklist: [] } // Fallback
+      });
+      return res.status(status).json(body);
+    }
     res.status(500).json({ 
       error: 'Failed to generate event update',
       eventData: { description: '', checklist: [] } // Fallback
@@ -441,20 +711,134 @@ IMPORTANT: Only include fields that were actually discussed or changed. Omit any
   }
 });
 
-// Policies
+// Policies. Retired policies are hidden unless an admin asks for them.
 app.get('/api/policies', async (req, res) => {
   try {
-    const policies = await Policy.find();
+    const filter = req.user.isAdmin && req.query.includeRetired === 'true' ? {} : { retired: { $ne: true } };
+    const policies = await Policy.find(filter).sort({ category: 1, title: 1 });
     res.json(policies);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Fields the admin editor may not set directly
+const PROTECTED_POLICY_FIELDS = [
+  '_id', 'retired', 'retiredAt', 'embedding', 'createdAt', 'updatedAt',
+  'version', 'effectiveFrom', 'effectiveTo'
+];
+
+function stripProtectedPolicyFields(body = {}) {
+  const updates = { ...body };
+  PROTECTED_POLICY_FIELDS.forEach(field => delete updates[field]);
+  return updates;
+}
+
+// Load :id into req.policy (admin routes only)
+async function loadPolicy(req, res, next) {
+  if (!mongoConnected) return res.status(503).json({ error: 'Database not connected' });
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Policy not found' });
+  try {
+    req.policy = await Policy.findById(req.params.id);
+    if (!req.policy) return res.status(404).json({ error: 'Policy not found' });
+    next();
+  } catch (error) {
+    console.error('❌ Error loading policy:', error);
+    res.status(500).json({ error: 'Failed to load policy' });
+  }
+}
+
+// Re-embed edited policies in the background so retrieval picks up the new text
+function refreshPolicyEmbeddings() {
+  ensurePolicyEmbeddings().catch(error => console.warn('Policy embedding refresh failed:', error.message));
+}
+
+app.post('/api/policies', requireAdmin, async (req, res) => {
+  if (!mongoConnected) return res.status(503).json({ error: 'Database not connected' });
+  try {
+    const policy = new Policy(stripProtectedPolicyFields(req.body));
+    policy.effectiveFrom = effectiveFromDate(req.body.effectiveFrom);
+    await policy.save();
+    await recordPolicyVersion(policy, { changedBy: req.user.email });
+    console.log('📜 Policy created:', policy.title, 'by', req.user.email);
+    refreshPolicyEmbeddings();
+    res.status(201).json(policy);
+  } catch (error) {
+    if (error instanceof RangeError) return res.status(400).json({ error: error.message });
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('❌ Error creating policy:', error);
+    res.status(500).json({ error: 'Failed to create policy' });
+  }
+});
+
+app.put('/api/policies/:id', requireAdmin, loadPolicy, async (req, res) => {
+  try {
+    // A content change becomes a new version effective from `effectiveFrom` (default now, never later)
+    const { changes, before } = await revisePolicy(req.policy, stripProtectedPolicyFields(req.body), {
+      effectiveFrom: req.body.effectiveFrom
+    });
+    await req.policy.save();
+    if (changes.length) {
+      await recordPolicyVersion(req.policy, { changes, previousSnapshot: before, changedBy: req.user.email });
+      console.log(`📜 Policy updated to v${req.policy.version}:`, req.policy.title, 'by', req.user.email);
+      refreshPolicyEmbeddings();
+    }
+    res.json(req.policy);
+  } catch (error) {
+    if (error instanceof RangeError) return res.status(400).json({ error: error.message });
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('❌ Error updating policy:', error);
+    res.status(500).json({ error: 'Failed to update policy' });
+  }
+});
+
+app.post('/api/policies/:id/retire', requireAdmin, loadPolicy, async (req, res) => {
+  try {
+    req.policy.retired = true;
+    req.policy.retiredAt = new Date();
+    await setCurrentVersionEnd(req.policy, req.policy.retiredAt);
+    await req.policy.save();
+    console.log('📜 Policy retired:', req.policy.title, 'by', req.user.email);
+    res.json(req.policy);
+  } catch (error) {
+    console.error('❌ Error retiring policy:', error);
+    res.status(500).json({ error: 'Failed to retire policy' });
+  }
+});
+
+app.post('/api/policies/:id/restore', requireAdmin, loadPolicy, async (req, res) => {
+  try {
+    req.policy.retired = false;
+    req.policy.retiredAt = undefined;
+    await setCurrentVersionEnd(req.policy, null);
+    await req.policy.save();
+    console.log('📜 Policy restored:', req.policy.title, 'by', req.user.email);
+    refreshPolicyEmbeddings();
+    res.json(req.policy);
+  } catch (error) {
+    console.error('❌ Error restoring policy:', error);
+    res.status(500).json({ error: 'Failed to restore policy' });
+  }
+});
+
+// Versions newest first, each with its effective window and field changes
+app.get('/api/policies/:id/history', requireAdmin, loadPolicy, async (req, res) => {
+  try {
+    res.json(await policyHistory(req.policy._id));
+  } catch (error) {
+    console.error('❌ Error loading policy history:', error);
+    res.status(500).json({ error: 'Failed to load policy history' });
+  }
+});
+
 // Events API
 app.get('/api/events', async (req, res) => {
   try {
-    const { userId } = req.query;
+    const userId = req.user._id;
     console.log('📋 Getting events for userId:', userId);
     
     if (mongoConnected) {
@@ -473,27 +857,51 @@ app.get('/api/events', async (req, res) => {
   }
 });
 
-app.post('/api/events', async (req, res) => {
+/**
+ * Draft an event (not saved) from a chat message. The server owns the prompt,
+ * the required policy tasks (policyRules.js) and the time-period grouping, so
+ * every client gets the same rules. Body: { content, planId? }.
+ * Responds { event, source: 'ai' | 'fallback', attempts?, aiError? }.
+ */
+app.post('/api/events/generate', loadBodyPlan(), async (req, res) => {
+  try {
+    const { content } = req.body;
+    if (!content || typeof content !== 'string' || content.trim().length === 0) {
+      return res.status(400).json({ error: 'Content is required' });
+    }
+
+    const { messages: policyContext, policies } = await prepareChatContext({ message: content, plan: req.plan, context: [], user: req.user });
+    const rulePolicies = mongoConnected ? await loadRulePolicies() : [];
+    const result = await generateEvent({ content, policyContext, rulePolicies });
+
+    // Remember which policy versions this draft was planned against
+    result.event.checklist = linkChecklistToPolicies(result.event.checklist, policies);
+    result.event.policyVersions = toPolicyVersions(policies);
+
+    console.log(`🤖 Event generated (${result.source}) with ${result.event.checklist.length} checklist items`);
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Event generation error:', error);
+    res.status(500).json({ error: 'Failed to generate event' });
+  }
+});
+
+app.post('/api/events', loadBodyPlan(), async (req, res) => {
   try {
     console.log('📥 Received event save request:', req.body);
     
     if (mongoConnected) {
       // Validate the event data before saving
       const eventData = {
-        ...req.body,
-        // Ensure userId is properly handled (can be ObjectId or string for temp users)
-        userId: req.body.userId,
+        ...stripProtectedFields(req.body),
+        // Owner is always the authenticated user (ObjectId or string for temp users)
+        userId: req.user._id,
         createdAt: new Date(),
         updatedAt: new Date()
       };
       
-      // Ensure checklist items have timingType set
-      if (eventData.checklist && Array.isArray(eventData.checklist)) {
-        eventData.checklist = eventData.checklist.map(item => ({
-          ...item,
-          timingType: item.timingType || 'recommended'
-        }));
-      }
+      assertBookingTimes(eventData);
+      eventData.checklist = await withRequiredTasks(eventData);
       
       // Ensure notifications object has defaults
       if (!eventData.notifications) {
@@ -508,17 +916,22 @@ app.post('/api/events', async (req, res) => {
       
       console.log('💾 Saving event to MongoDB:', eventData);
       
-      const event = new Event(eventData);
+      const event = seedMilestones(new Event(eventData));
       await event.save();
       
       console.log('✅ Event saved successfully:', event._id);
-      res.json(event);
+      res.json({
+        ...event.toJSON(),
+        compliance: await eventCompliance(event),
+        venueConflicts: await eventVenueConflicts(event, req.user)
+      });
     } else {
       // Return mock success when database not available
       console.log('MongoDB not connected, creating temporary event');
       const tempEvent = {
         _id: 'temp-' + Date.now(),
-        ...req.body,
+        ...stripProtectedFields(req.body),
+        userId: req.user._id,
         createdAt: new Date(),
         updatedAt: new Date()
       };
@@ -538,31 +951,145 @@ app.post('/api/events', async (req, res) => {
   }
 });
 
-app.get('/api/events/:id', async (req, res) => {
+/**
+ * Checklist for an event about to be saved: required policy tasks added (and
+ * timingType set on every item), regrouped by time period when anything
+ * changed or `regroup` is set.
+ */
+async function withRequiredTasks(eventData, { regroup = false } = {}) {
+  const rules = applyPolicyRules(
+    Array.isArray(eventData.checklist) ? eventData.checklist : [],
+    eventData,
+    { policies: await loadRulePolicies(), skipRules: skipRulesFor(eventData) }
+  );
+  return (rules.changed || regroup) && eventData.eventDate
+    ? organizeChecklistByTimePeriods(rules.checklist, eventData.eventDate)
+    : rules.checklist;
+}
+
+// New events without milestones get one per time period (needs the checklist item ids, so after construction)
+function seedMilestones(event) {
+  if (!event.timeline.length) event.timeline = defaultMilestones(event.checklist, event.eventDate);
+  return event;
+}
+
+// Lead-time check against the applicable policies; logged so missed windows show up in the server log
+async function eventCompliance(event) {
+  const report = checkCompliance(event, { policies: await loadRulePolicies(), skipRules: skipRulesFor(event) });
+  if (!report.compliant) {
+    console.warn(`⚠️ Event ${event._id} misses policy lead times:`, report.warnings.map(w => w.message));
+  }
+  return report;
+}
+
+// Other events booked into the same venue/room at an overlapping time; warnings only, saving is not blocked
+async function eventVenueConflicts(event, user) {
+  const query = venueConflictQuery(event);
+  if (!query) return [];
+  const candidates = await Event.find(query)
+    .collation(VENUE_COLLATION)
+    .select('title eventDate startTime endTime location status userId owner collaborators')
+    .lean();
+  const conflicts = findVenueConflicts(event, candidates, { accessFor: candidate => resolveEventAccess(candidate, user) });
+  if (conflicts.length) {
+    console.warn(`⚠️ Event ${event._id} overlaps ${conflicts.length} booking(s) at ${event.location.venue}`);
+  }
+  return conflicts;
+}
+
+app.get('/api/events/:id/venue-conflicts', authorizeEvent('view'), async (req, res) => {
   try {
-    const event = await Event.findById(req.params.id).populate('planId', 'title');
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
+    res.json({ conflicts: await eventVenueConflicts(req.event, req.user) });
+  } catch (error) {
+    console.error('❌ Venue conflict check error:', error);
+    res.status(500).json({ error: 'Failed to check venue conflicts' });
+  }
+});
+
+app.get('/api/events/:id/compliance', authorizeEvent('view'), async (req, res) => {
+  try {
+    res.json(await eventCompliance(req.event));
+  } catch (error) {
+    console.error('❌ Compliance check error:', error);
+    res.status(500).json({ error: 'Failed to check compliance' });
+  }
+});
+
+// Check an unsaved draft (e.g. from /api/events/generate) before saving it
+app.post('/api/events/compliance', async (req, res) => {
+  try {
+    const policies = mongoConnected ? await loadRulePolicies() : [];
+    res.json(checkCompliance(req.body || {}, { policies }));
+  } catch (error) {
+    console.error('❌ Compliance check error:', error);
+    res.status(500).json({ error: 'Failed to check compliance' });
+  }
+});
+
+// Policies that changed (new version or retired) since the event was planned
+app.get('/api/events/:id/policy-alerts', authorizeEvent('view'), async (req, res) => {
+  try {
+    const alerts = await policyChangeAlerts(req.event);
+    res.json({ alerts });
+  } catch (error) {
+    console.error('❌ Error checking policy changes:', error);
+    res.status(500).json({ error: 'Failed to check policy changes' });
+  }
+});
+
+// Re-plan against the current policies: move the event's version stamps forward
+app.post('/api/events/:id/policy-alerts/acknowledge', authorizeEvent('edit'), async (req, res) => {
+  try {
+    const event = req.event;
+    const ids = [
+      ...event.policyVersions.map(pv => pv.policyId),
+      ...event.checklist.map(item => parsePolicyReference(item.policyReference)?.policyId).filter(Boolean)
+    ];
+    const current = new Map(
+      (await Policy.find({ _id: { $in: ids } }).lean()).map(p => [String(p._id), p])
+    );
+
+    event.policyVersions = toPolicyVersions(
+      event.policyVersions.map(pv => current.get(String(pv.policyId))).filter(Boolean)
+    );
+    event.checklist.forEach(item => {
+      const ref = parsePolicyReference(item.policyReference);
+      const policy = ref && current.get(ref.policyId);
+      if (policy) item.policyReference = formatPolicyReference(policy);
+    });
+    event.activityLog.push({
+      userId: req.user._id,
+      userName: actorName(req.user),
+      action: 'updated',
+      description: 'Updated the event to the current policy versions',
+      timestamp: new Date()
+    });
+    await event.save();
+    res.json(event);
+  } catch (error) {
+    console.error('❌ Error acknowledging policy changes:', error);
+    res.status(500).json({ error: 'Failed to acknowledge policy changes' });
+  }
+});
+
+app.get('/api/events/:id', authorizeEvent('view'), async (req, res) => {
+  try {
+    const event = await req.event.populate('planId', 'title');
     res.json(event);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.put('/api/events/:id', async (req, res) => {
+app.put('/api/events/:id', authorizeEvent('edit'), async (req, res) => {
   try {
     console.log('🔄 Updating event:', req.params.id);
     console.log('📝 Update data:', req.body);
     
-    // Get the existing event first
-    const existingEvent = await Event.findById(req.params.id);
-    if (!existingEvent) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
+    const existingEvent = req.event;
 
     // Handle checklist updates intelligently
-    let updateData = { ...req.body };
+    let updateData = stripProtectedFields(req.body);
     
     // Merge notifications object if provided
     if (req.body.notifications) {
@@ -572,6 +1099,7 @@ app.put('/api/events/:id', async (req, res) => {
       };
     }
     
+    let dueDatesChanged = false;
     if (req.body.checklist && Array.isArray(req.body.checklist)) {
       const existingChecklist = existingEvent.checklist || [];
       
@@ -594,13 +1122,15 @@ app.put('/api/events/:id', async (req, res) => {
           ...item,
           timingType: item.timingType || existingChecklist[idx]?.timingType || 'recommended'
         }));
+        // Due dates moved (e.g. dragged on the timeline): the time-period grouping needs rebuilding
+        dueDatesChanged = req.body.checklist.some(item => {
+          const existingItem = item._id && existingChecklist.find(old => String(old._id) === String(item._id));
+          return existingItem && new Date(existingItem.dueDate || 0).getTime() !== new Date(item.dueDate || 0).getTime();
+        });
       } else {
         // This is adding new items - use the original merging logic
         const newItems = req.body.checklist.filter(newItem => {
-          return !existingChecklist.some(existingItem => 
-            existingItem.task.toLowerCase().includes(newItem.task.toLowerCase().substring(0, 20)) ||
-            newItem.task.toLowerCase().includes(existingItem.task.toLowerCase().substring(0, 20))
-          );
+          return !existingChecklist.some(existingItem => isNearDuplicateTask(existingItem.task, newItem.task));
         });
         
         if (newItems.length > 0) {
@@ -619,46 +1149,559 @@ app.put('/api/events/:id', async (req, res) => {
       }
     }
 
-    updateData.updatedAt = new Date();
+    // Dependencies (checklist item ids) must not loop
+    if (Array.isArray(updateData.checklist)) assertAcyclic(updateData.checklist);
+    assertBookingTimes({ ...existingEvent.toObject(), ...updateData });
+
+    // Attributes the policy rules read changed: re-run them on the merged event
+    if (RULE_EVENT_FIELDS.some(field => field in updateData)) {
+      const merged = { ...existingEvent.toObject(), ...updateData };
+      const rules = applyPolicyRules(merged.checklist, merged, {
+        policies: await loadRulePolicies(),
+        skipRules: skipRulesFor(merged)
+      });
+      if (rules.changed) {
+        console.log('📋 Policy rules updated required checklist tasks');
+        updateData.checklist = merged.eventDate
+          ? organizeChecklistByTimePeriods(rules.checklist, merged.eventDate)
+          : rules.checklist;
+      }
+    }
+
+    const eventDate = updateData.eventDate ?? existingEvent.eventDate;
+    if (dueDatesChanged && Array.isArray(updateData.checklist) && eventDate) {
+      updateData.checklist = organizeChecklistByTimePeriods(updateData.checklist, eventDate);
+    }
+
+    updateData.updatedAt = new Date();
+
+    const event = await Event.findByIdAndUpdate(
+      req.params.id, 
+      updateData, 
+      { new: true, runValidators: true }
+    );
+    
+    console.log('✅ Event updated successfully');
+    res.json({
+      ...event.toJSON(),
+      compliance: await eventCompliance(event),
+      venueConflicts: await eventVenueConflicts(event, req.user)
+    });
+  } catch (error) {
+    console.error('❌ Event update error:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// --- Task dependencies and scheduling ---
+// Set the items a checklist item depends on. Body: { dependencies: [itemId] }
+app.put('/api/events/:id/checklist/:itemId/dependencies', authorizeEvent('edit'), async (req, res) => {
+  try {
+    const event = req.event;
+    const item = event.checklist.id(req.params.itemId);
+    if (!item || item.isTimeHeader) return res.status(404).json({ error: 'Checklist item not found' });
+
+    const { dependencies } = req.body;
+    if (!Array.isArray(dependencies)) return res.status(400).json({ error: 'dependencies must be an array of checklist item ids' });
+    const ids = [...new Set(dependencies.map(String))];
+    const unknown = ids.filter(id => id === String(item._id) || !event.checklist.id(id) || event.checklist.id(id).isTimeHeader);
+    if (unknown.length) return res.status(400).json({ error: `Not a task this item can depend on: ${unknown.join(', ')}` });
+
+    try {
+      assertAcyclic(event.toObject().checklist.map(entry =>
+        String(entry._id) === String(item._id) ? { ...entry, dependencies: ids } : entry));
+    } catch (error) {
+      if (error instanceof RangeError) return res.status(400).json({ error: error.message });
+      throw error;
+    }
+
+    item.dependencies = ids;
+    event.updatedAt = new Date();
+    await event.save();
+    res.json(event);
+  } catch (error) {
+    console.error('❌ Dependency update error:', error);
+    res.status(500).json({ error: 'Failed to update dependencies' });
+  }
+});
+
+/**
+ * Critical-path analysis (taskGraph.js): slack per open task, the critical
+ * path, overdue tasks that threaten the event, and the due-date adjustments
+ * POST would make.
+ */
+app.get('/api/events/:id/schedule', authorizeEvent('view'), async (req, res) => {
+  try {
+    const options = { policies: await loadRulePolicies(), skipRules: skipRulesFor(req.event) };
+    const analysis = analyzeSchedule(req.event, options);
+    const { adjustments } = scheduleChecklist(req.event, options);
+    res.json({ ...analysis, adjustments });
+  } catch (error) {
+    if (error instanceof RangeError) return res.status(400).json({ error: error.message });
+    console.error('❌ Schedule analysis error:', error);
+    res.status(500).json({ error: 'Failed to analyze schedule' });
+  }
+});
+
+// Move due dates earlier so dependencies and policy lead times are respected
+app.post('/api/events/:id/schedule', authorizeEvent('edit'), async (req, res) => {
+  try {
+    const event = req.event;
+    const { checklist, adjustments } = scheduleChecklist(event, {
+      policies: await loadRulePolicies(),
+      skipRules: skipRulesFor(event)
+    });
+
+    if (adjustments.length) {
+      event.checklist = event.eventDate ? organizeChecklistByTimePeriods(checklist, event.eventDate) : checklist;
+      event.activityLog.push({
+        userId: req.user._id,
+        userName: actorName(req.user),
+        action: 'updated',
+        description: `Rescheduled ${adjustments.length} task${adjustments.length === 1 ? '' : 's'} to fit dependencies and policy deadlines`,
+        timestamp: new Date(),
+        metadata: { adjustments }
+      });
+      event.updatedAt = new Date();
+      await event.save();
+    }
+
+    res.json({ event: { ...event.toJSON(), compliance: await eventCompliance(event) }, adjustments });
+  } catch (error) {
+    if (error instanceof RangeError) return res.status(400).json({ error: error.message });
+    console.error('❌ Schedule update error:', error);
+    res.status(500).json({ error: 'Failed to reschedule tasks' });
+  }
+});
+
+/**
+ * Gantt data (eventTimeline.js): checklist bars and milestones from planning
+ * start to the event, with the time-period bands. Due dates and milestones
+ * are changed through PUT /api/events/:id.
+ */
+app.get('/api/events/:id/timeline', authorizeEvent('view'), async (req, res) => {
+  try {
+    res.json(buildTimeline(req.event));
+  } catch (error) {
+    console.error('❌ Timeline error:', error);
+    res.status(500).json({ error: 'Failed to build timeline' });
+  }
+});
+
+/**
+ * Copy an event to a new date. Body: { eventDate, title?, keepCollaborators?,
+ * keepSharing? }. Due dates and milestones shift with the event date and
+ * progress is reset. The caller owns the copy; keeping collaborators or
+ * sharing needs admin access to the original.
+ */
+app.post('/api/events/:id/clone', authorizeEvent('view'), async (req, res) => {
+  try {
+    const { eventDate, title, keepCollaborators, keepSharing } = req.body;
+    if ((keepCollaborators || keepSharing) && !hasAccess(req.access, 'admin')) {
+      return res.status(403).json({
+        error: 'Keeping collaborators or sharing requires admin access to the event',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    let eventData;
+    try {
+      eventData = cloneEventData(req.event, { eventDate, title, keepCollaborators, keepSharing });
+    } catch (error) {
+      if (error instanceof RangeError) return res.status(400).json({ error: error.message });
+      throw error;
+    }
+    // The plan belongs to the original's owner, not to a collaborator making a copy
+    if (req.access !== 'owner') delete eventData.planId;
+
+    const actor = { userId: req.user._id, userName: actorName(req.user), timestamp: new Date() };
+    const event = new Event({
+      ...eventData,
+      userId: req.user._id,
+      owner: req.user._id,
+      activityLog: [{
+        ...actor,
+        action: 'created',
+        description: `Cloned from "${req.event.title}"`,
+        metadata: { sourceEventId: req.event._id }
+      }]
+    });
+    event.checklist = await withRequiredTasks(event.toObject());
+    await event.save();
+
+    req.event.activityLog.push({
+      ...actor,
+      action: 'cloned',
+      description: `Cloned to ${event.eventDate.toISOString().slice(0, 10)} as "${event.title}"`,
+      metadata: { clonedEventId: event._id }
+    });
+    await req.event.save();
+
+    console.log(`📄 Event ${req.event._id} cloned to ${event._id}`);
+    res.status(201).json({
+      ...event.toJSON(),
+      compliance: await eventCompliance(event),
+      venueConflicts: await eventVenueConflicts(event, req.user)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('❌ Error cloning event:', error);
+    res.status(500).json({ error: 'Failed to clone event' });
+  }
+});
+
+app.delete('/api/events/:id', authorizeEvent('owner'), async (req, res) => {
+  try {
+    await req.event.deleteOne();
+    res.json({ message: 'Event deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// --- Templates ---
+// Template fields the owner may change; `curated` is admin-only
+const TEMPLATE_FIELDS = ['name', 'description', 'eventType', 'category', 'priority', 'defaults', 'tasks', 'shared'];
+
+// Fields a new event may take from the request instead of the template
+const TEMPLATE_EVENT_OVERRIDES = [
+  'title', 'description', 'planId', 'location', 'expectedAttendance', 'hasAlcohol',
+  'involvesMinors', 'potentiallyControversial', 'priority'
+];
+
+const pick = (source = {}, fields) =>
+  Object.fromEntries(fields.filter(f => source[f] !== undefined).map(f => [f, source[f]]));
+
+// Own and shared templates, curated first. Optional ?eventType= filter.
+app.get('/api/templates', async (req, res) => {
+  try {
+    if (!mongoConnected) return res.json([]);
+    const filter = { $or: [{ owner: req.user._id }, { shared: true }] };
+    if (req.query.eventType) filter.eventType = req.query.eventType;
+    const templates = await Template.find(filter).sort({ curated: -1, usageCount: -1, name: 1 }).lean();
+    res.json(templates);
+  } catch (error) {
+    console.error('❌ Error fetching templates:', error);
+    res.status(500).json({ error: 'Failed to fetch templates' });
+  }
+});
+
+app.get('/api/templates/:id', authorizeTemplate('view'), (req, res) => {
+  res.json(req.template);
+});
+
+// Save an event's checklist as a template. Body: { name?, description?, shared? }
+app.post('/api/events/:id/template', authorizeEvent('view'), async (req, res) => {
+  try {
+    const template = new Template({
+      ...templateFromEvent(req.event, { name: req.body.name, description: req.body.description }),
+      owner: req.user._id,
+      ownerName: actorName(req.user),
+      shared: Boolean(req.body.shared),
+      curated: Boolean(req.user.isAdmin && req.body.curated),
+      sourceEventId: req.event._id
+    });
+    await template.save();
+    console.log(`📋 Template "${template.name}" saved from event ${req.event._id} with ${template.tasks.length} tasks`);
+    res.status(201).json(template);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('❌ Error saving template:', error);
+    res.status(500).json({ error: 'Failed to save template' });
+  }
+});
+
+app.put('/api/templates/:id', authorizeTemplate('edit'), async (req, res) => {
+  try {
+    req.template.set(pick(req.body, TEMPLATE_FIELDS));
+    if (req.user.isAdmin && req.body.curated !== undefined) req.template.curated = Boolean(req.body.curated);
+    await req.template.save();
+    res.json(req.template);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('❌ Error updating template:', error);
+    res.status(500).json({ error: 'Failed to update template' });
+  }
+});
+
+app.delete('/api/templates/:id', authorizeTemplate('edit'), async (req, res) => {
+  try {
+    await req.template.deleteOne();
+    res.json({ message: 'Template deleted successfully' });
+  } catch (error) {
+    console.error('❌ Error deleting template:', error);
+    res.status(500).json({ error: 'Failed to delete template' });
+  }
+});
+
+/**
+ * Start a new event from a template. Body: { eventDate, title?, planId?,
+ * location?, ... }. Task due dates and the template's booking hours are
+ * placed relative to eventDate, then the policy rules run for the new
+ * event's attributes.
+ */
+app.post('/api/templates/:id/events', authorizeTemplate('view'), loadBodyPlan(), async (req, res) => {
+  try {
+    const eventData = {
+      ...eventFromTemplate(req.template, {
+        eventDate: req.body.eventDate,
+        ...pick(req.body, TEMPLATE_EVENT_OVERRIDES)
+      }),
+      userId: req.user._id,
+      activityLog: [{
+        userId: req.user._id,
+        userName: actorName(req.user),
+        action: 'created',
+        description: `Created from template "${req.template.name}"`,
+        timestamp: new Date()
+      }]
+    };
+    eventData.checklist = await withRequiredTasks(eventData, { regroup: true });
+
+    const event = seedMilestones(new Event(eventData));
+    await event.save();
+    await Template.updateOne({ _id: req.template._id }, { $inc: { usageCount: 1 } });
+
+    console.log(`📋 Event ${event._id} created from template "${req.template.name}"`);
+    res.status(201).json({
+      ...event.toJSON(),
+      compliance: await eventCompliance(event),
+      venueConflicts: await eventVenueConflicts(event, req.user)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('❌ Error creating event from template:', error);
+    res.status(500).json({ error: 'Failed to create event from template' });
+  }
+});
+
+// --- Recurring series ---
+// Occurrences on or after this moment count as "future" and follow series edits
+const startOfToday = () => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+};
+
+// A new occurrence with its checklist: required tasks, shared-task note, time periods
+async function buildOccurrence(series, index, dates) {
+  const eventData = occurrenceData(series, index, dates[index]);
+  let checklist = await withRequiredTasks(eventData, { regroup: true });
+  if (index === 0) checklist = noteSharedTasks(checklist, dates);
+  return { ...eventData, checklist };
+}
+
+app.get('/api/series', async (req, res) => {
+  try {
+    if (!mongoConnected) return res.json([]);
+    const series = await EventSeries.find({ userId: req.user._id }).sort({ 'recurrence.startDate': -1 }).lean();
+    res.json(series);
+  } catch (error) {
+    console.error('❌ Error fetching series:', error);
+    res.status(500).json({ error: 'Failed to fetch series' });
+  }
+});
+
+// The series and a summary of its occurrences
+app.get('/api/series/:id', authorizeSeries(), async (req, res) => {
+  try {
+    const occurrences = await Event.find({ seriesId: req.series._id })
+      .select('title eventDate occurrenceIndex status checklist.completed checklist.isTimeHeader')
+      .sort({ occurrenceIndex: 1 })
+      .lean();
+    res.json({
+      series: req.series,
+      occurrences: occurrences.map(({ checklist = [], ...occurrence }) => {
+        const tasks = checklist.filter(item => !item.isTimeHeader);
+        return { ...occurrence, tasks: tasks.length, completedTasks: tasks.filter(item => item.completed).length };
+      })
+    });
+  } catch (error) {
+    console.error('❌ Error fetching series:', error);
+    res.status(500).json({ error: 'Failed to fetch series' });
+  }
+});
+
+/**
+ * Create a series. Body: { recurrence: { frequency, interval?, startDate?,
+ * count | until }, fromEventId? } plus series fields (title, tasks, ...) when
+ * not starting from an event. An existing event (owner only) becomes the
+ * first occurrence and the series starts on its date. Responds { series,
+ * occurrenceIds, venueConflicts: [{ eventId, eventDate, conflicts }] }, the
+ * latter for the occurrences whose venue is already booked.
+ */
+app.post('/api/series', loadBodyPlan(), async (req, res) => {
+  if (!mongoConnected) return res.status(503).json({ error: 'Database not connected' });
+  try {
+    const { fromEventId, recurrence = {} } = req.body;
+    let firstEvent = null;
+    let fields = pick(req.body, SERIES_FIELDS);
+
+    if (fromEventId) {
+      firstEvent = mongoose.isValidObjectId(fromEventId) ? await Event.findById(fromEventId) : null;
+      if (!firstEvent) return res.status(404).json({ error: 'Event not found' });
+      if (resolveEventAccess(firstEvent, req.user) !== 'owner') {
+        return res.status(403).json({ error: 'Only the event owner can make it recurring', code: 'FORBIDDEN' });
+      }
+      if (firstEvent.seriesId) return res.status(400).json({ error: 'The event is already part of a series' });
+      fields = seriesFromEvent(firstEvent);
+      recurrence.startDate = firstEvent.eventDate;
+    }
+
+    let dates;
+    try {
+      dates = occurrenceDates(recurrence);
+    } catch (error) {
+      if (error instanceof RangeError) return res.status(400).json({ error: error.message });
+      throw error;
+    }
 
-    const event = await Event.findByIdAndUpdate(
-      req.params.id, 
-      updateData, 
-      { new: true, runValidators: true }
-    );
-    
-    console.log('✅ Event updated successfully');
-    res.json(event);
+    const series = new EventSeries({ ...fields, recurrence, userId: req.user._id });
+    await series.save();
+
+    const created = [];
+    const venueConflicts = [];
+    const checkVenue = async (occurrence) => {
+      const conflicts = await eventVenueConflicts(occurrence, req.user);
+      if (conflicts.length) venueConflicts.push({ eventId: occurrence._id, eventDate: occurrence.eventDate, conflicts });
+    };
+    if (firstEvent) {
+      firstEvent.seriesId = series._id;
+      firstEvent.occurrenceIndex = 0;
+      firstEvent.checklist = noteSharedTasks(firstEvent.toObject().checklist, dates);
+      await firstEvent.save();
+      await checkVenue(firstEvent);
+    }
+    for (let index = firstEvent ? 1 : 0; index < dates.length; index++) {
+      const occurrence = seedMilestones(new Event(await buildOccurrence(series, index, dates)));
+      occurrence.activityLog.push({
+        userId: req.user._id,
+        userName: actorName(req.user),
+        action: 'created',
+        description: `Created as occurrence ${index + 1} of ${dates.length} in the series "${series.title}"`,
+        timestamp: new Date()
+      });
+      await occurrence.save();
+      created.push(occurrence._id);
+      await checkVenue(occurrence);
+    }
+
+    console.log(`🔁 Series "${series.title}" created with ${dates.length} occurrences`);
+    res.status(201).json({ series, occurrenceIds: [...(firstEvent ? [firstEvent._id] : []), ...created], venueConflicts });
   } catch (error) {
-    console.error('❌ Event update error:', error);
-    res.status(400).json({ error: error.message });
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('❌ Error creating series:', error);
+    res.status(500).json({ error: 'Failed to create series' });
   }
 });
 
-app.delete('/api/events/:id', async (req, res) => {
+/**
+ * Edit a series. Body: series fields and/or `recurrence`, or `fromEventId`
+ * to take the details and checklist from one of its occurrences. Changes
+ * reach future occurrences only; past ones keep what they had. A new
+ * recurrence moves, adds or removes future occurrences.
+ */
+app.put('/api/series/:id', authorizeSeries(), async (req, res) => {
   try {
-    const event = await Event.findByIdAndDelete(req.params.id);
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
+    const series = req.series;
+    const previousTasks = [...series.tasks, ...series.sharedTasks].map(t => t.toObject());
+
+    let fields = pick(req.body, SERIES_FIELDS);
+    if (req.body.fromEventId) {
+      const source = await Event.findOne({ _id: req.body.fromEventId, seriesId: series._id });
+      if (!source) return res.status(404).json({ error: 'Occurrence not found in this series' });
+      // Keep the series-wide tasks unless the occurrence is the one that carries them
+      const { sharedTasks, ...fromEvent } = seriesFromEvent(source);
+      fields = { ...fromEvent, ...(source.occurrenceIndex === 0 ? { sharedTasks } : {}) };
+    }
+    series.set(fields);
+
+    let dates = null;
+    if (req.body.recurrence) {
+      const recurrence = { ...series.toObject().recurrence, ...req.body.recurrence };
+      try {
+        dates = occurrenceDates(recurrence);
+      } catch (error) {
+        if (error instanceof RangeError) return res.status(400).json({ error: error.message });
+        throw error;
+      }
+      series.recurrence = recurrence;
     }
-    res.json({ message: 'Event deleted successfully' });
+    await series.save();
+
+    const from = startOfToday();
+    const future = await Event.find({ seriesId: series._id, eventDate: { $gte: from } });
+    let updated = 0;
+    let removed = 0;
+
+    for (const occurrence of future) {
+      if (dates && occurrence.occurrenceIndex >= dates.length) {
+        await occurrence.deleteOne();
+        removed++;
+        continue;
+      }
+      if (dates && dates[occurrence.occurrenceIndex] < from) continue; // the new rule puts it in the past
+
+      let changes = dates ? rescheduleOccurrence(occurrence, dates[occurrence.occurrenceIndex]) : {};
+      changes = { ...changes, ...refreshOccurrence({ ...occurrence.toObject(), ...changes }, series, { previousTasks }) };
+      occurrence.set(changes);
+      occurrence.checklist = await withRequiredTasks(occurrence.toObject(), { regroup: true });
+      await occurrence.save();
+      updated++;
+    }
+
+    // Dates the new rule adds
+    let added = 0;
+    if (dates) {
+      const existing = new Set((await Event.find({ seriesId: series._id }).select('occurrenceIndex').lean())
+        .map(e => e.occurrenceIndex));
+      for (let index = 0; index < dates.length; index++) {
+        if (existing.has(index) || dates[index] < from) continue;
+        await seedMilestones(new Event(await buildOccurrence(series, index, dates))).save();
+        added++;
+      }
+    }
+
+    console.log(`🔁 Series "${series.title}" updated: ${updated} future occurrences updated, ${added} added, ${removed} removed`);
+    res.json({ series, updated, added, removed });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('❌ Error updating series:', error);
+    res.status(500).json({ error: 'Failed to update series' });
+  }
+});
+
+// End a series: future occurrences are deleted, past ones stay as standalone events
+app.delete('/api/series/:id', authorizeSeries(), async (req, res) => {
+  try {
+    const from = startOfToday();
+    const { deletedCount } = await Event.deleteMany({ seriesId: req.series._id, eventDate: { $gte: from } });
+    await Event.updateMany({ seriesId: req.series._id }, { $unset: { seriesId: 1, occurrenceIndex: 1 } });
+    await req.series.deleteOne();
+    res.json({ message: 'Series deleted successfully', deletedOccurrences: deletedCount });
+  } catch (error) {
+    console.error('❌ Error deleting series:', error);
+    res.status(500).json({ error: 'Failed to delete series' });
   }
 });
 
 // --- Public Sharing ---
 // Create or return a public share link for an event
-app.post('/api/events/:id/share', async (req, res) => {
+app.post('/api/events/:id/share', authorizeEvent('admin'), async (req, res) => {
   try {
-    if (!mongoConnected) {
-      return res.status(503).json({ error: 'Database not connected' });
-    }
-
-    const event = await Event.findById(req.params.id);
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
+    const event = req.event;
 
     if (!event.shareEnabled || !event.shareId) {
       // Generate a URL-safe share token
@@ -704,22 +1747,360 @@ async function getPublicEventHandler(req, res) {
 app.get('/public/events/:shareId', getPublicEventHandler);
 app.get('/api/public/events/:shareId', getPublicEventHandler);
 
-// --- Collaboration API ---
-// Enable collaboration for an event
-app.post('/api/events/:id/collaboration/enable', async (req, res) => {
+// --- PDF export ---
+// Policies the PDF cites: those the event references plus those behind its policy rules
+async function eventPdfPolicies(event) {
+  const [referenced, rulePolicies] = await Promise.all([
+    Policy.find({ _id: { $in: relevantPolicyIds(event).filter(id => mongoose.isValidObjectId(id)) } })
+      .select('category title description requirements citations version retired timeline')
+      .lean(),
+    loadRulePolicies()
+  ]);
+  const byId = new Map([...referenced, ...rulePolicies].map(p => [String(p._id), p]));
+  return [...byId.values()];
+}
+
+async function sendEventPdf(res, event, { includeContacts }) {
+  const [policies, owner] = await Promise.all([
+    eventPdfPolicies(event),
+    includeContacts && mongoose.isValidObjectId(event.userId)
+      ? User.findById(event.userId).select('firstName lastName email').lean()
+      : null
+  ]);
+  const doc = renderEventPdf(event, { policies, owner, includeContacts });
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${pdfFileName(event)}"`
+  });
+  doc.pipe(res);
+}
+
+app.get('/api/events/:id/export.pdf', authorizeEvent('view'), async (req, res) => {
+  try {
+    await sendEventPdf(res, req.event, { includeContacts: true });
+  } catch (error) {
+    console.error('❌ PDF export error:', error);
+    res.status(500).json({ error: 'Failed to export PDF' });
+  }
+});
+
+// Shared events print without contact details: the link is public
+app.get('/api/public/events/:shareId/export.pdf', async (req, res) => {
   try {
     if (!mongoConnected) {
       return res.status(503).json({ error: 'Database not connected' });
     }
-
-    const event = await Event.findById(req.params.id);
+    const event = await Event.findOne({ shareId: req.params.shareId, shareEnabled: true }).lean();
     if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
+      return res.status(404).json({ error: 'Shared event not found' });
     }
+    await sendEventPdf(res, event, { includeContacts: false });
+  } catch (error) {
+    console.error('❌ Public PDF export error:', error);
+    res.status(500).json({ error: 'Failed to export PDF' });
+  }
+});
+
+// --- Venues ---
+/**
+ * What is already planned at a venue. Query: venue (required), room, from,
+ * to (YYYY-MM-DD, default this month). Responds { venue, room, from, to,
+ * bookings } (see venueSchedule); events the user cannot see show as
+ * "Reserved".
+ */
+app.get('/api/venues/availability', async (req, res) => {
+  try {
+    const venue = typeof req.query.venue === 'string' ? req.query.venue.trim() : '';
+    if (!venue) return res.status(400).json({ error: 'venue is required' });
+    const room = typeof req.query.room === 'string' && req.query.room.trim() ? req.query.room.trim() : null;
+
+    let range;
+    try {
+      range = calendarRange(req.query);
+    } catch (error) {
+      if (error instanceof RangeError) return res.status(400).json({ error: error.message });
+      throw error;
+    }
+
+    const shown = { venue, room, ...rangeDays(range) };
+    if (!mongoConnected) return res.json({ ...shown, bookings: [] });
+
+    const events = await Event.find({
+      'location.venue': venue,
+      status: { $ne: 'cancelled' },
+      $or: [
+        { eventDate: { $gte: range.from, $lt: range.to } },
+        { startTime: { $lt: range.to }, endTime: { $gt: range.from } }
+      ]
+    })
+      .collation(VENUE_COLLATION)
+      .select('title eventDate startTime endTime location status userId owner collaborators')
+      .lean();
+
+    res.json({
+      ...shown,
+      bookings: venueSchedule(events, { venue, room, accessFor: event => resolveEventAccess(event, req.user) })
+    });
+  } catch (error) {
+    console.error('❌ Venue availability error:', error);
+    res.status(500).json({ error: 'Failed to load venue availability' });
+  }
+});
+
+// --- Calendar dashboard ---
+const CALENDAR_FILTERS = ['eventType', 'status', 'priority'];
+
+// Events the user owns or collaborates on; callers still check resolveEventAccess
+function accessibleEventsFilter(user) {
+  return {
+    $or: [
+      { userId: user._id },
+      { owner: user._id },
+      { 'collaborators.userId': user._id }
+    ]
+  };
+}
+
+/**
+ * Event dates and task due dates across every event the user owns or
+ * collaborates on. Query: from, to (YYYY-MM-DD, default this month) and
+ * optional eventType, status, priority filters. Responds { from, to,
+ * events, tasks, collisions } (see eventCalendar.js).
+ */
+app.get('/api/calendar', async (req, res) => {
+  try {
+    let range;
+    try {
+      range = calendarRange(req.query);
+    } catch (error) {
+      if (error instanceof RangeError) return res.status(400).json({ error: error.message });
+      throw error;
+    }
+
+    const filters = pick(req.query, CALENDAR_FILTERS);
+    const invalid = Object.keys(filters).filter(field => !Event.schema.path(field).enumValues.includes(filters[field]));
+    if (invalid.length) return res.status(400).json({ error: `Invalid filter: ${invalid.join(', ')}` });
+
+    const shown = rangeDays(range);
+    if (!mongoConnected) return res.json({ ...shown, events: [], tasks: [], collisions: [] });
+
+    const events = await Event.find({
+      ...filters,
+      $and: [
+        accessibleEventsFilter(req.user),
+        {
+          $or: [
+            { eventDate: { $gte: range.from, $lt: range.to } },
+            { checklist: { $elemMatch: { dueDate: { $gte: range.from, $lt: range.to } } } }
+          ]
+        }
+      ]
+    }).select('title eventDate eventType status priority checklist userId owner collaborators').lean();
+
+    const access = (event) => resolveEventAccess(event, req.user);
+    res.json({ ...shown, ...calendarView(events.filter(access), { ...range, accessFor: access }) });
+  } catch (error) {
+    console.error('❌ Calendar error:', error);
+    res.status(500).json({ error: 'Failed to load calendar' });
+  }
+});
+
+// --- Calendar export ---
+const publicAppUrl = () => (process.env.PUBLIC_APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+const calendarFeedUrl = (token) =>
+  `${(process.env.PUBLIC_API_URL || `http://localhost:${PORT}`).replace(/\/$/, '')}/api/calendar/feed/${token}.ics`;
+
+function sendCalendar(res, ics, fileName) {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `${fileName ? 'attachment' : 'inline'}; filename="${fileName || 'events.ics'}"`,
+    'Cache-Control': 'no-cache'
+  });
+  res.send(ics);
+}
+
+// One event and its whole checklist. ?tasks=todo exports tasks as VTODOs instead of all-day VEVENTs.
+app.get('/api/events/:id/calendar.ics', authorizeEvent('view'), (req, res) => {
+  try {
+    const ics = buildCalendar([req.event], {
+      name: req.event.title,
+      appUrl: publicAppUrl(),
+      taskComponent: req.query.tasks === 'todo' ? 'todo' : 'event'
+    });
+    sendCalendar(res, ics, calendarFileName(req.event));
+  } catch (error) {
+    console.error('❌ Calendar export error:', error);
+    res.status(500).json({ error: 'Failed to export calendar' });
+  }
+});
+
+// The current user's secret feed URL, created on first request
+app.get('/api/calendar/feed', async (req, res) => {
+  if (!mongoConnected) return res.status(503).json({ error: 'Database not connected' });
+  try {
+    let feed = await CalendarFeed.findOne({ userId: req.user._id });
+    if (!feed) {
+      feed = new CalendarFeed({ userId: req.user._id, token: crypto.randomBytes(24).toString('base64url') });
+      await feed.save();
+    }
+    res.json({ feedUrl: calendarFeedUrl(feed.token), createdAt: feed.createdAt, lastFetchedAt: feed.lastFetchedAt });
+  } catch (error) {
+    console.error('❌ Calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to get calendar feed' });
+  }
+});
+
+// New secret; the old feed URL stops working
+app.post('/api/calendar/feed/reset', async (req, res) => {
+  if (!mongoConnected) return res.status(503).json({ error: 'Database not connected' });
+  try {
+    const feed = await CalendarFeed.findOneAndUpdate(
+      { userId: req.user._id },
+      { token: crypto.randomBytes(24).toString('base64url'), $unset: { lastFetchedAt: 1 } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+    res.json({ feedUrl: calendarFeedUrl(feed.token), createdAt: feed.createdAt });
+  } catch (error) {
+    console.error('❌ Calendar feed reset error:', error);
+    res.status(500).json({ error: 'Failed to reset calendar feed' });
+  }
+});
+
+// Subscribed feed (no auth; the token is the secret): every event the user
+// owns or collaborates on, as on the calendar dashboard, with its open tasks
+app.get('/api/calendar/feed/:token.ics', async (req, res) => {
+  try {
+    if (!mongoConnected) return res.status(503).send('Calendar unavailable.');
+    const feed = await CalendarFeed.findOne({ token: req.params.token });
+    const user = feed && await User.findById(feed.userId).lean();
+    if (!user) return res.status(404).send('Calendar feed not found.');
+
+    const events = (await Event.find(accessibleEventsFilter(user))
+      .select('title description eventDate startTime endTime status location checklist updatedAt userId owner collaborators')
+      .lean())
+      .filter(event => resolveEventAccess(event, user));
+    await CalendarFeed.updateOne({ _id: feed._id }, { lastFetchedAt: new Date() });
+
+    sendCalendar(res, buildCalendar(events, {
+      name: 'Program Planning',
+      refreshHours: 1,
+      appUrl: publicAppUrl(),
+      includeCompleted: false,
+      taskComponent: req.query.tasks === 'todo' ? 'todo' : 'event'
+    }));
+  } catch (error) {
+    console.error('❌ Calendar feed error:', error);
+    res.status(500).send('Failed to load calendar.');
+  }
+});
+
+// --- Checklist spreadsheets ---
+const CHECKLIST_UPLOAD_LIMIT_MB = 2;
+const checklistUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: CHECKLIST_UPLOAD_LIMIT_MB * 1024 * 1024, files: 1 }
+}).single('file');
+
+// ?format=csv (default) or xlsx
+app.get('/api/events/:id/checklist/export', authorizeEvent('view'), async (req, res) => {
+  try {
+    const event = req.event;
+    if (req.query.format === 'xlsx') {
+      const buffer = await checklistToXlsx(event.checklist, { title: event.title });
+      res.set({
+        'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'Content-Disposition': `attachment; filename="${checklistFileName(event, 'xlsx')}"`
+      });
+      return res.send(buffer);
+    }
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${checklistFileName(event, 'csv')}"`
+    });
+    res.send(checklistToCsv(event.checklist));
+  } catch (error) {
+    console.error('❌ Checklist export error:', error);
+    res.status(500).json({ error: 'Failed to export checklist' });
+  }
+});
+
+/**
+ * Import checklist rows from a CSV/XLSX upload (multipart field `file`).
+ * Without `commit=true` nothing is saved: the response previews the merge
+ * ({ summary, changes, errors }). With it, the merged checklist is saved
+ * (the policy rules and time-period grouping run again) unless a row is
+ * invalid.
+ */
+app.post('/api/events/:id/checklist/import', authorizeEvent('edit'), (req, res, next) => {
+  checklistUpload(req, res, (error) => {
+    if (!error) return next();
+    const message = error.code === 'LIMIT_FILE_SIZE'
+      ? `The file is larger than ${CHECKLIST_UPLOAD_LIMIT_MB} MB`
+      : error.message;
+    res.status(400).json({ error: message });
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'Upload a .csv or .xlsx file in the "file" field' });
+
+    let rows;
+    try {
+      rows = await readChecklistFile(req.file);
+    } catch (error) {
+      if (error instanceof RangeError) return res.status(400).json({ error: error.message });
+      return res.status(400).json({ error: 'The file could not be read as CSV or XLSX' });
+    }
+
+    const event = req.event;
+    const { items, errors } = validateChecklistRows(rows);
+    const valid = rows.map((row, i) => ({ row, item: items[i] }))
+      .filter(({ row }) => !errors.some(e => e.row === row.row));
+    const plan = planChecklistImport(
+      event.toObject().checklist,
+      valid.map(v => v.item),
+      valid.map(v => v.row)
+    );
+    const summary = { rows: rows.length, invalid: new Set(errors.map(e => e.row)).size };
+    ['add', 'update', 'unchanged', 'duplicate'].forEach(type => {
+      summary[type] = plan.changes.filter(c => c.type === type).length;
+    });
+
+    if (req.body.commit !== 'true') {
+      return res.json({ preview: true, fileName: req.file.originalname, summary, changes: plan.changes, errors });
+    }
+    if (errors.length) {
+      return res.status(400).json({ error: 'Some rows are invalid; fix them and import again', summary, errors });
+    }
+
+    event.checklist = await withRequiredTasks({ ...event.toObject(), checklist: plan.checklist }, { regroup: true });
+    event.activityLog.push({
+      userId: req.user._id,
+      userName: actorName(req.user),
+      action: 'updated',
+      description: `Imported the checklist from ${req.file.originalname}: ${summary.add} added, ${summary.update} updated`,
+      timestamp: new Date(),
+      metadata: { fileName: req.file.originalname, summary }
+    });
+    event.updatedAt = new Date();
+    await event.save();
+
+    console.log(`📥 Checklist import for "${event.title}": ${summary.add} added, ${summary.update} updated`);
+    res.json({ event: { ...event.toJSON(), compliance: await eventCompliance(event) }, summary, changes: plan.changes });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', details: error.errors });
+    }
+    console.error('❌ Checklist import error:', error);
+    res.status(500).json({ error: 'Failed to import checklist' });
+  }
+});
+
+// --- Collaboration API ---
+// Enable collaboration for an event
+app.post('/api/events/:id/collaboration/enable', authorizeEvent('admin'), async (req, res) => {
+  try {
+    const event = req.event;
 
-    // TODO: Add proper authentication to verify ownership
-    // For now, assume the request is from the owner
-    
     if (!event.collaborationEnabled) {
       // Generate a URL-safe collaboration token
       const token = crypto.randomBytes(16).toString('base64url');
@@ -729,8 +2110,8 @@ app.post('/api/events/:id/collaboration/enable', async (req, res) => {
       // Add activity log entry
       if (!event.activityLog) event.activityLog = [];
       event.activityLog.push({
-        userId: event.userId,
-        userName: 'Event Owner', // TODO: Get from authenticated user
+        userId: req.user._id,
+        userName: actorName(req.user),
         action: 'created',
         description: 'Enabled collaboration for this event',
         timestamp: new Date()
@@ -750,18 +2131,9 @@ app.post('/api/events/:id/collaboration/enable', async (req, res) => {
 });
 
 // Disable collaboration for an event
-app.post('/api/events/:id/collaboration/disable', async (req, res) => {
+app.post('/api/events/:id/collaboration/disable', authorizeEvent('owner'), async (req, res) => {
   try {
-    if (!mongoConnected) {
-      return res.status(503).json({ error: 'Database not connected' });
-    }
-
-    const event = await Event.findById(req.params.id);
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-
-    // TODO: Add proper authentication to verify ownership
+    const event = req.event;
     event.collaborationEnabled = false;
     event.collaborationId = null;
     event.collaborators = [];
@@ -769,8 +2141,8 @@ app.post('/api/events/:id/collaboration/disable', async (req, res) => {
     // Add activity log entry
     if (!event.activityLog) event.activityLog = [];
     event.activityLog.push({
-      userId: event.userId,
-      userName: 'Event Owner', // TODO: Get from authenticated user
+      userId: req.user._id,
+      userName: actorName(req.user),
       action: 'updated',
       description: 'Disabled collaboration for this event',
       timestamp: new Date()
@@ -785,20 +2157,9 @@ app.post('/api/events/:id/collaboration/disable', async (req, res) => {
 });
 
 // Get collaborative event by collaborationId (for collaborators)
-app.get('/api/collaborate/:collaborationId', async (req, res) => {
+app.get('/api/collaborate/:collaborationId', authorizeEvent('view', { by: 'collaborationId' }), async (req, res) => {
   try {
-    if (!mongoConnected) {
-      return res.status(503).json({ error: 'Database not connected' });
-    }
-
-    const event = await Event.findOne({
-      collaborationId: req.params.collaborationId,
-      collaborationEnabled: true
-    }).lean();
-
-    if (!event) {
-      return res.status(404).json({ error: 'Collaborative event not found or collaboration disabled' });
-    }
+    const event = req.event.toObject();
 
     // Fetch owner basic profile
     let ownerInfo = null;
@@ -819,7 +2180,7 @@ app.get('/api/collaborate/:collaborationId', async (req, res) => {
       console.warn('Owner lookup failed:', e.message);
     }
 
-    res.json({ ...event, ownerInfo });
+    res.json({ ...event, ownerInfo, access: req.access });
   } catch (error) {
     console.error('❌ Get collaborative event error:', error);
     res.status(500).json({ error: 'Failed to load collaborative event' });
@@ -828,25 +2189,20 @@ app.get('/api/collaborate/:collaborationId', async (req, res) => {
 
 
 // Add collaborator to event
-app.post('/api/events/:id/collaborators', async (req, res) => {
+app.post('/api/events/:id/collaborators', authorizeEvent('admin'), async (req, res) => {
   try {
-    if (!mongoConnected) {
-      return res.status(503).json({ error: 'Database not connected' });
-    }
-
-    const { email: rawEmail, firstName, lastName, userId, permission = 'edit' } = req.body;
+    const { email: rawEmail, firstName, lastName, permission = 'edit' } = req.body;
     const email = normEmail(rawEmail);
 
-    
     if (!email || !firstName || !lastName) {
       return res.status(400).json({ error: 'Email, first name, and last name are required' });
     }
-
-    const event = await Event.findById(req.params.id);
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
+    if (!COLLABORATOR_PERMISSIONS.includes(permission)) {
+      return res.status(400).json({ error: `permission must be one of: ${COLLABORATOR_PERMISSIONS.join(', ')}` });
     }
 
+    const event = req.event;
+
     if (!event.collaborationEnabled) {
       return res.status(400).json({ error: 'Collaboration is not enabled for this event' });
     }
@@ -857,15 +2213,18 @@ app.post('/api/events/:id/collaborators', async (req, res) => {
       return res.status(400).json({ error: 'User is already a collaborator' });
     }
 
-    // Add collaborator
+    // Add collaborator. Nobody gets access until someone opens the invite link
+    // and accepts it, which binds their account (see /join).
+    const invite = createInviteToken();
     const collaborator = {
-      userId: userId || null,
+      userId: null,
       email,
       firstName: firstName,
       lastName: lastName,
       permission: permission,
+      inviteTokenHash: invite.hash,
       addedAt: new Date(),
-      addedBy: event.userId, // TODO: Get from authenticated user
+      addedBy: req.user._id,
       lastActive: new Date()
     };
 
@@ -874,8 +2233,8 @@ app.post('/api/events/:id/collaborators', async (req, res) => {
     // Add activity log entry
     if (!event.activityLog) event.activityLog = [];
     event.activityLog.push({
-      userId: event.userId,
-      userName: 'Event Owner', // TODO: Get from authenticated user
+      userId: req.user._id,
+      userName: actorName(req.user),
       action: 'added_collaborator',
       description: `Added ${firstName} ${lastName} as a collaborator`,
       timestamp: new Date(),
@@ -883,7 +2242,11 @@ app.post('/api/events/:id/collaborators', async (req, res) => {
     });
 
     await event.save();
-    res.json({ message: 'Collaborator added successfully', collaborator });
+
+    const appUrl = (process.env.PUBLIC_APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+    const inviteUrl = `${appUrl}/collaborate/${event.collaborationId}?invite=${invite.token}`;
+    const { inviteTokenHash, ...invited } = collaborator;
+    res.json({ message: 'Collaborator added successfully', collaborator: invited, inviteUrl });
   } catch (error) {
     console.error('❌ Add collaborator error:', error);
     res.status(500).json({ error: 'Failed to add collaborator' });
@@ -891,16 +2254,9 @@ app.post('/api/events/:id/collaborators', async (req, res) => {
 });
 
 // Remove collaborator from event
-app.delete('/api/events/:id/collaborators/:collaboratorId', async (req, res) => {
+app.delete('/api/events/:id/collaborators/:collaboratorId', authorizeEvent('admin'), async (req, res) => {
   try {
-    if (!mongoConnected) {
-      return res.status(503).json({ error: 'Database not connected' });
-    }
-
-    const event = await Event.findById(req.params.id);
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
+    const event = req.event;
 
     const collaboratorIndex = event.collaborators.findIndex(c => c._id.toString() === req.params.collaboratorId);
     if (collaboratorIndex === -1) {
@@ -913,8 +2269,8 @@ app.delete('/api/events/:id/collaborators/:collaboratorId', async (req, res) =>
     // Add activity log entry
     if (!event.activityLog) event.activityLog = [];
     event.activityLog.push({
-      userId: event.userId,
-      userName: 'Event Owner', // TODO: Get from authenticated user
+      userId: req.user._id,
+      userName: actorName(req.user),
       action: 'removed_collaborator',
       description: `Removed ${removedCollaborator.firstName} ${removedCollaborator.lastName} as a collaborator`,
       timestamp: new Date(),
@@ -930,51 +2286,21 @@ app.delete('/api/events/:id/collaborators/:collaboratorId', async (req, res) =>
 });
 
 // --- UPDATE: PUT /api/collaborate/:collaborationId
-app.put('/api/collaborate/:collaborationId', async (req, res) => {
-  const normEmail = (e) => (e || '').trim().toLowerCase();
-
+app.put('/api/collaborate/:collaborationId', authorizeEvent('edit', { by: 'collaborationId' }), async (req, res) => {
   try {
-    if (!mongoConnected) {
-      return res.status(503).json({ error: 'Database not connected' });
-    }
-
-    const { userId, userName, email: rawEmail, ...updateData } = req.body;
-    const email = normEmail(rawEmail);
-
-    if (!userId && !email) {
-      return res.status(400).json({ error: 'userId or email is required' });
-    }
-
-    const event = await Event.findOne({
-      collaborationId: req.params.collaborationId,
-      collaborationEnabled: true
-    });
-
-    if (!event) {
-      return res.status(404).json({ error: 'Collaborative event not found' });
-    }
-
-    // Owner or invited collaborator (by userId OR invited email) with edit/admin
-    const isOwner = userId && String(event.owner || event.userId) === String(userId);
-    const collaborator = (event.collaborators || []).find(c => {
-      const idMatch = userId && c.userId && String(c.userId) === String(userId);
-      const emailMatch = email && normEmail(c.email) === email;
-      return idMatch || emailMatch;
-    });
-
-    const hasEditPermission = isOwner || (collaborator && ['edit', 'admin'].includes(collaborator.permission));
-    if (!hasEditPermission) {
-      // Uncomment for one-time debugging:
-      // console.log('[COLLAB PUT] denied', { userId, email, isOwner, found: !!collaborator, perm: collaborator?.permission });
-      return res.status(403).json({ error: 'Insufficient permissions to edit this event' });
-    }
-
-    // Update collaborator's last active; bind userId if we matched by email
+    // Identity comes from the access token; ignore any identity fields in the body
+    const updateData = stripProtectedFields(req.body);
+    delete updateData.userName;
+    delete updateData.email;
+    const event = req.event;
+    const userId = req.user._id;
+    const userName = actorName(req.user);
+
+    // Update collaborator's last active time
+    const collaborator = findCollaborator(event, req.user);
     if (collaborator) {
-      if (!collaborator.userId && userId) collaborator.userId = userId;
       collaborator.lastActive = new Date();
-      // If collaborators is a plain array of objects (not strict subdocs), this helps:
-      event.markModified && event.markModified('collaborators');
+      event.markModified('collaborators');
     }
 
     // Checklist activity logging (completed/uncompleted)
@@ -985,8 +2311,8 @@ app.put('/api/collaborate/:collaborationId', async (req, res) => {
         if (oldItem && newItem.completed !== oldItem.completed) {
           if (!event.activityLog) event.activityLog = [];
           event.activityLog.push({
-            userId: userId || null,
-            userName: userName || 'Unknown User',
+            userId,
+            userName,
             action: newItem.completed ? 'completed_task' : 'uncompleted_task',
             description: `${newItem.completed ? 'Completed' : 'Uncompleted'} task: ${newItem.task}`,
             timestamp: new Date(),
@@ -1005,8 +2331,8 @@ app.put('/api/collaborate/:collaborationId', async (req, res) => {
     if (!isChecklistOnlyUpdate) {
       if (!event.activityLog) event.activityLog = [];
       event.activityLog.push({
-        userId: userId || null,
-        userName: userName || 'Unknown User',
+        userId,
+        userName,
         action: 'updated',
         description: 'Updated event details',
         timestamp: new Date(),
@@ -1175,55 +2501,51 @@ app.put('/api/collaborate/:collaborationId', async (req, res) => {
 // });
 
 // --- JOIN: POST /api/collaborate/:collaborationId/join
+// Accept an invite. Body: { inviteToken, firstName?, lastName? }. The token from
+// the invite link binds that invite to the caller's account; it works once.
 app.post('/api/collaborate/:collaborationId/join', async (req, res) => {
-  const normEmail = (e) => (e || '').trim().toLowerCase();
-
   try {
     if (!mongoConnected) {
       return res.status(503).json({ error: 'Database not connected' });
     }
 
-    const { userId, email: rawEmail, firstName, lastName } = req.body;
-    const email = normEmail(rawEmail);
-
-    if (!email || !firstName || !lastName) {
-      return res.status(400).json({ error: 'Email, first name, and last name are required' });
-    }
-
-    const event = await Event.findOne({
-      collaborationId: req.params.collaborationId,
-      collaborationEnabled: true
-    });
-
+    const { inviteToken, firstName, lastName } = req.body || {};
+    const event = await Event.findOne({ collaborationId: req.params.collaborationId, collaborationEnabled: true });
     if (!event) {
       return res.status(404).json({ error: 'Collaborative event not found' });
     }
 
-    // Must have been invited by email (invite-only)
-    const collaborator = (event.collaborators || []).find(c =>
-      normEmail(c.email) === email || (userId && c.userId && String(c.userId) === String(userId))
-    );
+    const access = resolveEventAccess(event, req.user);
+    if (access === 'owner') {
+      // The owner opening their own collaboration link has nothing to join
+      return res.json({ message: 'Successfully joined collaborative event', event });
+    }
 
+    const invited = access ? null : findInvite(event, inviteToken);
+    const collaborator = invited || findCollaborator(event, req.user);
     if (!collaborator) {
-      return res.status(403).json({ error: 'This email is not invited to collaborate on this event.' });
+      return res.status(403).json({ error: 'This invite link is invalid or has already been used', code: 'FORBIDDEN' });
     }
 
-    // Bind userId if missing; refresh names; update lastActive
-    if (!collaborator.userId && userId) collaborator.userId = userId;
     if (firstName) collaborator.firstName = firstName;
     if (lastName)  collaborator.lastName  = lastName;
     collaborator.lastActive = new Date();
 
-    // Log join activity
-    if (!event.activityLog) event.activityLog = [];
-    event.activityLog.push({
-      userId: userId || null,
-      userName: `${firstName} ${lastName}`,
-      action: 'joined',
-      description: `${firstName} ${lastName} joined with invited email`,
-      timestamp: new Date(),
-      metadata: { email }
-    });
+    if (invited) {
+      invited.userId = req.user._id;
+      invited.inviteTokenHash = undefined;
+
+      const displayName = `${invited.firstName} ${invited.lastName}`.trim() || actorName(req.user);
+      if (!event.activityLog) event.activityLog = [];
+      event.activityLog.push({
+        userId: req.user._id,
+        userName: displayName,
+        action: 'joined',
+        description: `${displayName} accepted the invite`,
+        timestamp: new Date(),
+        metadata: { email: invited.email }
+      });
+    }
 
     await event.save();
     res.json({ message: 'Successfully joined collaborative event', event });
@@ -1235,20 +2557,9 @@ app.post('/api/collaborate/:collaborationId/join', async (req, res) => {
 
 
 // Get activity log for collaborative event
-app.get('/api/collaborate/:collaborationId/activity', async (req, res) => {
+app.get('/api/collaborate/:collaborationId/activity', authorizeEvent('view', { by: 'collaborationId' }), async (req, res) => {
   try {
-    if (!mongoConnected) {
-      return res.status(503).json({ error: 'Database not connected' });
-    }
-
-    const event = await Event.findOne({ 
-      collaborationId: req.params.collaborationId, 
-      collaborationEnabled: true 
-    }).select('activityLog').lean();
-    
-    if (!event) {
-      return res.status(404).json({ error: 'Collaborative event not found' });
-    }
+    const event = req.event.toObject();
 
     // Sort activity log by timestamp (newest first) and limit to last 50 entries
     const activityLog = (event.activityLog || [])
@@ -1263,12 +2574,8 @@ app.get('/api/collaborate/:collaborationId/activity', async (req, res) => {
 });
 
 // Generate communications for an event
-app.post('/api/events/:id/generate-communications', async (req, res) => {
+app.post('/api/events/:id/generate-communications', authorizeEvent('edit'), async (req, res) => {
   try {
-    if (!mongoConnected) {
-      return res.status(503).json({ error: 'Database not connected' });
-    }
-
     const { communicationType, tone, customInstructions } = req.body;
     
     // Validate input
@@ -1291,11 +2598,7 @@ app.post('/api/events/:id/generate-communications', async (req, res) => {
       });
     }
 
-    // Fetch the event
-    const event = await Event.findById(req.params.id);
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
+    const event = req.event;
 
     // Build communication generation prompt based on type
     let prompt = '';
@@ -1400,16 +2703,25 @@ IMPORTANT GUIDELINES:
 
 Please generate the complete ${communicationType.replace('-', ' ')} content now:`;
 
+    // Marketing/comms policies plus anything the event itself triggers (alcohol, minors, ...)
+    let policyMessages = [];
+    if (mongoConnected) {
+      try {
+        const { contextText } = await buildPolicyContext({
+          message: [communicationType.replace(/-/g, ' '), event.title, event.description, customInstructions].filter(Boolean).join('\n'),
+          event,
+          user: req.user,
+        });
+        if (contextText) policyMessages = [{ role: 'system', content: contextText }];
+      } catch (policyError) {
+        console.warn('Could not build policy context:', policyError.message);
+      }
+    }
+
     console.log('📝 Generating communications with prompt length:', prompt.length);
     
     // Generate content using Amplify
-    let generatedContent;
-    try {
-      generatedContent = await chatWithAmplify(prompt, []);
-    } catch (chatError) {
-      console.error('Communications generation failed:', chatError);
-      throw new Error('AI content generation failed');
-    }
+    const generatedContent = await chatWithAmplify(prompt, policyMessages);
 
     // Structure the response
     const response = {
@@ -1443,7 +2755,7 @@ Please generate the complete ${communicationType.replace('-', ' ')} content now:
         withinLimit: response.withinLimit,
         customInstructions,
         generatedAt: new Date(),
-        generatedBy: req.body.userId || null // Include user ID if provided
+        generatedBy: req.user._id
       };
 
       await Event.findByIdAndUpdate(
@@ -1465,6 +2777,12 @@ Please generate the complete ${communicationType.replace('-', ' ')} content now:
     
   } catch (error) {
     console.error('❌ Generate communications error:', error);
+    if (error instanceof LLMError) {
+      const { status, body } = aiErrorResponse(error, 'Failed to generate communications', {
+        message: 'AI content generation failed'
+      });
+      return res.status(status).json(body);
+    }
     res.status(500).json({ 
       error: 'Failed to generate communications',
       message: error.message 
@@ -1473,18 +2791,11 @@ Please generate the complete ${communicationType.replace('-', ' ')} content now:
 });
 
 // Get past communications for an event
-app.get('/api/events/:id/communications', async (req, res) => {
+app.get('/api/events/:id/communications', authorizeEvent('view'), async (req, res) => {
   try {
-    if (!mongoConnected) {
-      return res.status(503).json({ error: 'Database not connected' });
-    }
-
     const { page = 1, limit = 10, type, tone } = req.query;
     
-    const event = await Event.findById(req.params.id).select('generatedCommunications title');
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
+    const event = req.event;
 
     let communications = event.generatedCommunications || [];
 
@@ -1532,18 +2843,27 @@ process.on('unhandledRejection', (reason, promise) => {
   console.error('Unhandled Rejection at:', promise, 'reason:', reason);
 });
 
-// Start server
-try {
-  app.listen(PORT, () => {
-    console.log(`✅ Server running on http://localhost:${PORT}`);
-    console.log(`📊 Status:`);
-    console.log(`   - MongoDB: ${mongoConnected ? '✅ Connected' : '❌ Disconnected'}`);
-    console.log(`   - Amplify: ${process.env.USE_AMPLIFY === 'true' ? '✅ Enabled' : '❌ Disabled'}`);
-    console.log(`📡 Health check: http://localhost:${PORT}/healthz`);
-  });
-} catch (error) {
-  console.error('❌ Failed to start server:', error);
-  process.exit(1);
+// Start server (tests import `app` and drive it with supertest instead)
+if (!IS_TEST) {
+  try {
+    app.listen(PORT, () => {
+      console.log(`✅ Server running on http://localhost:${PORT}`);
+      console.log(`📊 Status:`);
+      console.log(`   - MongoDB: ${mongoConnected ? '✅ Connected' : '❌ Disconnected'}`);
+      console.log(`   - Amplify: ${process.env.USE_AMPLIFY === 'true' ? '✅ Enabled' : '❌ Disabled'}`);
+      console.log(`📡 Health check: http://localhost:${PORT}/healthz`);
+
+      // Embed new or edited policies in the background; retrieval uses keywords until done
+      if (mongoConnected && CONFIG.EMBEDDINGS_ENABLED) {
+        ensurePolicyEmbeddings()
+          .then(({ updated, skipped }) => !skipped && console.log(`🧭 Policy embeddings ready (${updated} updated)`))
+          .catch(error => console.warn('Policy embedding backfill failed:', error.message));
+      }
+    });
+  } catch (error) {
+    console.error('❌ Failed to start server:', error);
+    process.exit(1);
+  }
 }
 
 // --- Email notifications (5 days before due) ---
@@ -1561,7 +2881,7 @@ const mailTransport = (() => {
 })();
 
 function signUnsubscribe(userId, eventId) {
-  const secret = process.env.JWT_SECRET || 'change-me';
+  const secret = CONFIG.JWT_SECRET;
   const data = `${userId}|${eventId}`;
   return crypto.createHmac('sha256', secret).update(data).digest('base64url');
 }
@@ -1615,7 +2935,7 @@ async function sendReminderEmail({ to, user, event, tasks, reminderDays }) {
 }
 
 // Run every day at 08:00 server time
-cron.schedule('0 8 * * *', async () => {
+if (!IS_TEST) cron.schedule('0 8 * * *', async () => {
   if (!mongoConnected) return;
   try {
     const now = new Date();
@@ -1647,4 +2967,6 @@ cron.schedule('0 8 * * *', async () => {
   } catch (e) {
     console.error('Cron email job error:', e);
   }
-});
\ No newline at end of file
+});
+
+export { app };
@@ -0,0 +1,251 @@
+// backend/src/taskGraph.js
+// Dependencies between checklist items. `checklist[].dependencies` holds the
+// _ids of the items that must be done first (older free-text entries that
+// match no item are ignored). Provides cycle detection, due-date scheduling
+// that respects dependency order and policy lead times, and a critical-path
+// analysis of which open tasks threaten the event.
+import { applicableRules } from './policyRules.js';
+import { DAY_MS, plain, time, startOfDay } from './util.js';
+
+// Student organizers plan part-time: hours of work that fit in one day
+const HOURS_PER_DAY = 4;
+
+const idOf = (item) => String(item._id);
+
+/** Whole days a task needs once its prerequisites are done (at least 1). */
+export const taskDays = (item) => Math.max(1, Math.ceil((Number(item.estimatedHours) || 0) / HOURS_PER_DAY));
+
+/**
+ * The graph of a checklist: items by id, and for each id its prerequisites
+ * and dependents. Headers, items without an _id and unknown or self
+ * references are left out.
+ */
+export function dependencyGraph(checklist = []) {
+  const items = new Map(checklist.filter(item => !item.isTimeHeader && item._id).map(item => [idOf(item), item]));
+  const prerequisites = new Map();
+  const dependents = new Map([...items.keys()].map(id => [id, []]));
+  items.forEach((item, id) => {
+    const ids = [...new Set((item.dependencies || []).map(String))].filter(dep => dep !== id && items.has(dep));
+    prerequisites.set(id, ids);
+    ids.forEach(dep => dependents.get(dep).push(id));
+  });
+  return { items, prerequisites, dependents };
+}
+
+/** Ids of one dependency cycle, first id repeated at the end, or null. */
+export function findCycle(checklist) {
+  const { items, prerequisites } = dependencyGraph(checklist);
+  const state = new Map(); // id → 'visiting' | 'done'
+  const path = [];
+
+  const visit = (id) => {
+    state.set(id, 'visiting');
+    path.push(id);
+    for (const dep of prerequisites.get(id)) {
+      if (state.get(dep) === 'visiting') return [...path.slice(path.indexOf(dep)), dep];
+      if (!state.has(dep)) {
+        const cycle = visit(dep);
+        if (cycle) return cycle;
+      }
+    }
+    path.pop();
+    state.set(id, 'done');
+    return null;
+  };
+
+  for (const id of items.keys()) {
+    if (!state.has(id)) {
+      const cycle = visit(id);
+      if (cycle) return cycle;
+    }
+  }
+  return null;
+}
+
+/** Throws a RangeError naming the tasks when the dependencies form a cycle. */
+export function assertAcyclic(checklist) {
+  const cycle = findCycle(checklist);
+  if (!cycle) return;
+  const { items } = dependencyGraph(checklist);
+  throw new RangeError(`Task dependencies form a cycle: ${cycle.map(id => `"${items.get(id).task}"`).join(' → ')}`);
+}
+
+// Prerequisites before dependents
+function topologicalOrder({ items, prerequisites, dependents }) {
+  const remaining = new Map([...items.keys()].map(id => [id, prerequisites.get(id).length]));
+  const queue = [...remaining].filter(([, count]) => count === 0).map(([id]) => id);
+  const order = [];
+  while (queue.length) {
+    const id = queue.shift();
+    order.push(id);
+    dependents.get(id).forEach(dep => {
+      remaining.set(dep, remaining.get(dep) - 1);
+      if (remaining.get(dep) === 0) queue.push(dep);
+    });
+  }
+  if (order.length !== items.size) throw new RangeError('Task dependencies form a cycle');
+  return order;
+}
+
+/**
+ * Latest due date each task can have on its own: the policy deadline for
+ * rule tasks (event date minus the rule's lead time), the event date for
+ * other tasks, none for tasks due after the event or without an event date.
+ */
+function ownDeadlines(event, items, { policies, skipRules }) {
+  const eventTime = time(event.eventDate);
+  const leadDays = new Map(applicableRules(event, { policies, skipRules }).map(({ rule, leadDays: days }) => [rule.id, days]));
+  const deadlines = new Map();
+  items.forEach((item, id) => {
+    if (eventTime == null) deadlines.set(id, { at: Infinity, kind: null });
+    else if (item.ruleId && leadDays.has(item.ruleId)) deadlines.set(id, { at: eventTime - leadDays.get(item.ruleId) * DAY_MS, kind: 'policy' });
+    else if (time(item.dueDate) > eventTime) deadlines.set(id, { at: Infinity, kind: null });
+    else deadlines.set(id, { at: eventTime, kind: 'event' });
+  });
+  return deadlines;
+}
+
+/**
+ * Move open tasks' due dates earlier where needed so that each task is due
+ * at least its taskDays before the tasks that depend on it, and no later
+ * than its own deadline (policy lead time, or the event date). Due dates
+ * are only ever moved earlier; undated tasks with dependencies get one.
+ * Completed tasks are not moved. Returns { checklist, adjustments:
+ * [{ itemId, task, from, to, reason: 'dependency' | 'policy' | 'event',
+ * dependent? }] }. Throws a RangeError for cyclic dependencies.
+ */
+export function scheduleChecklist(event, { policies = [], skipRules = [] } = {}) {
+  const source = plain(event);
+  const checklist = source.checklist || [];
+  const graph = dependencyGraph(checklist);
+  const order = topologicalOrder(graph);
+  const deadlines = ownDeadlines(source, graph.items, { policies, skipRules });
+
+  const due = new Map([...graph.items].map(([id, item]) => [id, time(item.dueDate)]));
+  const adjustments = [];
+
+  [...order].reverse().forEach(id => {
+    const item = graph.items.get(id);
+    if (item.completed) return;
+
+    let latest = deadlines.get(id).at;
+    let reason = deadlines.get(id).kind;
+    let dependent = null;
+    graph.dependents.get(id).forEach(depId => {
+      const depItem = graph.items.get(depId);
+      if (depItem.completed || due.get(depId) == null) return;
+      const limit = startOfDay(due.get(depId) - taskDays(depItem) * DAY_MS);
+      if (limit < latest) {
+        latest = limit;
+        reason = 'dependency';
+        dependent = depItem.task;
+      }
+    });
+
+    const inGraph = graph.prerequisites.get(id).length > 0 || graph.dependents.get(id).length > 0;
+    const current = due.get(id);
+    if (latest === Infinity || (current == null && !inGraph) || (current != null && current <= latest)) return;
+
+    due.set(id, latest);
+    adjustments.push({
+      itemId: id,
+      task: item.task,
+      from: current == null ? null : new Date(current),
+      to: new Date(latest),
+      reason,
+      ...(dependent ? { dependent } : {})
+    });
+  });
+
+  const moved = new Map(adjustments.map(a => [a.itemId, a.to]));
+  return {
+    checklist: checklist.map(item => (item._id && moved.has(idOf(item)) ? { ...item, dueDate: moved.get(idOf(item)) } : item)),
+    adjustments
+  };
+}
+
+/**
+ * Critical-path analysis of the open tasks. Each task's earliest finish
+ * assumes work starts now (or when its prerequisites finish) and takes
+ * taskDays; its latest finish is its own deadline or the latest start of a
+ * dependent. Slack is the difference in days. A task with negative slack
+ * cannot be finished in time even if started today, so it threatens the
+ * event (or its policy deadline). The critical path is the longest
+ * dependency chain of minimum-slack tasks. Throws a RangeError for cyclic
+ * dependencies.
+ */
+export function analyzeSchedule(event, { policies = [], skipRules = [], now = new Date() } = {}) {
+  const source = plain(event);
+  const graph = dependencyGraph(source.checklist || []);
+  const order = topologicalOrder(graph);
+  const deadlines = ownDeadlines(source, graph.items, { policies, skipRules });
+  const nowTime = now.getTime();
+  const open = (id) => !graph.items.get(id).completed;
+
+  const earliest = new Map();
+  order.filter(open).forEach(id => {
+    const start = Math.max(nowTime, ...graph.prerequisites.get(id).filter(open).map(dep => earliest.get(dep)));
+    earliest.set(id, start + taskDays(graph.items.get(id)) * DAY_MS);
+  });
+
+  const latest = new Map();
+  const limitedBy = new Map();
+  [...order].reverse().filter(open).forEach(id => {
+    let at = deadlines.get(id).at;
+    let kind = deadlines.get(id).kind;
+    graph.dependents.get(id).filter(open).forEach(depId => {
+      const limit = latest.get(depId) - taskDays(graph.items.get(depId)) * DAY_MS;
+      if (limit < at) {
+        at = limit;
+        kind = limitedBy.get(depId);
+      }
+    });
+    latest.set(id, at);
+    limitedBy.set(id, kind);
+  });
+
+  const tasks = order.map(id => {
+    const item = graph.items.get(id);
+    const base = {
+      itemId: id,
+      task: item.task,
+      dueDate: item.dueDate || null,
+      completed: Boolean(item.completed),
+      dependencies: graph.prerequisites.get(id),
+      durationDays: taskDays(item)
+    };
+    if (item.completed) return base;
+
+    const slackDays = latest.get(id) === Infinity ? null : Math.floor((latest.get(id) - earliest.get(id)) / DAY_MS);
+    return {
+      ...base,
+      overdue: item.dueDate != null && time(item.dueDate) < nowTime,
+      earliestFinish: new Date(earliest.get(id)),
+      latestFinish: latest.get(id) === Infinity ? null : new Date(latest.get(id)),
+      deadline: limitedBy.get(id),
+      slackDays,
+      threatensEvent: slackDays != null && slackDays < 0
+    };
+  });
+
+  // Longest chain through the tasks that share the minimum slack
+  const slacks = tasks.filter(t => t.slackDays != null).map(t => t.slackDays);
+  const minSlackDays = slacks.length ? Math.min(...slacks) : null;
+  const critical = new Set(tasks.filter(t => t.slackDays != null && t.slackDays === minSlackDays).map(t => t.itemId));
+  const chain = new Map();
+  order.filter(id => critical.has(id)).forEach(id => {
+    const best = graph.prerequisites.get(id).filter(dep => critical.has(dep))
+      .map(dep => chain.get(dep))
+      .reduce((longest, path) => (path.length > longest.length ? path : longest), []);
+    chain.set(id, [...best, id]);
+  });
+  const criticalPath = [...chain.values()].reduce((longest, path) => (path.length > longest.length ? path : longest), []);
+
+  return {
+    minSlackDays,
+    threatened: tasks.some(t => t.threatensEvent),
+    criticalPath,
+    overdueThreats: tasks.filter(t => t.overdue && t.threatensEvent).map(t => t.itemId),
+    tasks: tasks.map(t => ({ ...t, ...(t.completed ? {} : { critical: criticalPath.includes(t.itemId) }) }))
+  };
+}
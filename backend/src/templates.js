@@ -0,0 +1,101 @@
+// backend/src/templates.js
+// Event templates: an event's checklist saved with due dates relative to the
+// event date, so the same program can be started again without a new LLM
+// generation.
+import { DAY_MS, plain } from './util.js';
+
+const MINUTE_MS = 60 * 1000;
+
+const DEFAULT_FIELDS = ['expectedAttendance', 'hasAlcohol', 'involvesMinors', 'potentiallyControversial'];
+
+/** Whole days from the event date to a due date (negative = before the event). */
+export const offsetFromEvent = (dueDate, eventDate) =>
+  Math.round((new Date(dueDate) - new Date(eventDate)) / DAY_MS);
+
+/**
+ * Template fields from an event: its type and planning attributes (booking
+ * hours as `startMinutes` / `endMinutes` from the event date), and each
+ * checklist task with `offsetDays` instead of a due date. Time-period headers
+ * are dropped (they are rebuilt on instantiation). Tasks keep `ruleId` so the
+ * policy rules recognise them; policy references are not kept because new
+ * events are linked to the policy versions current when they are created.
+ */
+export function templateFromEvent(event, { name, description } = {}) {
+  const source = plain(event);
+  const eventDate = source.eventDate ? new Date(source.eventDate) : null;
+
+  const defaults = {};
+  DEFAULT_FIELDS.forEach(field => {
+    if (source[field] != null) defaults[field] = source[field];
+  });
+  if (source.location?.type || source.location?.venue) {
+    defaults.location = { type: source.location.type, venue: source.location.venue, room: source.location.room };
+  }
+  if (eventDate && source.startTime) {
+    defaults.startMinutes = Math.round((new Date(source.startTime) - eventDate) / MINUTE_MS);
+    if (source.endTime) defaults.endMinutes = Math.round((new Date(source.endTime) - eventDate) / MINUTE_MS);
+  }
+
+  const tasks = (source.checklist || [])
+    .filter(item => !item.isTimeHeader && item.task)
+    .map(item => ({
+      task: item.task,
+      description: item.description,
+      ...(eventDate && item.dueDate ? { offsetDays: offsetFromEvent(item.dueDate, eventDate) } : {}),
+      priority: item.priority,
+      category: item.category,
+      estimatedHours: item.estimatedHours,
+      timingType: item.timingType || 'recommended',
+      ...(item.ruleId ? { ruleId: item.ruleId } : {})
+    }));
+
+  return {
+    name: name || source.title,
+    description: description ?? source.description,
+    eventType: source.eventType || 'other',
+    category: source.category || 'other',
+    priority: source.priority || 'medium',
+    defaults,
+    tasks
+  };
+}
+
+/**
+ * Event data for a new event from a template. `eventDate` places every task
+ * and the booking hours; without one the tasks are undated and the event has
+ * no times. `overrides` (title, location, ...) win over the template
+ * defaults. The caller applies the policy rules and the time-period grouping
+ * before saving.
+ */
+export function eventFromTemplate(template, { eventDate, ...overrides } = {}) {
+  const source = plain(template);
+  const date = eventDate ? new Date(eventDate) : null;
+  const { startMinutes, endMinutes, ...defaults } = source.defaults || {};
+  const at = (minutes) => new Date(date.getTime() + minutes * MINUTE_MS);
+
+  return {
+    title: source.name,
+    description: source.description,
+    eventType: source.eventType,
+    category: source.category,
+    priority: source.priority,
+    ...defaults,
+    ...(defaults.location ? { location: { ...defaults.location } } : {}),
+    ...(date && startMinutes != null ? { startTime: at(startMinutes) } : {}),
+    ...(date && startMinutes != null && endMinutes != null ? { endTime: at(endMinutes) } : {}),
+    ...overrides,
+    eventDate: date,
+    templateId: source._id,
+    checklist: (source.tasks || []).map(task => ({
+      task: task.task,
+      description: task.description,
+      dueDate: date && task.offsetDays != null ? new Date(date.getTime() + task.offsetDays * DAY_MS) : null,
+      priority: task.priority || 'medium',
+      category: task.category,
+      estimatedHours: task.estimatedHours,
+      timingType: task.timingType || 'recommended',
+      ...(task.ruleId ? { ruleId: task.ruleId } : {}),
+      completed: false
+    }))
+  };
+}
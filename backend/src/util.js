@@ -0,0 +1,30 @@
+// backend/src/util.js
+// Small helpers shared by the event modules: documents as plain objects, UTC
+// day arithmetic (date inputs are stored as UTC midnight) and download file
+// names.
+
+export const HOUR_MS = 60 * 60 * 1000;
+export const DAY_MS = 24 * HOUR_MS;
+
+/** A Mongoose document as a plain object; lean objects pass through, null becomes {}. */
+export const plain = (doc) => (typeof doc?.toObject === 'function' ? doc.toObject() : doc || {});
+
+/** Milliseconds since the epoch, or null without a date. */
+export const time = (date) => (date ? new Date(date).getTime() : null);
+
+/** `days` days before `date` (negative for after). */
+export const daysBefore = (date, days) => new Date(new Date(date).getTime() - days * DAY_MS);
+
+/** Midnight UTC of the day containing `ms`, in milliseconds. */
+export const startOfDay = (ms) => {
+  const d = new Date(ms);
+  d.setUTCHours(0, 0, 0, 0);
+  return d.getTime();
+};
+
+/** The UTC calendar day of a date as YYYY-MM-DD. */
+export const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+/** Download name from the event title, e.g. ("Spring Mixer!", '-checklist.csv') → "spring-mixer-checklist.csv". */
+export const eventFileName = (event, suffix) =>
+  `${String(event?.title || 'event').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'event'}${suffix}`;
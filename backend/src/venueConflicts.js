@@ -0,0 +1,119 @@
+// backend/src/venueConflicts.js
+// Venue bookings. An event with a location.venue occupies that venue (or
+// one of its rooms) from startTime to endTime, or for its whole event day
+// when it has no times. Finds other events booked into the same place at
+// an overlapping time and lists what is planned at a venue.
+import { HOUR_MS, DAY_MS, plain, dayKey } from './util.js';
+
+// Length of a booking that has a start but no end
+export const DEFAULT_BOOKING_HOURS = 2;
+
+const norm = (text) => String(text || '').trim().toLowerCase();
+
+/** Throws a RangeError for unreadable times, an endTime without a startTime, or one not after it. */
+export function assertBookingTimes({ startTime, endTime } = {}) {
+  if ([startTime, endTime].some(time => time && isNaN(new Date(time).getTime()))) {
+    throw new RangeError('startTime and endTime must be valid dates');
+  }
+  if (endTime && !startTime) throw new RangeError('endTime needs a startTime');
+  if (startTime && endTime && new Date(endTime) <= new Date(startTime)) {
+    throw new RangeError('endTime must be after startTime');
+  }
+}
+
+/**
+ * The booking an event makes, as { venue, room, day, start, end, allDay },
+ * or null without a venue or a date. Without times it is all day on the
+ * event date; with only a start it lasts DEFAULT_BOOKING_HOURS.
+ */
+export function bookingOf(event) {
+  const source = plain(event);
+  const venue = source.location?.venue?.trim();
+  if (!venue || !(source.eventDate || source.startTime)) return null;
+  const start = source.startTime ? new Date(source.startTime) : null;
+  const end = start && (source.endTime ? new Date(source.endTime) : new Date(start.getTime() + DEFAULT_BOOKING_HOURS * HOUR_MS));
+  return {
+    venue,
+    room: source.location.room?.trim() || null,
+    day: dayKey(source.eventDate || start),
+    start,
+    end,
+    allDay: !start
+  };
+}
+
+/** Same place: the same venue (ignoring case) and, when both name one, the same room. */
+export const samePlace = (a, b) =>
+  norm(a.venue) === norm(b.venue) && (!a.room || !b.room || norm(a.room) === norm(b.room));
+
+/** Overlapping time: all-day bookings clash with anything on their day; timed ones when their intervals overlap. */
+export const sameTime = (a, b) =>
+  (a.allDay || b.allDay ? a.day === b.day : a.start < b.end && b.start < a.end);
+
+/**
+ * MongoDB filter for the events that may clash with `event` (run it with
+ * VENUE_COLLATION so the venue matches regardless of case), or null when
+ * the event books no venue. findVenueConflicts makes the final call.
+ */
+export function venueConflictQuery(event) {
+  const booking = bookingOf(event);
+  if (!booking) return null;
+  const source = plain(event);
+  const dayStart = new Date(`${booking.day}T00:00:00Z`);
+  const sameDay = { eventDate: { $gte: dayStart, $lt: new Date(dayStart.getTime() + DAY_MS) } };
+  return {
+    'location.venue': booking.venue,
+    status: { $ne: 'cancelled' },
+    ...(source._id ? { _id: { $ne: source._id } } : {}),
+    $or: booking.allDay ? [sameDay] : [sameDay, { startTime: { $lt: booking.end }, endTime: { $gt: booking.start } }]
+  };
+}
+
+// What another user may learn about a booking: where and when, and what it is only with access to the event
+function describeBooking(event, booking, access) {
+  return {
+    eventId: access ? String(event._id) : null,
+    title: access ? event.title : 'Reserved',
+    venue: booking.venue,
+    room: booking.room,
+    day: booking.day,
+    startTime: booking.start,
+    endTime: booking.end,
+    allDay: booking.allDay,
+    status: event.status || 'pending'
+  };
+}
+
+/**
+ * Other events booked into the same place as `event` at an overlapping
+ * time (see describeBooking for the shape). Cancelled events and the event
+ * itself are skipped. `accessFor(candidate)` gives the user's access level;
+ * without access the title and id are withheld.
+ */
+export function findVenueConflicts(event, candidates = [], { accessFor = () => null } = {}) {
+  const booking = bookingOf(event);
+  if (!booking) return [];
+  const id = plain(event)._id;
+  return candidates
+    .map(candidate => ({ candidate: plain(candidate), other: bookingOf(candidate) }))
+    .filter(({ candidate, other }) => other &&
+      candidate.status !== 'cancelled' &&
+      !(id && String(candidate._id) === String(id)) &&
+      samePlace(booking, other) && sameTime(booking, other))
+    .map(({ candidate, other }) => describeBooking(candidate, other, accessFor(candidate)));
+}
+
+/**
+ * What is planned at `venue` (and `room`, when given) among `events`,
+ * earliest first. Rooms other than `room` are left out; bookings of the
+ * whole venue are kept. Same visibility rule as findVenueConflicts.
+ */
+export function venueSchedule(events = [], { venue, room = null, accessFor = () => null } = {}) {
+  const place = { venue, room };
+  return events
+    .map(event => ({ event: plain(event), booking: bookingOf(event) }))
+    .filter(({ event, booking }) => booking && event.status !== 'cancelled' && samePlace(place, booking))
+    .sort((a, b) => a.booking.day.localeCompare(b.booking.day) ||
+      (a.booking.start?.getTime() ?? 0) - (b.booking.start?.getTime() ?? 0))
+    .map(({ event, booking }) => describeBooking(event, booking, accessFor(event)));
+}
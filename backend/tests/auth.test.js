@@ -0,0 +1,216 @@
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import bcrypt from 'bcryptjs';
+import mongoose from 'mongoose';
+import request from 'supertest';
+
+// server.js connects on import; pretend MongoDB is up and stub the model calls
+process.env.LLM_PROVIDER = 'fake';
+process.env.EMBEDDINGS_ENABLED = 'false';
+jest.unstable_mockModule('../src/db.js', () => ({ connectDB: async () => {}, mongoose }));
+
+const { app } = await import('../src/server.js');
+const { User } = await import('../src/models.js');
+const { issueTokens, hashPassword, verifyPassword, MIN_PASSWORD_LENGTH } = await import('../src/auth.js');
+const { CONFIG } = await import('../src/config.js');
+
+const PASSWORD = 'correct horse battery';
+
+const storedUser = async (fields = {}) => new User({
+  vanderbiltId: 'smithj1',
+  email: 'jane.smith@vanderbilt.edu',
+  firstName: 'Jane',
+  lastName: 'Smith',
+  role: 'staff',
+  passwordHash: await bcrypt.hash(PASSWORD, 4),
+  ...fields
+});
+
+const query = (result) => ({ select: async () => result, lean: async () => result });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('requireAuth', () => {
+  test('rejects a request without a token', async () => {
+    const res = await request(app).get('/api/auth/me');
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('AUTH_REQUIRED');
+  });
+
+  test('rejects a token signed with another secret', async () => {
+    const forged = jwt.sign({ sub: 'x', typ: 'access', isAdmin: true }, 'not-the-secret');
+    const res = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${forged}`);
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('TOKEN_INVALID');
+  });
+
+  test('rejects a malformed token', async () => {
+    const res = await request(app).get('/api/auth/me').set('Authorization', 'Bearer not.a.token');
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('TOKEN_INVALID');
+  });
+
+  test('tells an expired token apart so the client can refresh', async () => {
+    const expired = jwt.sign(
+      { sub: 'x', typ: 'access', exp: Math.floor(Date.now() / 1000) - 60 },
+      CONFIG.JWT_SECRET
+    );
+    const res = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${expired}`);
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('TOKEN_EXPIRED');
+  });
+
+  test('does not accept a refresh token as an access token', async () => {
+    const { refreshToken } = issueTokens(await storedUser());
+    const res = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${refreshToken}`);
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('TOKEN_INVALID');
+  });
+
+  test('resolves the user from a valid access token', async () => {
+    const user = await storedUser();
+    const { token } = issueTokens(user);
+    const res = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+    expect(res.status).toBe(200);
+    expect(res.body.user).toMatchObject({ _id: String(user._id), vanderbiltId: 'smithj1', isAdmin: false });
+  });
+});
+
+describe('password hashing', () => {
+  test('hashes with bcrypt and verifies only the same password', async () => {
+    const hash = await hashPassword(PASSWORD);
+    expect(hash).not.toContain(PASSWORD);
+    expect(await verifyPassword(PASSWORD, hash)).toBe(true);
+    expect(await verifyPassword('wrong password', hash)).toBe(false);
+  });
+
+  test('rejects short passwords and accounts without a hash', async () => {
+    await expect(hashPassword('x'.repeat(MIN_PASSWORD_LENGTH - 1))).rejects.toThrow(RangeError);
+    expect(await verifyPassword(PASSWORD, undefined)).toBe(false);
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  test('issues tokens for the right password without returning the hash', async () => {
+    const user = await storedUser();
+    const findOne = jest.spyOn(User, 'findOne').mockReturnValue(query(user));
+
+    const res = await request(app).post('/api/auth/login').send({ vanderbiltId: 'smithj1', password: PASSWORD });
+
+    expect(res.status).toBe(200);
+    expect(findOne).toHaveBeenCalledWith({ vanderbiltId: 'smithj1' });
+    expect(res.body.user).toMatchObject({ vanderbiltId: 'smithj1', email: 'jane.smith@vanderbilt.edu' });
+    expect(res.body.user.passwordHash).toBeUndefined();
+    expect(jwt.verify(res.body.token, CONFIG.JWT_SECRET)).toMatchObject({ sub: String(user._id), typ: 'access' });
+    expect(jwt.verify(res.body.refreshToken, CONFIG.JWT_SECRET).typ).toBe('refresh');
+  });
+
+  test('rejects a wrong password', async () => {
+    jest.spyOn(User, 'findOne').mockReturnValue(query(await storedUser()));
+    const res = await request(app).post('/api/auth/login').send({ vanderbiltId: 'smithj1', password: 'guess1234' });
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: 'Invalid Vanderbilt ID or password', code: 'INVALID_CREDENTIALS' });
+  });
+
+  test('rejects an unknown ID the same way and creates no user', async () => {
+    jest.spyOn(User, 'findOne').mockReturnValue(query(null));
+    const save = jest.spyOn(User.prototype, 'save');
+    const res = await request(app).post('/api/auth/login').send({ vanderbiltId: 'nobody', password: PASSWORD });
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('INVALID_CREDENTIALS');
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  test('rejects a forged profile sent without a password', async () => {
+    const findOne = jest.spyOn(User, 'findOne');
+    const res = await request(app).post('/api/auth/login').send({
+      vanderbiltId: 'admin1', email: 'admin@vanderbilt.edu', firstName: 'Ad', lastName: 'Min', role: 'staff'
+    });
+    expect(res.status).toBe(400);
+    expect(res.body.token).toBeUndefined();
+    expect(findOne).not.toHaveBeenCalled();
+  });
+
+  test('rejects an account created before passwords existed', async () => {
+    jest.spyOn(User, 'findOne').mockReturnValue(query(await storedUser({ passwordHash: undefined })));
+    const res = await request(app).post('/api/auth/login').send({ vanderbiltId: 'smithj1', password: PASSWORD });
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('POST /api/auth/register', () => {
+  const body = {
+    vanderbiltId: 'doej2', email: ' John.Doe@Vanderbilt.edu ', firstName: 'John', lastName: 'Doe',
+    role: 'student', password: PASSWORD
+  };
+
+  test('stores a bcrypt hash and signs the new user in', async () => {
+    jest.spyOn(User, 'findOne').mockReturnValue(query(null));
+    let saved;
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function save() {
+      saved = this;
+      return this;
+    });
+
+    const res = await request(app).post('/api/auth/register').send(body);
+
+    expect(res.status).toBe(201);
+    expect(saved.email).toBe('john.doe@vanderbilt.edu');
+    expect(await bcrypt.compare(PASSWORD, saved.passwordHash)).toBe(true);
+    expect(res.body.user.passwordHash).toBeUndefined();
+    expect(res.body.token).toEqual(expect.any(String));
+  });
+
+  test('refuses to take over an existing ID or email', async () => {
+    jest.spyOn(User, 'findOne').mockReturnValue(query(await storedUser()));
+    const save = jest.spyOn(User.prototype, 'save');
+    const res = await request(app).post('/api/auth/register').send(body);
+    expect(res.status).toBe(409);
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  test('rejects a short password', async () => {
+    jest.spyOn(User, 'findOne').mockReturnValue(query(null));
+    const res = await request(app).post('/api/auth/register').send({ ...body, password: 'short' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/at least/);
+  });
+});
+
+describe('POST /api/auth/refresh', () => {
+  test('exchanges a refresh token for a new pair from the stored profile', async () => {
+    const user = await storedUser();
+    const { refreshToken } = issueTokens(user);
+    jest.spyOn(User, 'findById').mockReturnValue(query({ ...user.toObject(), role: 'student' }));
+
+    const res = await request(app).post('/api/auth/refresh').send({ refreshToken });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.role).toBe('student');
+    expect(jwt.verify(res.body.token, CONFIG.JWT_SECRET)).toMatchObject({ sub: String(user._id), typ: 'access' });
+  });
+
+  test('rejects an access token, a bad token and a deleted user', async () => {
+    const user = await storedUser();
+    const { token, refreshToken } = issueTokens(user);
+
+    const asAccess = await request(app).post('/api/auth/refresh').send({ refreshToken: token });
+    expect(asAccess.status).toBe(401);
+
+    const garbage = await request(app).post('/api/auth/refresh').send({ refreshToken: 'nope' });
+    expect(garbage.status).toBe(401);
+
+    jest.spyOn(User, 'findById').mockReturnValue(query(null));
+    const deleted = await request(app).post('/api/auth/refresh').send({ refreshToken });
+    expect(deleted.status).toBe(401);
+    expect(deleted.body.code).toBe('REFRESH_INVALID');
+  });
+
+  test('rejects a token for a user id that was never stored', async () => {
+    const { refreshToken } = issueTokens({ _id: 'temp-smithj1', vanderbiltId: 'smithj1' });
+    const res = await request(app).post('/api/auth/refresh').send({ refreshToken });
+    expect(res.status).toBe(401);
+  });
+});
@@ -0,0 +1,131 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import request from 'supertest';
+
+// No database: chat streams without policy context, and nothing is saved
+process.env.LLM_PROVIDER = 'fake';
+process.env.EMBEDDINGS_ENABLED = 'false';
+process.env.LLM_MAX_RETRIES = '0';
+jest.unstable_mockModule('../src/db.js', () => ({
+  connectDB: async () => { throw new Error('no database in tests'); },
+  mongoose
+}));
+
+const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+const { app } = await import('../src/server.js');
+const { issueTokens } = await import('../src/auth.js');
+const { fakeProvider } = await import('../src/llm/fake.js');
+const { LLMError, LLM_ERROR_CODES } = await import('../src/llm/errors.js');
+warn.mockRestore();
+
+const user = { _id: new mongoose.Types.ObjectId(), vanderbiltId: 'streamer1', email: 'streamer@vanderbilt.edu', role: 'student' };
+const bearer = `Bearer ${issueTokens(user).token}`;
+
+// "event: x\ndata: {...}\n\n" blocks → [{ event, data }]
+const parseSse = (text) => text
+  .split('\n\n')
+  .filter(Boolean)
+  .map((block) => {
+    const lines = Object.fromEntries(block.split('\n').map(line => {
+      const at = line.indexOf(': ');
+      return [line.slice(0, at), line.slice(at + 2)];
+    }));
+    return { event: lines.event, data: JSON.parse(lines.data) };
+  });
+
+const stream = (body) => request(app).post('/api/chat/stream').set('Authorization', bearer).send(body);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/chat/stream', () => {
+  test('streams token events and ends with a done event holding the whole reply', async () => {
+    const res = await stream({ message: 'Plan a mixer with a DJ' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+    expect(res.headers['cache-control']).toBe('no-cache, no-transform');
+    expect(res.text.endsWith('\n\n')).toBe(true);
+
+    const events = parseSse(res.text);
+    const tokens = events.filter(e => e.event === 'token');
+    const last = events.at(-1);
+    expect(tokens.length).toBeGreaterThan(1);
+    expect(events.slice(0, -1).every(e => e.event === 'token')).toBe(true);
+    expect(last.event).toBe('done');
+    expect(last.data.response).toBe(tokens.map(t => t.data.text).join(''));
+    expect(last.data.response).toContain('You asked: "Plan a mixer with a DJ"');
+    expect(last.data.citations).toEqual([]);
+  });
+
+  test('rejects an empty message as JSON before any stream starts', async () => {
+    const res = await stream({ message: '   ' });
+    expect(res.status).toBe(400);
+    expect(res.headers['content-type']).toMatch(/json/);
+    expect(res.body.error).toBe('Message is required');
+  });
+
+  test('sends an error event when the model fails after the headers went out', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(fakeProvider, 'stream').mockImplementation(async function* failing() {
+      yield 'Partial ';
+      throw new LLMError('upstream reset', { code: LLM_ERROR_CODES.UPSTREAM });
+    });
+
+    const res = await stream({ message: 'Plan a concert' });
+
+    expect(res.status).toBe(200);
+    const events = parseSse(res.text);
+    expect(events.map(e => e.event)).toEqual(['token', 'error']);
+    expect(events[0].data).toEqual({ text: 'Partial ' });
+    expect(events[1].data).toMatchObject({ code: LLM_ERROR_CODES.UPSTREAM, error: expect.any(String) });
+    // Output was already sent, so the stream is not retried
+    expect(fakeProvider.stream).toHaveBeenCalledTimes(1);
+    expect(error).toHaveBeenCalledWith('Chat stream error:', expect.any(LLMError));
+  });
+
+  test('aborts the model request when the client disconnects, without logging an error', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const log = jest.spyOn(console, 'log');
+    let upstreamSignal;
+    let finished;
+    const done = new Promise(resolve => { finished = resolve; });
+    jest.spyOn(fakeProvider, 'stream').mockImplementation(async function* slow(messages, { signal }) {
+      upstreamSignal = signal;
+      try {
+        yield 'First ';
+        await new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })), { once: true });
+        });
+        yield 'never sent';
+      } finally {
+        finished();
+      }
+    });
+
+    const server = app.listen(0);
+    try {
+      const client = new AbortController();
+      const res = await fetch(`http://127.0.0.1:${server.address().port}/api/chat/stream`, {
+        method: 'POST',
+        headers: { Authorization: bearer, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Plan a workshop' }),
+        signal: client.signal
+      });
+      const reader = res.body.getReader();
+      const { value } = await reader.read();
+      expect(new TextDecoder().decode(value)).toBe('event: token\ndata: {"text":"First "}\n\n');
+
+      client.abort();
+      await done;
+    } finally {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+
+    expect(upstreamSignal.aborted).toBe(true);
+    expect(error).not.toHaveBeenCalled();
+    expect(log).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,150 @@
+import {
+  CHECKLIST_COLUMNS, MAX_IMPORT_ROWS, checklistToCsv, checklistToXlsx, checklistFileName, readChecklistFile,
+  validateChecklistRows, planChecklistImport
+} from '../src/checklistSpreadsheet.js';
+
+const now = new Date('2027-03-01T12:00:00Z');
+const checklist = [
+  { task: '2-4 weeks out', isTimeHeader: true },
+  { task: 'Book the venue', dueDate: new Date('2027-03-23T00:00:00Z'), priority: 'high', timingType: 'required', ruleId: 'space-booking', category: 'Space Booking' },
+  { task: 'Order food, drinks and "snacks"', description: 'Line one\nLine two', completed: true, estimatedHours: 2 },
+  { task: '=HYPERLINK("https://evil.example")', description: '@SUM(A1)' }
+];
+
+const csvFile = (text) => ({ buffer: Buffer.from(text), originalname: 'checklist.csv', mimetype: 'text/csv' });
+
+describe('checklistToCsv', () => {
+  const csv = checklistToCsv(checklist);
+  const lines = csv.split('\r\n');
+
+  test('writes a header and one row per task, without time-period headers', () => {
+    expect(lines[0]).toBe(CHECKLIST_COLUMNS.join(','));
+    expect(lines[1]).toBe('Book the venue,,2027-03-23,high,required,Space Booking,no,');
+    expect(csv).not.toMatch(/2-4 weeks out/);
+  });
+
+  test('quotes commas, quotes and line breaks', () => {
+    expect(csv).toContain('"Order food, drinks and ""snacks""","Line one\nLine two",,medium,recommended,,yes,2');
+  });
+
+  test('keeps cells from starting a formula', () => {
+    expect(csv).toContain(`"'=HYPERLINK(""https://evil.example"")",'@SUM(A1)`);
+    expect(checklistToCsv([{ task: '-1 chairs' }, { task: '+1 table' }])).toMatch(/^'-1 chairs,.*\r\n'\+1 table,/m);
+  });
+
+  test('reads back what it writes', async () => {
+    const rows = await readChecklistFile(csvFile(csv));
+    expect(rows.map(r => [r.row, r.task, r.description])).toEqual([
+      [2, 'Book the venue', undefined],
+      [3, 'Order food, drinks and "snacks"', 'Line one\nLine two'],
+      [4, '=HYPERLINK("https://evil.example")', '@SUM(A1)']
+    ]);
+  });
+});
+
+describe('checklistToXlsx', () => {
+  test('reads back what it writes', async () => {
+    const buffer = await checklistToXlsx(checklist, { title: 'Spring Mixer: 2027/04' });
+    const rows = await readChecklistFile({ buffer, originalname: 'checklist.xlsx' });
+    expect(rows).toHaveLength(3);
+    expect(rows[0]).toMatchObject({ row: 2, task: 'Book the venue', priority: 'high', category: 'Space Booking' });
+    expect(new Date(rows[0].dueDate).toISOString().slice(0, 10)).toBe('2027-03-23');
+    expect(rows[1]).toMatchObject({ completed: 'yes', estimatedHours: 2 });
+  });
+});
+
+describe('readChecklistFile', () => {
+  test('matches headers loosely and skips blank rows and unknown columns', async () => {
+    const rows = await readChecklistFile(csvFile('\uFEFFTask,Due Date,Owner\r\nBook room,2027-03-01,Sam\r\n,,\r\nOrder food,,\r\n'));
+    expect(rows).toEqual([
+      { row: 2, task: 'Book room', dueDate: '2027-03-01' },
+      { row: 4, task: 'Order food' }
+    ]);
+  });
+
+  test('needs a task column', async () => {
+    await expect(readChecklistFile(csvFile('name,dueDate\nBook room,2027-03-01\n'))).rejects.toThrow(RangeError);
+  });
+
+  test('limits the number of rows', async () => {
+    const text = ['task', ...Array.from({ length: MAX_IMPORT_ROWS + 1 }, (_, i) => `Task ${i}`)].join('\n');
+    await expect(readChecklistFile(csvFile(text))).rejects.toThrow(`At most ${MAX_IMPORT_ROWS} rows`);
+  });
+});
+
+describe('validateChecklistRows', () => {
+  test('casts spreadsheet text to checklist values', () => {
+    const { items, errors } = validateChecklistRows([
+      { row: 2, task: 'Book room', dueDate: '2027-03-01', priority: 'High', completed: 'Yes', estimatedHours: '1.5' },
+      { row: 3, task: 'Order food', dueDate: new Date('2027-03-05T00:00:00Z'), timingType: 'REQUIRED' }
+    ]);
+    expect(errors).toEqual([]);
+    expect(items).toEqual([
+      { task: 'Book room', dueDate: new Date('2027-03-01T00:00:00Z'), priority: 'high', completed: true, estimatedHours: 1.5 },
+      { task: 'Order food', dueDate: new Date('2027-03-05T00:00:00Z'), timingType: 'required' }
+    ]);
+  });
+
+  test('reports invalid cells by row, quoting the cell as written', () => {
+    const { errors } = validateChecklistRows([
+      { row: 2, task: 'Book room', dueDate: 'next tuesday' },
+      { row: 3, task: 'Order food', dueDate: '2027-02-30', priority: 'urgent' },
+      { row: 5, description: 'No task' }
+    ]);
+    expect(errors).toEqual(expect.arrayContaining([
+      { row: 2, field: 'dueDate', message: 'Invalid dueDate: "next tuesday"' },
+      { row: 3, field: 'dueDate', message: 'Invalid dueDate: "2027-02-30"' },
+      { row: 3, field: 'priority', message: 'Invalid priority: "urgent"' },
+      { row: 5, field: 'task', message: 'task is required' }
+    ]));
+    expect(errors).toHaveLength(4);
+    expect(errors.map(e => e.row)).toEqual([2, 3, 3, 5]);
+  });
+});
+
+describe('planChecklistImport', () => {
+  const existing = checklist.slice(1, 3);
+
+  test('updates matching tasks, adds new ones and keeps the rest', () => {
+    const items = [
+      { task: 'Order food, drinks and "snacks"', completed: false, category: 'Catering' },
+      { task: 'Print name tags', priority: 'low' }
+    ];
+    const { checklist: merged, changes } = planChecklistImport(existing, items, [{ row: 2 }, { row: 3 }], { now });
+    expect(merged.map(i => i.task)).toEqual(['Book the venue', 'Order food, drinks and "snacks"', 'Print name tags']);
+    expect(merged[1]).toMatchObject({ completed: false, category: 'Catering', completedAt: undefined });
+    expect(merged[2]).toMatchObject({ priority: 'low', timingType: 'recommended' });
+    expect(changes).toEqual([
+      {
+        row: 2,
+        type: 'update',
+        task: items[0].task,
+        existingTask: items[0].task,
+        fields: [{ field: 'completed', from: true, to: false }, { field: 'category', from: null, to: 'Catering' }]
+      },
+      { row: 3, type: 'add', task: 'Print name tags' }
+    ]);
+  });
+
+  test('leaves the due date and timing of rule tasks alone', () => {
+    const { changes } = planChecklistImport(existing, [{ task: 'Book the venue', dueDate: new Date('2027-04-01T00:00:00Z'), timingType: 'recommended' }], [{ row: 2 }]);
+    expect(changes).toEqual([{ row: 2, type: 'unchanged', task: 'Book the venue', existingTask: 'Book the venue', skipped: ['dueDate', 'timingType'] }]);
+  });
+
+  test('adds a task once when the file repeats it', () => {
+    const { checklist: merged, changes } = planChecklistImport([], [{ task: 'Print name tags' }, { task: 'Print name tags' }], [{ row: 2 }, { row: 3 }]);
+    expect(merged).toHaveLength(1);
+    expect(changes.map(c => c.type)).toEqual(['add', 'duplicate']);
+  });
+
+  test('stamps completion on added tasks', () => {
+    const { checklist: merged } = planChecklistImport([], [{ task: 'Print name tags', completed: true }], [{ row: 2 }], { now });
+    expect(merged[0].completedAt).toEqual(now);
+  });
+});
+
+describe('checklistFileName', () => {
+  test('names the download after the event and format', () => {
+    expect(checklistFileName({ title: 'Spring Mixer' }, 'xlsx')).toBe('spring-mixer-checklist.xlsx');
+  });
+});
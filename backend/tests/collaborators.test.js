@@ -0,0 +1,164 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import request from 'supertest';
+
+// server.js connects on import; pretend MongoDB is up and stub the model calls
+process.env.LLM_PROVIDER = 'fake';
+process.env.EMBEDDINGS_ENABLED = 'false';
+jest.unstable_mockModule('../src/db.js', () => ({ connectDB: async () => {}, mongoose }));
+
+const { app } = await import('../src/server.js');
+const { Event, ProgramPlan, User, Template } = await import('../src/models.js');
+const { issueTokens } = await import('../src/auth.js');
+
+const account = (email) => ({
+  _id: new mongoose.Types.ObjectId(), vanderbiltId: email.split('@')[0], email, firstName: 'Test', lastName: 'User', role: 'staff'
+});
+const owner = account('owner@vanderbilt.edu');
+const invitee = account('invitee@vanderbilt.edu');
+const bearer = (user) => `Bearer ${issueTokens(user).token}`;
+
+const collaborativeEvent = () => new Event({
+  title: 'Spring Mixer',
+  eventDate: new Date('2027-04-10'),
+  userId: owner._id,
+  owner: owner._id,
+  collaborationEnabled: true,
+  collaborationId: 'collab-token'
+});
+
+let saved;
+beforeEach(() => {
+  saved = [];
+  jest.spyOn(Event.prototype, 'save').mockImplementation(async function save() {
+    saved.push(this);
+    return this;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const invite = async (event, body) => {
+  jest.spyOn(Event, 'findById').mockResolvedValue(event);
+  return request(app)
+    .post(`/api/events/${event._id}/collaborators`)
+    .set('Authorization', bearer(owner))
+    .send({ email: 'Invitee@Vanderbilt.edu', firstName: 'In', lastName: 'Vitee', ...body });
+};
+
+describe('POST /api/events/:id/collaborators', () => {
+  test('adds an unbound invite and returns its one-time link', async () => {
+    const event = collaborativeEvent();
+    const res = await invite(event, { permission: 'view' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.inviteUrl).toMatch(/\/collaborate\/collab-token\?invite=[\w-]+$/);
+    expect(res.body.collaborator.inviteTokenHash).toBeUndefined();
+    const [entry] = event.collaborators;
+    expect(entry).toMatchObject({ userId: null, email: 'invitee@vanderbilt.edu', permission: 'view' });
+    expect(entry.inviteTokenHash).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('rejects a permission outside view/edit/admin', async () => {
+    const event = collaborativeEvent();
+    const res = await invite(event, { permission: 'owner' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/view, edit, admin/);
+    expect(event.collaborators).toHaveLength(0);
+  });
+
+  test('ignores a userId in the body', async () => {
+    const event = collaborativeEvent();
+    await invite(event, { userId: String(invitee._id) });
+    expect(event.collaborators[0].userId).toBeNull();
+  });
+});
+
+describe('POST /api/collaborate/:collaborationId/join', () => {
+  const join = (user, body) => request(app)
+    .post('/api/collaborate/collab-token/join')
+    .set('Authorization', bearer(user))
+    .send(body);
+
+  test('binds the invite to the account that accepts it, once', async () => {
+    const event = collaborativeEvent();
+    const { body } = await invite(event, { permission: 'edit' });
+    const inviteToken = new URL(body.inviteUrl).searchParams.get('invite');
+    jest.spyOn(Event, 'findOne').mockResolvedValue(event);
+
+    const res = await join(invitee, { inviteToken });
+
+    expect(res.status).toBe(200);
+    const [entry] = event.collaborators;
+    expect(String(entry.userId)).toBe(String(invitee._id));
+    expect(entry.inviteTokenHash).toBeUndefined();
+    expect(event.activityLog.at(-1).action).toBe('joined');
+
+    const someoneElse = account('someone@vanderbilt.edu');
+    const replay = await join(someoneElse, { inviteToken });
+    expect(replay.status).toBe(403);
+  });
+
+  test('does not let an account with the invited email join without the token', async () => {
+    const event = collaborativeEvent();
+    await invite(event, { permission: 'admin' });
+    jest.spyOn(Event, 'findOne').mockResolvedValue(event);
+    saved = [];
+
+    const impostor = account('invitee@vanderbilt.edu');
+    const res = await join(impostor, { inviteToken: 'guessed' });
+
+    expect(res.status).toBe(403);
+    expect(event.collaborators[0].userId).toBeNull();
+    expect(saved).toHaveLength(0);
+  });
+
+  test('a joined collaborator can open the event; the impostor cannot', async () => {
+    const event = collaborativeEvent();
+    const { body } = await invite(event, { permission: 'view' });
+    jest.spyOn(Event, 'findOne').mockResolvedValue(event);
+    await join(invitee, { inviteToken: new URL(body.inviteUrl).searchParams.get('invite') });
+    jest.spyOn(Event, 'updateOne').mockResolvedValue({});
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => ({ lean: async () => owner }) });
+
+    const allowed = await request(app).get('/api/collaborate/collab-token').set('Authorization', bearer(invitee));
+    expect(allowed.status).toBe(200);
+    expect(allowed.body.access).toBe('view');
+
+    const impostor = account('invitee@vanderbilt.edu');
+    const denied = await request(app).get('/api/collaborate/collab-token').set('Authorization', bearer(impostor));
+    expect(denied.status).toBe(403);
+  });
+});
+
+describe('planId ownership', () => {
+  test('POST /api/events refuses a plan that belongs to someone else', async () => {
+    const planId = new mongoose.Types.ObjectId();
+    jest.spyOn(ProgramPlan, 'findById').mockReturnValue({ lean: async () => ({ _id: planId, userId: owner._id }) });
+
+    const res = await request(app)
+      .post('/api/events')
+      .set('Authorization', bearer(invitee))
+      .send({ title: 'Borrowed plan', eventDate: '2027-04-10', planId: String(planId) });
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Plan not found');
+    expect(saved).toHaveLength(0);
+  });
+
+  test('POST /api/templates/:id/events refuses a plan that belongs to someone else', async () => {
+    const template = new Template({ name: 'Mixer', eventType: 'social', owner: invitee._id, tasks: [] });
+    jest.spyOn(Template, 'findById').mockResolvedValue(template);
+    jest.spyOn(ProgramPlan, 'findById').mockReturnValue({ lean: async () => ({ userId: owner._id }) });
+
+    const res = await request(app)
+      .post(`/api/templates/${template._id}/events`)
+      .set('Authorization', bearer(invitee))
+      .send({ eventDate: '2027-04-10', planId: String(new mongoose.Types.ObjectId()) });
+
+    expect(res.status).toBe(404);
+    expect(saved).toHaveLength(0);
+  });
+});
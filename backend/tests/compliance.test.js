@@ -0,0 +1,96 @@
+import { POLICIES } from '../../database/policies.js';
+import { checkCompliance } from '../src/compliance.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2027-03-01T12:00:00Z');
+const daysAway = (days) => new Date(Date.UTC(2027, 2, 1) + days * DAY_MS);
+const policies = POLICIES.map((p, i) => ({ ...p, _id: `${'a'.repeat(23)}${i}`, version: 1 }));
+const policy = (category) => policies.find(p => p.category === category);
+
+const check = (event) => checkCompliance(event, { policies, now });
+const onCampus = (days, extra = {}) => ({ eventDate: daysAway(days), location: { type: 'on-campus' }, ...extra });
+
+describe('checkCompliance', () => {
+  test('has nothing to check for undated or past events', () => {
+    expect(check({ location: { type: 'on-campus' } })).toEqual({ compliant: true, daysUntilEvent: null, warnings: [] });
+    expect(check(onCampus(-3))).toEqual({ compliant: true, daysUntilEvent: -3, warnings: [] });
+  });
+
+  test('passes an event planned well ahead', () => {
+    expect(check(onCampus(60))).toEqual({ compliant: true, daysUntilEvent: 60, warnings: [] });
+  });
+
+  test('flags an event inside the notice window at the policy severity', () => {
+    const report = check(onCampus(10));
+    expect(report.compliant).toBe(false);
+    expect(report.warnings).toEqual([expect.objectContaining({
+      level: 'critical',
+      type: 'insufficient_notice',
+      policyId: policy('Space Booking')._id,
+      policyTitle: policy('Space Booking').title,
+      category: 'Space Booking',
+      requiredDays: 28,
+      recommendedDays: 30,
+      message: `${policy('Space Booking').title} requires 28 days notice; the event is 10 days away.`
+    })]);
+  });
+
+  test('only informs when the recommended notice is missed', () => {
+    const report = check(onCampus(29));
+    expect(report.compliant).toBe(true);
+    expect(report.warnings).toEqual([expect.objectContaining({ level: 'info', type: 'short_notice', requiredDays: 28, recommendedDays: 30 })]);
+  });
+
+  test('flags open policy tasks due after the deadline', () => {
+    const report = check(onCampus(60, {
+      checklist: [
+        { task: 'Book the ballroom', ruleId: 'space-booking', dueDate: daysAway(50) },
+        { task: 'Reserve the room', ruleId: 'space-booking', dueDate: daysAway(20), completed: true },
+        { task: 'Order food', dueDate: daysAway(55) }
+      ]
+    }));
+    expect(report.compliant).toBe(false);
+    expect(report.warnings).toEqual([expect.objectContaining({
+      level: 'critical',
+      type: 'task_due_too_late',
+      task: 'Book the ballroom',
+      deadline: daysAway(32),
+      message: `"Book the ballroom" is due 2027-04-20, after the ${policy('Space Booking').title} deadline of 2027-04-02.`
+    })]);
+  });
+
+  test('recognises policy tasks by their policy reference', () => {
+    const alcohol = policy('Alcohol');
+    const report = check({
+      eventDate: daysAway(40),
+      hasAlcohol: true,
+      checklist: [{ task: 'Talk to Student Centers', policyReference: `${alcohol._id}@v1`, dueDate: daysAway(30) }]
+    });
+    expect(report.warnings.map(w => w.type)).toEqual(['task_due_too_late', 'short_notice']);
+  });
+
+  test('reports each policy once, with the longest lead time among its rules', () => {
+    const report = check({ eventDate: daysAway(10), hasAlcohol: true, expectedAttendance: 150 });
+    expect(report.warnings).toHaveLength(1);
+    expect(report.warnings[0]).toMatchObject({ category: 'Alcohol', requiredDays: 21 });
+  });
+
+  test('warns for rules without a policy and sorts the most severe first', () => {
+    const report = check(onCampus(1, { potentiallyControversial: true }));
+    expect(report.warnings.map(w => [w.level, w.policyTitle])).toEqual([
+      ['critical', policy('Space Booking').title],
+      ['warning', 'Freedom of Expression guidance (Dean of Students)']
+    ]);
+    expect(report.warnings[1]).not.toHaveProperty('policyId');
+    expect(report.warnings[1].message).toBe('Freedom of Expression guidance (Dean of Students) requires 2 days notice; the event is 1 day away.');
+  });
+
+  test('falls back to rule lead times without loaded policies', () => {
+    const report = checkCompliance(onCampus(20), { now });
+    expect(report.warnings).toEqual([expect.objectContaining({ level: 'warning', policyTitle: 'Space Booking policy', requiredDays: 28 })]);
+  });
+
+  test('skips rules handled elsewhere', () => {
+    expect(checkCompliance(onCampus(10), { policies, now, skipRules: ['space-booking'] }).warnings).toEqual([]);
+  });
+});
@@ -0,0 +1,108 @@
+import {
+  MAX_RANGE_DAYS, isCriticalTask, calendarRange, rangeDays, calendarView
+} from '../src/eventCalendar.js';
+
+const day = (iso) => new Date(`${iso}T00:00:00Z`);
+
+describe('calendarRange', () => {
+  test('defaults to the month containing now', () => {
+    expect(calendarRange({}, { now: new Date('2027-02-14T18:00:00Z') })).toEqual({ from: day('2027-02-01'), to: day('2027-03-01') });
+    expect(calendarRange(undefined, { now: day('2027-12-31') })).toEqual({ from: day('2027-12-01'), to: day('2028-01-01') });
+  });
+
+  test('makes the end date exclusive', () => {
+    expect(calendarRange({ from: '2027-04-01', to: '2027-04-01' })).toEqual({ from: day('2027-04-01'), to: day('2027-04-02') });
+  });
+
+  test.each([
+    [{ from: '2027-04-01' }, /must be dates/],
+    [{ from: '04/01/2027', to: '2027-04-30' }, /must be dates/],
+    [{ from: '2027-04-30', to: '2027-04-01' }, /not be before/],
+    [{ from: '2027-01-01', to: '2027-12-31' }, new RegExp(`at most ${MAX_RANGE_DAYS} days`)]
+  ])('rejects %o', (query, message) => {
+    expect(() => calendarRange(query)).toThrow(RangeError);
+    expect(() => calendarRange(query)).toThrow(message);
+  });
+
+  test('allows exactly the longest range', () => {
+    expect(() => calendarRange({ from: '2027-01-01', to: '2027-04-10' })).not.toThrow();
+  });
+});
+
+describe('rangeDays', () => {
+  test('turns a range back into the inclusive query', () => {
+    expect(rangeDays(calendarRange({ from: '2027-04-01', to: '2027-04-30' }))).toEqual({ from: '2027-04-01', to: '2027-04-30' });
+  });
+});
+
+describe('isCriticalTask', () => {
+  test('counts critical priority and policy-required tasks', () => {
+    expect(isCriticalTask({ priority: 'critical' })).toBe(true);
+    expect(isCriticalTask({ priority: 'low', timingType: 'required' })).toBe(true);
+    expect(isCriticalTask({ priority: 'high', timingType: 'recommended' })).toBe(false);
+  });
+});
+
+describe('calendarView', () => {
+  const range = calendarRange({ from: '2027-04-01', to: '2027-04-30' });
+  const item = (task, date, extra = {}) => ({ _id: `${task}-id`, task, dueDate: day(date), priority: 'critical', ...extra });
+  const events = [
+    {
+      _id: 'e1',
+      title: 'Spring Mixer',
+      eventDate: day('2027-04-20'),
+      eventType: 'social',
+      checklist: [
+        { task: 'Week of event', isTimeHeader: true, dueDate: day('2027-04-14') },
+        item('Book the venue', '2027-04-14'),
+        item('Hire security', '2027-04-14', { priority: 'high', timingType: 'required' }),
+        item('Order food', '2027-04-14', { priority: 'medium' }),
+        item('Old task', '2027-03-01')
+      ]
+    },
+    {
+      _id: 'e2',
+      title: 'Career Fair',
+      eventDate: day('2027-05-10'),
+      status: 'confirmed',
+      checklist: [
+        item('Confirm employers', '2027-04-14'),
+        item('Print badges', '2027-04-14', { completed: true })
+      ]
+    }
+  ];
+
+  test('lists events and task due dates within the range', () => {
+    const view = calendarView(events, { ...range, accessFor: event => (event._id === 'e1' ? 'owner' : 'view') });
+    expect(view.events).toEqual([{ eventId: 'e1', title: 'Spring Mixer', date: '2027-04-20', eventType: 'social', status: 'pending', priority: 'medium', access: 'owner' }]);
+    expect(view.tasks.map(t => t.task)).toEqual(['Book the venue', 'Hire security', 'Order food', 'Confirm employers', 'Print badges']);
+    expect(view.tasks[3]).toEqual({
+      eventId: 'e2',
+      eventTitle: 'Career Fair',
+      itemId: 'Confirm employers-id',
+      task: 'Confirm employers',
+      dueDate: '2027-04-14',
+      priority: 'critical',
+      timingType: 'recommended',
+      completed: false,
+      critical: true
+    });
+  });
+
+  test('flags days with too many open critical tasks across events', () => {
+    const { collisions } = calendarView(events, range);
+    expect(collisions).toEqual([{
+      date: '2027-04-14',
+      count: 3,
+      tasks: [
+        { eventId: 'e1', eventTitle: 'Spring Mixer', itemId: 'Book the venue-id', task: 'Book the venue' },
+        { eventId: 'e1', eventTitle: 'Spring Mixer', itemId: 'Hire security-id', task: 'Hire security' },
+        { eventId: 'e2', eventTitle: 'Career Fair', itemId: 'Confirm employers-id', task: 'Confirm employers' }
+      ]
+    }]);
+  });
+
+  test('does not flag days below the threshold', () => {
+    expect(calendarView([events[0]], range).collisions).toEqual([]);
+  });
+});
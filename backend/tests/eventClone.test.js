@@ -0,0 +1,86 @@
+import { cloneEventData } from '../src/eventClone.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const eventDate = new Date('2027-04-20T00:00:00Z');
+const newDate = new Date('2027-10-05T00:00:00Z');
+const offset = newDate - eventDate;
+const shifted = (date) => new Date(new Date(date).getTime() + offset);
+
+const event = {
+  _id: 'event-1',
+  userId: 'user-1',
+  title: 'Spring Mixer',
+  eventType: 'social',
+  status: 'completed',
+  eventDate,
+  startTime: new Date('2027-04-20T22:00:00Z'),
+  endTime: new Date('2027-04-21T00:00:00Z'),
+  location: { type: 'on-campus', venue: 'Student Life Center' },
+  hasAlcohol: false,
+  checklist: [
+    { _id: 'item-1', task: 'Book the venue', dueDate: new Date(eventDate.getTime() - 28 * DAY_MS), completed: true, completedAt: new Date('2027-03-01') },
+    { _id: 'item-2', task: 'Order food', dueDate: new Date(eventDate.getTime() - 7 * DAY_MS), dependsOn: ['item-1'] },
+    { _id: 'item-3', task: 'Find volunteers' }
+  ],
+  timeline: [{ _id: 'milestone-1', milestone: 'Promotion starts', dueDate: new Date(eventDate.getTime() - 14 * DAY_MS), completed: true, completedAt: new Date() }],
+  collaborators: [{ _id: 'c1', userId: 'user-2', role: 'editor', addedAt: new Date('2027-01-01') }],
+  collaborationEnabled: true,
+  collaborationId: 'collab-token',
+  shareEnabled: true,
+  shareId: 'share-token',
+  communications: [{ subject: 'Reminder' }],
+  activity: [{ action: 'created' }]
+};
+
+describe('cloneEventData', () => {
+  test('moves the event and every date by the same offset', () => {
+    const copy = cloneEventData(event, { eventDate: newDate });
+    expect(copy.eventDate).toEqual(newDate);
+    expect(copy.startTime).toEqual(shifted(event.startTime));
+    expect(copy.endTime).toEqual(shifted(event.endTime));
+    expect(copy.checklist.map(i => i.dueDate)).toEqual([shifted(event.checklist[0].dueDate), shifted(event.checklist[1].dueDate), undefined]);
+    expect(copy.timeline[0].dueDate).toEqual(shifted(event.timeline[0].dueDate));
+  });
+
+  test('starts progress over', () => {
+    const copy = cloneEventData(event, { eventDate: newDate });
+    expect(copy.status).toBe('pending');
+    expect(copy.checklist.every(i => i.completed === false && !('completedAt' in i))).toBe(true);
+    expect(copy.timeline[0]).toEqual({ milestone: 'Promotion starts', dueDate: shifted(event.timeline[0].dueDate), completed: false });
+  });
+
+  test('keeps checklist ids so dependencies still resolve', () => {
+    const copy = cloneEventData(event, { eventDate: newDate });
+    expect(copy.checklist.map(i => i._id)).toEqual(['item-1', 'item-2', 'item-3']);
+    expect(copy.checklist[1].dependsOn).toEqual(['item-1']);
+  });
+
+  test('copies planning details but not ownership, history or sharing', () => {
+    const copy = cloneEventData(event, { eventDate: newDate, title: 'Fall Mixer' });
+    expect(copy).toMatchObject({ title: 'Fall Mixer', eventType: 'social', hasAlcohol: false, location: event.location });
+    ['_id', 'userId', 'communications', 'activity', 'collaborators', 'collaborationId', 'shareEnabled', 'shareId']
+      .forEach(field => expect(copy).not.toHaveProperty(field));
+    expect(cloneEventData(event, { eventDate: newDate }).title).toBe('Spring Mixer');
+  });
+
+  test('keeps collaborators and sharing on request, with fresh tokens', () => {
+    const copy = cloneEventData(event, { eventDate: newDate, keepCollaborators: true, keepSharing: true });
+    expect(copy.collaborators).toEqual([{ userId: 'user-2', role: 'editor', addedAt: expect.any(Date) }]);
+    expect(copy.collaborationEnabled).toBe(true);
+    expect(copy.collaborationId).toEqual(expect.any(String));
+    expect(copy.collaborationId).not.toBe(event.collaborationId);
+    expect(copy.shareEnabled).toBe(true);
+    expect(copy.shareId).not.toBe(event.shareId);
+  });
+
+  test('accepts Mongoose documents', () => {
+    const doc = { toObject: () => event };
+    expect(cloneEventData(doc, { eventDate: newDate }).title).toBe('Spring Mixer');
+  });
+
+  test('rejects a missing date on either side', () => {
+    expect(() => cloneEventData({ ...event, eventDate: null }, { eventDate: newDate })).toThrow(RangeError);
+    expect(() => cloneEventData(event, { eventDate: 'soon' })).toThrow(RangeError);
+    expect(() => cloneEventData(event)).toThrow(RangeError);
+  });
+});
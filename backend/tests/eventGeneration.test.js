@@ -0,0 +1,138 @@
+import {
+  TIME_PERIODS, timePeriodFor, timePeriodBands, organizeChecklistByTimePeriods, isNearDuplicateTask,
+  buildEventPrompt, detectLocationType, isPotentiallyControversial, extractMainEventDate,
+  extractEventFromContent, finalizeEventDraft
+} from '../src/eventGeneration.js';
+import { EMS_BOOKING_TASK, DEAN_OF_STUDENTS_TASK } from '../src/policyRules.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const eventDate = new Date('2027-04-20T00:00:00Z');
+const daysBefore = (days) => new Date(eventDate.getTime() - days * DAY_MS);
+
+describe('timePeriodFor', () => {
+  test.each([
+    [200, '6+ months out'],
+    [90, '3-6 months out'],
+    [45, '1-3 months out'],
+    [14, '2-4 weeks out'],
+    [10, '1-2 weeks out'],
+    [3, 'Week of event'],
+    [0, 'Day of event'],
+    [-2, 'After event']
+  ])('%i days before the event is "%s"', (days, label) => {
+    expect(timePeriodFor(daysBefore(days), eventDate)).toBe(label);
+  });
+
+  test('puts undated tasks in an early period', () => {
+    expect(timePeriodFor(null, eventDate)).toBe('3-6 months out');
+  });
+});
+
+describe('timePeriodBands', () => {
+  test('covers every period in order, without gaps', () => {
+    const bands = timePeriodBands(eventDate);
+    expect(bands.map(b => b.label)).toEqual(TIME_PERIODS.map(p => p.label));
+    expect(bands[0].start).toBeNull();
+    expect(bands[bands.length - 1].end).toBeNull();
+    bands.slice(1).forEach((band, i) => expect(band.start).toEqual(bands[i].end));
+  });
+
+  test('agrees with timePeriodFor', () => {
+    const bands = timePeriodBands(eventDate);
+    for (let days = -5; days <= 200; days += 1) {
+      const due = daysBefore(days);
+      const band = bands.find(b => (!b.start || due >= b.start) && (!b.end || due < b.end));
+      expect(band.label).toBe(timePeriodFor(due, eventDate));
+    }
+  });
+});
+
+describe('organizeChecklistByTimePeriods', () => {
+  const checklist = [
+    { task: 'Print programs', dueDate: daysBefore(3), priority: 'low' },
+    { task: 'Book venue', dueDate: daysBefore(40), priority: 'medium' },
+    { task: 'Confirm AV', dueDate: daysBefore(2), priority: 'critical' },
+    { task: 'Old header', isTimeHeader: true }
+  ];
+
+  test('adds a header before each non-empty period, critical tasks first', () => {
+    const organized = organizeChecklistByTimePeriods(checklist, eventDate);
+    expect(organized.map(i => i.task)).toEqual([
+      '--- 1-3 MONTHS OUT ---', 'Book venue',
+      '--- WEEK OF EVENT ---', 'Confirm AV', 'Print programs'
+    ]);
+    expect(organized[0]).toMatchObject({ isTimeHeader: true, timePeriod: '1-3 months out' });
+  });
+
+  test('only sorts by due date without an event date', () => {
+    expect(organizeChecklistByTimePeriods(checklist, null).map(i => i.task))
+      .toEqual(['Book venue', 'Print programs', 'Confirm AV']);
+  });
+});
+
+describe('attribute detection', () => {
+  test('location type comes from the draft or the text', () => {
+    expect(detectLocationType('A party off campus')).toBe('off-campus');
+    expect(detectLocationType('A party', { location: { type: 'on-campus' } })).toBe('on-campus');
+    expect(detectLocationType('A party')).toBeNull();
+  });
+
+  test('controversy needs an explicit phrase or flag', () => {
+    expect(isPotentiallyControversial('A debate that may attract protest')).toBe(true);
+    expect(isPotentiallyControversial('A debate')).toBe(false);
+    expect(isPotentiallyControversial('A debate', { potentiallyControversial: true })).toBe(true);
+  });
+
+  test('isNearDuplicateTask compares the first 20 characters', () => {
+    expect(isNearDuplicateTask('Reserve the ballroom in Sarratt', 'reserve the ballroom in sarratt by Friday')).toBe(true);
+    expect(isNearDuplicateTask('Order catering', 'Book the DJ')).toBe(false);
+  });
+
+  test('the prompt carries the message', () => {
+    expect(buildEventPrompt('A spring mixer for 80 people')).toContain('A spring mixer for 80 people');
+  });
+});
+
+describe('keyword fallback', () => {
+  const now = new Date('2027-01-10T12:00:00Z');
+
+  test('reads common date formats', () => {
+    expect(extractMainEventDate('On 04/20/2027 we meet', { now }).getFullYear()).toBe(2027);
+    const named = extractMainEventDate('Concert on March 5, 2027', { now });
+    expect([named.getFullYear(), named.getMonth(), named.getDate()]).toEqual([2027, 2, 5]);
+    expect(extractMainEventDate('Sometime in May', { now }).getMonth()).toBe(4);
+    expect(extractMainEventDate('No date here', { now })).toBeNull();
+  });
+
+  test('builds a draft with bullet tasks', () => {
+    const draft = extractEventFromContent([
+      'Spring mixer on campus, April 20, 2027',
+      '- Reserve the ballroom',
+      '- Order catering (due April 1)',
+      '- Urgent: confirm DJ'
+    ].join('\n'), { now });
+
+    expect(draft).toMatchObject({ title: 'Mixer 2027', eventType: 'mixer', location: { type: 'on-campus' } });
+    expect(draft.checklist.map(i => i.task)).toEqual(['Reserve the ballroom', 'Order catering', 'Urgent: confirm DJ']);
+    expect(draft.checklist[2].priority).toBe('critical');
+    draft.checklist.forEach(item => expect(item.dueDate).toBeInstanceOf(Date));
+  });
+});
+
+describe('finalizeEventDraft', () => {
+  test('adds the required policy tasks and groups the checklist', () => {
+    const draft = {
+      title: 'Spring Mixer',
+      eventDate: eventDate.toISOString(),
+      location: { type: 'on-campus', venue: 'Sarratt' },
+      checklist: [{ task: 'Order catering', dueDate: daysBefore(10), priority: 'medium' }]
+    };
+    const event = finalizeEventDraft(draft, 'A mixer that may be controversial');
+
+    expect(event).toMatchObject({ title: 'Spring Mixer', potentiallyControversial: true, status: 'pending' });
+    const tasks = event.checklist.filter(i => !i.isTimeHeader);
+    expect(tasks.map(i => i.task)).toEqual(expect.arrayContaining([EMS_BOOKING_TASK, DEAN_OF_STUDENTS_TASK, 'Order catering']));
+    expect(tasks.find(i => i.task === EMS_BOOKING_TASK)).toMatchObject({ timingType: 'required', dueDate: daysBefore(28) });
+    expect(event.checklist[0].isTimeHeader).toBe(true);
+  });
+});
@@ -0,0 +1,77 @@
+import { relevantPolicyIds, renderEventPdf, pdfFileName } from '../src/eventPdf.js';
+
+const policyId = (n) => `${'a'.repeat(23)}${n}`;
+const eventDate = new Date('2027-04-20T00:00:00Z');
+
+const event = {
+  _id: 'event-1',
+  title: 'Spring Mixer',
+  eventDate,
+  eventType: 'social',
+  location: { type: 'on-campus', venue: 'Student Life Center' },
+  hasAlcohol: true,
+  notes: 'Bring the banner.',
+  policyVersions: [{ policyId: policyId(1), version: 2 }],
+  checklist: [
+    { task: 'Book the venue', dueDate: new Date('2027-03-23T00:00:00Z'), ruleId: 'space-booking', timingType: 'required' },
+    { task: 'Request alcohol approval', policyReference: `${policyId(2)}@v1`, dueDate: new Date('2027-03-30T00:00:00Z') },
+    { task: 'Re-check alcohol approval', policyReference: `${policyId(1)}@v2` },
+    { task: 'Order food', completed: true, completedAt: new Date('2027-04-01T00:00:00Z') }
+  ],
+  collaborators: [{ email: 'pat@example.edu', permission: 'edit' }]
+};
+
+// The finished PDF as a Buffer
+const render = (source, options) => new Promise((resolve, reject) => {
+  const doc = renderEventPdf(source, { now: new Date('2027-03-01T00:00:00Z'), ...options });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+});
+
+const pageCount = (pdf) => (pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+
+describe('relevantPolicyIds', () => {
+  test('lists planned-against and referenced policies once each, in order', () => {
+    expect(relevantPolicyIds(event)).toEqual([policyId(1), policyId(2)]);
+  });
+
+  test('ignores malformed references and events without policies', () => {
+    expect(relevantPolicyIds({ checklist: [{ policyReference: 'not-a-reference' }] })).toEqual([]);
+    expect(relevantPolicyIds({})).toEqual([]);
+  });
+});
+
+describe('renderEventPdf', () => {
+  const policies = [
+    { _id: policyId(1), category: 'Alcohol', title: 'Alcohol at Events', version: 2, requirements: ['Register the event'], citations: ['https://example.edu/alcohol'] },
+    { _id: policyId(2), category: 'Marketing', title: 'Promotions', version: 1 },
+    { _id: policyId(3), category: 'Space Booking', title: 'Use of University Space', version: 1 },
+    { _id: policyId(4), category: 'Technology', title: 'Acceptable Use', version: 1 }
+  ];
+
+  test('produces a PDF', async () => {
+    const pdf = await render(event, { policies, owner: { firstName: 'Sam', lastName: 'Lee', email: 'sam@example.edu' } });
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(pageCount(pdf)).toBeGreaterThanOrEqual(1);
+  });
+
+  test('renders events without a date, checklist or policies', async () => {
+    const pdf = await render({ title: 'Untitled idea' }, { includeContacts: false });
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(pageCount(pdf)).toBe(1);
+  });
+
+  test('continues long checklists onto further pages', async () => {
+    const checklist = Array.from({ length: 120 }, (_, i) => ({ task: `Task ${i + 1}`, dueDate: eventDate }));
+    const pdf = await render({ ...event, checklist }, { policies });
+    expect(pageCount(pdf)).toBeGreaterThan(1);
+  });
+});
+
+describe('pdfFileName', () => {
+  test('names the download after the event', () => {
+    expect(pdfFileName(event)).toBe('spring-mixer-run-of-show.pdf');
+  });
+});
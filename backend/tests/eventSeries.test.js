@@ -0,0 +1,148 @@
+import {
+  occurrenceDates, MAX_OCCURRENCES, skipRulesFor, SERIES_SHARED_RULES, seriesFromEvent, occurrenceData,
+  noteSharedTasks, refreshOccurrence, rescheduleOccurrence
+} from '../src/eventSeries.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const day = (iso) => new Date(`${iso}T00:00:00Z`);
+const days = (dates) => dates.map(d => d.toISOString().slice(0, 10));
+
+describe('occurrenceDates', () => {
+  test('steps weekly by the interval', () => {
+    expect(days(occurrenceDates({ frequency: 'weekly', interval: 2, startDate: day('2027-01-05'), count: 3 })))
+      .toEqual(['2027-01-05', '2027-01-19', '2027-02-02']);
+  });
+
+  test('keeps the day of the month, clamped to short months', () => {
+    expect(days(occurrenceDates({ frequency: 'monthly', startDate: day('2027-01-31'), count: 4 })))
+      .toEqual(['2027-01-31', '2027-02-28', '2027-03-31', '2027-04-30']);
+  });
+
+  test('stops at the until date, inclusive', () => {
+    expect(days(occurrenceDates({ frequency: 'weekly', startDate: day('2027-01-05'), until: day('2027-01-19') })))
+      .toEqual(['2027-01-05', '2027-01-12', '2027-01-19']);
+  });
+
+  test('caps the number of occurrences', () => {
+    expect(occurrenceDates({ frequency: 'weekly', startDate: day('2027-01-05'), count: 500 })).toHaveLength(MAX_OCCURRENCES);
+    expect(occurrenceDates({ frequency: 'weekly', startDate: day('2027-01-05'), until: day('2035-01-01') })).toHaveLength(MAX_OCCURRENCES);
+  });
+
+  test.each([
+    [{ frequency: 'weekly', count: 3 }, /startDate/],
+    [{ frequency: 'daily', startDate: day('2027-01-05'), count: 3 }, /frequency/],
+    [{ frequency: 'weekly', startDate: day('2027-01-05') }, /count or an until/],
+    [{ frequency: 'weekly', startDate: day('2027-01-05'), until: 'someday' }, /until must be a date/],
+    [{ frequency: 'weekly', startDate: day('2027-01-05'), until: day('2027-01-01') }, /until must not be before/],
+    [{ frequency: 'weekly', startDate: day('2027-01-05'), count: -2 }, /no dates/]
+  ])('rejects %o', (recurrence, message) => {
+    expect(() => occurrenceDates(recurrence)).toThrow(RangeError);
+    expect(() => occurrenceDates(recurrence)).toThrow(message);
+  });
+});
+
+const firstDate = day('2027-01-05');
+const event = {
+  _id: 'event-1',
+  title: 'Weekly Workshop',
+  eventType: 'workshop',
+  planId: 'plan-1',
+  eventDate: firstDate,
+  startTime: new Date('2027-01-05T23:00:00Z'),
+  endTime: new Date('2027-01-06T00:30:00Z'),
+  location: { type: 'on-campus', venue: 'Alumni Hall' },
+  checklist: [
+    { task: 'Reserve on-campus space/venue via EMS Web App', ruleId: 'space-booking', dueDate: new Date(firstDate - 28 * DAY_MS) },
+    { task: 'Print handouts', dueDate: new Date(firstDate - 2 * DAY_MS) }
+  ]
+};
+
+describe('seriesFromEvent', () => {
+  test('moves the shared rule tasks aside', () => {
+    const series = seriesFromEvent(event);
+    expect(series).toMatchObject({ title: 'Weekly Workshop', eventType: 'workshop', planId: 'plan-1' });
+    expect(series.tasks.map(t => t.task)).toEqual(['Print handouts']);
+    expect(series.sharedTasks.map(t => t.ruleId)).toEqual(SERIES_SHARED_RULES);
+  });
+});
+
+describe('occurrenceData', () => {
+  const series = { _id: 'series-1', userId: 'user-1', ...seriesFromEvent(event) };
+
+  test('gives the shared tasks to the first occurrence only', () => {
+    expect(occurrenceData(series, 0, firstDate).checklist.map(t => t.task)).toEqual(['Print handouts', event.checklist[0].task]);
+    expect(occurrenceData(series, 1, day('2027-01-12')).checklist.map(t => t.task)).toEqual(['Print handouts']);
+  });
+
+  test('links the occurrence to its series and dates its tasks', () => {
+    const data = occurrenceData(series, 1, day('2027-01-12'));
+    expect(data).toMatchObject({ userId: 'user-1', seriesId: 'series-1', occurrenceIndex: 1, planId: 'plan-1', eventDate: day('2027-01-12') });
+    expect(data).not.toHaveProperty('templateId');
+    expect(data.checklist[0].dueDate).toEqual(day('2027-01-10'));
+  });
+
+  test('keeps the booking hours on each date', () => {
+    const data = occurrenceData(series, 2, day('2027-01-19'));
+    expect(data.startTime).toEqual(new Date('2027-01-19T23:00:00Z'));
+    expect(data.endTime).toEqual(new Date('2027-01-20T00:30:00Z'));
+  });
+
+  test('leaves the shared rules to the first occurrence', () => {
+    expect(skipRulesFor({ seriesId: 'series-1', occurrenceIndex: 0 })).toEqual([]);
+    expect(skipRulesFor({ seriesId: 'series-1', occurrenceIndex: 2 })).toEqual(SERIES_SHARED_RULES);
+    expect(skipRulesFor({ occurrenceIndex: 2 })).toEqual([]);
+  });
+});
+
+describe('noteSharedTasks', () => {
+  test('lists every date on undescribed shared tasks', () => {
+    const [booking, handouts] = noteSharedTasks(event.checklist, [firstDate, day('2027-01-12')]);
+    expect(booking.description).toBe('Covers every date in the series: 2027-01-05, 2027-01-12');
+    expect(handouts).toBe(event.checklist[1]);
+    expect(noteSharedTasks([{ ...event.checklist[0], description: 'Booked' }], [firstDate])[0].description).toBe('Booked');
+  });
+});
+
+describe('refreshOccurrence', () => {
+  const previous = seriesFromEvent(event);
+  const edited = { ...previous, title: 'Weekly Lab', tasks: [{ task: 'Print worksheets', offsetDays: -3 }] };
+
+  test('rebuilds the checklist from the series, keeping completed and one-off tasks', () => {
+    const occurrence = {
+      occurrenceIndex: 1,
+      eventDate: day('2027-01-12'),
+      title: 'Weekly Workshop',
+      checklist: [
+        { task: 'Morning', isTimeHeader: true },
+        { task: 'Print handouts', dueDate: day('2027-01-10') },
+        { task: 'Invite the guest speaker', dueDate: day('2027-01-08') }
+      ]
+    };
+    const updates = refreshOccurrence(occurrence, edited, { previousTasks: previous.tasks });
+    expect(updates.title).toBe('Weekly Lab');
+    expect(updates.checklist.map(t => t.task)).toEqual(['Invite the guest speaker', 'Print worksheets']);
+    expect(updates.checklist[1].dueDate).toEqual(day('2027-01-09'));
+
+    const done = refreshOccurrence({ ...occurrence, checklist: [{ task: 'Print handouts', completed: true }] }, edited, { previousTasks: previous.tasks });
+    expect(done.checklist.map(t => t.task)).toEqual(['Print handouts', 'Print worksheets']);
+  });
+});
+
+describe('rescheduleOccurrence', () => {
+  test('moves the booking hours and open tasks with the event and leaves completed ones', () => {
+    const occurrence = {
+      eventDate: day('2027-01-12'),
+      startTime: new Date('2027-01-12T23:00:00Z'),
+      checklist: [
+        { task: 'Print handouts', dueDate: day('2027-01-10') },
+        { task: 'Book room', dueDate: day('2026-12-20'), completed: true },
+        { task: 'Find volunteers' }
+      ]
+    };
+    const { eventDate, startTime, checklist, ...rest } = rescheduleOccurrence(occurrence, day('2027-01-14'));
+    expect(eventDate).toEqual(day('2027-01-14'));
+    expect(startTime).toEqual(new Date('2027-01-14T23:00:00Z'));
+    expect(rest).toEqual({});
+    expect(checklist.map(t => t.dueDate)).toEqual([day('2027-01-12'), day('2026-12-20'), undefined]);
+  });
+});
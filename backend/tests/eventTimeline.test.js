@@ -0,0 +1,91 @@
+import { defaultMilestones, buildTimeline } from '../src/eventTimeline.js';
+
+const day = (iso) => new Date(`${iso}T00:00:00Z`);
+const eventDate = day('2027-04-20');
+
+const checklist = [
+  { task: '2-4 weeks out', isTimeHeader: true },
+  { _id: 'venue', task: 'Book the venue', dueDate: day('2027-03-23'), completed: true, ruleId: 'space-booking', timingType: 'required' },
+  { _id: 'food', task: 'Order food', dueDate: day('2027-04-13'), estimatedHours: 8, priority: 'high', dependencies: ['venue'] },
+  { _id: 'setup', task: 'Set up the room', dueDate: day('2027-04-20') },
+  { _id: 'thanks', task: 'Send thank-you notes', dueDate: day('2027-04-22') },
+  { _id: 'volunteers', task: 'Find volunteers' }
+];
+const event = { eventDate, createdAt: day('2027-03-01'), checklist };
+
+describe('defaultMilestones', () => {
+  test('adds one milestone per period before the event that has tasks, and the event day', () => {
+    expect(defaultMilestones(checklist, eventDate)).toEqual([
+      { milestone: '2-4 weeks out tasks done', dueDate: day('2027-04-06'), completed: false, associatedTasks: ['venue'] },
+      { milestone: '1-2 weeks out tasks done', dueDate: day('2027-04-13'), completed: false, associatedTasks: ['food'] },
+      { milestone: 'Event day', dueDate: eventDate, completed: false, associatedTasks: ['setup'] }
+    ]);
+  });
+
+  test('needs an event date', () => {
+    expect(defaultMilestones(checklist, null)).toEqual([]);
+  });
+});
+
+describe('buildTimeline', () => {
+  test('runs from planning start to the day after the last due date', () => {
+    const timeline = buildTimeline(event);
+    expect(timeline.start).toEqual(day('2027-03-01'));
+    expect(timeline.end).toEqual(day('2027-04-23'));
+    expect(timeline.eventDate).toEqual(eventDate);
+  });
+
+  test('clips the period bands to the range', () => {
+    const { bands, start, end } = buildTimeline(event);
+    expect(bands.map(b => b.label)).toEqual(['1-3 months out', '2-4 weeks out', '1-2 weeks out', 'Week of event', 'Day of event', 'After event']);
+    expect(bands[0].start).toEqual(start);
+    expect(bands[bands.length - 1].end).toEqual(end);
+    bands.slice(1).forEach((band, i) => expect(band.start).toEqual(bands[i].end));
+  });
+
+  test('draws dated tasks as bars ending on their due date', () => {
+    const { tasks, undated } = buildTimeline(event);
+    expect(tasks.map(t => t.itemId)).toEqual(['venue', 'food', 'setup', 'thanks']);
+    expect(tasks[1]).toEqual({
+      itemId: 'food',
+      task: 'Order food',
+      startDate: day('2027-04-12'),
+      dueDate: day('2027-04-13'),
+      completed: false,
+      priority: 'high',
+      timingType: 'recommended',
+      ruleId: null,
+      timePeriod: '1-2 weeks out',
+      dependencies: ['venue']
+    });
+    expect(tasks[0]).toMatchObject({ completed: true, ruleId: 'space-booking', timingType: 'required' });
+    expect(undated).toEqual([{ itemId: 'volunteers', task: 'Find volunteers', completed: false }]);
+  });
+
+  test('suggests milestones only when the event has none', () => {
+    expect(buildTimeline(event).suggestedMilestones).toHaveLength(3);
+
+    const timeline = buildTimeline({
+      ...event,
+      timeline: [{ _id: 'm1', milestone: 'Logistics booked', dueDate: day('2027-02-20'), associatedTasks: ['venue', 'food', 'gone'] }]
+    });
+    expect(timeline).not.toHaveProperty('suggestedMilestones');
+    expect(timeline.milestones).toEqual([{
+      _id: 'm1',
+      milestone: 'Logistics booked',
+      description: '',
+      dueDate: day('2027-02-20'),
+      completed: false,
+      associatedTasks: ['venue', 'food'],
+      progress: { done: 1, total: 2 }
+    }]);
+    expect(timeline.start).toEqual(day('2027-02-20'));
+  });
+
+  test('works without an event date', () => {
+    const now = day('2027-03-10');
+    const timeline = buildTimeline({ checklist: [{ _id: 'a', task: 'Draft budget', dueDate: day('2027-03-05') }] }, { now });
+    expect(timeline).toMatchObject({ start: day('2027-03-05'), end: day('2027-03-11'), eventDate: null, bands: [], suggestedMilestones: [] });
+    expect(timeline.tasks[0].timePeriod).toBeNull();
+  });
+});
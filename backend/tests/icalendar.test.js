@@ -0,0 +1,117 @@
+import { buildCalendar, eventComponents, calendarFileName } from '../src/icalendar.js';
+
+const now = new Date('2027-03-01T12:00:00Z');
+const event = {
+  _id: 'event-1',
+  title: 'Spring Mixer',
+  description: 'Food, music; games',
+  eventDate: new Date('2027-04-20T00:00:00Z'),
+  status: 'confirmed',
+  location: { venue: 'Student Life Center', room: 'Ballroom' },
+  updatedAt: new Date('2027-02-27T09:30:00Z'),
+  checklist: [
+    { task: '1-2 weeks out', isTimeHeader: true, dueDate: new Date('2027-04-10T00:00:00Z') },
+    { _id: 'item-1', task: 'Book the venue', dueDate: new Date('2027-03-23T00:00:00Z'), priority: 'high', ruleId: 'space-booking', category: 'Space Booking' },
+    { _id: 'item-2', task: 'Order food', dueDate: new Date('2027-04-13T00:00:00Z'), completed: true, completedAt: new Date('2027-04-01T15:00:00Z') },
+    { _id: 'item-3', task: 'Find volunteers' }
+  ]
+};
+
+const components = (lines, name) => lines.filter(line => line === `BEGIN:${name}`).length;
+
+describe('eventComponents', () => {
+  test('writes the event as an all-day entry with a link back to the app', () => {
+    const lines = eventComponents(event, { now, appUrl: 'https://plan.example.edu' });
+    const vevent = lines.slice(0, lines.indexOf('END:VEVENT') + 1);
+    expect(vevent).toEqual([
+      'BEGIN:VEVENT',
+      'UID:event-event-1@program-planning.vanderbilt.edu',
+      'DTSTAMP:20270301T120000Z',
+      'LAST-MODIFIED:20270227T093000Z',
+      'DTSTART;VALUE=DATE:20270420',
+      'DTEND;VALUE=DATE:20270421',
+      'SUMMARY:Spring Mixer',
+      'DESCRIPTION:Food\\, music\\; games\\n\\nhttps://plan.example.edu/events/event-1',
+      'LOCATION:Student Life Center\\, Ballroom',
+      'URL:https://plan.example.edu/events/event-1',
+      'STATUS:CONFIRMED',
+      'TRANSP:OPAQUE',
+      'END:VEVENT'
+    ]);
+  });
+
+  test('writes the event at its booking hours when it has them', () => {
+    const startTime = new Date('2027-04-20T22:00:00Z');
+    expect(eventComponents({ ...event, startTime, endTime: new Date('2027-04-21T01:30:00Z'), checklist: [] }, { now }))
+      .toEqual(expect.arrayContaining(['DTSTART:20270420T220000Z', 'DTEND:20270421T013000Z']));
+    expect(eventComponents({ ...event, startTime, checklist: [] }, { now }))
+      .toEqual(expect.arrayContaining(['DTSTART:20270420T220000Z', 'DTEND:20270421T000000Z']));
+  });
+
+  test('adds one entry per dated task, skipping headers and undated items', () => {
+    const lines = eventComponents(event, { now });
+    expect(components(lines, 'VEVENT')).toBe(3);
+    expect(lines).toContain('SUMMARY:Book the venue (Spring Mixer)');
+    expect(lines).toContain('SUMMARY:[Done] Order food (Spring Mixer)');
+    expect(lines).toContain('DESCRIPTION:Required by policy.');
+    expect(lines).toContain('PRIORITY:3');
+    expect(lines).toContain('CATEGORIES:Space Booking');
+    expect(lines.join('\n')).not.toMatch(/volunteers|1-2 weeks out/);
+  });
+
+  test('leaves completed tasks out on request', () => {
+    const lines = eventComponents(event, { now, includeCompleted: false });
+    expect(components(lines, 'VEVENT')).toBe(2);
+    expect(lines.join('\n')).not.toMatch(/Order food/);
+  });
+
+  test('writes tasks as VTODOs with their completion state', () => {
+    const lines = eventComponents(event, { now, taskComponent: 'todo' });
+    expect(components(lines, 'VTODO')).toBe(2);
+    expect(lines).toEqual(expect.arrayContaining([
+      'DUE;VALUE=DATE:20270323',
+      'STATUS:NEEDS-ACTION',
+      'SUMMARY:Order food (Spring Mixer)',
+      'STATUS:COMPLETED',
+      'COMPLETED:20270401T150000Z'
+    ]));
+  });
+
+  test('marks cancelled events and skips undated ones', () => {
+    expect(eventComponents({ ...event, status: 'cancelled' }, { now })).toContain('STATUS:CANCELLED');
+    expect(eventComponents({ ...event, eventDate: null, checklist: [] }, { now })).toEqual([]);
+  });
+});
+
+describe('buildCalendar', () => {
+  test('wraps the events in a VCALENDAR with CRLF line endings', () => {
+    const ics = buildCalendar([event], { name: 'Program Planning', refreshHours: 1, now });
+    const lines = ics.split('\r\n');
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(lines.slice(0, 6)).toEqual([
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Vanderbilt Program Planning//Events//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'X-WR-CALNAME:Program Planning'
+    ]);
+    expect(lines).toContain('REFRESH-INTERVAL;VALUE=DURATION:PT1H');
+  });
+
+  test('folds lines longer than 75 octets', () => {
+    const ics = buildCalendar([{ ...event, title: 'Très long titre '.repeat(10), checklist: [] }], { now });
+    const lines = ics.split('\r\n');
+    lines.forEach(line => expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75));
+    const summary = ics.slice(ics.indexOf('SUMMARY:')).split('\r\n');
+    expect(summary[1].startsWith(' ')).toBe(true);
+    expect(ics.replace(/\r\n /g, '')).toContain(`SUMMARY:${'Très long titre '.repeat(10)}`);
+  });
+});
+
+describe('calendarFileName', () => {
+  test('slugs the event title', () => {
+    expect(calendarFileName(event)).toBe('spring-mixer.ics');
+    expect(calendarFileName({ title: '!!!' })).toBe('event.ics');
+  });
+});
@@ -0,0 +1,103 @@
+import { jest } from '@jest/globals';
+import Ajv from 'ajv';
+import { fakeProvider } from '../src/llm/fake.js';
+import { createOpenAICompatibleProvider } from '../src/llm/openaiCompatible.js';
+import { LLM_ERROR_CODES } from '../src/llm/errors.js';
+import { EVENT_DRAFT_SCHEMA } from '../src/eventSchemas.js';
+
+const messages = [
+  { role: 'system', content: 'You are helpful.' },
+  { role: 'user', content: 'Plan a mixer' },
+  { role: 'assistant', content: 'Sure.' },
+  { role: 'user', content: 'With a DJ please' }
+];
+
+const collect = async (iterable) => {
+  const parts = [];
+  for await (const part of iterable) parts.push(part);
+  return parts;
+};
+
+describe('fake provider', () => {
+  test('answers the last user message the same way every time', async () => {
+    const first = await fakeProvider.chat(messages);
+    expect(first).toContain('You asked: "With a DJ please"');
+    expect(await fakeProvider.chat(messages)).toBe(first);
+  });
+
+  test('streams the same reply word by word and stops when aborted', async () => {
+    const parts = await collect(fakeProvider.stream(messages));
+    expect(parts.length).toBeGreaterThan(1);
+    expect(parts.join('')).toBe(await fakeProvider.chat(messages));
+
+    const controller = new AbortController();
+    controller.abort();
+    expect(await collect(fakeProvider.stream(messages, { signal: controller.signal }))).toEqual([]);
+  });
+
+  test('returns JSON that satisfies the requested schema', async () => {
+    const draft = JSON.parse(await fakeProvider.json(messages, { schema: EVENT_DRAFT_SCHEMA }));
+    const validate = new Ajv({ allErrors: true, strict: false }).compile(EVENT_DRAFT_SCHEMA);
+    expect(validate(draft)).toBe(true);
+    expect(JSON.parse(await fakeProvider.json(messages))).toEqual({});
+  });
+});
+
+describe('OpenAI-compatible provider', () => {
+  const realFetch = global.fetch;
+  afterEach(() => {
+    global.fetch = realFetch;
+  });
+
+  const reply = (body, { status = 200, headers = {} } = {}) =>
+    new Response(typeof body === 'string' ? body : JSON.stringify(body), { status, headers });
+
+  const provider = createOpenAICompatibleProvider({
+    name: 'local', baseUrl: 'http://127.0.0.1:11434/v1/', model: 'llama3.1', apiKey: 'secret'
+  });
+
+  test('posts to {base}/chat/completions and returns the message content', async () => {
+    global.fetch = jest.fn(async () => reply({ choices: [{ message: { content: 'Hello' } }] }));
+
+    expect(await provider.chat(messages, { maxTokens: 50 })).toBe('Hello');
+    const [url, init] = global.fetch.mock.calls[0];
+    expect(url).toBe('http://127.0.0.1:11434/v1/chat/completions');
+    expect(init.headers.Authorization).toBe('Bearer secret');
+    expect(JSON.parse(init.body)).toMatchObject({ model: 'llama3.1', messages, max_tokens: 50, stream: false });
+  });
+
+  test('asks for a JSON schema response in json mode', async () => {
+    global.fetch = jest.fn(async () => reply({ choices: [{ message: { content: '{}' } }] }));
+
+    await provider.json(messages, { schema: EVENT_DRAFT_SCHEMA, schemaName: 'eventDraft' });
+    const sent = JSON.parse(global.fetch.mock.calls[0][1].body);
+    expect(sent.temperature).toBe(0.2);
+    expect(sent.response_format).toEqual({ type: 'json_schema', json_schema: { name: 'eventDraft', schema: EVENT_DRAFT_SCHEMA } });
+  });
+
+  test('yields streamed deltas until [DONE]', async () => {
+    const stream = [
+      'data: {"choices":[{"delta":{"content":"Hel"}}]}',
+      'data: {"choices":[{"delta":{"content":"lo"}}]}',
+      'data: [DONE]',
+      'data: {"choices":[{"delta":{"content":"ignored"}}]}',
+      ''
+    ].join('\n');
+    global.fetch = jest.fn(async () => reply(stream, { headers: { 'content-type': 'text/event-stream' } }));
+
+    expect(await collect(provider.stream(messages))).toEqual(['Hel', 'lo']);
+  });
+
+  test('classifies upstream failures', async () => {
+    global.fetch = jest.fn(async () => reply({ error: 'slow down' }, { status: 429, headers: { 'retry-after': '3' } }));
+    await expect(provider.chat(messages)).rejects.toMatchObject({ code: LLM_ERROR_CODES.RATE_LIMITED, retryAfterMs: 3000 });
+
+    global.fetch = jest.fn(async () => reply('bad key', { status: 401 }));
+    await expect(provider.chat(messages)).rejects.toMatchObject({ code: LLM_ERROR_CODES.BAD_REQUEST, status: 401 });
+  });
+
+  test('reports a missing base URL as a configuration error', async () => {
+    const unconfigured = createOpenAICompatibleProvider({ name: 'openai', baseUrl: '', model: 'x' });
+    await expect(unconfigured.chat(messages)).rejects.toThrow('configuration missing');
+  });
+});
@@ -0,0 +1,165 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { Event } from '../src/models.js';
+import {
+  ACCESS_LEVELS, COLLABORATOR_PERMISSIONS, findCollaborator, resolveEventAccess, hasAccess,
+  createInviteToken, hashInviteToken, findInvite, createEventAuthorizer
+} from '../src/permissions.js';
+
+const ownerId = new mongoose.Types.ObjectId();
+const editorId = new mongoose.Types.ObjectId();
+const viewerId = new mongoose.Types.ObjectId();
+
+const user = (_id, email = 'someone@vanderbilt.edu') => ({ _id: String(_id), email, firstName: 'Some', lastName: 'One' });
+
+const event = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  userId: ownerId,
+  owner: ownerId,
+  collaborators: [
+    { userId: editorId, email: 'editor@vanderbilt.edu', permission: 'edit' },
+    { userId: viewerId, email: 'viewer@vanderbilt.edu', permission: 'view' },
+    { userId: null, email: 'invited@vanderbilt.edu', permission: 'admin', inviteTokenHash: hashInviteToken('secret-token') }
+  ],
+  ...fields
+});
+
+describe('findCollaborator', () => {
+  test('matches a bound collaborator by user id', () => {
+    expect(findCollaborator(event(), user(editorId)).permission).toBe('edit');
+  });
+
+  test('ignores the email on the token', () => {
+    expect(findCollaborator(event(), user(new mongoose.Types.ObjectId(), 'editor@vanderbilt.edu'))).toBeNull();
+    expect(findCollaborator(event(), user(new mongoose.Types.ObjectId(), 'invited@vanderbilt.edu'))).toBeNull();
+  });
+
+  test('never matches a pending invite or a missing user', () => {
+    expect(findCollaborator(event(), { email: 'invited@vanderbilt.edu' })).toBeNull();
+    expect(findCollaborator(event(), null)).toBeNull();
+  });
+});
+
+describe('resolveEventAccess', () => {
+  test('gives the owner owner access, by owner or legacy userId', () => {
+    expect(resolveEventAccess(event(), user(ownerId))).toBe('owner');
+    expect(resolveEventAccess(event({ owner: undefined }), user(ownerId))).toBe('owner');
+  });
+
+  test('gives collaborators their stored permission', () => {
+    expect(resolveEventAccess(event(), user(editorId))).toBe('edit');
+    expect(resolveEventAccess(event(), user(viewerId))).toBe('view');
+  });
+
+  test('gives nothing to strangers, invitees by email, or unknown permissions', () => {
+    expect(resolveEventAccess(event(), user(new mongoose.Types.ObjectId()))).toBeNull();
+    expect(resolveEventAccess(event(), user(new mongoose.Types.ObjectId(), 'invited@vanderbilt.edu'))).toBeNull();
+    const odd = event({ collaborators: [{ userId: editorId, permission: 'superuser' }] });
+    expect(resolveEventAccess(odd, user(editorId))).toBeNull();
+  });
+});
+
+describe('hasAccess', () => {
+  test('orders view < edit < admin < owner', () => {
+    expect(ACCESS_LEVELS).toEqual(['view', 'edit', 'admin', 'owner']);
+    expect(hasAccess('owner', 'admin')).toBe(true);
+    expect(hasAccess('edit', 'edit')).toBe(true);
+    expect(hasAccess('edit', 'admin')).toBe(false);
+    expect(hasAccess(null, 'view')).toBe(false);
+  });
+
+  test('collaborators can be granted anything below owner', () => {
+    expect(COLLABORATOR_PERMISSIONS).toEqual(['view', 'edit', 'admin']);
+  });
+});
+
+describe('invites', () => {
+  test('stores only the hash of a random token', () => {
+    const first = createInviteToken();
+    const second = createInviteToken();
+    expect(first.token).not.toBe(second.token);
+    expect(first.hash).toBe(hashInviteToken(first.token));
+    expect(first.hash).not.toContain(first.token);
+  });
+
+  test('finds the pending invite for its token only', () => {
+    expect(findInvite(event(), 'secret-token').email).toBe('invited@vanderbilt.edu');
+    expect(findInvite(event(), 'wrong-token')).toBeNull();
+    expect(findInvite(event(), undefined)).toBeNull();
+  });
+
+  test('an accepted invite cannot be used again', () => {
+    const accepted = event();
+    accepted.collaborators[2].userId = new mongoose.Types.ObjectId();
+    expect(findInvite(accepted, 'secret-token')).toBeNull();
+  });
+});
+
+describe('createEventAuthorizer', () => {
+  const run = async (middleware, req) => {
+    const res = {
+      status: jest.fn(function status(code) { this.statusCode = code; return this; }),
+      json: jest.fn(function json(body) { this.body = body; return this; })
+    };
+    const next = jest.fn();
+    await middleware(req, res, next);
+    return { res, next };
+  };
+
+  const authorize = createEventAuthorizer({ isDbReady: () => true });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('lets a collaborator through at their level and sets req.event/req.access', async () => {
+    const doc = event();
+    jest.spyOn(Event, 'findById').mockResolvedValue(doc);
+    const req = { params: { id: String(doc._id) }, user: user(editorId), method: 'PUT', originalUrl: '/api/events/x' };
+
+    const { next } = await run(authorize('edit'), req);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.event).toBe(doc);
+    expect(req.access).toBe('edit');
+  });
+
+  test('denies a lower level with 403 and logs it on the event', async () => {
+    const doc = event();
+    jest.spyOn(Event, 'findById').mockResolvedValue(doc);
+    const updateOne = jest.spyOn(Event, 'updateOne').mockResolvedValue({});
+    const req = { params: { id: String(doc._id) }, user: user(viewerId), method: 'PUT', originalUrl: '/api/events/x' };
+
+    const { res, next } = await run(authorize('edit'), req);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(403);
+    expect(res.body).toMatchObject({ code: 'FORBIDDEN', required: 'edit', access: 'view' });
+    expect(updateOne.mock.calls[0][1].$push.activityLog.action).toBe('access_denied');
+  });
+
+  test('denies an uninvited user who claims an invited email', async () => {
+    const doc = event();
+    jest.spyOn(Event, 'findById').mockResolvedValue(doc);
+    jest.spyOn(Event, 'updateOne').mockResolvedValue({});
+    const req = {
+      params: { id: String(doc._id) },
+      user: user(new mongoose.Types.ObjectId(), 'invited@vanderbilt.edu'),
+      method: 'GET',
+      originalUrl: '/api/events/x'
+    };
+
+    const { res } = await run(authorize('view'), req);
+    expect(res.statusCode).toBe(403);
+    expect(res.body.access).toBe('none');
+  });
+
+  test('answers 404 for a missing event and 503 without a database', async () => {
+    jest.spyOn(Event, 'findById').mockResolvedValue(null);
+    const req = { params: { id: 'x' }, user: user(ownerId) };
+    expect((await run(authorize('view'), req)).res.statusCode).toBe(404);
+
+    const offline = createEventAuthorizer({ isDbReady: () => false });
+    expect((await run(offline('view'), req)).res.statusCode).toBe(503);
+  });
+});
@@ -0,0 +1,298 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import request from 'supertest';
+
+// server.js connects on import; pretend MongoDB is up and stub the model calls
+process.env.LLM_PROVIDER = 'fake';
+process.env.EMBEDDINGS_ENABLED = 'false';
+jest.unstable_mockModule('../src/db.js', () => ({ connectDB: async () => {}, mongoose }));
+
+const { app } = await import('../src/server.js');
+const { ProgramPlan, PLAN_STATUS_TRANSITIONS } = await import('../src/models.js');
+const { issueTokens } = await import('../src/auth.js');
+const { createBodyPlanLoader } = await import('../src/permissions.js');
+
+const account = (vanderbiltId) => ({
+  _id: new mongoose.Types.ObjectId(), vanderbiltId, email: `${vanderbiltId}@vanderbilt.edu`,
+  firstName: 'Test', lastName: 'User', role: 'staff'
+});
+const owner = account('owner1');
+const stranger = account('stranger1');
+const bearer = (user) => `Bearer ${issueTokens(user).token}`;
+
+const planFields = {
+  title: 'Spring Mixer',
+  programType: 'mixer',
+  location: { type: 'on-campus', venue: 'Alumni Hall' }
+};
+const storedPlan = (fields = {}) => new ProgramPlan({ ...planFields, userId: owner._id, ...fields });
+
+let saved;
+beforeEach(() => {
+  saved = [];
+  // Real schema validation, no database
+  jest.spyOn(ProgramPlan.prototype, 'save').mockImplementation(async function save() {
+    await this.validate();
+    saved.push(this);
+    return this;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const as = (user) => ({
+  get: (url) => request(app).get(url).set('Authorization', bearer(user)),
+  post: (url, body) => request(app).post(url).set('Authorization', bearer(user)).send(body),
+  put: (url, body) => request(app).put(url).set('Authorization', bearer(user)).send(body),
+  delete: (url) => request(app).delete(url).set('Authorization', bearer(user))
+});
+
+const withPlan = (plan) => jest.spyOn(ProgramPlan, 'findById').mockResolvedValue(plan);
+
+describe('plan CRUD', () => {
+  test('POST /api/plans creates a plan owned by the caller in planning', async () => {
+    const res = await as(owner).post('/api/plans', {
+      ...planFields, status: 'completed', userId: String(stranger._id), archived: true
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ title: 'Spring Mixer', status: 'planning', archived: false });
+    expect(String(saved[0].userId)).toBe(String(owner._id));
+  });
+
+  test('POST /api/plans rejects an invalid plan', async () => {
+    const res = await as(owner).post('/api/plans', { title: 'No type' });
+    expect(res.status).toBe(400);
+    expect(saved).toHaveLength(0);
+  });
+
+  test('GET /api/plans lists only the caller\'s unarchived plans unless asked', async () => {
+    const sort = jest.fn().mockResolvedValue([]);
+    const find = jest.spyOn(ProgramPlan, 'find').mockReturnValue({ sort });
+
+    await as(owner).get('/api/plans');
+    expect(find).toHaveBeenLastCalledWith({ userId: String(owner._id), archived: { $ne: true } });
+
+    await as(owner).get('/api/plans?includeArchived=true&status=approved');
+    expect(find).toHaveBeenLastCalledWith({ userId: String(owner._id), status: 'approved' });
+    expect(sort).toHaveBeenCalledWith({ updatedAt: -1 });
+  });
+
+  test('GET /api/plans/:id returns the owner\'s plan and hides it from others', async () => {
+    const plan = storedPlan();
+    withPlan(plan);
+
+    const mine = await as(owner).get(`/api/plans/${plan._id}`);
+    expect(mine.status).toBe(200);
+    expect(mine.body.title).toBe('Spring Mixer');
+
+    const theirs = await as(stranger).get(`/api/plans/${plan._id}`);
+    expect(theirs.status).toBe(403);
+    expect(theirs.body.code).toBe('FORBIDDEN');
+  });
+
+  test('GET /api/plans/:id answers 404 for a missing or malformed id', async () => {
+    withPlan(null);
+    expect((await as(owner).get(`/api/plans/${new mongoose.Types.ObjectId()}`)).status).toBe(404);
+
+    jest.spyOn(ProgramPlan, 'findById').mockRejectedValue(Object.assign(new Error('bad id'), { name: 'CastError' }));
+    expect((await as(owner).get('/api/plans/not-an-id')).status).toBe(404);
+  });
+
+  test('PUT /api/plans/:id updates details but not protected fields', async () => {
+    const plan = storedPlan();
+    withPlan(plan);
+
+    const res = await as(owner).put(`/api/plans/${plan._id}`, {
+      title: 'Summer Mixer', userId: String(stranger._id), statusHistory: [], archived: true
+    });
+
+    expect(res.status).toBe(200);
+    expect(plan.title).toBe('Summer Mixer');
+    expect(String(plan.userId)).toBe(String(owner._id));
+    expect(plan.archived).toBe(false);
+  });
+
+  test('PUT /api/plans/:id reports schema errors as 400', async () => {
+    const plan = storedPlan();
+    withPlan(plan);
+    const res = await as(owner).put(`/api/plans/${plan._id}`, { programType: 'rave' });
+    expect(res.status).toBe(400);
+    expect(res.body.details.programType).toBeDefined();
+  });
+
+  test('DELETE /api/plans/:id deletes only the owner\'s plan', async () => {
+    const plan = storedPlan();
+    withPlan(plan);
+    const deleteOne = jest.spyOn(plan, 'deleteOne').mockResolvedValue({});
+
+    expect((await as(stranger).delete(`/api/plans/${plan._id}`)).status).toBe(403);
+    expect(deleteOne).not.toHaveBeenCalled();
+
+    const res = await as(owner).delete(`/api/plans/${plan._id}`);
+    expect(res.status).toBe(200);
+    expect(deleteOne).toHaveBeenCalled();
+  });
+});
+
+describe('plan status transitions', () => {
+  test('the lifecycle only moves forward, and ends at completed or cancelled', () => {
+    expect(PLAN_STATUS_TRANSITIONS).toEqual({
+      planning: ['approved', 'cancelled'],
+      approved: ['in-progress', 'cancelled'],
+      'in-progress': ['completed', 'cancelled'],
+      completed: [],
+      cancelled: []
+    });
+    expect(ProgramPlan.canTransition('planning', 'approved')).toBe(true);
+    expect(ProgramPlan.canTransition('planning', 'completed')).toBe(false);
+    expect(ProgramPlan.canTransition('unknown', 'approved')).toBe(false);
+  });
+
+  test('POST /api/plans/:id/status walks the lifecycle and records history', async () => {
+    const plan = storedPlan();
+    withPlan(plan);
+
+    for (const status of ['approved', 'in-progress', 'completed']) {
+      const res = await as(owner).post(`/api/plans/${plan._id}/status`, { status });
+      expect(res.status).toBe(200);
+    }
+
+    expect(plan.status).toBe('completed');
+    expect(plan.statusHistory.map(({ from, to }) => [from, to])).toEqual([
+      ['planning', 'approved'], ['approved', 'in-progress'], ['in-progress', 'completed']
+    ]);
+    expect(String(plan.statusHistory[0].changedBy)).toBe(String(owner._id));
+  });
+
+  test('rejects a skipped step with the allowed moves', async () => {
+    const plan = storedPlan();
+    withPlan(plan);
+
+    const res = await as(owner).post(`/api/plans/${plan._id}/status`, { status: 'completed' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.status).toMatchObject({ from: 'planning', to: 'completed', allowed: ['approved', 'cancelled'] });
+    expect(plan.status).toBe('planning');
+    expect(saved).toHaveLength(0);
+  });
+
+  test('rejects leaving a final status, an unknown status and a missing one', async () => {
+    const plan = storedPlan({ status: 'cancelled' });
+    withPlan(plan);
+
+    expect((await as(owner).post(`/api/plans/${plan._id}/status`, { status: 'planning' })).status).toBe(400);
+
+    const unknown = await as(owner).post(`/api/plans/${plan._id}/status`, { status: 'paused' });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.details.status.message).toBe("Unknown status 'paused'");
+
+    expect((await as(owner).post(`/api/plans/${plan._id}/status`, {})).status).toBe(400);
+  });
+
+  test('PUT /api/plans/:id validates a status change the same way', async () => {
+    const plan = storedPlan();
+    withPlan(plan);
+
+    const bad = await as(owner).put(`/api/plans/${plan._id}`, { status: 'in-progress', title: 'Changed' });
+    expect(bad.status).toBe(400);
+    expect(plan.title).toBe('Spring Mixer');
+
+    const good = await as(owner).put(`/api/plans/${plan._id}`, { status: 'approved' });
+    expect(good.status).toBe(200);
+    expect(plan.statusHistory).toHaveLength(1);
+  });
+});
+
+describe('archive and unarchive', () => {
+  test('archiving freezes edits and status changes until unarchived', async () => {
+    const plan = storedPlan();
+    withPlan(plan);
+
+    const archived = await as(owner).post(`/api/plans/${plan._id}/archive`);
+    expect(archived.status).toBe(200);
+    expect(plan.archived).toBe(true);
+    expect(plan.archivedAt).toBeInstanceOf(Date);
+
+    expect((await as(owner).put(`/api/plans/${plan._id}`, { title: 'Changed' })).status).toBe(400);
+    expect((await as(owner).post(`/api/plans/${plan._id}/status`, { status: 'approved' })).status).toBe(400);
+    expect(plan.title).toBe('Spring Mixer');
+
+    const restored = await as(owner).post(`/api/plans/${plan._id}/unarchive`);
+    expect(restored.status).toBe(200);
+    expect(plan.archived).toBe(false);
+    expect(plan.archivedAt).toBeUndefined();
+
+    expect((await as(owner).put(`/api/plans/${plan._id}`, { title: 'Changed' })).status).toBe(200);
+  });
+
+  test('only the owner may archive', async () => {
+    const plan = storedPlan();
+    withPlan(plan);
+    expect((await as(stranger).post(`/api/plans/${plan._id}/archive`)).status).toBe(403);
+    expect(plan.archived).toBe(false);
+  });
+});
+
+describe('createBodyPlanLoader', () => {
+  const run = async (loader, req) => {
+    const res = {
+      status: jest.fn(function status(code) { this.statusCode = code; return this; }),
+      json: jest.fn(function json(body) { this.body = body; return this; })
+    };
+    const next = jest.fn();
+    await loader(req, res, next);
+    return { res, next };
+  };
+  const lean = (plan) => jest.spyOn(ProgramPlan, 'findById').mockReturnValue({ lean: async () => plan });
+  const loadBodyPlan = createBodyPlanLoader({ isDbReady: () => true });
+
+  test('sets req.plan for the caller\'s own plan', async () => {
+    const plan = { _id: 'p1', userId: owner._id, title: 'Mine' };
+    lean(plan);
+    const req = { body: { planId: 'p1' }, user: { _id: String(owner._id) } };
+
+    const { next } = await run(loadBodyPlan(), req);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.plan).toBe(plan);
+  });
+
+  test('answers 404 for someone else\'s plan or a missing one', async () => {
+    lean({ _id: 'p1', userId: owner._id });
+    const foreign = await run(loadBodyPlan(), { body: { planId: 'p1' }, user: { _id: String(stranger._id) } });
+    expect(foreign.res.statusCode).toBe(404);
+    expect(foreign.next).not.toHaveBeenCalled();
+
+    lean(null);
+    const missing = await run(loadBodyPlan(), { body: { planId: 'p2' }, user: { _id: String(owner._id) } });
+    expect(missing.res.statusCode).toBe(404);
+  });
+
+  test('answers 404 for a malformed id and passes other errors on', async () => {
+    jest.spyOn(ProgramPlan, 'findById').mockReturnValue({
+      lean: async () => { throw Object.assign(new Error('bad id'), { name: 'CastError' }); }
+    });
+    const cast = await run(loadBodyPlan(), { body: { planId: 'x' }, user: { _id: 'u' } });
+    expect(cast.res.statusCode).toBe(404);
+
+    const failure = new Error('connection lost');
+    jest.spyOn(ProgramPlan, 'findById').mockReturnValue({ lean: async () => { throw failure; } });
+    const other = await run(loadBodyPlan(), { body: { planId: 'x' }, user: { _id: 'u' } });
+    expect(other.next).toHaveBeenCalledWith(failure);
+  });
+
+  test('goes on without a plan when there is no planId or no database', async () => {
+    const findById = jest.spyOn(ProgramPlan, 'findById');
+
+    const none = { body: {}, user: { _id: 'u' } };
+    expect((await run(loadBodyPlan(), none)).next).toHaveBeenCalledWith();
+    expect(none.plan).toBeUndefined();
+
+    const offline = createBodyPlanLoader({ isDbReady: () => false });
+    expect((await run(offline(), { body: { planId: 'p1' }, user: { _id: 'u' } })).next).toHaveBeenCalledWith();
+    expect(findById).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,140 @@
+import { POLICIES } from '../../database/policies.js';
+import {
+  detectRelevance, selectPolicies, formatPolicyContext, toCitations, POLICY_CONTEXT_LIMIT
+} from '../src/policyRag.js';
+
+// The seeded set as it comes out of the database
+const policies = POLICIES.map((policy, i) => ({ ...policy, _id: `p${i + 1}` }));
+const titles = (list) => list.map(p => p.title);
+const byCategory = (category) => policies.filter(p => p.category === category);
+
+describe('detectRelevance', () => {
+  test('an ordinary on-campus request switches nothing on', () => {
+    expect(detectRelevance({ message: 'Planning a workshop in the library' })).toEqual({
+      alcohol: false, tech: false, minors: false, campus: 'on-campus', role: 'both', programType: 'other'
+    });
+  });
+
+  test('picks up alcohol, technology and minors wording', () => {
+    expect(detectRelevance({ message: 'We want a keg at the mixer' }).alcohol).toBe(true);
+    expect(detectRelevance({ message: 'Send a bulk email to the listserv' }).tech).toBe(true);
+    expect(detectRelevance({ message: 'High schoolers are coming to the camp' }).minors).toBe(true);
+  });
+
+  test('treats "IT" as the acronym only', () => {
+    expect(detectRelevance({ message: 'Ask IT about the projector' }).tech).toBe(true);
+    expect(detectRelevance({ message: 'Can we make it fun?' }).tech).toBe(false);
+  });
+
+  test('uses plan and event fields as well as the message', () => {
+    const plan = { hasAlcohol: true, programType: 'concert', location: { type: 'off-campus' } };
+    expect(detectRelevance({ message: 'hello', plan, user: { role: 'Staff' } })).toMatchObject({
+      alcohol: true, campus: 'off-campus', role: 'staff', programType: 'concert'
+    });
+    expect(detectRelevance({ event: { eventType: 'lecture' } }).programType).toBe('lecture');
+    expect(detectRelevance({ message: 'hello', event: { involvesMinors: true } }).minors).toBe(true);
+    expect(detectRelevance({ message: 'hello', event: { involvesMinors: false } }).minors).toBe(false);
+    expect(detectRelevance({ message: 'A dinner off campus' }).campus).toBe('off-campus');
+  });
+});
+
+describe('selectPolicies', () => {
+  test('leaves out gated categories when nothing calls for them', () => {
+    const signals = detectRelevance({ message: 'A workshop in Sarratt' });
+    expect(titles(selectPolicies(policies, signals))).toEqual([
+      'Use of University Space & Reservation Requirements',
+      'Marketing, Communications & Promotions'
+    ]);
+  });
+
+  test('puts a gated category that fires first and drops space booking off campus', () => {
+    const signals = detectRelevance({ message: 'Mixer with beer at a bar off-campus' });
+    expect(titles(selectPolicies(policies, signals))).toEqual([
+      'Alcohol at Events (Student Handbook & Student Centers)',
+      'Marketing, Communications & Promotions'
+    ]);
+  });
+
+  test('orders by severity within a group', () => {
+    const signals = detectRelevance({ message: 'Email everyone and post on social media' });
+    expect(titles(selectPolicies(policies, signals))).toEqual([
+      'Acceptable Use of Technology Assets',
+      'Electronic Communications Policy',
+      'Use of University Space & Reservation Requirements',
+      'Marketing, Communications & Promotions'
+    ]);
+  });
+
+  test('includes a gated category by similarity and ranks by score', () => {
+    const [minors] = byCategory('Protection of Minors');
+    const [space] = byCategory('Space Booking');
+    const scores = new Map([[minors._id, 0.6], [space._id, 0.2]]);
+    const signals = detectRelevance({ message: 'Open house for visiting families' });
+    const picked = selectPolicies(policies, signals, { scores, minScore: 0.35 });
+    expect(titles(picked).slice(0, 2)).toEqual([minors.title, space.title]);
+    expect(selectPolicies(policies, signals, { scores, minScore: 0.7 })).not.toContainEqual(minors);
+  });
+
+  test('filters by role and program type', () => {
+    const staffOnly = { ...policies[3], _id: 'staff', roleVisibility: 'staff' };
+    const signals = detectRelevance({ message: 'A workshop', user: { role: 'student' } });
+    expect(selectPolicies([staffOnly], signals)).toEqual([]);
+    expect(selectPolicies([staffOnly], { ...signals, role: 'staff' })).toEqual([staffOnly]);
+
+    const concertsOnly = { ...policies[3], _id: 'concerts', programTypes: ['concert'] };
+    expect(selectPolicies([concertsOnly], { ...signals, programType: 'lecture' })).toEqual([]);
+    expect(selectPolicies([concertsOnly], { ...signals, programType: 'concert' })).toEqual([concertsOnly]);
+  });
+
+  test('respects the limit', () => {
+    const many = Array.from({ length: 20 }, (_, i) => ({ ...policies[3], _id: `m${i}`, title: `Policy ${i}` }));
+    expect(selectPolicies(many, detectRelevance({}))).toHaveLength(POLICY_CONTEXT_LIMIT);
+    expect(selectPolicies(many, detectRelevance({}), { limit: 3 })).toHaveLength(3);
+  });
+});
+
+describe('formatPolicyContext', () => {
+  test('is empty without policies', () => {
+    expect(formatPolicyContext([])).toBe('');
+  });
+
+  test('numbers each policy with its first requirements and citations', () => {
+    const aup = policies.find(p => p.title === 'Acceptable Use of Technology Assets');
+    const text = formatPolicyContext([policies[0], aup]);
+    const lines = text.split('\n');
+
+    expect(lines[0]).toMatch(/^POLICY CONTEXT/);
+    expect(text).toContain(`[1] Space Booking: ${policies[0].title} (${policies[0].citations[0]}) (${policies[0].citations[1]})`);
+    expect(text).toContain(`[2] Technology: ${aup.title}`);
+    // At most six requirements per policy
+    const aupBullets = text.slice(text.indexOf('[2]')).split('\n').filter(line => line.trim().startsWith('•'));
+    expect(aupBullets).toHaveLength(6);
+    expect(aupBullets[0]).toContain(aup.requirements[0]);
+  });
+});
+
+describe('toCitations', () => {
+  test('numbers policies as in the context and marks the ones the reply cites', () => {
+    const context = [policies[0], policies[1], policies[3]];
+    const citations = toCitations(context, 'Book the room first [1]. See [3] and [the form](https://x) and [2](https://y).');
+
+    expect(citations.map(c => [c.number, c.policyId, c.referenced])).toEqual([
+      [1, 'p1', true],
+      [2, 'p2', false],
+      [3, 'p4', true]
+    ]);
+    expect(citations[1]).toMatchObject({
+      title: policies[1].title,
+      category: 'Alcohol',
+      severity: 'critical',
+      version: 1,
+      citations: policies[1].citations,
+      requirements: policies[1].requirements
+    });
+  });
+
+  test('handles an empty reply', () => {
+    expect(toCitations([policies[0]], null)[0].referenced).toBe(false);
+    expect(toCitations([], 'anything [1]')).toEqual([]);
+  });
+});
@@ -0,0 +1,120 @@
+import { POLICIES } from '../../database/policies.js';
+import {
+  applyPolicyRules, evaluateRules, leadDaysFor, POLICY_RULES, EMS_BOOKING_TASK, DEAN_OF_STUDENTS_TASK,
+  LARGE_ALCOHOL_EVENT_ATTENDANCE
+} from '../src/policyRules.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const eventDate = new Date('2027-04-20T00:00:00Z');
+const daysBefore = (days) => new Date(eventDate.getTime() - days * DAY_MS);
+const onCampus = { eventDate, location: { type: 'on-campus' } };
+const rule = (id) => POLICY_RULES.find(r => r.id === id);
+
+describe('evaluateRules', () => {
+  test('fires only the rules whose conditions hold', () => {
+    expect(evaluateRules({ eventDate, location: { type: 'off-campus' } })).toEqual([]);
+    expect(evaluateRules(onCampus).map(r => r.ruleId)).toEqual(['space-booking']);
+    expect(evaluateRules({ ...onCampus, hasAlcohol: true, expectedAttendance: 80 }).map(r => r.ruleId))
+      .toEqual(['space-booking', 'alcohol-approval']);
+    expect(evaluateRules({ hasAlcohol: true, expectedAttendance: LARGE_ALCOHOL_EVENT_ATTENDANCE, involvesMinors: true, potentiallyControversial: true })
+      .map(r => r.ruleId)).toEqual(['alcohol-approval', 'alcohol-security', 'minors-protection', 'dean-of-students']);
+  });
+
+  test('counts due dates back from the event date', () => {
+    const [booking] = evaluateRules(onCampus);
+    expect(booking).toMatchObject({ task: EMS_BOOKING_TASK, dueDate: daysBefore(28), priority: 'high', category: 'Space Booking', leadDays: 28 });
+    expect(evaluateRules({ location: { type: 'on-campus' } })[0].dueDate).toBeNull();
+  });
+
+  test('takes lead times from the policy timeline, never below the rule minimum', () => {
+    expect(leadDaysFor(rule('alcohol-approval'), { timeline: { minAdvanceNotice: 30 } })).toBe(30);
+    expect(leadDaysFor(rule('alcohol-approval'), { timeline: {} })).toBe(21);
+    expect(leadDaysFor(rule('space-booking'), { timeline: { minAdvanceNotice: 14 } })).toBe(28);
+
+    const policies = POLICIES.map((p, i) => ({ ...p, _id: `${'a'.repeat(23)}${i}` }));
+    const [booking] = evaluateRules(onCampus, { policies });
+    expect(booking.policyReference).toBe(`${policies[0]._id}@v1`);
+  });
+
+  test('skips rules handled elsewhere', () => {
+    expect(evaluateRules(onCampus, { skipRules: ['space-booking'] })).toEqual([]);
+  });
+});
+
+describe('applyPolicyRules', () => {
+  test('adds a missing required task', () => {
+    const { checklist, changed } = applyPolicyRules([{ task: 'Order catering' }], onCampus);
+    expect(changed).toBe(true);
+    expect(checklist[0]).toMatchObject({ ruleId: 'space-booking', task: EMS_BOOKING_TASK, timingType: 'required', dueDate: daysBefore(28) });
+    expect(checklist[1]).toMatchObject({ task: 'Order catering', timingType: 'recommended' });
+  });
+
+  test('does not adopt tasks that only share a word with the rule', () => {
+    const unrelated = [
+      { task: 'Purchase raffle items', dueDate: daysBefore(3) },
+      { task: 'Book the DJ', dueDate: daysBefore(10) },
+      { task: 'Confirm venue layout with the florist' },
+      { task: 'Make space on the shared drive' }
+    ];
+    const { checklist } = applyPolicyRules(unrelated, onCampus);
+
+    expect(checklist).toHaveLength(unrelated.length + 1);
+    expect(checklist[0]).toMatchObject({ ruleId: 'space-booking', task: EMS_BOOKING_TASK, timingType: 'required' });
+    checklist.slice(1).forEach((item, i) => {
+      expect(item).toEqual({ ...unrelated[i], timingType: 'recommended' });
+    });
+  });
+
+  test('does not adopt unrelated tasks for the other rules either', () => {
+    const event = { eventDate, hasAlcohol: true, expectedAttendance: 150, involvesMinors: true, potentiallyControversial: true };
+    const { checklist } = applyPolicyRules([
+      { task: 'Buy alcohol-free punch' },
+      { task: 'Security deposit for the tent' },
+      { task: 'Snacks for minors' },
+      { task: 'Invite the dean' }
+    ], event);
+    expect(checklist.filter(item => item.ruleId)).toHaveLength(4);
+    expect(checklist.filter(item => !item.ruleId).every(item => item.timingType === 'recommended')).toBe(true);
+  });
+
+  test('adopts an existing task for the same action, only moving it earlier', () => {
+    const { checklist } = applyPolicyRules([
+      { task: 'Reserve the ballroom in Sarratt', dueDate: daysBefore(40) },
+      { task: 'Submit EMS request', dueDate: daysBefore(5) }
+    ], onCampus);
+
+    expect(checklist).toHaveLength(2);
+    expect(checklist[0]).toMatchObject({ ruleId: 'space-booking', timingType: 'required', dueDate: daysBefore(40) });
+    expect(checklist[1].ruleId).toBeUndefined();
+
+    const adoptedLate = applyPolicyRules([{ task: 'Submit EMS request', dueDate: daysBefore(5) }], onCampus).checklist;
+    expect(adoptedLate[0]).toMatchObject({ ruleId: 'space-booking', dueDate: daysBefore(28) });
+  });
+
+  test('adopts specific phrasings for each rule', () => {
+    const event = { eventDate, hasAlcohol: true, expectedAttendance: 150, involvesMinors: true, potentiallyControversial: true };
+    const { checklist } = applyPolicyRules([
+      { task: 'Submit alcohol approval form' },
+      { task: 'Request VUPD officers' },
+      { task: 'Background checks for volunteers' },
+      { task: 'Email the Dean of Students' }
+    ], event);
+    expect(checklist.map(item => item.ruleId)).toEqual(['alcohol-approval', 'alcohol-security', 'minors-protection', 'dean-of-students']);
+    expect(checklist.some(item => item.task === DEAN_OF_STUDENTS_TASK)).toBe(false);
+  });
+
+  test('moves open rule tasks with the event date and drops them when the rule stops applying', () => {
+    const first = applyPolicyRules([], onCampus).checklist;
+    const moved = applyPolicyRules(first, { ...onCampus, eventDate: new Date(eventDate.getTime() + 7 * DAY_MS) });
+    expect(moved.checklist[0].dueDate).toEqual(daysBefore(21));
+
+    expect(applyPolicyRules(first, { eventDate, location: { type: 'off-campus' } }).checklist).toEqual([]);
+    const done = [{ ...first[0], completed: true }];
+    expect(applyPolicyRules(done, { eventDate, location: { type: 'off-campus' } }).checklist).toHaveLength(1);
+  });
+
+  test('reports no change when the checklist already complies', () => {
+    const { checklist } = applyPolicyRules([], onCampus);
+    expect(applyPolicyRules(checklist, onCampus).changed).toBe(false);
+  });
+});
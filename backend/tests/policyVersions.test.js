@@ -0,0 +1,142 @@
+import { jest } from '@jest/globals';
+import { POLICIES } from '../../database/policies.js';
+import { Policy, PolicyVersion } from '../src/models.js';
+import {
+  snapshotPolicy, diffPolicySnapshots, formatPolicyReference, parsePolicyReference,
+  effectiveFromDate, revisePolicy, recordPolicyVersion, linkChecklistToPolicies, toPolicyVersions
+} from '../src/policyVersions.js';
+
+const now = new Date('2026-10-19T15:00:00Z');
+const seeded = (category) => new Policy({
+  ...POLICIES.find(p => p.category === category),
+  effectiveFrom: new Date('2026-09-15')
+});
+
+describe('snapshots and diffs', () => {
+  test('snapshots only the versioned fields', () => {
+    const policy = seeded('Alcohol');
+    const snapshot = snapshotPolicy(policy);
+    expect(snapshot).toMatchObject({ category: 'Alcohol', severity: 'critical' });
+    expect(snapshot).not.toHaveProperty('version');
+    expect(snapshot).not.toHaveProperty('_id');
+  });
+
+  test('lists the fields that changed', () => {
+    const before = { title: 'A', requirements: ['x'], severity: 'info' };
+    const after = { title: 'A', requirements: ['x', 'y'], severity: 'warning' };
+    expect(diffPolicySnapshots(before, after)).toEqual([
+      { field: 'requirements', before: ['x'], after: ['x', 'y'] },
+      { field: 'severity', before: 'info', after: 'warning' }
+    ]);
+  });
+});
+
+describe('policy references', () => {
+  test('round-trip through "<policyId>@v<version>"', () => {
+    const policy = seeded('Marketing');
+    policy.version = 3;
+    const ref = formatPolicyReference(policy);
+    expect(parsePolicyReference(ref)).toEqual({ policyId: String(policy._id), version: 3 });
+    expect(parsePolicyReference('not-a-reference')).toBeNull();
+  });
+
+  test('link checklist items to the policy of their category', () => {
+    const policy = seeded('Space Booking');
+    const linked = linkChecklistToPolicies([
+      { task: 'Book room', category: 'Space booking' },
+      { task: 'Order food', category: 'Catering' },
+      { task: 'Header', isTimeHeader: true, category: 'Space' }
+    ], [policy]);
+    expect(linked.map(i => i.policyReference)).toEqual([`${policy._id}@v1`, undefined, undefined]);
+    expect(toPolicyVersions([policy])).toEqual([{ policyId: policy._id, version: 1, title: policy.title }]);
+  });
+});
+
+describe('effectiveFromDate', () => {
+  test('defaults to now and allows backdating', () => {
+    expect(effectiveFromDate(undefined, { now })).toBe(now);
+    expect(effectiveFromDate('2026-09-01', { now })).toEqual(new Date('2026-09-01'));
+    expect(effectiveFromDate('2026-10-19', { now })).toEqual(new Date('2026-10-19'));
+  });
+
+  test('rejects future and unreadable dates', () => {
+    expect(() => effectiveFromDate('2026-11-01', { now })).toThrow(RangeError);
+    expect(() => effectiveFromDate('soon', { now })).toThrow(RangeError);
+  });
+
+  test('does not backdate past notBefore', () => {
+    const notBefore = new Date('2026-09-15');
+    expect(effectiveFromDate('2026-09-15', { now, notBefore })).toEqual(notBefore);
+    expect(() => effectiveFromDate('2026-09-14', { now, notBefore })).toThrow(/earlier than the current version/);
+  });
+});
+
+describe('revisePolicy', () => {
+  test('a content change bumps the version, effective from the given date', async () => {
+    const policy = seeded('Marketing');
+    const { changes, before } = await revisePolicy(policy, { severity: 'critical' }, { effectiveFrom: '2026-10-01', now });
+    expect(changes.map(c => c.field)).toEqual(['severity']);
+    expect(before.severity).toBe('warning');
+    expect(policy.version).toBe(2);
+    expect(policy.effectiveFrom).toEqual(new Date('2026-10-01'));
+  });
+
+  test('a future revision is refused and leaves the live policy untouched', async () => {
+    const policy = seeded('Marketing');
+    await expect(revisePolicy(policy, { severity: 'critical' }, { effectiveFrom: '2027-01-01', now }))
+      .rejects.toThrow(RangeError);
+    expect(policy.severity).toBe('warning');
+    expect(policy.version).toBe(1);
+  });
+
+  test('a revision backdated before the current version is refused', async () => {
+    const policy = seeded('Marketing');
+    await expect(revisePolicy(policy, { severity: 'critical' }, { effectiveFrom: '2026-09-01', now }))
+      .rejects.toThrow(RangeError);
+    expect(policy.version).toBe(1);
+    expect(policy.effectiveFrom).toEqual(new Date('2026-09-15'));
+  });
+
+  test('bookkeeping-only edits keep the version', async () => {
+    const policy = seeded('Marketing');
+    const { changes } = await revisePolicy(policy, { severity: 'warning' }, { now });
+    expect(changes).toEqual([]);
+    expect(policy.version).toBe(1);
+  });
+});
+
+describe('recordPolicyVersion', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('closes the previous window at the new effectiveFrom', async () => {
+    const policy = seeded('Marketing');
+    const previous = new PolicyVersion({ policyId: policy._id, version: 1, effectiveFrom: new Date('2026-09-15'), snapshot: {} });
+    jest.spyOn(PolicyVersion, 'findOne').mockResolvedValue(previous);
+    jest.spyOn(previous, 'save').mockResolvedValue(previous);
+    const create = jest.spyOn(PolicyVersion, 'create').mockImplementation(async (doc) => doc);
+
+    await revisePolicy(policy, { severity: 'critical' }, { effectiveFrom: '2026-10-01', now });
+    const version = await recordPolicyVersion(policy, { changedBy: 'admin@vanderbilt.edu' });
+
+    expect(previous.effectiveTo).toEqual(new Date('2026-10-01'));
+    expect(version).toMatchObject({ version: 2, effectiveFrom: new Date('2026-10-01') });
+    expect(create).toHaveBeenCalledTimes(1);
+  });
+
+  test('refuses a version that starts before the previous one, writing nothing', async () => {
+    const policy = seeded('Marketing');
+    policy.version = 2;
+    policy.effectiveFrom = new Date('2026-09-01');
+    const previous = new PolicyVersion({ policyId: policy._id, version: 1, effectiveFrom: new Date('2026-09-15'), snapshot: {} });
+    jest.spyOn(PolicyVersion, 'findOne').mockResolvedValue(previous);
+    const save = jest.spyOn(previous, 'save');
+    const create = jest.spyOn(PolicyVersion, 'create');
+
+    await expect(recordPolicyVersion(policy, { changedBy: 'admin@vanderbilt.edu' })).rejects.toThrow(RangeError);
+    expect(previous.effectiveTo).toBeUndefined();
+    expect(save).not.toHaveBeenCalled();
+    expect(create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,257 @@
+import { jest } from '@jest/globals';
+import { getEventListeners } from 'events';
+import { CircuitBreaker, backoffDelay, withResilience } from '../src/llm/resilience.js';
+import { LLMError, LLM_ERROR_CODES, errorFromResponse } from '../src/llm/errors.js';
+
+const upstream = () => new LLMError('502 from upstream', { code: LLM_ERROR_CODES.UPSTREAM, status: 502 });
+
+const collect = async (iterable) => {
+  const parts = [];
+  for await (const part of iterable) parts.push(part);
+  return parts;
+};
+
+beforeEach(() => {
+  // Breaker transitions and retries announce themselves; keep the test output clean
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('CircuitBreaker', () => {
+  const clock = () => {
+    let now = 1_000_000;
+    return { now: () => now, advance: (ms) => { now += ms; } };
+  };
+
+  test('opens after `threshold` consecutive failures and fails fast until resetMs', () => {
+    const time = clock();
+    const breaker = new CircuitBreaker({ threshold: 3, resetMs: 10_000, now: time.now });
+
+    breaker.failure(upstream());
+    breaker.failure(upstream());
+    expect(breaker.state).toBe('closed');
+    expect(() => breaker.check()).not.toThrow();
+
+    breaker.failure(upstream());
+    expect(breaker.state).toBe('open');
+
+    time.advance(4_000);
+    let thrown;
+    try { breaker.check(); } catch (error) { thrown = error; }
+    expect(thrown).toBeInstanceOf(LLMError);
+    expect(thrown.code).toBe(LLM_ERROR_CODES.UNAVAILABLE);
+    expect(thrown.retryAfterMs).toBe(6_000);
+  });
+
+  test('a success in between resets the failure count', () => {
+    const breaker = new CircuitBreaker({ threshold: 2 });
+    breaker.failure(upstream());
+    breaker.success();
+    breaker.failure(upstream());
+    expect(breaker.state).toBe('closed');
+    expect(breaker.failures).toBe(1);
+  });
+
+  test('goes half-open after resetMs, lets one trial through and closes on success', () => {
+    const time = clock();
+    const breaker = new CircuitBreaker({ threshold: 1, resetMs: 10_000, now: time.now });
+    breaker.failure(upstream());
+
+    time.advance(10_000);
+    expect(breaker.snapshot().state).toBe('half-open');
+    expect(() => breaker.check()).not.toThrow();
+    expect(breaker.state).toBe('half-open');
+    expect(() => breaker.check()).toThrow(/recovery check in progress/);
+
+    breaker.success();
+    expect(breaker.state).toBe('closed');
+    expect(breaker.failures).toBe(0);
+    expect(() => breaker.check()).not.toThrow();
+  });
+
+  test('a failed trial opens it again for another resetMs', () => {
+    const time = clock();
+    const breaker = new CircuitBreaker({ threshold: 5, resetMs: 10_000, now: time.now });
+    for (let i = 0; i < 5; i++) breaker.failure(upstream());
+
+    time.advance(10_000);
+    breaker.check();
+    breaker.failure(upstream());
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.snapshot()).toMatchObject({ state: 'open', failures: 6, lastError: { code: LLM_ERROR_CODES.UPSTREAM } });
+    time.advance(9_999);
+    expect(() => breaker.check()).toThrow(LLMError);
+  });
+
+  test('a cancelled trial frees the slot without closing or opening', () => {
+    const time = clock();
+    const breaker = new CircuitBreaker({ threshold: 1, resetMs: 10, now: time.now });
+    breaker.failure(upstream());
+    time.advance(10);
+
+    breaker.check();
+    breaker.release();
+    expect(breaker.state).toBe('half-open');
+    expect(() => breaker.check()).not.toThrow();
+  });
+});
+
+describe('backoffDelay', () => {
+  const policy = { baseMs: 500, maxMs: 8000 };
+
+  test('uses full jitter between half and all of the exponential cap', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    expect([0, 1, 2, 3].map(attempt => backoffDelay(attempt, policy))).toEqual([250, 500, 1000, 2000]);
+
+    Math.random.mockReturnValue(0.999999);
+    expect([0, 1, 2, 3].map(attempt => backoffDelay(attempt, policy))).toEqual([500, 1000, 2000, 4000]);
+  });
+
+  test('never exceeds maxMs', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.999999);
+    expect(backoffDelay(10, policy)).toBe(8000);
+  });
+
+  test('honours Retry-After, capped at maxMs', () => {
+    const limited = errorFromResponse('OpenAI', 429, 'slow down', '3');
+    expect(limited.retryAfterMs).toBe(3000);
+    expect(backoffDelay(0, policy, limited)).toBe(3000);
+
+    const tooLong = errorFromResponse('OpenAI', 429, '', '120');
+    expect(backoffDelay(0, policy, tooLong)).toBe(8000);
+  });
+});
+
+describe('withResilience', () => {
+  const options = (breaker = new CircuitBreaker()) => ({ breaker, retries: 2, baseMs: 1, maxMs: 2 });
+
+  test('retries retryable failures and then succeeds', async () => {
+    const chat = jest.fn()
+      .mockRejectedValueOnce(upstream())
+      .mockRejectedValueOnce(new LLMError('timeout', { code: LLM_ERROR_CODES.TIMEOUT }))
+      .mockResolvedValue('hello');
+    const provider = withResilience({ name: 'test', chat }, options());
+
+    expect(await provider.chat([])).toBe('hello');
+    expect(chat).toHaveBeenCalledTimes(3);
+  });
+
+  test('gives up after `retries` and counts one failure on the breaker', async () => {
+    const breaker = new CircuitBreaker();
+    const chat = jest.fn().mockRejectedValue(upstream());
+    const provider = withResilience({ name: 'test', chat }, options(breaker));
+
+    await expect(provider.chat([])).rejects.toMatchObject({ code: LLM_ERROR_CODES.UPSTREAM });
+    expect(chat).toHaveBeenCalledTimes(3);
+    expect(breaker.failures).toBe(1);
+  });
+
+  test('does not retry a bad request or count it as an outage', async () => {
+    const breaker = new CircuitBreaker();
+    const chat = jest.fn().mockRejectedValue(errorFromResponse('OpenAI', 401, 'bad key'));
+    const provider = withResilience({ name: 'test', chat }, options(breaker));
+
+    await expect(provider.chat([])).rejects.toMatchObject({ code: LLM_ERROR_CODES.BAD_REQUEST });
+    expect(chat).toHaveBeenCalledTimes(1);
+    expect(breaker.failures).toBe(0);
+  });
+
+  test('removes its abort listener once a backoff wait is over', async () => {
+    const signal = new AbortController().signal;
+    const chat = jest.fn()
+      .mockRejectedValueOnce(upstream())
+      .mockRejectedValueOnce(upstream())
+      .mockResolvedValue('ok');
+    const provider = withResilience({ name: 'test', chat }, options());
+
+    await provider.chat([], { signal });
+
+    expect(getEventListeners(signal, 'abort')).toHaveLength(0);
+  });
+
+  test('an abort during backoff cancels the call', async () => {
+    const client = new AbortController();
+    const chat = jest.fn().mockImplementation(async () => {
+      setTimeout(() => client.abort(), 0);
+      throw upstream();
+    });
+    const provider = withResilience({ name: 'test', chat }, { breaker: new CircuitBreaker(), retries: 2, baseMs: 1000, maxMs: 1000 });
+
+    await expect(provider.chat([], { signal: client.signal })).rejects.toMatchObject({ code: LLM_ERROR_CODES.CANCELLED });
+    expect(chat).toHaveBeenCalledTimes(1);
+  });
+
+  test('retries a stream that fails before its first chunk', async () => {
+    let calls = 0;
+    const provider = withResilience({
+      name: 'test',
+      async *stream() {
+        calls += 1;
+        if (calls === 1) throw upstream();
+        yield 'Hello ';
+        yield 'world';
+      }
+    }, options());
+
+    expect(await collect(provider.stream([]))).toEqual(['Hello ', 'world']);
+    expect(calls).toBe(2);
+  });
+
+  test('does not retry a stream after output has been yielded', async () => {
+    const breaker = new CircuitBreaker();
+    let calls = 0;
+    const provider = withResilience({
+      name: 'test',
+      async *stream() {
+        calls += 1;
+        yield 'Hello ';
+        throw upstream();
+      }
+    }, options(breaker));
+
+    const parts = [];
+    await expect((async () => {
+      for await (const part of provider.stream([])) parts.push(part);
+    })()).rejects.toMatchObject({ code: LLM_ERROR_CODES.UPSTREAM });
+    expect(parts).toEqual(['Hello ']);
+    expect(calls).toBe(1);
+    expect(breaker.failures).toBe(1);
+  });
+});
+
+describe('LLM_MAX_RETRIES', () => {
+  const retriesFor = async (value) => {
+    const before = process.env.LLM_MAX_RETRIES;
+    if (value === undefined) delete process.env.LLM_MAX_RETRIES;
+    else process.env.LLM_MAX_RETRIES = value;
+    try {
+      let config;
+      await jest.isolateModulesAsync(async () => {
+        config = (await import('../src/config.js')).CONFIG;
+      });
+      return config.LLM_MAX_RETRIES;
+    } finally {
+      if (before === undefined) delete process.env.LLM_MAX_RETRIES;
+      else process.env.LLM_MAX_RETRIES = before;
+    }
+  };
+
+  test('falls back to 2 for unset or unparsable values', async () => {
+    expect(await retriesFor(undefined)).toBe(2);
+    expect(await retriesFor('abc')).toBe(2);
+    expect(await retriesFor('')).toBe(2);
+    expect(await retriesFor('-1')).toBe(2);
+    expect(await retriesFor('1.5')).toBe(2);
+  });
+
+  test('accepts whole numbers up to 10', async () => {
+    expect(await retriesFor('0')).toBe(0);
+    expect(await retriesFor(' 4 ')).toBe(4);
+    expect(await retriesFor('1000')).toBe(10);
+  });
+});
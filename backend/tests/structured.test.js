@@ -0,0 +1,114 @@
+import { jest } from '@jest/globals';
+
+process.env.LLM_PROVIDER = 'fake';
+process.env.LLM_MAX_RETRIES = '0';
+const { generateStructured, extractJson } = await import('../src/llm/structured.js');
+const { fakeProvider } = await import('../src/llm/fake.js');
+const { LLMError, LLM_ERROR_CODES } = await import('../src/llm/errors.js');
+
+const schema = {
+  type: 'object',
+  required: ['title', 'priority'],
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    priority: { type: 'string', enum: ['low', 'medium', 'high'] },
+    attendance: { type: 'integer', minimum: 0 }
+  },
+  additionalProperties: false
+};
+const messages = [{ role: 'user', content: 'Draft a mixer' }];
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('extractJson', () => {
+  test('reads an object out of code fences and chatter', () => {
+    expect(extractJson('Sure!\n```json\n{"title": "Mixer"}\n```\nAnything else?')).toEqual({ title: 'Mixer' });
+  });
+
+  test('throws a SyntaxError when there is no object', () => {
+    expect(() => extractJson('I cannot help with that')).toThrow(SyntaxError);
+  });
+});
+
+describe('generateStructured', () => {
+  test('returns valid output on the first attempt, dropping unknown keys', async () => {
+    jest.spyOn(fakeProvider, 'json').mockResolvedValue('{"title": "Mixer", "priority": "high", "mood": "fun"}');
+
+    const result = await generateStructured({ messages, schema, maxAttempts: 3 });
+
+    expect(result).toEqual({ data: { title: 'Mixer', priority: 'high' }, attempts: 1 });
+  });
+
+  test('sends Ajv errors back to the model and accepts the repaired output', async () => {
+    const json = jest.spyOn(fakeProvider, 'json')
+      .mockResolvedValueOnce('{"title": "", "priority": "urgent", "attendance": -5}')
+      .mockResolvedValueOnce('{"title": "Mixer", "priority": "medium", "attendance": 40}');
+
+    const result = await generateStructured({ messages, schema, schemaName: 'event_draft', maxAttempts: 3 });
+
+    expect(result).toEqual({ data: { title: 'Mixer', priority: 'medium', attendance: 40 }, attempts: 2 });
+    expect(json).toHaveBeenCalledTimes(2);
+
+    const [repairMessages, options] = json.mock.calls[1];
+    expect(options).toMatchObject({ schema, schemaName: 'event_draft' });
+    expect(repairMessages.slice(0, 1)).toEqual(messages);
+    expect(repairMessages[1]).toEqual({ role: 'assistant', content: '{"title": "", "priority": "urgent", "attendance": -5}' });
+    const feedback = repairMessages[2].content;
+    expect(repairMessages[2].role).toBe('user');
+    expect(feedback).toContain('/title must NOT have fewer than 1 characters');
+    expect(feedback).toContain('/priority must be equal to one of the allowed values (low, medium, high)');
+    expect(feedback).toContain('/attendance must be >= 0');
+  });
+
+  test('repairs output that is not JSON at all', async () => {
+    jest.spyOn(fakeProvider, 'json')
+      .mockResolvedValueOnce('Here is your event: Mixer, high priority')
+      .mockResolvedValueOnce('{"title": "Mixer", "priority": "high"}');
+
+    const result = await generateStructured({ messages, schema, maxAttempts: 2 });
+
+    expect(result.attempts).toBe(2);
+    expect(fakeProvider.json.mock.calls[1][0].at(-1).content).toContain('response is not valid JSON');
+  });
+
+  test('throws AI_INVALID_OUTPUT with the last errors once repair attempts run out', async () => {
+    // The conversation array grows between calls, so record its size as each call sees it
+    const sentLengths = [];
+    const json = jest.spyOn(fakeProvider, 'json').mockImplementation(async (sent) => {
+      sentLengths.push(sent.length);
+      return '{"title": "Mixer"}';
+    });
+
+    let thrown;
+    try {
+      await generateStructured({ messages, schema, schemaName: 'event_draft', maxAttempts: 3 });
+    } catch (error) {
+      thrown = error;
+    }
+
+    expect(thrown).toBeInstanceOf(LLMError);
+    expect(thrown.code).toBe(LLM_ERROR_CODES.INVALID_OUTPUT);
+    expect(thrown.httpStatus).toBe(502);
+    expect(thrown.message).toBe('AI returned invalid event_draft after 3 attempt(s)');
+    expect(thrown.validationErrors).toEqual(["(root) must have required property 'priority'"]);
+    expect(json).toHaveBeenCalledTimes(3);
+    // Each repair carries the whole exchange so far
+    expect(sentLengths).toEqual([1, 3, 5]);
+  });
+
+  test('passes provider failures through without repairing', async () => {
+    const json = jest.spyOn(fakeProvider, 'json')
+      .mockRejectedValue(new LLMError('bad key', { code: LLM_ERROR_CODES.BAD_REQUEST }));
+
+    await expect(generateStructured({ messages, schema, maxAttempts: 3 }))
+      .rejects.toMatchObject({ code: LLM_ERROR_CODES.BAD_REQUEST });
+    expect(json).toHaveBeenCalledTimes(1);
+  });
+});
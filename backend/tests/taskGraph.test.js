@@ -0,0 +1,124 @@
+import {
+  taskDays, dependencyGraph, findCycle, assertAcyclic, scheduleChecklist, analyzeSchedule
+} from '../src/taskGraph.js';
+
+const day = (iso) => new Date(`${iso}T00:00:00Z`);
+const eventDate = day('2027-04-20');
+
+describe('taskDays', () => {
+  test('fits four hours of work in a day, at least one day per task', () => {
+    expect(taskDays({})).toBe(1);
+    expect(taskDays({ estimatedHours: 4 })).toBe(1);
+    expect(taskDays({ estimatedHours: 9 })).toBe(3);
+  });
+});
+
+describe('dependencyGraph', () => {
+  test('ignores headers, unknown and self references', () => {
+    const { items, prerequisites, dependents } = dependencyGraph([
+      { task: 'Week of event', isTimeHeader: true },
+      { _id: 'a', task: 'Design flyer', dependencies: ['a', 'Ask the printer'] },
+      { _id: 'b', task: 'Print flyers', dependencies: ['a', 'a'] },
+      { task: 'Unsaved item' }
+    ]);
+    expect([...items.keys()]).toEqual(['a', 'b']);
+    expect(prerequisites.get('a')).toEqual([]);
+    expect(prerequisites.get('b')).toEqual(['a']);
+    expect(dependents.get('a')).toEqual(['b']);
+  });
+});
+
+describe('cycles', () => {
+  const cyclic = [
+    { _id: 'a', task: 'Design flyer', dependencies: ['c'] },
+    { _id: 'b', task: 'Print flyers', dependencies: ['a'] },
+    { _id: 'c', task: 'Approve flyer', dependencies: ['b'] }
+  ];
+
+  test('finds a cycle and names it', () => {
+    expect(findCycle(cyclic)).toEqual(['a', 'c', 'b', 'a']);
+    expect(() => assertAcyclic(cyclic)).toThrow('Task dependencies form a cycle: "Design flyer" → "Approve flyer" → "Print flyers" → "Design flyer"');
+  });
+
+  test('accepts an acyclic checklist', () => {
+    const acyclic = cyclic.map(item => (item._id === 'a' ? { ...item, dependencies: [] } : item));
+    expect(findCycle(acyclic)).toBeNull();
+    expect(() => assertAcyclic(acyclic)).not.toThrow();
+  });
+
+  test('scheduling refuses cyclic dependencies', () => {
+    expect(() => scheduleChecklist({ eventDate, checklist: cyclic })).toThrow(RangeError);
+    expect(() => analyzeSchedule({ eventDate, checklist: cyclic })).toThrow(RangeError);
+  });
+});
+
+describe('scheduleChecklist', () => {
+  const event = {
+    eventDate,
+    location: { type: 'on-campus' },
+    checklist: [
+      { _id: 'venue', task: 'Book the venue', ruleId: 'space-booking', dueDate: day('2027-04-01') },
+      { _id: 'design', task: 'Design flyer', dueDate: day('2027-04-10') },
+      { _id: 'print', task: 'Print flyers', estimatedHours: 8, dueDate: day('2027-04-10'), dependencies: ['design', 'copy'] },
+      { _id: 'copy', task: 'Write flyer copy' },
+      { _id: 'thanks', task: 'Send thank-you notes', dueDate: day('2027-04-25') },
+      { _id: 'volunteers', task: 'Find volunteers' },
+      { _id: 'done', task: 'Pick a theme', completed: true, dueDate: day('2027-04-19') },
+      { _id: 'late', task: 'Confirm the DJ', dueDate: day('2027-04-22'), dependencies: ['done'] }
+    ]
+  };
+
+  test('moves tasks earlier for their dependents and policy deadlines', () => {
+    const { adjustments } = scheduleChecklist(event);
+    expect(adjustments).toEqual(expect.arrayContaining([
+      { itemId: 'venue', task: 'Book the venue', from: day('2027-04-01'), to: day('2027-03-23'), reason: 'policy' },
+      { itemId: 'design', task: 'Design flyer', from: day('2027-04-10'), to: day('2027-04-08'), reason: 'dependency', dependent: 'Print flyers' },
+      { itemId: 'copy', task: 'Write flyer copy', from: null, to: day('2027-04-08'), reason: 'dependency', dependent: 'Print flyers' }
+    ]));
+    expect(adjustments).toHaveLength(3);
+  });
+
+  test('leaves post-event, standalone undated and completed tasks alone', () => {
+    const { checklist } = scheduleChecklist(event);
+    const byId = Object.fromEntries(checklist.map(item => [item._id, item]));
+    expect(byId.thanks.dueDate).toEqual(day('2027-04-25'));
+    expect(byId.volunteers.dueDate).toBeUndefined();
+    expect(byId.done.dueDate).toEqual(day('2027-04-19'));
+    expect(byId.late.dueDate).toEqual(day('2027-04-22'));
+    expect(byId.design.dueDate).toEqual(day('2027-04-08'));
+  });
+
+  test('only moves due dates earlier', () => {
+    const early = { eventDate, checklist: [{ _id: 'a', task: 'Design flyer', dueDate: day('2027-03-01') }, { _id: 'b', task: 'Print flyers', dueDate: day('2027-04-10'), dependencies: ['a'] }] };
+    expect(scheduleChecklist(early).adjustments).toEqual([]);
+  });
+});
+
+describe('analyzeSchedule', () => {
+  const now = day('2027-04-15');
+  const event = {
+    eventDate,
+    checklist: [
+      { _id: 'build', task: 'Build the stage', estimatedHours: 16, dueDate: day('2027-04-18') },
+      { _id: 'rehearse', task: 'Rehearse', estimatedHours: 8, dueDate: day('2027-04-10'), dependencies: ['build'] },
+      { _id: 'snacks', task: 'Buy snacks', estimatedHours: 4 },
+      { _id: 'theme', task: 'Pick a theme', completed: true }
+    ]
+  };
+
+  test('finds the tasks that cannot be finished in time', () => {
+    const report = analyzeSchedule(event, { now });
+    expect(report).toMatchObject({ minSlackDays: -1, threatened: true, criticalPath: ['build', 'rehearse'], overdueThreats: ['rehearse'] });
+    const byId = Object.fromEntries(report.tasks.map(t => [t.itemId, t]));
+    expect(byId.build).toMatchObject({ durationDays: 4, earliestFinish: day('2027-04-19'), latestFinish: day('2027-04-18'), deadline: 'event', slackDays: -1, threatensEvent: true, critical: true, overdue: false });
+    expect(byId.rehearse).toMatchObject({ dependencies: ['build'], earliestFinish: day('2027-04-21'), slackDays: -1, overdue: true });
+    expect(byId.snacks).toMatchObject({ slackDays: 4, threatensEvent: false, critical: false });
+    expect(byId.theme).toEqual({ itemId: 'theme', task: 'Pick a theme', dueDate: null, completed: true, dependencies: [], durationDays: 1 });
+  });
+
+  test('has no deadlines without an event date', () => {
+    const report = analyzeSchedule({ checklist: event.checklist }, { now });
+    expect(report).toMatchObject({ minSlackDays: null, threatened: false, criticalPath: [] });
+    expect(report.tasks.find(t => t.itemId === 'build')).toMatchObject({ latestFinish: null, slackDays: null });
+  });
+});
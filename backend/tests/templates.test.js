@@ -0,0 +1,120 @@
+import { offsetFromEvent, templateFromEvent, eventFromTemplate } from '../src/templates.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const eventDate = new Date('2027-04-20T00:00:00Z');
+const daysBefore = (days) => new Date(eventDate.getTime() - days * DAY_MS);
+
+const event = {
+  _id: 'event-1',
+  title: 'Spring Mixer',
+  description: 'Welcome back social',
+  eventType: 'social',
+  category: 'social',
+  priority: 'high',
+  eventDate,
+  startTime: new Date('2027-04-20T22:00:00Z'),
+  endTime: new Date('2027-04-21T01:30:00Z'),
+  expectedAttendance: 120,
+  hasAlcohol: false,
+  involvesMinors: false,
+  location: { type: 'on-campus', venue: 'Student Life Center', room: 'Ballroom' },
+  checklist: [
+    { task: '2-4 weeks out', isTimeHeader: true },
+    { task: 'Book the Student Life Center through EMS', dueDate: daysBefore(21), priority: 'critical', category: 'venue', timingType: 'required', ruleId: 'space-booking', policyRefs: [{ policyId: 'p1' }] },
+    { task: 'Order food', dueDate: daysBefore(7), priority: 'medium', estimatedHours: 2 },
+    { task: 'Send thank-you notes', dueDate: new Date(eventDate.getTime() + 2 * DAY_MS) },
+    { task: 'Find volunteers' }
+  ]
+};
+
+describe('offsetFromEvent', () => {
+  test('counts whole days, negative before the event', () => {
+    expect(offsetFromEvent(daysBefore(21), eventDate)).toBe(-21);
+    expect(offsetFromEvent(eventDate, eventDate)).toBe(0);
+    expect(offsetFromEvent(new Date(eventDate.getTime() + 3 * DAY_MS), eventDate)).toBe(3);
+  });
+});
+
+describe('templateFromEvent', () => {
+  const template = templateFromEvent(event);
+
+  test('keeps the event type and planning attributes', () => {
+    expect(template).toMatchObject({ name: 'Spring Mixer', description: 'Welcome back social', eventType: 'social', priority: 'high' });
+    expect(template.defaults).toEqual({
+      expectedAttendance: 120,
+      hasAlcohol: false,
+      involvesMinors: false,
+      location: { type: 'on-campus', venue: 'Student Life Center', room: 'Ballroom' },
+      startMinutes: 22 * 60,
+      endMinutes: 25 * 60 + 30
+    });
+  });
+
+  test('stores tasks with day offsets and drops time-period headers', () => {
+    expect(template.tasks.map(t => t.task)).toEqual(['Book the Student Life Center through EMS', 'Order food', 'Send thank-you notes', 'Find volunteers']);
+    expect(template.tasks.map(t => t.offsetDays)).toEqual([-21, -7, 2, undefined]);
+  });
+
+  test('keeps rule ids but not policy references', () => {
+    expect(template.tasks[0]).toMatchObject({ ruleId: 'space-booking', timingType: 'required' });
+    expect(template.tasks[0]).not.toHaveProperty('policyRefs');
+    expect(template.tasks[1]).not.toHaveProperty('ruleId');
+    expect(template.tasks[1].timingType).toBe('recommended');
+  });
+
+  test('uses the given name and description', () => {
+    expect(templateFromEvent(event, { name: 'Mixer', description: '' })).toMatchObject({ name: 'Mixer', description: '' });
+  });
+
+  test('leaves tasks and booking hours without offsets when the event has no date', () => {
+    const undated = templateFromEvent({ ...event, eventDate: null });
+    expect(undated.tasks.every(t => !('offsetDays' in t))).toBe(true);
+    expect(undated.defaults).not.toHaveProperty('startMinutes');
+  });
+});
+
+describe('eventFromTemplate', () => {
+  const template = { _id: 'template-1', ...templateFromEvent(event) };
+
+  test('places every task relative to the new event date', () => {
+    const newDate = new Date('2027-10-01T00:00:00Z');
+    const data = eventFromTemplate(template, { eventDate: newDate });
+    expect(data.eventDate).toEqual(newDate);
+    expect(data.templateId).toBe('template-1');
+    expect(data.checklist.map(t => t.dueDate)).toEqual([
+      new Date('2027-09-10T00:00:00Z'),
+      new Date('2027-09-24T00:00:00Z'),
+      new Date('2027-10-03T00:00:00Z'),
+      null
+    ]);
+    expect(data.checklist.every(t => t.completed === false)).toBe(true);
+    expect(data.checklist[0].ruleId).toBe('space-booking');
+  });
+
+  test('round-trips the event checklist onto the original date', () => {
+    const data = eventFromTemplate(template, { eventDate });
+    expect(data.checklist.map(t => t.dueDate)).toEqual(event.checklist.slice(1).map(t => t.dueDate || null));
+  });
+
+  test('puts the booking hours on the new event date', () => {
+    const data = eventFromTemplate(template, { eventDate: new Date('2027-10-01T00:00:00Z') });
+    expect(data.startTime).toEqual(new Date('2027-10-01T22:00:00Z'));
+    expect(data.endTime).toEqual(new Date('2027-10-02T01:30:00Z'));
+    expect(data).not.toHaveProperty('startMinutes');
+    expect(data).not.toHaveProperty('endMinutes');
+  });
+
+  test('leaves tasks undated without an event date', () => {
+    const data = eventFromTemplate(template);
+    expect(data.eventDate).toBeNull();
+    expect(data.checklist.every(t => t.dueDate === null)).toBe(true);
+    expect(data).not.toHaveProperty('startTime');
+  });
+
+  test('lets overrides win over the template defaults without sharing the location', () => {
+    const data = eventFromTemplate(template, { eventDate, title: 'Fall Mixer', expectedAttendance: 200 });
+    expect(data).toMatchObject({ title: 'Fall Mixer', expectedAttendance: 200, hasAlcohol: false });
+    data.location.room = 'Room 101';
+    expect(template.defaults.location.room).toBe('Ballroom');
+  });
+});
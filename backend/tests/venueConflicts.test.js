@@ -0,0 +1,112 @@
+import {
+  DEFAULT_BOOKING_HOURS, assertBookingTimes, bookingOf, samePlace, sameTime, venueConflictQuery, findVenueConflicts,
+  venueSchedule
+} from '../src/venueConflicts.js';
+
+const day = (iso) => new Date(`${iso}T00:00:00Z`);
+const at = (iso) => new Date(`${iso}Z`);
+const ballroom = { type: 'on-campus', venue: 'Student Life Center', room: 'Ballroom' };
+
+const mixer = { _id: 'e1', title: 'Spring Mixer', eventDate: day('2027-04-20'), startTime: at('2027-04-20T22:00:00'), endTime: at('2027-04-21T00:00:00'), location: ballroom };
+
+describe('assertBookingTimes', () => {
+  test('accepts no times, a start alone, or an end after the start', () => {
+    expect(() => assertBookingTimes({})).not.toThrow();
+    expect(() => assertBookingTimes({ startTime: mixer.startTime })).not.toThrow();
+    expect(() => assertBookingTimes(mixer)).not.toThrow();
+  });
+
+  test.each([
+    [{ startTime: 'tonight' }, /valid dates/],
+    [{ endTime: at('2027-04-20T22:00:00') }, /needs a startTime/],
+    [{ startTime: at('2027-04-20T22:00:00'), endTime: at('2027-04-20T22:00:00') }, /after startTime/]
+  ])('rejects %o', (times, message) => {
+    expect(() => assertBookingTimes(times)).toThrow(RangeError);
+    expect(() => assertBookingTimes(times)).toThrow(message);
+  });
+});
+
+describe('bookingOf', () => {
+  test('books the venue for the event hours', () => {
+    expect(bookingOf(mixer)).toEqual({ venue: 'Student Life Center', room: 'Ballroom', day: '2027-04-20', start: mixer.startTime, end: mixer.endTime, allDay: false });
+  });
+
+  test('holds the whole day without times and a default length without an end', () => {
+    expect(bookingOf({ ...mixer, startTime: null, endTime: null })).toMatchObject({ start: null, end: null, allDay: true });
+    expect(bookingOf({ ...mixer, endTime: null }).end).toEqual(new Date(mixer.startTime.getTime() + DEFAULT_BOOKING_HOURS * 60 * 60 * 1000));
+  });
+
+  test('books nothing without a venue or a date', () => {
+    expect(bookingOf({ ...mixer, location: { type: 'on-campus', venue: '  ' } })).toBeNull();
+    expect(bookingOf({ location: ballroom })).toBeNull();
+  });
+});
+
+describe('samePlace and sameTime', () => {
+  test('match venues regardless of case; a booking without a room holds the whole venue', () => {
+    expect(samePlace({ venue: 'Student Life Center', room: 'Ballroom' }, { venue: 'student life center ', room: 'ballroom' })).toBe(true);
+    expect(samePlace({ venue: 'Student Life Center', room: 'Ballroom' }, { venue: 'Student Life Center', room: 'Room 101' })).toBe(false);
+    expect(samePlace({ venue: 'Student Life Center', room: null }, { venue: 'Student Life Center', room: 'Room 101' })).toBe(true);
+    expect(samePlace({ venue: 'Alumni Hall' }, { venue: 'Student Life Center' })).toBe(false);
+  });
+
+  test('compare days for all-day bookings and intervals otherwise', () => {
+    const timed = (start, end) => ({ day: '2027-04-20', start: at(start), end: at(end), allDay: false });
+    expect(sameTime(timed('2027-04-20T18:00:00', '2027-04-20T20:00:00'), timed('2027-04-20T19:00:00', '2027-04-20T21:00:00'))).toBe(true);
+    expect(sameTime(timed('2027-04-20T18:00:00', '2027-04-20T20:00:00'), timed('2027-04-20T20:00:00', '2027-04-20T21:00:00'))).toBe(false);
+    expect(sameTime({ day: '2027-04-20', allDay: true }, timed('2027-04-20T08:00:00', '2027-04-20T09:00:00'))).toBe(true);
+    expect(sameTime({ day: '2027-04-21', allDay: true }, { day: '2027-04-20', allDay: true })).toBe(false);
+  });
+});
+
+describe('venueConflictQuery', () => {
+  test('looks for bookings on the same day or overlapping the hours, other than the event itself', () => {
+    expect(venueConflictQuery(mixer)).toEqual({
+      'location.venue': 'Student Life Center',
+      status: { $ne: 'cancelled' },
+      _id: { $ne: 'e1' },
+      $or: [
+        { eventDate: { $gte: day('2027-04-20'), $lt: day('2027-04-21') } },
+        { startTime: { $lt: mixer.endTime }, endTime: { $gt: mixer.startTime } }
+      ]
+    });
+    expect(venueConflictQuery({ ...mixer, location: { type: 'off-campus' } })).toBeNull();
+  });
+});
+
+describe('findVenueConflicts', () => {
+  const candidates = [
+    mixer,
+    { _id: 'e2', title: 'Chess Club', eventDate: day('2027-04-20'), startTime: at('2027-04-20T23:00:00'), endTime: at('2027-04-21T01:00:00'), location: { venue: 'student life center' }, status: 'confirmed' },
+    { _id: 'e3', title: 'Book Sale', eventDate: day('2027-04-20'), location: { venue: 'Student Life Center', room: 'Room 101' } },
+    { _id: 'e4', title: 'Film Night', eventDate: day('2027-04-20'), startTime: at('2027-04-20T19:00:00'), endTime: at('2027-04-20T21:00:00'), location: ballroom },
+    { _id: 'e5', title: 'Cancelled Gala', eventDate: day('2027-04-20'), location: ballroom, status: 'cancelled' },
+    { _id: 'e6', title: 'Open House', eventDate: day('2027-04-20'), location: ballroom }
+  ];
+
+  test('finds overlapping bookings in the same place, hiding events the user cannot see', () => {
+    const conflicts = findVenueConflicts(mixer, candidates, { accessFor: event => (event._id === 'e2' ? 'view' : null) });
+    expect(conflicts).toEqual([
+      { eventId: 'e2', title: 'Chess Club', venue: 'student life center', room: null, day: '2027-04-20', startTime: candidates[1].startTime, endTime: candidates[1].endTime, allDay: false, status: 'confirmed' },
+      { eventId: null, title: 'Reserved', venue: 'Student Life Center', room: 'Ballroom', day: '2027-04-20', startTime: null, endTime: null, allDay: true, status: 'pending' }
+    ]);
+  });
+
+  test('finds nothing for an event without a booking', () => {
+    expect(findVenueConflicts({ title: 'Online talk', eventDate: day('2027-04-20') }, candidates)).toEqual([]);
+  });
+});
+
+describe('venueSchedule', () => {
+  test('lists the bookings at a venue earliest first, keeping whole-venue bookings', () => {
+    const events = [
+      mixer,
+      { _id: 'e2', title: 'Breakfast', eventDate: day('2027-04-20'), startTime: at('2027-04-20T12:00:00'), location: { venue: 'Student Life Center' } },
+      { _id: 'e3', title: 'Book Sale', eventDate: day('2027-04-19'), location: { venue: 'Student Life Center', room: 'Room 101' } },
+      { _id: 'e4', title: 'Lecture', eventDate: day('2027-04-18'), location: { venue: 'Alumni Hall' } }
+    ];
+    const schedule = venueSchedule(events, { venue: 'student life center', room: 'Ballroom', accessFor: () => 'view' });
+    expect(schedule.map(b => b.title)).toEqual(['Breakfast', 'Spring Mixer']);
+    expect(venueSchedule(events, { venue: 'Student Life Center' }).map(b => b.title)).toEqual(['Reserved', 'Reserved', 'Reserved']);
+  });
+});
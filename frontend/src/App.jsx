@@ -8,6 +8,15 @@ import PlanDetails from './pages/PlanDetails';
 import SavedEvents from './pages/SavedEvents';
 import PublicEvent from './pages/PublicEvent';
 import CollaborativeEvent from './pages/CollaborativeEvent';
+import PolicyAdmin from './pages/PolicyAdmin';
+import Templates from './pages/Templates';
+import EventTimeline from './pages/EventTimeline';
+import { setupAxiosAuth, saveSession, clearSession } from './auth';
+
+// Install before any page mounts so their first requests already carry the token
+setupAxiosAuth({
+  onSessionExpired: () => window.dispatchEvent(new Event('auth:expired'))
+});
 
 function App() {
   const [user, setUser] = useState(null);
@@ -23,23 +32,25 @@ function App() {
         setUser(JSON.parse(userData));
       } catch (error) {
         console.error('Error parsing user data:', error);
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
+        clearSession();
       }
     }
     setLoading(false);
+
+    // Refresh failed somewhere in the app: drop back to the login screen
+    const onExpired = () => setUser(null);
+    window.addEventListener('auth:expired', onExpired);
+    return () => window.removeEventListener('auth:expired', onExpired);
   }, []);
 
-  const handleLogin = (userData, token) => {
+  const handleLogin = (userData, token, refreshToken) => {
     setUser(userData);
-    localStorage.setItem('token', token);
-    localStorage.setItem('user', JSON.stringify(userData));
+    saveSession({ user: userData, token, refreshToken });
   };
 
   const handleLogout = () => {
     setUser(null);
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+    clearSession();
   };
 
   if (loading) {
@@ -92,13 +103,33 @@ function App() {
               user ? <SavedEvents user={user} /> : <Navigate to="/login" />
             } 
           />
+          <Route 
+            path="/events/:eventId/timeline" 
+            element={
+              user ? <EventTimeline user={user} /> : <Navigate to="/login" />
+            } 
+          />
+          <Route 
+            path="/templates" 
+            element={
+              user ? <Templates user={user} /> : <Navigate to="/login" />
+            } 
+          />
+          <Route 
+            path="/admin/policies" 
+            element={
+              user ? <PolicyAdmin user={user} /> : <Navigate to="/login" />
+            } 
+          />
           <Route 
             path="/public/events/:shareId" 
             element={<PublicEvent />} 
           />
           <Route 
             path="/collaborate/:collaborationId" 
-            element={<CollaborativeEvent user={user} />} 
+            element={
+              user ? <CollaborativeEvent user={user} /> : <Login onLogin={handleLogin} />
+            } 
           />
           <Route 
             path="/" 
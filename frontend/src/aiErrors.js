@@ -0,0 +1,19 @@
+// User-facing text for the `code` field the backend attaches to failed AI calls
+// (see backend/src/llm/errors.js).
+const AI_ERROR_MESSAGES = {
+  AI_TIMEOUT: 'The AI assistant took too long to respond. Please try again.',
+  AI_RATE_LIMITED: 'The AI assistant is receiving too many requests right now. Please wait a moment and try again.',
+  AI_UPSTREAM_ERROR: 'The AI service returned an error. Please try again in a moment.',
+  AI_UNAVAILABLE: 'The AI service is temporarily unavailable. We\'ll keep retrying — please try again in about a minute.',
+  AI_BAD_REQUEST: 'The AI service rejected the request. If this keeps happening, contact the site administrator.',
+  AI_CONFIG_ERROR: 'The AI assistant is not configured correctly. Please contact the site administrator.',
+  AI_INVALID_OUTPUT: 'The AI assistant returned an incomplete answer. Please try again or rephrase your request.',
+};
+
+/** Accepts an axios error, an Error with `.code`, or a bare code string */
+export const aiErrorMessage = (errorOrCode, fallback = 'I apologize, but I encountered an error processing your message. Please try again.') => {
+  const code = typeof errorOrCode === 'string'
+    ? errorOrCode
+    : errorOrCode?.response?.data?.code || errorOrCode?.code;
+  return AI_ERROR_MESSAGES[code] || fallback;
+};
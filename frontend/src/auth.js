@@ -0,0 +1,114 @@
+import axios from 'axios';
+
+const TOKEN_KEY = 'token';
+const REFRESH_KEY = 'refreshToken';
+const USER_KEY = 'user';
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const saveSession = ({ user, token, refreshToken }) => {
+  if (token) localStorage.setItem(TOKEN_KEY, token);
+  if (refreshToken) localStorage.setItem(REFRESH_KEY, refreshToken);
+  if (user) localStorage.setItem(USER_KEY, JSON.stringify(user));
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_KEY);
+  localStorage.removeItem(USER_KEY);
+};
+
+// Single in-flight refresh shared by every request that hit an expired token
+let refreshPromise = null;
+
+const refreshAccessToken = async () => {
+  const refreshToken = localStorage.getItem(REFRESH_KEY);
+  if (!refreshToken) throw new Error('No refresh token');
+
+  if (!refreshPromise) {
+    // Plain axios.post would go back through our own interceptors; that is fine
+    // because /api/auth/refresh is public and never returns TOKEN_EXPIRED.
+    refreshPromise = axios.post('/api/auth/refresh', { refreshToken })
+      .then((response) => {
+        saveSession(response.data);
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+/**
+ * fetch() with the same bearer/refresh handling as axios, for responses axios
+ * cannot consume incrementally (e.g. Server-Sent Events). Retries once after
+ * renewing an expired token.
+ */
+export const authFetch = async (url, options = {}) => {
+  const withToken = (token) => ({
+    ...options,
+    headers: { ...options.headers, ...(token ? { Authorization: `Bearer ${token}` } : {}) }
+  });
+
+  const response = await fetch(url, withToken(getToken()));
+  if (response.status !== 401) return response;
+
+  const body = await response.clone().json().catch(() => ({}));
+  if (body.code === 'TOKEN_EXPIRED') {
+    try {
+      const token = await refreshAccessToken();
+      return fetch(url, withToken(token));
+    } catch (refreshError) {
+      console.error('Session refresh failed:', refreshError);
+    }
+  }
+  return response;
+};
+
+/**
+ * Attach the bearer token to every axios request and transparently renew it
+ * once when the API reports it expired. `onSessionExpired` runs when renewal
+ * is impossible so the app can drop back to the login screen.
+ * Returns a function that removes the interceptors.
+ */
+export const setupAxiosAuth = ({ onSessionExpired }) => {
+  const requestId = axios.interceptors.request.use((config) => {
+    const token = getToken();
+    if (token && !config.headers.Authorization) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+  });
+
+  const responseId = axios.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const { response, config } = error;
+      if (response?.status !== 401 || !config || config._retried) {
+        throw error;
+      }
+
+      if (response.data?.code === 'TOKEN_EXPIRED') {
+        try {
+          const token = await refreshAccessToken();
+          config._retried = true;
+          config.headers.Authorization = `Bearer ${token}`;
+          return axios(config);
+        } catch (refreshError) {
+          console.error('Session refresh failed:', refreshError);
+        }
+      }
+
+      clearSession();
+      onSessionExpired?.();
+      throw error;
+    }
+  );
+
+  return () => {
+    axios.interceptors.request.eject(requestId);
+    axios.interceptors.response.eject(responseId);
+  };
+};
+
@@ -0,0 +1,59 @@
+import { authFetch } from './auth.js';
+
+/**
+ * POST to /api/chat/stream and feed the Server-Sent Events back to the caller.
+ * `onToken(text)` fires for every chunk; resolves with `{ response, citations }`
+ * (the full text and the policies it was given, see MessageBubble).
+ * Pass an AbortSignal to cancel — the server then aborts the model request.
+ */
+export const streamChat = async (payload, { onToken, signal } = {}) => {
+  const response = await authFetch('/api/chat/stream', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+    body: JSON.stringify(payload),
+    signal
+  });
+
+  if (!response.ok || !response.body) {
+    const body = await response.json().catch(() => ({}));
+    throw Object.assign(new Error(body.error || `Chat stream failed (${response.status})`), { code: body.code });
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let fullText = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // SSE events are separated by a blank line
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const raw = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = 'message';
+      let data = '';
+      raw.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      });
+      if (!data) continue;
+
+      const parsed = JSON.parse(data);
+      if (event === 'token') {
+        fullText += parsed.text;
+        onToken?.(parsed.text);
+      } else if (event === 'done') {
+        return { response: parsed.response ?? fullText, citations: parsed.citations || [] };
+      } else if (event === 'error') {
+        throw Object.assign(new Error(parsed.error), { code: parsed.code });
+      }
+    }
+  }
+
+  return { response: fullText, citations: [] };
+};
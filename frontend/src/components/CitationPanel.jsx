@@ -0,0 +1,63 @@
+import React from 'react';
+import { XMarkIcon, ArrowTopRightOnSquareIcon } from '@heroicons/react/24/outline';
+
+export const severityClasses = (severity) => {
+  switch (severity) {
+    case 'critical': return 'bg-red-100 text-red-800';
+    case 'warning': return 'bg-yellow-100 text-yellow-800';
+    default: return 'bg-blue-100 text-blue-800';
+  }
+};
+
+// Side panel with the full policy behind a chat footnote
+export default function CitationPanel({ citation, onClose }) {
+  if (!citation) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end" role="dialog" aria-label={`Policy ${citation.number}`}>
+      <div className="absolute inset-0 bg-black bg-opacity-30" onClick={onClose} />
+      <aside className="relative w-full max-w-md h-full bg-white shadow-xl overflow-y-auto">
+        <div className="p-6">
+          <div className="flex items-start justify-between mb-4">
+            <div>
+              <div className="text-xs text-gray-500 mb-1">[{citation.number}] {citation.category}</div>
+              <h3 className="text-lg font-semibold text-gray-900">{citation.title}</h3>
+            </div>
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-600" title="Close">
+              <XMarkIcon className="h-6 w-6" />
+            </button>
+          </div>
+
+          <span className={`inline-block px-2 py-0.5 rounded-full text-xs font-medium ${severityClasses(citation.severity)}`}>
+            {citation.severity}
+          </span>
+
+          {citation.requirements?.length > 0 && (
+            <div className="mt-6">
+              <h4 className="text-sm font-semibold text-gray-900 mb-2">Requirements</h4>
+              <ul className="list-disc pl-5 space-y-2 text-sm text-gray-700">
+                {citation.requirements.map((req, i) => <li key={i}>{req}</li>)}
+              </ul>
+            </div>
+          )}
+
+          {citation.citations?.length > 0 && (
+            <div className="mt-6">
+              <h4 className="text-sm font-semibold text-gray-900 mb-2">Sources</h4>
+              <ul className="space-y-1 text-sm">
+                {citation.citations.map((url) => (
+                  <li key={url}>
+                    <a href={url} target="_blank" rel="noopener noreferrer" className="inline-flex items-center text-blue-700 hover:underline break-all">
+                      {url}
+                      <ArrowTopRightOnSquareIcon className="h-3 w-3 ml-1 flex-shrink-0" />
+                    </a>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      </aside>
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+import React from 'react';
+import { ExclamationTriangleIcon, InformationCircleIcon } from '@heroicons/react/24/outline';
+
+const BANNER_STYLES = {
+  critical: { box: 'bg-red-50 border-red-200', text: 'text-red-800', icon: 'text-red-600' },
+  warning: { box: 'bg-yellow-50 border-yellow-200', text: 'text-yellow-800', icon: 'text-yellow-600' },
+  info: { box: 'bg-blue-50 border-blue-200', text: 'text-blue-800', icon: 'text-blue-600' }
+};
+
+const LEVEL_LABELS = { critical: 'Critical', warning: 'Warning', info: 'Note' };
+
+// Banner listing policy lead times the event misses (report from /api/events/:id/compliance)
+export default function ComplianceWarnings({ report }) {
+  const warnings = report?.warnings || [];
+  if (!warnings.length) return null;
+
+  // Warnings arrive most severe first
+  const style = BANNER_STYLES[warnings[0].level] || BANNER_STYLES.info;
+  const Icon = warnings[0].level === 'info' ? InformationCircleIcon : ExclamationTriangleIcon;
+
+  return (
+    <div className={`mb-6 rounded-md border p-4 ${style.box}`}>
+      <div className="flex items-start">
+        <Icon className={`h-5 w-5 mr-2 flex-shrink-0 ${style.icon}`} />
+        <div>
+          <p className={`text-sm font-medium ${style.text}`}>
+            {report.compliant ? 'Policy timing notes' : 'This event may not leave enough time to meet policy'}
+          </p>
+          <ul className="mt-2 space-y-1 text-sm">
+            {warnings.map((warning, index) => (
+              <li key={index} className={(BANNER_STYLES[warning.level] || BANNER_STYLES.info).text}>
+                <span className="font-medium">{LEVEL_LABELS[warning.level] || warning.level}:</span> {warning.message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+}
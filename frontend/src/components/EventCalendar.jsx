@@ -0,0 +1,200 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { ChevronLeftIcon, ChevronRightIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import axios from 'axios';
+
+// Mirror the Event enums in backend/src/models.js
+const EVENT_TYPES = ['mixer', 'concert', 'workshop', 'lecture', 'meeting', 'social', 'academic', 'other'];
+const STATUSES = ['pending', 'in-progress', 'completed', 'cancelled'];
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TASKS_PER_MONTH_CELL = 3;
+
+// Calendar days are UTC dates, the way due dates are stored
+const dayKey = (date) => date.toISOString().slice(0, 10);
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+const todayUtc = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+};
+const startOfWeek = (date) => addDays(date, -date.getUTCDay());
+
+// Visible days: whole weeks covering the cursor's month, or the cursor's week
+const visibleDays = (view, cursor) => {
+  const first = view === 'month'
+    ? startOfWeek(new Date(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth(), 1)))
+    : startOfWeek(cursor);
+  const last = view === 'month'
+    ? addDays(startOfWeek(new Date(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth() + 1, 0))), 6)
+    : addDays(first, 6);
+  const days = [];
+  for (let day = first; day <= last; day = addDays(day, 1)) days.push(day);
+  return days;
+};
+
+const priorityDot = (priority) => ({
+  critical: 'bg-red-500',
+  high: 'bg-orange-400',
+  medium: 'bg-blue-400',
+  low: 'bg-gray-300'
+}[priority] || 'bg-gray-300');
+
+// Month/week calendar of every event the user owns or collaborates on, with task due dates and collision days
+const EventCalendar = () => {
+  const [view, setView] = useState('month');
+  const [cursor, setCursor] = useState(todayUtc);
+  const [filters, setFilters] = useState({ eventType: '', status: '', priority: '' });
+  const [calendar, setCalendar] = useState(null);
+  const [error, setError] = useState(null);
+
+  const days = visibleDays(view, cursor);
+  const from = dayKey(days[0]);
+  const to = dayKey(days[days.length - 1]);
+
+  useEffect(() => {
+    const params = { from, to, ...Object.fromEntries(Object.entries(filters).filter(([, value]) => value)) };
+    axios.get('/api/calendar', { params })
+      .then(response => {
+        setCalendar(response.data);
+        setError(null);
+      })
+      .catch(err => {
+        console.error('Error loading calendar:', err);
+        setError(err.response?.data?.error || 'Failed to load the calendar');
+      });
+  }, [from, to, filters.eventType, filters.status, filters.priority]);
+
+  const move = (direction) => {
+    setCursor(view === 'month'
+      ? new Date(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth() + direction, 1))
+      : addDays(cursor, direction * 7));
+  };
+
+  const group = (entries, field) => {
+    const byDay = new Map();
+    entries.forEach(entry => byDay.set(entry[field], [...(byDay.get(entry[field]) || []), entry]));
+    return byDay;
+  };
+  const eventsByDay = group(calendar?.events || [], 'date');
+  const tasksByDay = group(calendar?.tasks || [], 'dueDate');
+  const collisions = new Map((calendar?.collisions || []).map(collision => [collision.date, collision]));
+
+  const title = view === 'month'
+    ? cursor.toLocaleDateString(undefined, { timeZone: 'UTC', month: 'long', year: 'numeric' })
+    : `${days[0].toLocaleDateString(undefined, { timeZone: 'UTC', month: 'short', day: 'numeric' })} – ${days[6].toLocaleDateString(undefined, { timeZone: 'UTC', month: 'short', day: 'numeric', year: 'numeric' })}`;
+  const today = dayKey(todayUtc());
+
+  const selectClass = 'text-sm px-2 py-1 border border-gray-300 rounded-md bg-white';
+
+  return (
+    <div className="bg-white shadow sm:rounded-md mb-8">
+      <div className="px-4 py-4 sm:px-6 border-b border-gray-200 md:flex md:items-center md:justify-between">
+        <div className="flex items-center space-x-2">
+          <button onClick={() => move(-1)} className="p-1 rounded hover:bg-gray-100" title="Previous">
+            <ChevronLeftIcon className="h-5 w-5 text-gray-600" />
+          </button>
+          <button onClick={() => setCursor(todayUtc())} className="px-2 py-1 text-sm rounded border border-gray-300 hover:bg-gray-50">
+            Today
+          </button>
+          <button onClick={() => move(1)} className="p-1 rounded hover:bg-gray-100" title="Next">
+            <ChevronRightIcon className="h-5 w-5 text-gray-600" />
+          </button>
+          <h2 className="ml-2 text-lg leading-6 font-medium text-gray-900">{title}</h2>
+        </div>
+
+        <div className="mt-3 md:mt-0 flex flex-wrap items-center gap-2">
+          <select value={filters.eventType} onChange={(e) => setFilters({ ...filters, eventType: e.target.value })} className={selectClass}>
+            <option value="">All types</option>
+            {EVENT_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+          </select>
+          <select value={filters.status} onChange={(e) => setFilters({ ...filters, status: e.target.value })} className={selectClass}>
+            <option value="">All statuses</option>
+            {STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+          </select>
+          <select value={filters.priority} onChange={(e) => setFilters({ ...filters, priority: e.target.value })} className={selectClass}>
+            <option value="">All priorities</option>
+            {PRIORITIES.map(priority => <option key={priority} value={priority}>{priority}</option>)}
+          </select>
+          <div className="inline-flex rounded-md border border-gray-300 overflow-hidden">
+            {['month', 'week'].map(option => (
+              <button
+                key={option}
+                onClick={() => setView(option)}
+                className={`px-3 py-1 text-sm capitalize ${view === option ? 'bg-gray-800 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+              >
+                {option}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {error && <p className="px-4 py-2 text-sm text-red-700 bg-red-50 border-b border-red-200">{error}</p>}
+
+      {collisions.size > 0 && (
+        <div className="px-4 py-2 text-sm text-red-800 bg-red-50 border-b border-red-200 flex items-center">
+          <ExclamationTriangleIcon className="h-4 w-4 mr-2 flex-shrink-0" />
+          {collisions.size} day{collisions.size === 1 ? '' : 's'} with several critical tasks due at once
+        </div>
+      )}
+
+      <div className="grid grid-cols-7 text-xs font-medium text-gray-500 border-b border-gray-200">
+        {WEEKDAYS.map(day => <div key={day} className="px-2 py-1 text-center">{day}</div>)}
+      </div>
+      <div className="grid grid-cols-7">
+        {days.map(day => {
+          const key = dayKey(day);
+          const events = eventsByDay.get(key) || [];
+          const tasks = tasksByDay.get(key) || [];
+          const collision = collisions.get(key);
+          const shown = view === 'month' ? tasks.slice(0, TASKS_PER_MONTH_CELL) : tasks;
+          const outside = view === 'month' && day.getUTCMonth() !== cursor.getUTCMonth();
+          return (
+            <div
+              key={key}
+              className={`border-b border-r border-gray-100 p-1 ${view === 'month' ? 'min-h-[6rem]' : 'min-h-[16rem]'} ${collision ? 'bg-red-50 ring-1 ring-inset ring-red-300' : outside ? 'bg-gray-50' : ''}`}
+              title={collision ? `${collision.count} critical tasks due:\n${collision.tasks.map(t => `${t.task} (${t.eventTitle})`).join('\n')}` : undefined}
+            >
+              <div className="flex items-center justify-between">
+                <span className={`text-xs ${key === today ? 'px-1.5 rounded-full bg-vanderbilt-gold text-white font-semibold' : outside ? 'text-gray-400' : 'text-gray-700'}`}>
+                  {day.getUTCDate()}
+                </span>
+                {collision && <ExclamationTriangleIcon className="h-4 w-4 text-red-600" />}
+              </div>
+              {events.map(event => (
+                <Link
+                  key={event.eventId}
+                  to={`/events/${event.eventId}`}
+                  className="block mt-1 px-1 py-0.5 text-xs font-medium rounded bg-vanderbilt-gold text-white truncate hover:opacity-90"
+                  title={`${event.title} • ${event.eventType} • ${event.status} • ${event.priority}`}
+                >
+                  {event.title}
+                </Link>
+              ))}
+              {shown.map(task => (
+                <Link
+                  key={`${task.eventId}-${task.itemId || task.task}`}
+                  to={`/events/${task.eventId}`}
+                  className={`flex items-center mt-0.5 text-xs truncate hover:underline ${task.completed ? 'text-gray-400 line-through' : 'text-gray-700'}`}
+                  title={`${task.task} (${task.eventTitle})`}
+                >
+                  <span className={`inline-block h-1.5 w-1.5 rounded-full mr-1 flex-shrink-0 ${priorityDot(task.priority)}`} />
+                  <span className="truncate">{task.task}</span>
+                </Link>
+              ))}
+              {tasks.length > shown.length && (
+                <button onClick={() => { setView('week'); setCursor(day); }} className="mt-0.5 text-xs text-blue-600 hover:underline">
+                  +{tasks.length - shown.length} more
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default EventCalendar;
@@ -1,6 +1,6 @@
 import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
-import { UserIcon, ChatBubbleLeftRightIcon, HomeIcon, ArrowRightOnRectangleIcon, BookmarkIcon } from '@heroicons/react/24/outline';
+import { UserIcon, ChatBubbleLeftRightIcon, HomeIcon, ArrowRightOnRectangleIcon, BookmarkIcon, ShieldCheckIcon, DocumentDuplicateIcon } from '@heroicons/react/24/outline';
 
 const Header = ({ user, onLogout }) => {
   const location = useLocation();
@@ -9,6 +9,8 @@ const Header = ({ user, onLogout }) => {
     { name: 'Dashboard', href: '/dashboard', icon: HomeIcon },
     { name: 'AI Assistant', href: '/chat', icon: ChatBubbleLeftRightIcon },
     { name: 'Saved Events', href: '/events', icon: BookmarkIcon },
+    { name: 'Templates', href: '/templates', icon: DocumentDuplicateIcon },
+    ...(user.isAdmin ? [{ name: 'Policies', href: '/admin/policies', icon: ShieldCheckIcon }] : []),
   ];
 
   return (
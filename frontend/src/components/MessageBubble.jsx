@@ -1,12 +1,49 @@
 import React, { useState } from 'react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
-import { BookmarkIcon } from '@heroicons/react/24/outline';
+import { BookmarkIcon, StopIcon } from '@heroicons/react/24/outline';
 import { BookmarkIcon as BookmarkIconSolid } from '@heroicons/react/24/solid';
+import CitationPanel, { severityClasses } from './CitationPanel.jsx';
 
-export default function MessageBubble({ role, content, timestamp, onSaveEvent, user, planId, eventContext }) {
+const CITE_HREF = '#cite-';
+
+// Turn "[2]" into a link to footnote 2, but only for policies we actually sent
+const linkCitationMarkers = (text, citations) => {
+  if (!citations?.length) return text;
+  return text.replace(/\[(\d+)\](?!\()/g, (marker, n) =>
+    citations.some(c => c.number === Number(n)) ? `[${n}](${CITE_HREF}${n})` : marker
+  );
+};
+
+export default function MessageBubble({ role, content, citations, timestamp, streaming, cancelled, onCancel, onSaveEvent, user, planId, eventContext }) {
   const isUser = role === 'user';
   const [isSaved, setIsSaved] = useState(false);
+  const [openCitation, setOpenCitation] = useState(null);
+
+  // Footnotes list the policies the reply cites, or every policy it was given if it cites none
+  const referenced = (citations || []).filter(c => c.referenced);
+  const footnotes = referenced.length ? referenced : (citations || []);
+
+  const markdownComponents = {
+    a: ({ href, children, ...props }) => {
+      if (href?.startsWith(CITE_HREF)) {
+        const citation = footnotes.find(c => c.number === Number(href.slice(CITE_HREF.length)));
+        return (
+          <sup>
+            <button
+              type="button"
+              onClick={() => setOpenCitation(citation)}
+              className="px-0.5 text-blue-700 hover:underline font-medium"
+              title={citation?.title}
+            >
+              [{children}]
+            </button>
+          </sup>
+        );
+      }
+      return <a href={href} target="_blank" rel="noopener noreferrer" {...props}>{children}</a>;
+    }
+  };
 
   // Check if message contains event-like content
   const containsEventContent = !isUser && content && (
@@ -24,7 +61,8 @@ export default function MessageBubble({ role, content, timestamp, onSaveEvent, u
   );
 
   // Show save button for messages with event-like content, but NOT when in event context mode (continue chat)
-  const showSaveButton = containsEventContent && onSaveEvent && !eventContext;
+  // Never offer to save a reply that is still arriving or was cut short
+  const showSaveButton = containsEventContent && onSaveEvent && !eventContext && !streaming && !cancelled;
 
   const handleSaveEvent = async () => {
     if (onSaveEvent && !isSaved) {
@@ -54,11 +92,37 @@ export default function MessageBubble({ role, content, timestamp, onSaveEvent, u
                       prose-code:bg-gray-100 prose-code:px-1 prose-code:py-0.5 prose-code:rounded
                       ${isUser ? 'prose-invert' : ''}`}
         >
-          <ReactMarkdown remarkPlugins={[remarkGfm]} skipHtml>
-            {content?.trim() || ''}
+          <ReactMarkdown remarkPlugins={[remarkGfm]} skipHtml components={markdownComponents}>
+            {linkCitationMarkers(content?.trim() || '', footnotes)}
           </ReactMarkdown>
+          {streaming && (
+            <span className="inline-block w-2 h-4 ml-0.5 align-middle bg-gray-400 animate-pulse" aria-hidden="true" />
+          )}
         </div>
 
+        {/* Policy footnotes */}
+        {!isUser && !streaming && footnotes.length > 0 && (
+          <div className="mt-3 pt-2 border-t border-gray-100">
+            <div className="text-xs font-semibold text-gray-500 mb-1">
+              {referenced.length ? 'Policies cited' : 'Policies considered'}
+            </div>
+            <ol className="space-y-1">
+              {footnotes.map(c => (
+                <li key={c.number}>
+                  <button
+                    type="button"
+                    onClick={() => setOpenCitation(c)}
+                    className="text-left text-xs text-gray-700 hover:text-blue-700"
+                  >
+                    <span className="font-medium">[{c.number}]</span> {c.title}
+                    <span className={`ml-2 px-1.5 py-0.5 rounded-full ${severityClasses(c.severity)}`}>{c.severity}</span>
+                  </button>
+                </li>
+              ))}
+            </ol>
+          </div>
+        )}
+
         {/* Timestamp and Save Button */}
         <div className="flex items-center justify-between mt-2">
           {timestamp && (
@@ -67,6 +131,21 @@ export default function MessageBubble({ role, content, timestamp, onSaveEvent, u
             </div>
           )}
           
+          {streaming && onCancel && (
+            <button
+              onClick={onCancel}
+              className="ml-2 inline-flex items-center px-3 py-1 text-sm rounded-md border bg-gray-100 text-gray-700 border-gray-300 hover:bg-gray-200 transition-colors"
+              title="Stop generating"
+            >
+              <StopIcon className="h-4 w-4 mr-1" />
+              Stop
+            </button>
+          )}
+
+          {cancelled && (
+            <span className="ml-2 text-xs italic text-gray-500">Response cancelled</span>
+          )}
+
           {/* Save Event Button */}
           {showSaveButton && (
             <button
@@ -88,6 +167,8 @@ export default function MessageBubble({ role, content, timestamp, onSaveEvent, u
           )}
         </div>
       </div>
+
+      <CitationPanel citation={openCitation} onClose={() => setOpenCitation(null)} />
     </div>
   );
 }
@@ -0,0 +1,56 @@
+import React from 'react';
+import { ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+
+// "<policyId>@v<version>" → the alert for that policy, if it changed
+export const alertForReference = (alerts, policyReference) => {
+  const policyId = String(policyReference || '').split('@v')[0];
+  return (alerts || []).find(a => String(a.policyId) === policyId);
+};
+
+export const describePolicyChange = (alert) =>
+  alert.retired
+    ? `${alert.title} has been retired`
+    : `${alert.title} changed (v${alert.plannedVersion} → v${alert.currentVersion})`;
+
+// Banner listing the policies that changed since an event or plan was put together
+export default function PolicyChangeAlerts({ alerts, onAcknowledge, acknowledging }) {
+  if (!alerts?.length) return null;
+
+  return (
+    <div className="mb-6 rounded-md bg-yellow-50 border border-yellow-200 p-4">
+      <div className="flex items-start justify-between">
+        <div className="flex items-start">
+          <ExclamationTriangleIcon className="h-5 w-5 text-yellow-600 mr-2 flex-shrink-0" />
+          <div>
+            <p className="text-sm font-medium text-yellow-800">Policy changed since you planned this</p>
+            <ul className="mt-2 space-y-2 text-sm text-yellow-800">
+              {alerts.map(alert => (
+                <li key={alert.policyId}>
+                  <span className="font-medium">{describePolicyChange(alert)}</span>
+                  {alert.changedFields.length > 0 && (
+                    <span> — updated {alert.changedFields.join(', ')}</span>
+                  )}
+                  {alert.effectiveFrom && !alert.retired && (
+                    <span className="text-yellow-700"> (effective {new Date(alert.effectiveFrom).toLocaleDateString()})</span>
+                  )}
+                  {alert.tasks.length > 0 && (
+                    <div className="text-xs text-yellow-700">Affects: {alert.tasks.join('; ')}</div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+        {onAcknowledge && (
+          <button
+            onClick={onAcknowledge}
+            disabled={acknowledging}
+            className="ml-4 flex-shrink-0 px-3 py-1 text-sm rounded-md border border-yellow-300 text-yellow-800 hover:bg-yellow-100 disabled:opacity-50"
+          >
+            {acknowledging ? 'Updating...' : 'Mark as reviewed'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
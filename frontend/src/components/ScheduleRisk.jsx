@@ -0,0 +1,76 @@
+import React from 'react';
+import { ClockIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+
+const formatDay = (date) => (date ? new Date(date).toLocaleDateString(undefined, { timeZone: 'UTC' }) : '');
+
+const describeSlack = (days) => {
+  if (days == null) return '';
+  if (days < 0) return `${-days} day${days === -1 ? '' : 's'} behind`;
+  return `${days} day${days === 1 ? '' : 's'} of slack`;
+};
+
+// Critical-path view from /api/events/:id/schedule: which open tasks threaten
+// the event date, the chain of tasks with the least slack, and a button to
+// move due dates so dependencies and policy deadlines fit
+export default function ScheduleRisk({ schedule, onReschedule, rescheduling }) {
+  if (!schedule) return null;
+  const tasks = new Map(schedule.tasks.map(task => [task.itemId, task]));
+  const threats = schedule.tasks.filter(task => task.threatensEvent);
+  const path = schedule.criticalPath.map(id => tasks.get(id)).filter(Boolean);
+  const hasDependencies = schedule.tasks.some(task => task.dependencies.length > 0);
+
+  if (!threats.length && !schedule.adjustments.length && !hasDependencies) return null;
+
+  return (
+    <div className={`mb-6 rounded-md border p-4 ${threats.length ? 'bg-red-50 border-red-200' : 'bg-white border-gray-200'}`}>
+      <div className="flex items-start justify-between">
+        <div className="flex items-start">
+          {threats.length
+            ? <ExclamationTriangleIcon className="h-5 w-5 mr-2 flex-shrink-0 text-red-600" />
+            : <ClockIcon className="h-5 w-5 mr-2 flex-shrink-0 text-gray-500" />}
+          <div>
+            <p className={`text-sm font-medium ${threats.length ? 'text-red-800' : 'text-gray-900'}`}>
+              {threats.length
+                ? `${threats.length} task${threats.length === 1 ? '' : 's'} cannot be finished in time for the event or its policy deadlines`
+                : 'Schedule on track'}
+            </p>
+
+            {threats.length > 0 && (
+              <ul className="mt-2 space-y-1 text-sm text-red-800">
+                {threats.map(task => (
+                  <li key={task.itemId}>
+                    <span className="font-medium">{task.task}</span>
+                    {task.overdue && <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-red-100">overdue</span>}
+                    <span className="ml-2 text-xs">
+                      {describeSlack(task.slackDays)}; needed by {formatDay(task.latestFinish)}
+                      {task.deadline === 'policy' ? ' (policy deadline)' : ''}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {path.length > 0 && (
+              <div className="mt-3 text-sm text-gray-700">
+                <span className="font-medium">Critical path</span>
+                <span className="ml-2 text-xs text-gray-500">({describeSlack(schedule.minSlackDays)})</span>
+                <div className="mt-1">{path.map(task => task.task).join(' → ')}</div>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {schedule.adjustments.length > 0 && onReschedule && (
+          <button
+            onClick={onReschedule}
+            disabled={rescheduling}
+            className="ml-4 flex-shrink-0 px-3 py-1 text-xs rounded-md border border-gray-300 text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+            title={schedule.adjustments.map(a => `${a.task}: ${formatDay(a.from) || 'no date'} → ${formatDay(a.to)}`).join('\n')}
+          >
+            {rescheduling ? 'Rescheduling...' : `Fix ${schedule.adjustments.length} due date${schedule.adjustments.length === 1 ? '' : 's'}`}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { MapPinIcon } from '@heroicons/react/24/outline';
+
+// "6:00 PM – 8:00 PM", or "All day" for bookings without times
+export const describeBookingTime = (booking) => {
+  if (booking.allDay || !booking.startTime) return 'All day';
+  const time = (date) => new Date(date).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+  return `${time(booking.startTime)} – ${time(booking.endTime)}`;
+};
+
+const describeDay = (day) => new Date(`${day}T00:00:00Z`).toLocaleDateString(undefined, { timeZone: 'UTC', month: 'short', day: 'numeric', year: 'numeric' });
+
+// Banner listing other events booked into the same venue/room at an overlapping time (/api/events/:id/venue-conflicts)
+export default function VenueConflicts({ conflicts }) {
+  if (!conflicts?.length) return null;
+
+  return (
+    <div className="mb-6 rounded-md border p-4 bg-yellow-50 border-yellow-200">
+      <div className="flex items-start">
+        <MapPinIcon className="h-5 w-5 mr-2 flex-shrink-0 text-yellow-600" />
+        <div>
+          <p className="text-sm font-medium text-yellow-800">
+            {conflicts.length === 1 ? 'Another event is' : `${conflicts.length} other events are`} booked at this venue at the same time
+          </p>
+          <ul className="mt-2 space-y-1 text-sm text-yellow-800">
+            {conflicts.map((conflict, index) => (
+              <li key={conflict.eventId || index}>
+                {conflict.eventId
+                  ? <Link to={`/events/${conflict.eventId}`} className="font-medium hover:underline">{conflict.title}</Link>
+                  : <span className="font-medium">{conflict.title}</span>}
+                {' — '}
+                {[conflict.venue, conflict.room && `room ${conflict.room}`].filter(Boolean).join(', ')}
+                {', '}
+                {describeDay(conflict.day)}, {describeBookingTime(conflict)}
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -3,6 +3,8 @@ import MessageBubble from '../components/MessageBubble.jsx';
 import { useParams, useLocation, useNavigate } from 'react-router-dom';
 import { PaperAirplaneIcon, DocumentArrowUpIcon, ArrowLeftIcon } from '@heroicons/react/24/outline';
 import axios from 'axios';
+import { streamChat } from '../chatStream.js';
+import { aiErrorMessage } from '../aiErrors.js';
 
 const Chat = ({ user }) => {
   const { planId } = useParams();
@@ -14,6 +16,10 @@ const Chat = ({ user }) => {
   const [plan, setPlan] = useState(null);
   const [eventContext, setEventContext] = useState(null);
   const messagesEndRef = useRef(null);
+  const streamAbortRef = useRef(null);
+
+  // Abort any in-flight stream when leaving the page
+  useEffect(() => () => streamAbortRef.current?.abort(), []);
 
   useEffect(() => {
     // Check for event context from navigation state
@@ -190,7 +196,7 @@ What would you like to work on next?`,
       const chatPayload = {
         message: inputMessage.trim(),
         planId: planId,
-        context: messages.slice(-10) // Send last 10 messages for context
+        context: messages.slice(-10).map(({ role, content }) => ({ role, content })) // Send last 10 messages for context
       };
 
       // Add event context if we're continuing from SavedEvents
@@ -204,28 +210,54 @@ What would you like to work on next?`,
         chatPayload.context = [eventContextMessage, ...chatPayload.context];
       }
 
-      const response = await axios.post('/api/chat', chatPayload);
-
-      const assistantMessage = {
-        role: 'assistant',
-        content: response.data.response,
-        timestamp: new Date()
+      // Append an empty assistant bubble and grow it as tokens arrive
+      const controller = new AbortController();
+      streamAbortRef.current = controller;
+      setMessages(prev => [...prev, { role: 'assistant', content: '', timestamp: new Date(), streaming: true }]);
+
+      const updateStreamingMessage = (update) => {
+        setMessages(prev => {
+          const next = [...prev];
+          const last = next[next.length - 1];
+          if (last?.streaming) next[next.length - 1] = { ...last, ...update(last) };
+          return next;
+        });
       };
 
-      setMessages(prev => [...prev, assistantMessage]);
+      const { response, citations } = await streamChat(chatPayload, {
+        signal: controller.signal,
+        onToken: (text) => updateStreamingMessage(last => ({ content: last.content + text }))
+      });
+
+      updateStreamingMessage(() => ({ content: response, citations, streaming: false }));
     } catch (error) {
+      if (error.name === 'AbortError') {
+        setMessages(prev => prev.map((m, i) =>
+          i === prev.length - 1 && m.streaming
+            ? { ...m, streaming: false, cancelled: true, content: m.content || '_Response cancelled._' }
+            : m
+        ));
+        return;
+      }
+
       console.error('Chat error:', error);
       const errorMessage = {
         role: 'assistant',
-        content: 'I apologize, but I encountered an error processing your message. Please try again.',
+        content: aiErrorMessage(error),
         timestamp: new Date()
       };
-      setMessages(prev => [...prev, errorMessage]);
+      // Replace the partial streaming bubble (if any) with the error
+      setMessages(prev => [...prev.filter(m => !m.streaming), errorMessage]);
     } finally {
+      streamAbortRef.current = null;
       setLoading(false);
     }
   };
 
+  const handleCancelStream = () => {
+    streamAbortRef.current?.abort();
+  };
+
   const handleSaveEvent = async (content, timestamp, currentPlanId) => {
     try {
       console.log('🔄 Starting event save process...');
@@ -234,12 +266,11 @@ What would you like to work on next?`,
       
       // Use AI to intelligently generate event data
       console.log('🤖 Generating event data with AI...');
-      const eventData = await generateEventWithAI(content, timestamp, currentPlanId);
+      const eventData = await generateEventWithAI(content, currentPlanId);
       console.log('✅ Event data generated:', eventData);
       
       const eventPayload = {
         ...eventData,
-        userId: user._id,
         planId: currentPlanId || planId,
         sourceMessage: {
           content,
@@ -253,7 +284,10 @@ What would you like to work on next?`,
       const response = await axios.post('/api/events', eventPayload);
 
       console.log('✅ Event saved successfully:', response.data);
-      alert('Event saved successfully!'); // Temporary feedback
+      const timingWarnings = (response.data.compliance?.warnings || []).filter(w => w.level !== 'info');
+      alert(timingWarnings.length
+        ? `Event saved, but check policy timing:\n\n${timingWarnings.map(w => `• ${w.message}`).join('\n')}`
+        : 'Event saved successfully!'); // Temporary feedback
     } catch (error) {
       console.error('❌ Error saving event:', error);
       console.error('Error details:', {
@@ -265,689 +299,22 @@ What would you like to work on next?`,
     }
   };
 
-  const generateEventWithAI = async (content, timestamp, currentPlanId) => {
-    try {
-      console.log('🤖 Starting AI event generation...');
-      
-      // Create a focused prompt for the AI to generate structured event data
-      const eventPrompt = `Based on this message, create a structured event with a comprehensive time-organized checklist:
-
-"${content}"
-
-Generate a JSON response with this exact structure:
-{
-  "title": "Event Name (e.g., 'Mixer April 2026', 'Team Meeting December 2024')",
-  "description": "Brief 1-2 sentence summary of the event",
-  "eventDate": "YYYY-MM-DD format if a date is mentioned, or null",
-  "category": "meeting|deadline|task|milestone|other",
-  "priority": "low|medium|high|critical",
-  "eventType": "mixer|concert|workshop|lecture|meeting|social|academic|other",
-  "potentiallyControversial": false,
-  "checklist": [
-    {
-      "task": "Clear task description",
-      "dueDate": "YYYY-MM-DD format - when this task should be completed",
-      "priority": "low|medium|high|critical",
-      "timingType": "required|recommended",
-      "completed": false
-    }
-  ]
-}
-
-POTENTIALLY CONTROVERSIAL EVENT DETECTION:
-- Set "potentiallyControversial" to true ONLY if the user explicitly mentions:
-  * The event is controversial, may be controversial, or could be controversial
-  * The event may attract protests, demonstrations, or counterprotests
-  * The event has potential for disruption or controversy
-  * The event involves topics that are explicitly stated as divisive or controversial
-- Default to false unless the user explicitly states the event is controversial or may cause disruption
-- Do NOT assume an event is controversial based on topic alone - only if explicitly mentioned by the user
-
-TIMING TYPE CLASSIFICATION:
-- "required": Policy-mandated deadlines, legal requirements, contract deadlines (e.g., space/venue booking 4 weeks before for campus policy - REQUIRED for on-campus events, alcohol permit deadlines, insurance requirements)
-- "recommended": Best practice timelines, suggestions for optimal planning (e.g., send invitations 2-3 weeks before, confirm catering 1 week before)
-
-IMPORTANT: 
-- For on-campus events, ALWAYS include a "Book/reserve on-campus space/venue via EMS Web App" task in the checklist with timingType "required". This is a mandatory step for all on-campus events.
-- For potentially controversial events, ALWAYS include a task to "Contact Vice Provost and Dean of Students for Freedom of Expression policy guidance" at least 48 hours before the event with timingType "required".
-
-EVENT-TYPE-SPECIFIC DAY-OF-EVENT TASKS:
-- Mixer: Networking setup, name tags preparation, refreshments coordination, greeting station setup, icebreaker materials
-- Concert: Sound check, performer coordination, ticketing/check-in, stage setup, merchandise table, security coordination
-- Workshop: Materials setup, registration table, presentation equipment, handouts preparation, breakout room setup, facilitator briefing
-- Lecture: Podium setup, recording equipment, Q&A preparation, speaker introduction preparation, audience seating arrangement, microphones testing
-- Meeting: Agenda distribution, conference call setup, document sharing, room configuration, participant materials, note-taking setup
-- Social: Decorations, entertainment setup, photo booth, guest check-in, activity stations, refreshment stations
-- Academic: Presentation setup, research materials, discussion prompts, evaluation forms, technology testing, accessibility accommodations
-- Other: General event execution tasks based on event specifics
-
-COMPREHENSIVE TIMELINE RULES (work backwards from event date):
-
-**6+ MONTHS OUT - Strategic Planning:**
-- Budget planning and funding requests
-- Concept development and proposals
-- Sponsorship outreach
-- Initial venue research for large events
-
-**3-6 MONTHS OUT - Major Bookings & Permissions:**
-- Space/venue booking and contracts (REQUIRED for on-campus events - use EMS Web App)
-- Permits and licenses
-- Security arrangements
-- Insurance requirements
-- Speaker/performer bookings
-- Major vendor contracts
-
-**1-3 MONTHS OUT - Marketing & Communications:**
-- Marketing strategy and materials
-- Website updates and social media
-- Publicity campaigns
-- Guest confirmations
-- Registration setup
-
-**2-4 WEEKS OUT - Invitations & RSVPs:**
-- Send invitations
-- Guest list management
-- RSVP tracking
-- Ticket distribution
-- Dietary requirements collection
-
-**1-2 WEEKS OUT - Catering & Supplies:**
-- Finalize catering orders
-- Purchase supplies and decorations
-- Coordinate material deliveries
-- Prepare welcome materials/swag
-- Menu final approvals
-
-**WEEK OF EVENT - Final Preparations:**
-- Confirm all arrangements
-- Final headcount to vendors
-- Prepare event program/agenda
-- Brief staff and volunteers
-- Final venue walkthrough
-
-**2-3 DAYS BEFORE - Setup & Equipment:**
-- Equipment setup and testing
-- AV and technical preparations
-- Stage/room setup
-- Signage installation
-- Final venue preparations
-
-**DAY OF EVENT:**
-Generate event-type-specific tasks based on the eventType field:
-- Mixer: Networking setup, name tags, refreshments coordination, greeting station
-- Concert: Sound check, performer coordination, ticketing, stage setup
-- Workshop: Materials setup, registration table, presentation equipment, handouts
-- Lecture: Podium setup, recording equipment, Q&A preparation, speaker intro
-- Meeting: Agenda distribution, conference call setup, document sharing
-- Social: Decorations, entertainment setup, photo booth, guest check-in
-- Academic: Presentation setup, research materials, discussion prompts
-- Other: General event execution and real-time coordination tasks
-
-**AFTER EVENT:**
-- Cleanup and breakdown
-- Equipment returns
-- Thank you communications
-- Event evaluation
-- Final invoicing and reports
-
-Generate 8-15 relevant tasks across these time periods. Make tasks specific and actionable.
-
-Only return the JSON, no other text.`;
-
-      console.log('📡 Calling AI chat API for event generation...');
-      const aiResponse = await axios.post('/api/chat', {
-        message: eventPrompt,
-        planId: currentPlanId,
-        context: [] // No context needed for this focused task
-      });
-
-      console.log('🤖 AI Response received:', aiResponse.data);
-      
-      // Parse the AI response to get structured data
-      const aiContent = aiResponse.data.response;
-      console.log('📝 AI Content:', aiContent);
-      
-      // Try to extract JSON from the AI response
-      let eventData;
-      try {
-        // Look for JSON in the response
-        const jsonMatch = aiContent.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          eventData = JSON.parse(jsonMatch[0]);
-        } else {
-          throw new Error('No JSON found in AI response');
-        }
-      } catch (parseError) {
-        console.warn('⚠️ Failed to parse AI response, using fallback:', parseError);
-        // Fallback to simple extraction if AI parsing fails
-        eventData = extractEventFromContent(content, timestamp, currentPlanId);
-        console.log('🔄 Fallback event data:', eventData);
-      }
-
-      // Validate and clean the data
-      const eventDate = eventData.eventDate ? new Date(eventData.eventDate) : null;
-      let checklist = eventData.checklist || [];
-      
-      // Detect location from content if not in eventData
-      const lowerContent = content.toLowerCase();
-      const isOnCampus = eventData.location?.type === 'on-campus' || 
-                         lowerContent.includes('on-campus') || 
-                         lowerContent.includes('on campus');
-      const isOffCampus = eventData.location?.type === 'off-campus' || 
-                          lowerContent.includes('off-campus') || 
-                          lowerContent.includes('off campus');
-      
-      // Detect potentially controversial events - only if user explicitly mentions it
-      // Use more conservative detection - only explicit mentions of controversy or disruption
-      const explicitControversialKeywords = [
-        'controversial', 'may be controversial', 'could be controversial', 'potentially controversial',
-        'may attract protest', 'may cause disruption', 'potential for disruption', 'may be disruptive',
-        'could cause controversy', 'might be controversial', 'expect protests', 'expect demonstrations'
-      ];
-      const isPotentiallyControversial = eventData.potentiallyControversial === true ||
-        explicitControversialKeywords.some(keyword => lowerContent.includes(keyword));
-      
-      // Check if booking task exists and add if missing for on-campus events
-      const hasBookingTask = checklist.some(item => 
-        item.task && (
-          item.task.toLowerCase().includes('book') || 
-          item.task.toLowerCase().includes('reserve') || 
-          item.task.toLowerCase().includes('venue') ||
-          item.task.toLowerCase().includes('space')
-        )
-      );
-      
-      if (isOnCampus && !hasBookingTask && eventDate) {
-        // Add booking space task 4 weeks before event (required)
-        const bookingDueDate = new Date(eventDate);
-        bookingDueDate.setDate(bookingDueDate.getDate() - 28); // 4 weeks before
-        checklist.unshift({
-          task: 'Reserve on-campus space/venue via EMS Web App',
-          dueDate: bookingDueDate,
-          priority: 'high',
-          timingType: 'required',
-          completed: false
-        });
-      }
-      
-      // Add Dean of Students contact task for controversial events (at least 48 hours before)
-      if (isPotentiallyControversial && eventDate) {
-        const deanContactDate = new Date(eventDate);
-        deanContactDate.setDate(deanContactDate.getDate() - 2); // 2 days before (48 hours)
-        // Only add if not already in checklist
-        const hasDeanTask = checklist.some(item => 
-          item.task && (
-            item.task.toLowerCase().includes('dean') || 
-            item.task.toLowerCase().includes('vice provost') ||
-            item.task.toLowerCase().includes('freedom of expression')
-          )
-        );
-        if (!hasDeanTask) {
-          checklist.push({
-            task: 'Contact Vice Provost and Dean of Students for Freedom of Expression policy guidance (required at least 48 hours before event)',
-            dueDate: deanContactDate,
-            priority: 'high',
-            timingType: 'required',
-            completed: false
-          });
-        }
-      }
-      
-      // Ensure timingType is set for all checklist items (default to 'recommended')
-      checklist = checklist.map(item => ({
-        ...item,
-        timingType: item.timingType || 'recommended'
-      }));
-      
-      console.log('📋 Raw checklist:', checklist);
-      
-      // Always apply time organization to the checklist
-      if (checklist.length > 0) {
-        checklist = organizeChecklistByTimePeriods(checklist, eventDate);
-        console.log('🗓️ Organized checklist:', checklist);
-      }
-      
-      // Set location if detected
-      const location = eventData.location || (isOnCampus ? { type: 'on-campus' } : (isOffCampus ? { type: 'off-campus' } : undefined));
-      
-      const finalEventData = {
-        title: eventData.title || 'Event from Chat',
-        description: eventData.description || 'Event planning checklist',
-        eventDate: eventDate,
-        category: eventData.category || 'task',
-        priority: eventData.priority || 'medium',
-        eventType: eventData.eventType || 'other',
-        location: location,
-        potentiallyControversial: isPotentiallyControversial,
-        checklist: checklist,
-        timeline: [], // Focus on checklist
-        status: 'pending'
-      };
-      
-      console.log('✅ Final event data:', finalEventData);
-      return finalEventData;
-
-    } catch (error) {
-      console.warn('⚠️ AI event generation failed, using fallback:', error);
-      // Fallback to the original extraction method if AI call fails
-      const fallbackData = extractEventFromContent(content, timestamp, currentPlanId);
-      console.log('🔄 Fallback extraction result:', fallbackData);
-      return fallbackData;
-    }
-  };
-
-  const extractEventFromContent = (content, timestamp, currentPlanId) => {
-    console.log('🔄 Extracting event from content (fallback method)...');
-    
-    const lines = content.split('\n');
-    const lowerContent = content.toLowerCase();
-    
-    // Smart event naming logic
-    let title = generateSmartEventName(content);
-    let eventDate = extractMainEventDate(content);
-    let category = detectEventCategory(content);
-    let priority = detectPriority(content);
-    let eventType = detectEventType(content);
-    
-    console.log('📊 Extracted basic info:', { title, eventDate, category, priority, eventType });
-    
-    // Focus on extracting and organizing checklist with intelligent due dates
-    const checklist = extractAndOrganizeChecklist(content, eventDate);
-    
-    // Check if this is an on-campus event and add booking space task if not present
-    const isOnCampus = lowerContent.includes('on-campus') || lowerContent.includes('on campus');
-    const hasBookingTask = checklist.some(item => 
-      item.task && (
-        item.task.toLowerCase().includes('book') || 
-        item.task.toLowerCase().includes('reserve') || 
-        item.task.toLowerCase().includes('venue') ||
-        item.task.toLowerCase().includes('space')
-      )
-    );
-    
-    if (isOnCampus && !hasBookingTask && eventDate) {
-      // Add booking space task 4 weeks before event (required)
-      const bookingDueDate = new Date(eventDate);
-      bookingDueDate.setDate(bookingDueDate.getDate() - 28); // 4 weeks before
-      checklist.unshift({
-        task: 'Reserve on-campus space/venue via EMS Web App',
-        dueDate: bookingDueDate,
-        priority: 'high',
-        timingType: 'required',
-        completed: false
-      });
-    }
-    
-    // Add Dean of Students contact task for controversial events (at least 48 hours before)
-    if (potentiallyControversial && eventDate) {
-      const deanContactDate = new Date(eventDate);
-      deanContactDate.setDate(deanContactDate.getDate() - 2); // 2 days before (48 hours)
-      // Only add if not already in checklist
-      const hasDeanTask = checklist.some(item => 
-        item.task && (
-          item.task.toLowerCase().includes('dean') || 
-          item.task.toLowerCase().includes('vice provost') ||
-          item.task.toLowerCase().includes('freedom of expression')
-        )
-      );
-      if (!hasDeanTask) {
-        checklist.push({
-          task: 'Contact Vice Provost and Dean of Students for Freedom of Expression policy guidance (required at least 48 hours before event)',
-          dueDate: deanContactDate,
-          priority: 'high',
-          timingType: 'required',
-          completed: false
-        });
-      }
-    }
-    
-    // Ensure timingType is set for all checklist items (default to 'recommended')
-    const checklistWithTiming = checklist.map(item => ({
-      ...item,
-      timingType: item.timingType || 'recommended'
-    }));
-    console.log('📋 Extracted checklist:', checklistWithTiming);
-    
-    // Create minimal description (just the event summary, not the full content)
-    let description = extractEventSummary(content);
-    
-    // Set location type if detected
-    const location = isOnCampus ? { type: 'on-campus' } : (lowerContent.includes('off-campus') || lowerContent.includes('off campus') ? { type: 'off-campus' } : undefined);
-
-    // Detect potentially controversial events - only if user explicitly mentions it
-    // Use more conservative detection - only explicit mentions of controversy or disruption
-    const explicitControversialKeywords = [
-      'controversial', 'may be controversial', 'could be controversial', 'potentially controversial',
-      'may attract protest', 'may cause disruption', 'potential for disruption', 'may be disruptive',
-      'could cause controversy', 'might be controversial', 'expect protests', 'expect demonstrations'
-    ];
-    const potentiallyControversial = explicitControversialKeywords.some(keyword => lowerContent.includes(keyword));
-
-    const extractedData = {
-      title,
-      description,
-      eventDate,
-      category,
-      priority,
-      eventType,
-      location,
-      potentiallyControversial,
-      checklist: checklistWithTiming,
-      timeline: [], // Focus on checklist, minimal timeline
-      status: 'pending'
-    };
-    
-    console.log('📦 Complete extracted data:', extractedData);
-    return extractedData;
-  };
-
-  const generateSmartEventName = (content) => {
-    const lowerContent = content.toLowerCase();
-    
-    // Extract event type and date for naming
-    let eventType = 'Event';
-    let dateStr = '';
-    
-    // Detect event type
-    if (lowerContent.includes('mixer')) eventType = 'Mixer';
-    else if (lowerContent.includes('concert')) eventType = 'Concert';
-    else if (lowerContent.includes('workshop')) eventType = 'Workshop';
-    else if (lowerContent.includes('meeting')) eventType = 'Meeting';
-    else if (lowerContent.includes('conference')) eventType = 'Conference';
-    else if (lowerContent.includes('lecture')) eventType = 'Lecture';
-    else if (lowerContent.includes('seminar')) eventType = 'Seminar';
-    else if (lowerContent.includes('event')) eventType = 'Event';
-    
-    // Extract date information for naming
-    const monthYearRegex = /(january|february|march|april|may|june|july|august|september|october|november|december)\s+(\d{4})/i;
-    const monthMatch = content.match(monthYearRegex);
-    
-    if (monthMatch) {
-      const month = monthMatch[1].charAt(0).toUpperCase() + monthMatch[1].slice(1);
-      const year = monthMatch[2];
-      dateStr = ` ${month} ${year}`;
-    } else {
-      // Try to extract just year or month
-      const yearMatch = content.match(/\b(202[4-9]|20[3-9]\d)\b/);
-      const monthOnlyMatch = content.match(/\b(january|february|march|april|may|june|july|august|september|october|november|december)\b/i);
-      
-      if (yearMatch) {
-        dateStr = ` ${yearMatch[0]}`;
-      } else if (monthOnlyMatch) {
-        const month = monthOnlyMatch[0].charAt(0).toUpperCase() + monthOnlyMatch[0].slice(1);
-        dateStr = ` ${month}`;
-      }
-    }
-    
-    return `${eventType}${dateStr}`;
-  };
-
-  const extractMainEventDate = (content) => {
-    // Try various date formats
-    const dateFormats = [
-      /(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{4})/,  // MM/DD/YYYY or MM-DD-YYYY
-      /(january|february|march|april|may|june|july|august|september|october|november|december)\s+(\d{1,2}),?\s+(\d{4})/i,  // Month DD, YYYY
-      /(january|february|march|april|may|june|july|august|september|october|november|december)\s+(\d{4})/i  // Month YYYY
-    ];
-    
-    for (const regex of dateFormats) {
-      const match = content.match(regex);
-      if (match) {
-        try {
-          return new Date(match[0]);
-        } catch (e) {
-          continue;
-        }
-      }
-    }
-    
-    // If only a month is mentioned without a year, assume the current year
-    const monthOnlyRegex = /(january|february|march|april|may|june|july|august|september|october|november|december)\b/i;
-    const monthMatch = content.match(monthOnlyRegex);
-    if (monthMatch) {
-      const currentYear = new Date().getFullYear();
-      const monthStr = monthMatch[0];
-      try {
-        const dateStr = `${monthStr} 1, ${currentYear}`;
-        const parsedDate = new Date(dateStr);
-        // Validate that the date parsed correctly
-        if (!isNaN(parsedDate.getTime())) {
-          return parsedDate;
-        }
-      } catch (e) {
-        // If parsing fails, continue to return null
-      }
-    }
-    
-    return null;
-  };
-
-  const detectEventType = (content) => {
-    const lowerContent = content.toLowerCase();
-    if (lowerContent.includes('mixer')) return 'mixer';
-    if (lowerContent.includes('concert')) return 'concert';
-    if (lowerContent.includes('workshop')) return 'workshop';
-    if (lowerContent.includes('lecture')) return 'lecture';
-    if (lowerContent.includes('meeting')) return 'meeting';
-    if (lowerContent.includes('social')) return 'social';
-    if (lowerContent.includes('academic') || lowerContent.includes('seminar')) return 'academic';
-    return 'other';
-  };
-
-  const detectEventCategory = (content) => {
-    const lowerContent = content.toLowerCase();
-    if (lowerContent.includes('meeting') || lowerContent.includes('conference')) return 'meeting';
-    if (lowerContent.includes('deadline') || lowerContent.includes('due')) return 'deadline';
-    if (lowerContent.includes('milestone')) return 'milestone';
-    return 'task';
-  };
-
-  const detectPriority = (content) => {
-    const lowerContent = content.toLowerCase();
-    if (lowerContent.includes('critical') || lowerContent.includes('urgent') || lowerContent.includes('asap')) return 'critical';
-    if (lowerContent.includes('high') || lowerContent.includes('important') || lowerContent.includes('priority')) return 'high';
-    if (lowerContent.includes('low') || lowerContent.includes('optional')) return 'low';
-    return 'medium';
-  };
-
-  const extractAndOrganizeChecklist = (content, mainEventDate) => {
-    const lines = content.split('\n');
-    const checklist = [];
-    
-    lines.forEach((line) => {
-      const trimmed = line.trim();
-      if (trimmed.startsWith('•') || trimmed.startsWith('-') || trimmed.startsWith('*')) {
-        const taskText = trimmed.substring(1).trim();
-        if (taskText) {
-          const taskInfo = parseTaskWithDueDate(taskText, mainEventDate);
-          checklist.push(taskInfo);
-        }
-      }
-    });
-    
-    // Organize checklist by time periods and add time period labels
-    return organizeChecklistByTimePeriods(checklist, mainEventDate);
-  };
-
-  const organizeChecklistByTimePeriods = (checklist, eventDate) => {
-    if (!eventDate || !checklist || checklist.length === 0) {
-      // If no event date, just sort by due date and return as is
-      checklist.sort((a, b) => {
-        if (!a.dueDate && !b.dueDate) return 0;
-        if (!a.dueDate) return 1;
-        if (!b.dueDate) return -1;
-        return new Date(a.dueDate) - new Date(b.dueDate);
-      });
-      return checklist;
-    }
-
-    const eventDateTime = new Date(eventDate);
-    const now = new Date();
-    
-    // Categorize tasks by time periods
-    const timePeriods = {
-      '6+ months out': [],
-      '3-6 months out': [],
-      '1-3 months out': [],
-      '2-4 weeks out': [],
-      '1-2 weeks out': [],
-      'Week of event': [],
-      'Day of event': [],
-      'After event': []
-    };
-    
-    checklist.forEach(task => {
-      if (!task.dueDate) {
-        // Tasks without due dates go to the earliest applicable period
-        timePeriods['3-6 months out'].push(task);
-        return;
-      }
-      
-      const dueDate = new Date(task.dueDate);
-      const daysUntilEvent = Math.ceil((eventDateTime - dueDate) / (1000 * 60 * 60 * 24));
-      
-      // Categorize based on how far before the event the task is due
-      if (daysUntilEvent >= 180) { // 6+ months
-        timePeriods['6+ months out'].push(task);
-      } else if (daysUntilEvent >= 90) { // 3-6 months
-        timePeriods['3-6 months out'].push(task);
-      } else if (daysUntilEvent >= 30) { // 1-3 months
-        timePeriods['1-3 months out'].push(task);
-      } else if (daysUntilEvent >= 14) { // 2-4 weeks
-        timePeriods['2-4 weeks out'].push(task);
-      } else if (daysUntilEvent >= 7) { // 1-2 weeks
-        timePeriods['1-2 weeks out'].push(task);
-      } else if (daysUntilEvent >= 1) { // Week of event
-        timePeriods['Week of event'].push(task);
-      } else if (daysUntilEvent >= 0) { // Day of event
-        timePeriods['Day of event'].push(task);
-      } else { // After event
-        timePeriods['After event'].push(task);
-      }
-    });
-    
-    // Create organized checklist with time period headers
-    const organizedChecklist = [];
-    
-    Object.entries(timePeriods).forEach(([period, tasks]) => {
-      if (tasks.length > 0) {
-        // Add time period header
-        organizedChecklist.push({
-          task: `--- ${period.toUpperCase()} ---`,
-          isTimeHeader: true,
-          timePeriod: period,
-          dueDate: null,
-          priority: 'medium',
-          completed: false
-        });
-        
-        // Sort tasks within the period by priority (critical first) then by due date
-        tasks.sort((a, b) => {
-          const priorityOrder = { critical: 0, high: 1, medium: 2, low: 3 };
-          const aPriority = priorityOrder[a.priority] || 2;
-          const bPriority = priorityOrder[b.priority] || 2;
-          
-          if (aPriority !== bPriority) return aPriority - bPriority;
-          
-          if (!a.dueDate && !b.dueDate) return 0;
-          if (!a.dueDate) return 1;
-          if (!b.dueDate) return -1;
-          return new Date(a.dueDate) - new Date(b.dueDate);
-        });
-        
-        // Add the sorted tasks
-        organizedChecklist.push(...tasks);
-      }
+  // The server owns the generation prompt, the required policy tasks (EMS
+  // booking, alcohol, minors, Dean of Students) and the time-period grouping
+  // of the checklist.
+  const generateEventWithAI = async (content, currentPlanId) => {
+    console.log('🤖 Requesting event draft from the server...');
+    const response = await axios.post('/api/events/generate', {
+      content,
+      planId: currentPlanId
     });
-    
-    return organizedChecklist;
-  };
 
-  const parseTaskWithDueDate = (taskText, mainEventDate) => {
-    // Extract due date from task text if present
-    let task = taskText;
-    let dueDate = null;
-    let priority = 'medium';
-    
-    // Look for due date patterns in the task text
-    const dueDatePatterns = [
-      /\(due\s+([^)]+)\)/i,
-      /\(by\s+([^)]+)\)/i,
-      /due\s+([a-z]+ \d{1,2})/i,
-      /by\s+([a-z]+ \d{1,2})/i
-    ];
-    
-    for (const pattern of dueDatePatterns) {
-      const match = taskText.match(pattern);
-      if (match) {
-        try {
-          dueDate = new Date(match[1]);
-          task = taskText.replace(match[0], '').trim();
-          break;
-        } catch (e) {
-          continue;
-        }
-      }
-    }
-    
-    // Assign smart default due dates based on task type if no explicit date
-    if (!dueDate && mainEventDate) {
-      dueDate = getSmartDueDate(task, mainEventDate);
-    }
-    
-    // Determine priority from task text
-    if (task.toLowerCase().includes('urgent') || task.toLowerCase().includes('critical')) {
-      priority = 'critical';
-    } else if (task.toLowerCase().includes('important') || task.toLowerCase().includes('asap')) {
-      priority = 'high';
-    }
-    
-    return {
-      task: task,
-      description: '',
-      dueDate,
-      priority,
-      timingType: 'recommended', // Default to recommended, can be updated by AI
-      completed: false
-    };
-  };
-
-  const getSmartDueDate = (task, mainEventDate) => {
-    const taskLower = task.toLowerCase();
-    const eventDate = new Date(mainEventDate);
-    
-    // Smart due date assignment based on task type
-    if (taskLower.includes('book') || taskLower.includes('reserve') || taskLower.includes('venue')) {
-      // Booking tasks - 3-4 weeks before
-      return new Date(eventDate.getTime() - (25 * 24 * 60 * 60 * 1000));
-    } else if (taskLower.includes('invitation') || taskLower.includes('invite') || taskLower.includes('rsvp')) {
-      // Invitation tasks - 2-3 weeks before  
-      return new Date(eventDate.getTime() - (18 * 24 * 60 * 60 * 1000));
-    } else if (taskLower.includes('catering') || taskLower.includes('food') || taskLower.includes('menu')) {
-      // Catering tasks - 1-2 weeks before
-      return new Date(eventDate.getTime() - (10 * 24 * 60 * 60 * 1000));
-    } else if (taskLower.includes('setup') || taskLower.includes('equipment') || taskLower.includes('av')) {
-      // Setup tasks - 2-3 days before
-      return new Date(eventDate.getTime() - (2 * 24 * 60 * 60 * 1000));
-    } else if (taskLower.includes('agenda') || taskLower.includes('material') || taskLower.includes('prepare')) {
-      // Preparation tasks - 1 week before
-      return new Date(eventDate.getTime() - (7 * 24 * 60 * 60 * 1000));
-    } else {
-      // Default - 1 week before
-      return new Date(eventDate.getTime() - (7 * 24 * 60 * 60 * 1000));
-    }
-  };
-
-  const extractEventSummary = (content) => {
-    const lines = content.split('\n');
-    // Take first non-bullet point line as summary
-    for (const line of lines) {
-      const trimmed = line.trim();
-      if (trimmed && !trimmed.startsWith('•') && !trimmed.startsWith('-') && !trimmed.startsWith('*')) {
-        return trimmed.length > 150 ? trimmed.substring(0, 150) + '...' : trimmed;
-      }
+    const { event, source, aiError } = response.data;
+    if (source === 'fallback') {
+      console.warn(`⚠️ AI unavailable (${aiError}), event drafted from message text`);
     }
-    return 'Event planning checklist';
+    console.log('✅ Event draft received:', event);
+    return event;
   };
 
   const formatMessage = (content) => {
@@ -1004,7 +371,11 @@ Only return the JSON, no other text.`;
       key={i}
       role={m.role}
       content={m.content}
+      citations={m.citations}
       timestamp={m.timestamp}
+      streaming={m.streaming}
+      cancelled={m.cancelled}
+      onCancel={handleCancelStream}
       onSaveEvent={handleSaveEvent}
       user={user}
       planId={planId}
@@ -1012,7 +383,7 @@ Only return the JSON, no other text.`;
     />
   ))}
 
-  {loading && (
+  {loading && !messages[messages.length - 1]?.streaming && (
     <div className="flex justify-start">
       <div className="bg-white border border-gray-200 text-gray-900 px-4 py-3 rounded-lg">
         <div className="flex items-center space-x-2">
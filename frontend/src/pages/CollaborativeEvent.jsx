@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import axios from 'axios';
 import { 
   CheckCircleIcon, 
@@ -21,6 +21,9 @@ import { CheckCircleIcon as CheckCircleIconSolid } from '@heroicons/react/24/sol
 const CollaborativeEvent = ({ user }) => {
   const { collaborationId } = useParams();
   const navigate = useNavigate();
+  // One-time token from the invite link (?invite=...); accepting it binds the invite to this account
+  const [searchParams, setSearchParams] = useSearchParams();
+  const inviteToken = searchParams.get('invite');
   const [event, setEvent] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
@@ -44,8 +47,7 @@ const CollaborativeEvent = ({ user }) => {
   // Join form state
   const [joinForm, setJoinForm] = useState({
     firstName: user?.firstName || '',
-    lastName: user?.lastName || '',
-    email: user?.email || ''
+    lastName: user?.lastName || ''
   });
 
   // Collaborator management
@@ -86,9 +88,7 @@ const loadEvent = async () => {
     // Check join status
     if (user) {
       const isOwner = String(ev.owner || ev.userId) === String(user._id);
-      const isCollaborator = (ev.collaborators || []).some(
-        (c) => String(c.userId) === String(user._id) || norm(c.email) === norm(user.email)
-      );
+      const isCollaborator = (ev.collaborators || []).some((c) => String(c.userId) === String(user._id));
       setHasJoined(isOwner || isCollaborator);
     }
 
@@ -102,6 +102,11 @@ const loadEvent = async () => {
     console.error('Error loading collaborative event:', error);
     if (error.response?.status === 404) {
       setError('Collaborative event not found or collaboration has been disabled.');
+    } else if (error.response?.status === 403 && inviteToken) {
+      // Not a collaborator yet: show the join form to accept the invite
+      setHasJoined(false);
+    } else if (error.response?.status === 403) {
+      setError('Your account has not joined this event. Open the invite link the event owner sent you.');
     } else {
       setError('Failed to load collaborative event. Please try again.');
     }
@@ -147,19 +152,20 @@ const joinCollaboration = async (e) => {
 
   try {
     await axios.post(`/api/collaborate/${collaborationId}/join`, {
-      userId: user?._id,
+      inviteToken,
       firstName: joinForm.firstName,
       lastName: joinForm.lastName,
-      email: joinForm.email,
     });
 
     // Persist a local identity so future edits always include an identifier
     setIdentity({
       userId: user?._id || null,
-      email: norm(joinForm.email),
+      email: norm(user?.email),
       userName: `${joinForm.firstName} ${joinForm.lastName}`.trim(),
     });
 
+    // The invite is used up; keep it out of the address bar
+    setSearchParams({}, { replace: true });
     setHasJoined(true);
     await loadEvent(); // ensure server saved collaborator before first edit
   } catch (error) {
@@ -173,9 +179,11 @@ const joinCollaboration = async (e) => {
     if (!event) return;
 
     try {
-      await axios.post(`/api/events/${event._id}/collaborators`, newCollaborator);
+      const resp = await axios.post(`/api/events/${event._id}/collaborators`, newCollaborator);
       setNewCollaborator({ firstName: '', lastName: '', email: '', permission: 'edit' });
       setShowAddCollaborator(false);
+      setShareLink(resp.data.inviteUrl);
+      setShowShare(true);
       loadEvent(); // Reload to get updated collaborator list
     } catch (error) {
       console.error('Error adding collaborator:', error);
@@ -203,24 +211,20 @@ const inviteAndGetLink = async (e) => {
   const norm = (x) => (x || '').trim().toLowerCase();
 
   try {
-    // 1) Invite collaborator by email (stored lowercase on server)
-    await axios.post(`/api/events/${event._id}/collaborators`, {
+    // 1) Ensure collaboration is enabled (invites need it)
+    if (!event.collaborationEnabled || !event.collaborationId) {
+      await axios.post(`/api/events/${event._id}/collaboration/enable`);
+    }
+
+    // 2) Invite collaborator (email stored lowercase on server) and expose their one-time link
+    const resp = await axios.post(`/api/events/${event._id}/collaborators`, {
       ...invite,
       email: norm(invite.email),
     });
+    setShareLink(resp.data.inviteUrl);
+    await loadEvent();
 
-    // 2) Ensure collaboration is enabled and get link
-    if (!event.collaborationEnabled || !event.collaborationId) {
-      const resp = await axios.post(`/api/events/${event._id}/collaboration/enable`);
-      const { collaborationUrl } = resp.data;
-      setShareLink(collaborationUrl);
-      await loadEvent();
-    } else {
-      const base = window?.location?.origin || 'http://localhost:3000';
-      setShareLink(`${base.replace(/\/$/, '')}/collaborate/${event.collaborationId}`);
-    }
-
-    alert('Invite sent. Only the invited email can join.');
+    alert('Invite created. Send the link to the invitee; it can be accepted once.');
   } catch (err) {
     console.error('Share/invite error', err);
     alert(err.response?.data?.error || 'Failed to invite collaborator');
@@ -239,7 +243,6 @@ const toggleChecklistItem = async (index) => {
   const emailToSend =
     (user?.email && norm(user.email)) ||
     (identity.email && norm(identity.email)) ||
-    (joinForm.email && norm(joinForm.email)) ||
     '';
 
   const userIdToSend = user?._id || identity.userId || null;
@@ -379,17 +382,6 @@ const toggleChecklistItem = async (index) => {
                     className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-vanderbilt-gold focus:border-vanderbilt-gold"
                   />
                 </div>
-                
-                <div>
-                  <label className="block text-sm font-medium text-gray-700">Email</label>
-                  <input
-                    type="email"
-                    required
-                    value={joinForm.email}
-                    onChange={(e) => setJoinForm(prev => ({ ...prev, email: e.target.value }))}
-                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-vanderbilt-gold focus:border-vanderbilt-gold"
-                  />
-                </div>
               </div>
               
               <div className="mt-6">
@@ -724,6 +716,8 @@ const toggleChecklistItem = async (index) => {
                               <CheckCircleIcon className="h-4 w-4 text-gray-400" />
                             ) : activity.action === 'joined' ? (
                               <UsersIcon className="h-4 w-4 text-blue-500" />
+                            ) : activity.action === 'access_denied' ? (
+                              <ExclamationTriangleIcon className="h-4 w-4 text-red-500" />
                             ) : (
                               <InformationCircleIcon className="h-4 w-4 text-gray-400" />
                             )}
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { PlusIcon, ChatBubbleLeftRightIcon, CalendarIcon, ClipboardDocumentListIcon, BookmarkIcon } from '@heroicons/react/24/outline';
 import axios from 'axios';
+import EventCalendar from '../components/EventCalendar.jsx';
 
 const Dashboard = ({ user }) => {
   const [plans, setPlans] = useState([]);
@@ -15,8 +16,8 @@ const Dashboard = ({ user }) => {
   const fetchData = async () => {
     try {
       const [plansResponse, eventsResponse] = await Promise.all([
-        axios.get(`/api/plans?userId=${user._id}`),
-        axios.get(`/api/events?userId=${user._id}`)
+        axios.get('/api/plans'),
+        axios.get('/api/events')
       ]);
       setPlans(plansResponse.data);
       setEvents(eventsResponse.data);
@@ -147,6 +148,9 @@ const Dashboard = ({ user }) => {
           </div>
         </div>
 
+        {/* Calendar across owned and shared events */}
+        <EventCalendar />
+
         {/* Recent Plans */}
         <div className="bg-white shadow overflow-hidden sm:rounded-md">
           <div className="px-4 py-5 sm:px-6">
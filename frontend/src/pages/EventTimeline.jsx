@@ -0,0 +1,387 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { ArrowLeftIcon, ExclamationTriangleIcon, PlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+import axios from 'axios';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LABEL_WIDTH = 260;
+const ROW_HEIGHT = 32;
+
+// Dates on the chart are whole UTC days, as the backend stores them
+const dayIndex = (date, start) => Math.round((new Date(date) - new Date(start)) / DAY_MS);
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+const formatDay = (date, options = {}) =>
+  new Date(date).toLocaleDateString(undefined, { timeZone: 'UTC', month: 'short', day: 'numeric', ...options });
+
+// Wide enough to grab a bar on short plans, narrow enough that long ones stay scannable
+const dayWidthFor = (days) => Math.max(6, Math.min(32, Math.floor(1000 / Math.max(days, 1))));
+
+const barColor = (task) => {
+  if (task.completed) return 'bg-green-400';
+  if (task.timingType === 'required') return 'bg-red-500';
+  if (task.priority === 'critical' || task.priority === 'high') return 'bg-orange-400';
+  return 'bg-vanderbilt-gold';
+};
+
+const EventTimeline = () => {
+  const { eventId } = useParams();
+  const [event, setEvent] = useState(null);
+  const [timeline, setTimeline] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [drag, setDrag] = useState(null); // { kind: 'task' | 'milestone', id, originX, days }
+  const [newMilestone, setNewMilestone] = useState({ milestone: '', dueDate: '' });
+
+  const fetchTimeline = async () => {
+    try {
+      const [eventResponse, timelineResponse] = await Promise.all([
+        axios.get(`/api/events/${eventId}`),
+        axios.get(`/api/events/${eventId}/timeline`)
+      ]);
+      setEvent(eventResponse.data);
+      setTimeline(timelineResponse.data);
+    } catch (err) {
+      console.error('Error fetching timeline:', err);
+      setError(err.response?.data?.error || 'Failed to load the timeline');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTimeline();
+  }, [eventId]);
+
+  // Due dates and milestones are saved through the regular event update
+  const saveEvent = async (changes, fallback) => {
+    try {
+      setSaving(true);
+      setError(null);
+      const response = await axios.put(`/api/events/${eventId}`, changes);
+      setEvent(response.data);
+      const timelineResponse = await axios.get(`/api/events/${eventId}/timeline`);
+      setTimeline(timelineResponse.data);
+    } catch (err) {
+      console.error('Error saving timeline change:', err);
+      setError(err.response?.data?.error || fallback);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const moveTask = (itemId, days) => saveEvent({
+    checklist: event.checklist.map(item => String(item._id) === itemId
+      ? { ...item, dueDate: addDays(item.dueDate, days).toISOString() }
+      : item)
+  }, 'Failed to reschedule the task');
+
+  const moveMilestone = (milestoneId, days) => saveEvent({
+    timeline: event.timeline.map(milestone => String(milestone._id) === milestoneId
+      ? { ...milestone, dueDate: addDays(milestone.dueDate, days).toISOString() }
+      : milestone)
+  }, 'Failed to move the milestone');
+
+  const toggleMilestone = (milestoneId) => saveEvent({
+    timeline: event.timeline.map(milestone => String(milestone._id) === milestoneId
+      ? { ...milestone, completed: !milestone.completed, completedAt: milestone.completed ? null : new Date().toISOString() }
+      : milestone)
+  }, 'Failed to update the milestone');
+
+  const removeMilestone = (milestoneId) => saveEvent({
+    timeline: event.timeline.filter(milestone => String(milestone._id) !== milestoneId)
+  }, 'Failed to remove the milestone');
+
+  const addMilestone = async (e) => {
+    e.preventDefault();
+    if (!newMilestone.milestone.trim() || !newMilestone.dueDate) return;
+    await saveEvent({
+      timeline: [...event.timeline, {
+        milestone: newMilestone.milestone.trim(),
+        dueDate: new Date(`${newMilestone.dueDate}T00:00:00Z`).toISOString()
+      }]
+    }, 'Failed to add the milestone');
+    setNewMilestone({ milestone: '', dueDate: '' });
+  };
+
+  // ---------- Drag to reschedule ----------
+
+  const startDrag = (e, kind, id) => {
+    if (saving) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDrag({ kind, id, originX: e.clientX, days: 0 });
+  };
+
+  const continueDrag = (e, dayWidth) => {
+    if (!drag) return;
+    const days = Math.round((e.clientX - drag.originX) / dayWidth);
+    if (days !== drag.days) setDrag({ ...drag, days });
+  };
+
+  const endDrag = () => {
+    if (!drag) return;
+    const { kind, id, days } = drag;
+    setDrag(null);
+    if (days === 0) return;
+    if (kind === 'task') moveTask(id, days);
+    else moveMilestone(id, days);
+  };
+
+  const offsetFor = (kind, id) => (drag && drag.kind === kind && drag.id === id ? drag.days : 0);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-vanderbilt-gold"></div>
+      </div>
+    );
+  }
+
+  if (!event || !timeline) {
+    return (
+      <div className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
+        <div className="text-center">
+          <h2 className="text-2xl font-bold text-gray-900">Timeline not available</h2>
+          {error && <p className="mt-2 text-sm text-gray-600">{error}</p>}
+          <Link to="/events" className="text-vanderbilt-gold hover:underline">
+            Return to Saved Events
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const totalDays = dayIndex(timeline.end, timeline.start);
+  const dayWidth = dayWidthFor(totalDays);
+  const chartWidth = totalDays * dayWidth;
+  const x = (date) => dayIndex(date, timeline.start) * dayWidth;
+  const today = new Date();
+  const todayX = today >= new Date(timeline.start) && today < new Date(timeline.end) ? x(today) : null;
+
+  // Month labels along the top
+  const months = [];
+  for (let day = 0; day < totalDays; day++) {
+    const date = addDays(timeline.start, day);
+    if (day === 0 || date.getUTCDate() === 1) months.push({ left: day * dayWidth, label: formatDay(date, { day: undefined, year: '2-digit' }) });
+  }
+
+  const taskNames = new Map(timeline.tasks.map(task => [task.itemId, task.task]));
+  const milestones = timeline.milestones.filter(milestone => milestone.dueDate);
+  const rowCount = milestones.length + timeline.tasks.length;
+
+  return (
+    <div className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
+      <div className="px-4 py-6 sm:px-0">
+        {/* Header */}
+        <div className="md:flex md:items-center md:justify-between mb-6">
+          <div className="flex-1 min-w-0">
+            <Link to={`/events/${eventId}`} className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700 mb-2">
+              <ArrowLeftIcon className="h-4 w-4 mr-1" />
+              Back to event
+            </Link>
+            <h1 className="text-2xl font-bold leading-7 text-gray-900 sm:text-3xl sm:truncate">
+              {event.title} — Timeline
+            </h1>
+            <p className="mt-1 text-sm text-gray-500">
+              {timeline.eventDate ? `Event on ${formatDay(timeline.eventDate, { weekday: 'long', year: 'numeric' })}. ` : 'No event date set. '}
+              Drag a bar or milestone to change its date.
+            </p>
+          </div>
+          {timeline.suggestedMilestones?.length > 0 && (
+            <div className="mt-4 md:mt-0 md:ml-4">
+              <button
+                onClick={() => saveEvent({ timeline: timeline.suggestedMilestones }, 'Failed to add milestones')}
+                disabled={saving}
+                className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-vanderbilt-gold"
+              >
+                <PlusIcon className="h-4 w-4 mr-2" />
+                Add suggested milestones
+              </button>
+            </div>
+          )}
+        </div>
+
+        {error && (
+          <div className="mb-6 rounded-md bg-red-50 border border-red-200 p-4 flex items-start justify-between">
+            <div className="flex items-start">
+              <ExclamationTriangleIcon className="h-5 w-5 text-red-500 mr-2 flex-shrink-0" />
+              <p className="text-sm text-red-700">{error}</p>
+            </div>
+            <button onClick={() => setError(null)} className="text-sm text-red-600 hover:underline ml-4">
+              Dismiss
+            </button>
+          </div>
+        )}
+
+        {/* Chart */}
+        <div className={`bg-white shadow sm:rounded-lg overflow-x-auto ${saving ? 'opacity-60' : ''}`}>
+          <div className="relative" style={{ width: LABEL_WIDTH + chartWidth }}>
+            {/* Time-period bands and month labels */}
+            <div className="flex border-b border-gray-200">
+              <div className="flex-shrink-0 sticky left-0 z-20 bg-white border-r border-gray-200" style={{ width: LABEL_WIDTH }} />
+              <div className="relative" style={{ width: chartWidth, height: 48 }}>
+                {timeline.bands.map((band, index) => (
+                  <div
+                    key={band.label}
+                    className={`absolute top-0 h-6 px-1 text-xs font-medium text-gray-600 truncate border-l border-gray-200 ${index % 2 ? 'bg-gray-50' : 'bg-yellow-50'}`}
+                    style={{ left: x(band.start), width: x(band.end) - x(band.start) }}
+                    title={band.label}
+                  >
+                    {band.label}
+                  </div>
+                ))}
+                {months.map(month => (
+                  <div key={month.left} className="absolute top-6 h-6 pl-1 text-xs text-gray-400 border-l border-gray-100" style={{ left: month.left }}>
+                    {month.label}
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            {/* Rows */}
+            <div className="relative">
+              {/* Band shading, event day and today behind the rows */}
+              <div className="absolute inset-y-0 pointer-events-none" style={{ left: LABEL_WIDTH, width: chartWidth }}>
+                {timeline.bands.map((band, index) => (
+                  <div
+                    key={band.label}
+                    className={`absolute inset-y-0 border-l border-gray-100 ${index % 2 ? 'bg-gray-50' : 'bg-yellow-50/40'}`}
+                    style={{ left: x(band.start), width: x(band.end) - x(band.start) }}
+                  />
+                ))}
+                {timeline.eventDate && (
+                  <div className="absolute inset-y-0 bg-vanderbilt-gold/30 border-x border-vanderbilt-gold" style={{ left: x(timeline.eventDate), width: dayWidth }} title="Event day" />
+                )}
+                {todayX != null && (
+                  <div className="absolute inset-y-0 border-l-2 border-dashed border-blue-400" style={{ left: todayX }} title="Today" />
+                )}
+              </div>
+
+              {milestones.map(milestone => {
+                const id = String(milestone._id);
+                const left = x(milestone.dueDate) + offsetFor('milestone', id) * dayWidth;
+                return (
+                  <div key={id} className="flex items-center border-b border-gray-100" style={{ height: ROW_HEIGHT }}>
+                    <div className="flex-shrink-0 sticky left-0 z-10 bg-white border-r border-gray-200 px-3 flex items-center text-sm" style={{ width: LABEL_WIDTH, height: ROW_HEIGHT }}>
+                      <input
+                        type="checkbox"
+                        checked={milestone.completed}
+                        onChange={() => toggleMilestone(id)}
+                        disabled={saving}
+                        className="mr-2 h-4 w-4 rounded border-gray-300"
+                        title="Mark milestone done"
+                      />
+                      <span className={`truncate font-medium ${milestone.completed ? 'line-through text-gray-400' : 'text-gray-900'}`} title={milestone.milestone}>
+                        {milestone.milestone}
+                      </span>
+                      {milestone.progress.total > 0 && (
+                        <span className="ml-2 text-xs text-gray-500 flex-shrink-0">{milestone.progress.done}/{milestone.progress.total}</span>
+                      )}
+                      <button onClick={() => removeMilestone(id)} disabled={saving} className="ml-auto text-gray-300 hover:text-red-600" title="Remove milestone">
+                        <TrashIcon className="h-4 w-4" />
+                      </button>
+                    </div>
+                    <div className="relative h-full" style={{ width: chartWidth }}>
+                      <div
+                        onPointerDown={(e) => startDrag(e, 'milestone', id)}
+                        onPointerMove={(e) => continueDrag(e, dayWidth)}
+                        onPointerUp={endDrag}
+                        onPointerCancel={() => setDrag(null)}
+                        className={`absolute top-1/2 h-3 w-3 -mt-1.5 rotate-45 cursor-ew-resize touch-none ${milestone.completed ? 'bg-green-500' : 'bg-gray-800'}`}
+                        style={{ left: left + dayWidth / 2 - 6 }}
+                        title={`${milestone.milestone}: ${formatDay(addDays(milestone.dueDate, offsetFor('milestone', id)), { year: 'numeric' })}`}
+                      />
+                    </div>
+                  </div>
+                );
+              })}
+
+              {timeline.tasks.map(task => {
+                const offset = offsetFor('task', task.itemId);
+                const left = x(task.startDate) + offset * dayWidth;
+                const width = (dayIndex(task.dueDate, task.startDate) + 1) * dayWidth;
+                const draggable = task.itemId && !task.completed;
+                const dependsOn = task.dependencies.map(id => taskNames.get(id)).filter(Boolean);
+                return (
+                  <div key={task.itemId || task.task} className="flex items-center border-b border-gray-100" style={{ height: ROW_HEIGHT }}>
+                    <div className="flex-shrink-0 sticky left-0 z-10 bg-white border-r border-gray-200 px-3 flex items-center text-sm" style={{ width: LABEL_WIDTH, height: ROW_HEIGHT }}>
+                      <span className={`truncate ${task.completed ? 'line-through text-gray-400' : 'text-gray-700'}`} title={task.task}>
+                        {task.task}
+                      </span>
+                      {task.timingType === 'required' && (
+                        <span className="ml-2 px-1.5 py-0.5 text-xs rounded-full bg-red-100 text-red-700 flex-shrink-0">required</span>
+                      )}
+                    </div>
+                    <div className="relative h-full" style={{ width: chartWidth }}>
+                      <div
+                        onPointerDown={draggable ? (e) => startDrag(e, 'task', task.itemId) : undefined}
+                        onPointerMove={draggable ? (e) => continueDrag(e, dayWidth) : undefined}
+                        onPointerUp={draggable ? endDrag : undefined}
+                        onPointerCancel={draggable ? () => setDrag(null) : undefined}
+                        className={`absolute top-1.5 bottom-1.5 rounded ${barColor(task)} ${draggable ? 'cursor-ew-resize touch-none' : 'opacity-70'} ${offset ? 'ring-2 ring-blue-400' : ''}`}
+                        style={{ left, width: Math.max(width, 4) }}
+                        title={[
+                          task.task,
+                          `Due ${formatDay(addDays(task.dueDate, offset), { year: 'numeric' })}`,
+                          task.timePeriod,
+                          dependsOn.length ? `Depends on: ${dependsOn.join(', ')}` : null
+                        ].filter(Boolean).join('\n')}
+                      />
+                    </div>
+                  </div>
+                );
+              })}
+
+              {rowCount === 0 && (
+                <p className="px-4 py-6 text-sm text-gray-500">No dated tasks or milestones yet.</p>
+              )}
+            </div>
+          </div>
+        </div>
+
+        <div className="mt-6 grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {/* Add milestone */}
+          <form onSubmit={addMilestone} className="bg-white shadow sm:rounded-lg p-4">
+            <h2 className="text-sm font-medium text-gray-900 mb-3">Add a milestone</h2>
+            <div className="flex flex-wrap gap-2">
+              <input
+                type="text"
+                value={newMilestone.milestone}
+                onChange={(e) => setNewMilestone({ ...newMilestone, milestone: e.target.value })}
+                placeholder="e.g. Speaker confirmed"
+                className="flex-1 min-w-0 px-3 py-2 text-sm border border-gray-300 rounded-md"
+              />
+              <input
+                type="date"
+                value={newMilestone.dueDate}
+                onChange={(e) => setNewMilestone({ ...newMilestone, dueDate: e.target.value })}
+                className="px-3 py-2 text-sm border border-gray-300 rounded-md"
+              />
+              <button
+                type="submit"
+                disabled={saving || !newMilestone.milestone.trim() || !newMilestone.dueDate}
+                className="px-4 py-2 text-sm font-medium rounded-md bg-vanderbilt-gold text-white hover:opacity-90 disabled:opacity-50"
+              >
+                Add
+              </button>
+            </div>
+          </form>
+
+          {/* Tasks the chart cannot place */}
+          {timeline.undated.length > 0 && (
+            <div className="bg-white shadow sm:rounded-lg p-4">
+              <h2 className="text-sm font-medium text-gray-900 mb-2">No due date ({timeline.undated.length})</h2>
+              <ul className="text-sm text-gray-700 space-y-1">
+                {timeline.undated.map(task => (
+                  <li key={task.itemId || task.task} className={task.completed ? 'line-through text-gray-400' : ''}>{task.task}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EventTimeline;
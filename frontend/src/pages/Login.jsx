@@ -7,21 +7,28 @@ const Login = ({ onLogin }) => {
     email: '',
     firstName: '',
     lastName: '',
-    role: 'student'
+    role: 'student',
+    password: ''
   });
+  // 'login' signs in with ID + password; 'register' also asks for the profile
+  const [mode, setMode] = useState('login');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
+  const registering = mode === 'register';
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
     setError('');
 
     try {
-      const response = await axios.post('/api/auth/login', formData);
-      onLogin(response.data.user, response.data.token);
+      const response = registering
+        ? await axios.post('/api/auth/register', formData)
+        : await axios.post('/api/auth/login', { vanderbiltId: formData.vanderbiltId, password: formData.password });
+      onLogin(response.data.user, response.data.token, response.data.refreshToken);
     } catch (error) {
-      setError('Login failed. Please try again.');
+      setError(error.response?.data?.error || (registering ? 'Registration failed. Please try again.' : 'Login failed. Please try again.'));
       console.error('Login error:', error);
     } finally {
       setLoading(false);
@@ -43,7 +50,7 @@ const Login = ({ onLogin }) => {
             Vanderbilt Program Planning Assistant
           </h2>
           <p className="mt-2 text-center text-sm text-gray-600">
-            Sign in to start planning your program
+            {registering ? 'Create an account to start planning your program' : 'Sign in to start planning your program'}
           </p>
         </div>
         <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
@@ -70,72 +77,94 @@ const Login = ({ onLogin }) => {
               />
             </div>
             
+            {registering && (
+              <>
+                <div>
+                  <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+                    Email Address
+                  </label>
+                  <input
+                    id="email"
+                    name="email"
+                    type="email"
+                    required
+                    className="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-vanderbilt-gold focus:border-vanderbilt-gold focus:z-10 sm:text-sm"
+                    placeholder="Enter your email"
+                    value={formData.email}
+                    onChange={handleChange}
+                  />
+                </div>
+                
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label htmlFor="firstName" className="block text-sm font-medium text-gray-700">
+                      First Name
+                    </label>
+                    <input
+                      id="firstName"
+                      name="firstName"
+                      type="text"
+                      required
+                      className="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-vanderbilt-gold focus:border-vanderbilt-gold focus:z-10 sm:text-sm"
+                      placeholder="First name"
+                      value={formData.firstName}
+                      onChange={handleChange}
+                    />
+                  </div>
+                  
+                  <div>
+                    <label htmlFor="lastName" className="block text-sm font-medium text-gray-700">
+                      Last Name
+                    </label>
+                    <input
+                      id="lastName"
+                      name="lastName"
+                      type="text"
+                      required
+                      className="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-vanderbilt-gold focus:border-vanderbilt-gold focus:z-10 sm:text-sm"
+                      placeholder="Last name"
+                      value={formData.lastName}
+                      onChange={handleChange}
+                    />
+                  </div>
+                </div>
+                
+                <div>
+                  <label htmlFor="role" className="block text-sm font-medium text-gray-700">
+                    Role
+                  </label>
+                  <select
+                    id="role"
+                    name="role"
+                    required
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 bg-white rounded-md shadow-sm focus:outline-none focus:ring-vanderbilt-gold focus:border-vanderbilt-gold sm:text-sm"
+                    value={formData.role}
+                    onChange={handleChange}
+                  >
+                    <option value="student">Student</option>
+                    <option value="staff">Staff</option>
+                  </select>
+                </div>
+              </>
+            )}
+
             <div>
-              <label htmlFor="email" className="block text-sm font-medium text-gray-700">
-                Email Address
+              <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                Password
               </label>
               <input
-                id="email"
-                name="email"
-                type="email"
+                id="password"
+                name="password"
+                type="password"
                 required
+                minLength={registering ? 8 : undefined}
+                autoComplete={registering ? 'new-password' : 'current-password'}
                 className="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-vanderbilt-gold focus:border-vanderbilt-gold focus:z-10 sm:text-sm"
-                placeholder="Enter your email"
-                value={formData.email}
+                placeholder={registering ? 'At least 8 characters' : 'Enter your password'}
+                value={formData.password}
                 onChange={handleChange}
               />
             </div>
-            
-            <div className="grid grid-cols-2 gap-4">
-              <div>
-                <label htmlFor="firstName" className="block text-sm font-medium text-gray-700">
-                  First Name
-                </label>
-                <input
-                  id="firstName"
-                  name="firstName"
-                  type="text"
-                  required
-                  className="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-vanderbilt-gold focus:border-vanderbilt-gold focus:z-10 sm:text-sm"
-                  placeholder="First name"
-                  value={formData.firstName}
-                  onChange={handleChange}
-                />
-              </div>
-              
-              <div>
-                <label htmlFor="lastName" className="block text-sm font-medium text-gray-700">
-                  Last Name
-                </label>
-                <input
-                  id="lastName"
-                  name="lastName"
-                  type="text"
-                  required
-                  className="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-vanderbilt-gold focus:border-vanderbilt-gold focus:z-10 sm:text-sm"
-                  placeholder="Last name"
-                  value={formData.lastName}
-                  onChange={handleChange}
-                />
-              </div>
-            </div>
-            
-            <div>
-              <label htmlFor="role" className="block text-sm font-medium text-gray-700">
-                Role
-              </label>
-              <select
-                id="role"
-                name="role"
-                required
-                className="mt-1 block w-full px-3 py-2 border border-gray-300 bg-white rounded-md shadow-sm focus:outline-none focus:ring-vanderbilt-gold focus:border-vanderbilt-gold sm:text-sm"
-                value={formData.role}
-                onChange={handleChange}
-              >
-                <option value="student">Student</option>
-                <option value="staff">Staff</option>
-              </select>
-            </div>
           </div>
 
           <div>
@@ -144,9 +173,20 @@ const Login = ({ onLogin }) => {
               disabled={loading}
               className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-vanderbilt-gold hover:bg-yellow-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-vanderbilt-gold disabled:opacity-50"
             >
-              {loading ? 'Signing in...' : 'Sign in'}
+              {loading ? (registering ? 'Creating account...' : 'Signing in...') : (registering ? 'Create account' : 'Sign in')}
             </button>
           </div>
+
+          <p className="text-center text-sm text-gray-600">
+            {registering ? 'Already have an account?' : 'New here?'}{' '}
+            <button
+              type="button"
+              className="font-medium text-vanderbilt-gold hover:text-yellow-600"
+              onClick={() => { setMode(registering ? 'login' : 'register'); setError(''); }}
+            >
+              {registering ? 'Sign in' : 'Create an account'}
+            </button>
+          </p>
         </form>
       </div>
     </div>
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, Link } from 'react-router-dom';
+import { useParams, Link, useNavigate } from 'react-router-dom';
 import { 
   CheckCircleIcon, 
   ClockIcon, 
@@ -8,14 +8,42 @@ import {
   CalendarIcon,
   MapPinIcon,
   UsersIcon,
-  CurrencyDollarIcon
+  CurrencyDollarIcon,
+  ArchiveBoxIcon,
+  TrashIcon
 } from '@heroicons/react/24/outline';
 import axios from 'axios';
+import PolicyChangeAlerts, { alertForReference, describePolicyChange } from '../components/PolicyChangeAlerts.jsx';
+
+// Mirrors PLAN_STATUS_TRANSITIONS in backend/src/models.js
+const STATUS_TRANSITIONS = {
+  planning: ['approved', 'cancelled'],
+  approved: ['in-progress', 'cancelled'],
+  'in-progress': ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+const STATUS_ACTION_LABELS = {
+  approved: 'Mark Approved',
+  'in-progress': 'Start Plan',
+  completed: 'Mark Completed',
+  cancelled: 'Cancel Plan'
+};
+
+const describeError = (error, fallback) => {
+  const data = error.response?.data;
+  return data?.details?.status?.message || data?.error || fallback;
+};
 
 const PlanDetails = ({ user }) => {
   const { planId } = useParams();
   const [plan, setPlan] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [updating, setUpdating] = useState(false);
+  const [policyAlerts, setPolicyAlerts] = useState([]);
+  const navigate = useNavigate();
 
   useEffect(() => {
     fetchPlan();
@@ -25,6 +53,7 @@ const PlanDetails = ({ user }) => {
     try {
       const response = await axios.get(`/api/plans/${planId}`);
       setPlan(response.data);
+      fetchPolicyAlerts();
     } catch (error) {
       console.error('Error fetching plan:', error);
     } finally {
@@ -32,17 +61,77 @@ const PlanDetails = ({ user }) => {
     }
   };
 
+  // Non-blocking: the plan is usable even if this check fails
+  const fetchPolicyAlerts = async () => {
+    try {
+      const response = await axios.get(`/api/plans/${planId}/policy-alerts`);
+      setPolicyAlerts(response.data.alerts || []);
+    } catch (error) {
+      console.error('Error checking policy changes:', error);
+    }
+  };
+
   const toggleChecklistItem = async (index) => {
-    const updatedChecklist = [...plan.checklist];
-    updatedChecklist[index].completed = !updatedChecklist[index].completed;
-    
+    const updatedChecklist = plan.checklist.map((item, i) =>
+      i === index ? { ...item, completed: !item.completed } : item
+    );
+
     try {
-      await axios.put(`/api/plans/${planId}`, {
+      setError(null);
+      const response = await axios.put(`/api/plans/${planId}`, {
         checklist: updatedChecklist
       });
-      setPlan({...plan, checklist: updatedChecklist});
+      setPlan(response.data);
     } catch (error) {
       console.error('Error updating checklist:', error);
+      setError(describeError(error, 'Failed to update checklist. Please try again.'));
+    }
+  };
+
+  const changeStatus = async (status) => {
+    if (status === 'cancelled' && !window.confirm('Cancel this plan? Cancelled plans cannot be reopened.')) {
+      return;
+    }
+    try {
+      setUpdating(true);
+      setError(null);
+      const response = await axios.post(`/api/plans/${planId}/status`, { status });
+      setPlan(response.data);
+    } catch (error) {
+      console.error('Error changing plan status:', error);
+      setError(describeError(error, 'Failed to change plan status.'));
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  const toggleArchive = async () => {
+    try {
+      setUpdating(true);
+      setError(null);
+      const action = plan.archived ? 'unarchive' : 'archive';
+      const response = await axios.post(`/api/plans/${planId}/${action}`);
+      setPlan(response.data);
+    } catch (error) {
+      console.error('Error archiving plan:', error);
+      setError(describeError(error, 'Failed to update archive state.'));
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  const deletePlan = async () => {
+    if (!window.confirm('Are you sure you want to delete this plan? This cannot be undone.')) {
+      return;
+    }
+    try {
+      setUpdating(true);
+      await axios.delete(`/api/plans/${planId}`);
+      navigate('/dashboard');
+    } catch (error) {
+      console.error('Error deleting plan:', error);
+      setError(describeError(error, 'Failed to delete plan.'));
+      setUpdating(false);
     }
   };
 
@@ -101,6 +190,11 @@ const PlanDetails = ({ user }) => {
               <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusColor(plan.status)}`}>
                 {plan.status}
               </span>
+              {plan.archived && (
+                <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-200 text-gray-700">
+                  archived
+                </span>
+              )}
               <span className="text-sm text-gray-500">
                 Created {new Date(plan.createdAt).toLocaleDateString()}
               </span>
@@ -117,6 +211,20 @@ const PlanDetails = ({ user }) => {
           </div>
         </div>
 
+        {error && (
+          <div className="mb-6 rounded-md bg-red-50 border border-red-200 p-4 flex items-start justify-between">
+            <div className="flex items-start">
+              <ExclamationTriangleIcon className="h-5 w-5 text-red-500 mr-2 flex-shrink-0" />
+              <p className="text-sm text-red-700">{error}</p>
+            </div>
+            <button onClick={() => setError(null)} className="text-sm text-red-600 hover:underline ml-4">
+              Dismiss
+            </button>
+          </div>
+        )}
+
+        <PolicyChangeAlerts alerts={policyAlerts} />
+
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
           {/* Main Content */}
           <div className="lg:col-span-2 space-y-6">
@@ -237,11 +345,16 @@ const PlanDetails = ({ user }) => {
                                 {item.description}
                               </p>
                             )}
-                            {item.policyReference && (
+                            {item.policyReference && (alertForReference(policyAlerts, item.policyReference) ? (
+                              <p className="mt-1 text-xs text-yellow-700 flex items-center">
+                                <ExclamationTriangleIcon className="h-3 w-3 mr-1" />
+                                {describePolicyChange(alertForReference(policyAlerts, item.policyReference))} since this task was planned
+                              </p>
+                            ) : (
                               <p className="mt-1 text-xs text-blue-600">
                                 Policy: {item.policyReference}
                               </p>
-                            )}
+                            ))}
                           </div>
                         </div>
                       </li>
@@ -309,6 +422,36 @@ const PlanDetails = ({ user }) => {
                   <ChatBubbleLeftRightIcon className="h-4 w-4 mr-2" />
                   Chat with AI
                 </Link>
+                {!plan.archived && (STATUS_TRANSITIONS[plan.status] || []).map((status) => (
+                  <button
+                    key={status}
+                    onClick={() => changeStatus(status)}
+                    disabled={updating}
+                    className={`w-full inline-flex justify-center items-center px-4 py-2 border rounded-md shadow-sm text-sm font-medium focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-vanderbilt-gold disabled:opacity-50 ${
+                      status === 'cancelled'
+                        ? 'border-red-300 text-red-700 bg-white hover:bg-red-50'
+                        : 'border-gray-300 text-gray-700 bg-white hover:bg-gray-50'
+                    }`}
+                  >
+                    {STATUS_ACTION_LABELS[status] || status}
+                  </button>
+                ))}
+                <button
+                  onClick={toggleArchive}
+                  disabled={updating}
+                  className="w-full inline-flex justify-center items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-vanderbilt-gold disabled:opacity-50"
+                >
+                  <ArchiveBoxIcon className="h-4 w-4 mr-2" />
+                  {plan.archived ? 'Unarchive Plan' : 'Archive Plan'}
+                </button>
+                <button
+                  onClick={deletePlan}
+                  disabled={updating}
+                  className="w-full inline-flex justify-center items-center px-4 py-2 border border-red-300 rounded-md shadow-sm text-sm font-medium text-red-700 bg-white hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 disabled:opacity-50"
+                >
+                  <TrashIcon className="h-4 w-4 mr-2" />
+                  Delete Plan
+                </button>
                 <Link
                   to="/dashboard"
                   className="w-full inline-flex justify-center items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-vanderbilt-gold"
@@ -0,0 +1,385 @@
+import React, { useState, useEffect } from 'react';
+import { Navigate } from 'react-router-dom';
+import { PlusIcon, ArchiveBoxIcon, ArrowUturnLeftIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import axios from 'axios';
+import { severityClasses } from '../components/CitationPanel.jsx';
+
+// Mirrors the ProgramPlan programType enum in backend/src/models.js
+const PROGRAM_TYPES = ['mixer', 'concert', 'workshop', 'lecture', 'other'];
+const SEVERITIES = ['info', 'warning', 'critical'];
+const ROLE_VISIBILITY = ['both', 'student', 'staff'];
+
+const EMPTY_FORM = {
+  category: '',
+  title: '',
+  description: '',
+  requirements: '',
+  citations: '',
+  tags: '',
+  severity: 'info',
+  roleVisibility: 'both',
+  programTypes: [],
+  minAdvanceNotice: '',
+  recommendedAdvanceNotice: '',
+  effectiveFrom: ''
+};
+
+// List fields are edited as text: one requirement/citation per line, tags comma-separated
+const toForm = (policy) => ({
+  category: policy.category || '',
+  title: policy.title || '',
+  description: policy.description || '',
+  requirements: (policy.requirements || []).join('\n'),
+  citations: (policy.citations || []).join('\n'),
+  tags: (policy.tags || []).join(', '),
+  severity: policy.severity || 'info',
+  roleVisibility: policy.roleVisibility || 'both',
+  programTypes: policy.programTypes || [],
+  minAdvanceNotice: policy.timeline?.minAdvanceNotice ?? '',
+  recommendedAdvanceNotice: policy.timeline?.recommendedAdvanceNotice ?? '',
+  effectiveFrom: '' // blank = the change takes effect when saved
+});
+
+const splitLines = (text) => text.split('\n').map(s => s.trim()).filter(Boolean);
+const toNumber = (value) => (value === '' || value === null ? undefined : Number(value));
+
+const toPayload = (form) => ({
+  category: form.category,
+  title: form.title,
+  description: form.description,
+  requirements: splitLines(form.requirements),
+  citations: splitLines(form.citations),
+  tags: form.tags.split(',').map(s => s.trim()).filter(Boolean),
+  severity: form.severity,
+  roleVisibility: form.roleVisibility,
+  programTypes: form.programTypes,
+  timeline: {
+    minAdvanceNotice: toNumber(form.minAdvanceNotice),
+    recommendedAdvanceNotice: toNumber(form.recommendedAdvanceNotice)
+  },
+  ...(form.effectiveFrom ? { effectiveFrom: form.effectiveFrom } : {})
+});
+
+const formatDay = (date) => (date ? new Date(date).toLocaleDateString() : '');
+
+const describeError = (error, fallback) => {
+  const data = error.response?.data;
+  const fieldErrors = Object.values(data?.details || {}).map(d => d.message).filter(Boolean);
+  return fieldErrors.length ? fieldErrors.join(' ') : data?.error || fallback;
+};
+
+const PolicyAdmin = ({ user }) => {
+  const [policies, setPolicies] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedId, setSelectedId] = useState(null); // null = nothing open, 'new' = create form
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [history, setHistory] = useState([]);
+
+  useEffect(() => {
+    if (user?.isAdmin) fetchPolicies();
+  }, [user]);
+
+  useEffect(() => {
+    setHistory([]);
+    if (selectedId && selectedId !== 'new') fetchHistory(selectedId);
+  }, [selectedId]);
+
+  const fetchHistory = async (id) => {
+    try {
+      const response = await axios.get(`/api/policies/${id}/history`);
+      setHistory(response.data);
+    } catch (error) {
+      console.error('Error fetching policy history:', error);
+    }
+  };
+
+  const fetchPolicies = async () => {
+    try {
+      const response = await axios.get('/api/policies', { params: { includeRetired: true } });
+      setPolicies(response.data);
+    } catch (error) {
+      console.error('Error fetching policies:', error);
+      setError(describeError(error, 'Failed to load policies.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!user?.isAdmin) return <Navigate to="/dashboard" />;
+
+  const selected = policies.find(p => p._id === selectedId);
+
+  const openPolicy = (policy) => {
+    setError(null);
+    setSelectedId(policy ? policy._id : 'new');
+    setForm(policy ? toForm(policy) : EMPTY_FORM);
+  };
+
+  const updateField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const toggleProgramType = (type) => {
+    setForm(prev => ({
+      ...prev,
+      programTypes: prev.programTypes.includes(type)
+        ? prev.programTypes.filter(t => t !== type)
+        : [...prev.programTypes, type]
+    }));
+  };
+
+  const replacePolicy = (policy) => {
+    setPolicies(prev => {
+      const exists = prev.some(p => p._id === policy._id);
+      return exists ? prev.map(p => (p._id === policy._id ? policy : p)) : [...prev, policy];
+    });
+  };
+
+  const savePolicy = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError(null);
+      const payload = toPayload(form);
+      const response = selectedId === 'new'
+        ? await axios.post('/api/policies', payload)
+        : await axios.put(`/api/policies/${selectedId}`, payload);
+      replacePolicy(response.data);
+      setSelectedId(response.data._id);
+      setForm(toForm(response.data));
+      fetchHistory(response.data._id);
+    } catch (error) {
+      console.error('Error saving policy:', error);
+      setError(describeError(error, 'Failed to save policy.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleRetired = async () => {
+    if (!selected.retired && !window.confirm(`Retire "${selected.title}"? It will no longer be shown to planners or the AI.`)) {
+      return;
+    }
+    try {
+      setSaving(true);
+      setError(null);
+      const action = selected.retired ? 'restore' : 'retire';
+      const response = await axios.post(`/api/policies/${selected._id}/${action}`);
+      replacePolicy(response.data);
+      fetchHistory(response.data._id);
+    } catch (error) {
+      console.error('Error retiring policy:', error);
+      setError(describeError(error, 'Failed to update policy.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-vanderbilt-gold"></div>
+      </div>
+    );
+  }
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-vanderbilt-gold focus:border-vanderbilt-gold';
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Policy Administration</h1>
+          <p className="text-sm text-gray-500">Policies here drive the AI assistant&apos;s guidance and citations.</p>
+        </div>
+        <button
+          onClick={() => openPolicy(null)}
+          className="inline-flex items-center px-4 py-2 rounded-md text-sm font-medium text-white bg-vanderbilt-gold hover:bg-yellow-600"
+        >
+          <PlusIcon className="h-4 w-4 mr-2" />
+          New Policy
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-4 flex items-start p-3 rounded-md bg-red-50 border border-red-200 text-sm text-red-800">
+          <ExclamationTriangleIcon className="h-5 w-5 mr-2 flex-shrink-0" />
+          {error}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Policy list */}
+        <div className="bg-white rounded-lg shadow divide-y divide-gray-100">
+          {policies.length === 0 && (
+            <div className="p-4 text-sm text-gray-500">No policies yet.</div>
+          )}
+          {policies.map(policy => (
+            <button
+              key={policy._id}
+              onClick={() => openPolicy(policy)}
+              className={`w-full text-left p-4 hover:bg-gray-50 ${policy._id === selectedId ? 'bg-yellow-50' : ''}`}
+            >
+              <div className="text-xs text-gray-500">{policy.category} · v{policy.version || 1}</div>
+              <div className={`text-sm font-medium ${policy.retired ? 'text-gray-400 line-through' : 'text-gray-900'}`}>
+                {policy.title}
+              </div>
+              <div className="mt-1 flex items-center space-x-2">
+                <span className={`px-2 py-0.5 rounded-full text-xs ${severityClasses(policy.severity)}`}>{policy.severity}</span>
+                {policy.retired && <span className="text-xs text-gray-500">retired</span>}
+              </div>
+            </button>
+          ))}
+        </div>
+
+        {/* Editor */}
+        <div className="lg:col-span-2">
+          {selectedId ? (
+            <form onSubmit={savePolicy} className="bg-white rounded-lg shadow p-6 space-y-4">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <label className="block text-sm font-medium text-gray-700">
+                  Category
+                  <input className={inputClass} value={form.category} onChange={updateField('category')} required />
+                </label>
+                <label className="block text-sm font-medium text-gray-700">
+                  Title
+                  <input className={inputClass} value={form.title} onChange={updateField('title')} required />
+                </label>
+              </div>
+
+              <label className="block text-sm font-medium text-gray-700">
+                Description
+                <textarea className={inputClass} rows="3" value={form.description} onChange={updateField('description')} required />
+              </label>
+
+              <label className="block text-sm font-medium text-gray-700">
+                Requirements <span className="font-normal text-gray-500">(one per line)</span>
+                <textarea className={inputClass} rows="6" value={form.requirements} onChange={updateField('requirements')} />
+              </label>
+
+              <label className="block text-sm font-medium text-gray-700">
+                Citations <span className="font-normal text-gray-500">(one URL per line)</span>
+                <textarea className={inputClass} rows="2" value={form.citations} onChange={updateField('citations')} />
+              </label>
+
+              <label className="block text-sm font-medium text-gray-700">
+                Tags <span className="font-normal text-gray-500">(comma-separated)</span>
+                <input className={inputClass} value={form.tags} onChange={updateField('tags')} />
+              </label>
+
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <label className="block text-sm font-medium text-gray-700">
+                  Severity
+                  <select className={inputClass} value={form.severity} onChange={updateField('severity')}>
+                    {SEVERITIES.map(s => <option key={s} value={s}>{s}</option>)}
+                  </select>
+                </label>
+                <label className="block text-sm font-medium text-gray-700">
+                  Visible to
+                  <select className={inputClass} value={form.roleVisibility} onChange={updateField('roleVisibility')}>
+                    {ROLE_VISIBILITY.map(r => <option key={r} value={r}>{r}</option>)}
+                  </select>
+                </label>
+              </div>
+
+              <fieldset>
+                <legend className="text-sm font-medium text-gray-700">Program types <span className="font-normal text-gray-500">(none = all)</span></legend>
+                <div className="mt-2 flex flex-wrap gap-4">
+                  {PROGRAM_TYPES.map(type => (
+                    <label key={type} className="inline-flex items-center text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        className="mr-2"
+                        checked={form.programTypes.includes(type)}
+                        onChange={() => toggleProgramType(type)}
+                      />
+                      {type}
+                    </label>
+                  ))}
+                </div>
+              </fieldset>
+
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <label className="block text-sm font-medium text-gray-700">
+                  Minimum notice (days)
+                  <input type="number" min="0" className={inputClass} value={form.minAdvanceNotice} onChange={updateField('minAdvanceNotice')} />
+                </label>
+                <label className="block text-sm font-medium text-gray-700">
+                  Recommended notice (days)
+                  <input type="number" min="0" className={inputClass} value={form.recommendedAdvanceNotice} onChange={updateField('recommendedAdvanceNotice')} />
+                </label>
+              </div>
+
+              <label className="block text-sm font-medium text-gray-700">
+                Effective from <span className="font-normal text-gray-500">(leave blank for today; may be backdated, not future; content changes create a new version)</span>
+                <input type="date" max={new Date().toLocaleDateString('en-CA')} className={inputClass} value={form.effectiveFrom} onChange={updateField('effectiveFrom')} />
+              </label>
+
+              <div className="flex items-center justify-between pt-2">
+                {selected ? (
+                  <button
+                    type="button"
+                    onClick={toggleRetired}
+                    disabled={saving}
+                    className="inline-flex items-center px-3 py-2 text-sm rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    {selected.retired
+                      ? <><ArrowUturnLeftIcon className="h-4 w-4 mr-2" />Restore</>
+                      : <><ArchiveBoxIcon className="h-4 w-4 mr-2" />Retire</>}
+                  </button>
+                ) : <span />}
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="px-4 py-2 rounded-md text-sm font-medium text-white bg-vanderbilt-gold hover:bg-yellow-600 disabled:opacity-50"
+                >
+                  {saving ? 'Saving...' : selectedId === 'new' ? 'Create Policy' : 'Save Changes'}
+                </button>
+              </div>
+            </form>
+          ) : null}
+
+          {selectedId && selectedId !== 'new' && history.length > 0 && (
+            <div className="mt-6 bg-white rounded-lg shadow p-6">
+              <h2 className="text-sm font-semibold text-gray-900 mb-3">Version history</h2>
+              <ol className="space-y-3">
+                {history.map(version => (
+                  <li key={version.version} className="text-sm">
+                    <div className="font-medium text-gray-900">
+                      v{version.version}
+                      <span className="ml-2 font-normal text-gray-500">
+                        {formatDay(version.effectiveFrom)} – {version.effectiveTo ? formatDay(version.effectiveTo) : 'current'}
+                        {version.changedBy && ` · ${version.changedBy}`}
+                      </span>
+                    </div>
+                    {version.changes.length > 0 ? (
+                      <ul className="mt-1 pl-4 list-disc text-gray-600">
+                        {version.changes.map(change => (
+                          <li key={change.field}>
+                            <span className="font-medium">{change.field}</span>:{' '}
+                            <span className="line-through text-red-600">{JSON.stringify(change.before)}</span>{' → '}
+                            <span className="text-green-700">{JSON.stringify(change.after)}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    ) : (
+                      <div className="text-gray-500">Initial version</div>
+                    )}
+                  </li>
+                ))}
+              </ol>
+            </div>
+          )}
+
+          {!selectedId && (
+            <div className="bg-white rounded-lg shadow p-6 text-sm text-gray-500">
+              Select a policy to edit, or create a new one.
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PolicyAdmin;
@@ -1,7 +1,7 @@
 import React, { useEffect, useState } from 'react';
 import { useParams } from 'react-router-dom';
 import axios from 'axios';
-import { CalendarIcon, CheckCircleIcon } from '@heroicons/react/24/outline';
+import { ArrowDownTrayIcon, CalendarIcon, CheckCircleIcon } from '@heroicons/react/24/outline';
 
 const PublicEvent = () => {
   const { shareId } = useParams();
@@ -61,7 +61,16 @@ const PublicEvent = () => {
     <div className="min-h-screen bg-gray-50">
       <div className="bg-white border-b border-gray-200 px-6 py-6">
         <div className="max-w-4xl mx-auto">
-          <h1 className="text-2xl font-bold text-gray-900">{event.title}</h1>
+          <div className="flex items-start justify-between">
+            <h1 className="text-2xl font-bold text-gray-900">{event.title}</h1>
+            <a
+              href={`/api/public/events/${shareId}/export.pdf`}
+              className="inline-flex items-center px-3 py-1.5 text-sm rounded-md border border-gray-300 text-gray-700 bg-white hover:bg-gray-50"
+            >
+              <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+              Download PDF
+            </a>
+          </div>
           <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600 mt-2">
             <span className="inline-flex items-center"><CalendarIcon className="h-4 w-4 mr-1" />{formatDate(event.eventDate)}</span>
             {event.priority && (
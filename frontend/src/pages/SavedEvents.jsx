@@ -1,12 +1,18 @@
 import {
+  ArrowPathIcon,
+  ArrowDownTrayIcon,
+  ArrowUpTrayIcon,
   CalendarIcon,
+  ChartBarIcon,
   ChatBubbleLeftRightIcon,
   CheckCircleIcon,
   ChevronDownIcon,
   ChevronRightIcon,
   ClockIcon,
+  DocumentDuplicateIcon,
   DocumentTextIcon,
   InformationCircleIcon,
+  MapPinIcon,
   PencilSquareIcon,
   ShareIcon,
   SpeakerWaveIcon,
@@ -16,10 +22,15 @@ import {
 } from '@heroicons/react/24/outline';
 import { CheckCircleIcon as CheckCircleIconSolid } from '@heroicons/react/24/solid';
 import axios from 'axios';
-import React, { useEffect, useState } from 'react';
+import PolicyChangeAlerts from '../components/PolicyChangeAlerts.jsx';
+import ComplianceWarnings from '../components/ComplianceWarnings.jsx';
+import ScheduleRisk from '../components/ScheduleRisk.jsx';
+import VenueConflicts, { describeBookingTime } from '../components/VenueConflicts.jsx';
+import React, { useEffect, useRef, useState } from 'react';
 import ReactMarkdown from 'react-markdown';
 import { useLocation, useNavigate, useParams } from 'react-router-dom';
 import remarkGfm from 'remark-gfm';
+import { aiErrorMessage } from '../aiErrors.js';
 
 const copyToClipboard = async (text, successMsg = 'Link copied to clipboard!') => {
   try {
@@ -43,9 +54,21 @@ const SavedEvents = ({ user }) => {
   const [renderKey, setRenderKey] = useState(0);
   const [checklistOverrides, setChecklistOverrides] = useState({});
   const [shareModal, setShareModal] = useState({ open: false, link: '' });
+  const [cloneModal, setCloneModal] = useState({ open: false, eventDate: '', title: '', keepCollaborators: false, keepSharing: false, saving: false });
+  const [bookingModal, setBookingModal] = useState({ open: false, venue: '', room: '', startTime: '', endTime: '', saving: false, error: null, availability: null });
+  const [venueConflicts, setVenueConflicts] = useState([]);
+  const [importModal, setImportModal] = useState({ open: false, file: null, preview: null, loading: false, error: '' });
+  const importInputRef = useRef(null);
+  const [feedModal, setFeedModal] = useState({ open: false, feedUrl: '', loading: false });
+  const [seriesModal, setSeriesModal] = useState({ open: false, frequency: 'weekly', interval: 1, count: 4, saving: false });
   const [editingNotes, setEditingNotes] = useState(false);
   const [notesText, setNotesText] = useState('');
   const [collaborationModal, setCollaborationModal] = useState({ open: false, link: '', eventId: null });
+  const [policyAlerts, setPolicyAlerts] = useState([]);
+  const [compliance, setCompliance] = useState(null);
+  const [schedule, setSchedule] = useState(null);
+  const [rescheduling, setRescheduling] = useState(false);
+  const [acknowledgingPolicies, setAcknowledgingPolicies] = useState(false);
   const [communicationsModal, setCommunicationsModal] = useState({ 
     open: false, 
     eventId: null, 
@@ -254,7 +277,6 @@ const SavedEvents = ({ user }) => {
     const taskLower = task.task.toLowerCase();
     let details = {
       estimatedTime: getEstimatedTime(taskLower),
-      dependencies: getDependencies(taskLower),
       tips: getTips(taskLower, event),
       resources: getResources(taskLower),
       deadlineReason: getDeadlineReason(task, event)
@@ -273,15 +295,6 @@ const SavedEvents = ({ user }) => {
     return '1-2 hours';
   };
 
-  const getDependencies = (taskText) => {
-    const dependencies = [];
-    if (taskText.includes('invitation')) dependencies.push('Venue must be confirmed', 'Guest list finalized');
-    if (taskText.includes('catering')) dependencies.push('Final headcount needed', 'Dietary restrictions collected');
-    if (taskText.includes('setup')) dependencies.push('Equipment list confirmed', 'Venue access arranged');
-    if (taskText.includes('marketing')) dependencies.push('Event details finalized', 'Approval from administration');
-    return dependencies;
-  };
-
   const getTips = (taskText, event) => {
     const tips = [];
     const taskLower = taskText.toLowerCase();
@@ -461,9 +474,132 @@ const SavedEvents = ({ user }) => {
     setNotesText(selectedEvent?.notes || '');
   }, [selectedEvent]);
 
+  // Check whether any policy the event was planned against has changed since
+  useEffect(() => {
+    setPolicyAlerts([]);
+    if (!selectedEvent?._id || String(selectedEvent._id).startsWith('temp-')) return;
+    axios.get(`/api/events/${selectedEvent._id}/policy-alerts`)
+      .then(response => setPolicyAlerts(response.data.alerts || []))
+      .catch(error => console.error('Error checking policy changes:', error));
+  }, [selectedEvent?._id]);
+
+  // Policy lead-time check; saves already return it, otherwise ask the server
+  useEffect(() => {
+    setCompliance(selectedEvent?.compliance || null);
+    if (!selectedEvent?._id || selectedEvent.compliance || String(selectedEvent._id).startsWith('temp-')) return;
+    axios.get(`/api/events/${selectedEvent._id}/compliance`)
+      .then(response => setCompliance(response.data))
+      .catch(error => console.error('Error checking policy lead times:', error));
+  }, [selectedEvent?._id, selectedEvent?.updatedAt]);
+
+  // Other events booked into the same venue at the same time; saves already return them
+  useEffect(() => {
+    setVenueConflicts(selectedEvent?.venueConflicts || []);
+    if (!selectedEvent?._id || selectedEvent.venueConflicts || !selectedEvent.location?.venue || String(selectedEvent._id).startsWith('temp-')) return;
+    axios.get(`/api/events/${selectedEvent._id}/venue-conflicts`)
+      .then(response => setVenueConflicts(response.data.conflicts || []))
+      .catch(error => console.error('Error checking venue conflicts:', error));
+  }, [selectedEvent?._id, selectedEvent?.updatedAt]);
+
+  // What is already planned at the venue on the event's day, while the booking dialog is open
+  useEffect(() => {
+    if (!bookingModal.open || !bookingModal.venue.trim() || !selectedEvent?.eventDate) return;
+    const day = new Date(selectedEvent.eventDate).toISOString().slice(0, 10);
+    const timer = setTimeout(() => {
+      axios.get('/api/venues/availability', { params: { venue: bookingModal.venue, room: bookingModal.room || undefined, from: day, to: day } })
+        .then(response => setBookingModal(prev => ({ ...prev, availability: response.data.bookings.filter(b => b.eventId !== selectedEvent._id) })))
+        .catch(error => console.error('Error loading venue availability:', error));
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [bookingModal.open, bookingModal.venue, bookingModal.room, selectedEvent?._id]);
+
+  // "HH:MM" in local time for <input type="time">
+  const timeInputValue = (date) => (date ? new Date(date).toTimeString().slice(0, 5) : '');
+
+  const openBookingModal = () => setBookingModal({
+    open: true,
+    venue: selectedEvent.location?.venue || '',
+    room: selectedEvent.location?.room || '',
+    startTime: timeInputValue(selectedEvent.startTime),
+    endTime: timeInputValue(selectedEvent.endTime),
+    saving: false,
+    error: null,
+    availability: null
+  });
+
+  const saveBooking = async () => {
+    const day = new Date(selectedEvent.eventDate).toISOString().slice(0, 10);
+    const at = (time) => (time ? new Date(`${day}T${time}`).toISOString() : null);
+    try {
+      setBookingModal(prev => ({ ...prev, saving: true, error: null }));
+      const response = await axios.put(`/api/events/${selectedEvent._id}`, {
+        location: { ...(selectedEvent.location || {}), venue: bookingModal.venue.trim(), room: bookingModal.room.trim() },
+        startTime: at(bookingModal.startTime),
+        endTime: bookingModal.startTime ? at(bookingModal.endTime) : null
+      });
+      replaceSelectedEvent(response.data);
+      setBookingModal(prev => ({ ...prev, open: false, saving: false }));
+    } catch (error) {
+      console.error('Error saving venue booking:', error);
+      setBookingModal(prev => ({ ...prev, saving: false, error: error.response?.data?.error || 'Failed to save the venue and time' }));
+    }
+  };
+
+  // Critical path and dependency-driven due-date fixes
+  useEffect(() => {
+    setSchedule(null);
+    if (!selectedEvent?._id || String(selectedEvent._id).startsWith('temp-')) return;
+    axios.get(`/api/events/${selectedEvent._id}/schedule`)
+      .then(response => setSchedule(response.data))
+      .catch(error => console.error('Error analyzing schedule:', error));
+  }, [selectedEvent?._id, selectedEvent?.updatedAt]);
+
+  const replaceSelectedEvent = (updated) => {
+    setEvents(prev => prev.map(event => event._id === updated._id ? updated : event));
+    setSelectedEvent(updated);
+  };
+
+  const rescheduleTasks = async () => {
+    try {
+      setRescheduling(true);
+      const response = await axios.post(`/api/events/${selectedEvent._id}/schedule`);
+      replaceSelectedEvent(response.data.event);
+    } catch (error) {
+      console.error('Error rescheduling tasks:', error);
+      alert(error.response?.data?.error || 'Failed to reschedule tasks');
+    } finally {
+      setRescheduling(false);
+    }
+  };
+
+  const updateDependencies = async (item, dependencies) => {
+    try {
+      const response = await axios.put(`/api/events/${selectedEvent._id}/checklist/${item._id}/dependencies`, { dependencies });
+      replaceSelectedEvent(response.data);
+    } catch (error) {
+      console.error('Error updating dependencies:', error);
+      alert(error.response?.data?.error || 'Failed to update dependencies');
+    }
+  };
+
+  const acknowledgePolicyChanges = async () => {
+    try {
+      setAcknowledgingPolicies(true);
+      const response = await axios.post(`/api/events/${selectedEvent._id}/policy-alerts/acknowledge`);
+      setSelectedEvent(response.data);
+      setEvents(prev => prev.map(e => e._id === response.data._id ? response.data : e));
+      setPolicyAlerts([]);
+    } catch (error) {
+      console.error('Error acknowledging policy changes:', error);
+      alert(error.response?.data?.error || 'Failed to update policy versions');
+    } finally {
+      setAcknowledgingPolicies(false);
+    }
+  };
+
   const fetchEvents = async () => {
     try {
-      const response = await axios.get(`/api/events?userId=${user._id}`);
+      const response = await axios.get('/api/events');
       setEvents(response.data);
       
       // Auto-select event if eventId is provided in URL
@@ -494,6 +630,151 @@ const SavedEvents = ({ user }) => {
     }
   };
 
+  const saveAsTemplate = async (event) => {
+    const name = window.prompt('Template name:', event.title);
+    if (!name) return;
+    try {
+      await axios.post(`/api/events/${event._id}/template`, {
+        name,
+        shared: window.confirm('Share this template with everyone?')
+      });
+      alert('Template saved. Find it on the Templates page.');
+    } catch (error) {
+      console.error('Error saving template:', error);
+      alert(error.response?.data?.error || 'Failed to save template');
+    }
+  };
+
+  const cloneEvent = async () => {
+    try {
+      setCloneModal(prev => ({ ...prev, saving: true }));
+      const { eventDate, title, keepCollaborators, keepSharing } = cloneModal;
+      const response = await axios.post(`/api/events/${selectedEvent._id}/clone`, {
+        eventDate, title, keepCollaborators, keepSharing
+      });
+      setEvents(prev => [response.data, ...prev]);
+      setSelectedEvent(response.data);
+      setCloneModal({ open: false, eventDate: '', title: '', keepCollaborators: false, keepSharing: false, saving: false });
+    } catch (error) {
+      console.error('Error cloning event:', error);
+      alert(error.response?.data?.error || 'Failed to duplicate event');
+      setCloneModal(prev => ({ ...prev, saving: false }));
+    }
+  };
+
+  // Download an export of the event (.ics, .pdf); the endpoints need the auth header, so no plain link
+  const downloadExport = async (event, file, label) => {
+    try {
+      const response = await axios.get(`/api/events/${event._id}/${file}`, { responseType: 'blob' });
+      const fileName = /filename="([^"]+)"/.exec(response.headers['content-disposition'] || '')?.[1] || file;
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error(`Error exporting ${label}:`, error);
+      alert(`Failed to export ${label}. Please try again.`);
+    }
+  };
+
+  // Checklist import: upload once for a preview, again with commit=true to apply it
+  const uploadChecklist = async (file, commit) => {
+    const form = new FormData();
+    form.append('file', file);
+    if (commit) form.append('commit', 'true');
+    return axios.post(`/api/events/${selectedEvent._id}/checklist/import`, form);
+  };
+
+  const previewChecklistImport = async (file) => {
+    if (!file) return;
+    setImportModal({ open: true, file, preview: null, loading: true, error: '' });
+    try {
+      const response = await uploadChecklist(file, false);
+      setImportModal({ open: true, file, preview: response.data, loading: false, error: '' });
+    } catch (error) {
+      console.error('Error previewing checklist import:', error);
+      setImportModal({ open: true, file, preview: null, loading: false, error: error.response?.data?.error || 'Failed to read the file' });
+    }
+  };
+
+  const applyChecklistImport = async () => {
+    try {
+      setImportModal(prev => ({ ...prev, loading: true }));
+      const response = await uploadChecklist(importModal.file, true);
+      const updated = response.data.event;
+      setEvents(prev => prev.map(event => event._id === updated._id ? updated : event));
+      setSelectedEvent(updated);
+      setChecklistOverrides({});
+      setImportModal({ open: false, file: null, preview: null, loading: false, error: '' });
+    } catch (error) {
+      console.error('Error importing checklist:', error);
+      setImportModal(prev => ({ ...prev, loading: false, error: error.response?.data?.error || 'Failed to import checklist' }));
+    }
+  };
+
+  const openCalendarFeed = async (reset = false) => {
+    if (reset && !window.confirm('Create a new feed URL? Calendars subscribed to the current URL stop updating.')) return;
+    try {
+      setFeedModal(prev => ({ ...prev, open: true, loading: true }));
+      const response = reset ? await axios.post('/api/calendar/feed/reset') : await axios.get('/api/calendar/feed');
+      setFeedModal({ open: true, feedUrl: response.data.feedUrl, loading: false });
+    } catch (error) {
+      console.error('Error loading calendar feed:', error);
+      alert(error.response?.data?.error || 'Failed to load calendar feed');
+      setFeedModal({ open: false, feedUrl: '', loading: false });
+    }
+  };
+
+  const makeRecurring = async () => {
+    try {
+      setSeriesModal(prev => ({ ...prev, saving: true }));
+      const { frequency, interval, count } = seriesModal;
+      const response = await axios.post('/api/series', {
+        fromEventId: selectedEvent._id,
+        recurrence: { frequency, interval: Number(interval), count: Number(count) }
+      });
+      setSelectedEvent(prev => ({ ...prev, seriesId: response.data.series._id, occurrenceIndex: 0 }));
+      setSeriesModal({ open: false, frequency: 'weekly', interval: 1, count: 4, saving: false });
+      fetchEvents();
+      const clashes = response.data.venueConflicts || [];
+      if (clashes.length) {
+        const days = clashes.map(c => new Date(c.eventDate).toLocaleDateString(undefined, { timeZone: 'UTC', month: 'short', day: 'numeric' }));
+        alert(`The venue is already booked at the same time on ${days.join(', ')}. Open those occurrences to see the other bookings.`);
+      }
+    } catch (error) {
+      console.error('Error creating series:', error);
+      alert(error.response?.data?.error || 'Failed to make the event recurring');
+      setSeriesModal(prev => ({ ...prev, saving: false }));
+    }
+  };
+
+  // Copy this occurrence's details and checklist to every future occurrence
+  const applyToFutureOccurrences = async (event) => {
+    if (!window.confirm('Apply this event\'s details and checklist to all future occurrences in the series? Past occurrences are not changed.')) return;
+    try {
+      const response = await axios.put(`/api/series/${event.seriesId}`, { fromEventId: event._id });
+      alert(`Updated ${response.data.updated} future occurrence${response.data.updated === 1 ? '' : 's'}.`);
+      fetchEvents();
+    } catch (error) {
+      console.error('Error updating series:', error);
+      alert(error.response?.data?.error || 'Failed to update the series');
+    }
+  };
+
+  const endSeries = async (event) => {
+    if (!window.confirm('End this series? Future occurrences are deleted; past ones are kept as separate events.')) return;
+    try {
+      await axios.delete(`/api/series/${event.seriesId}`);
+      setSelectedEvent(null);
+      fetchEvents();
+    } catch (error) {
+      console.error('Error deleting series:', error);
+      alert(error.response?.data?.error || 'Failed to end the series');
+    }
+  };
+
   const shareEvent = async (event) => {
     try {
       const resp = await axios.post(`/api/events/${event._id}/share`);
@@ -734,7 +1015,7 @@ const SavedEvents = ({ user }) => {
       setCommunicationsModal(prev => ({
         ...prev,
         loading: false,
-        error: error.response?.data?.error || 'Failed to generate communications'
+        error: aiErrorMessage(error, error.response?.data?.error || 'Failed to generate communications')
       }));
     }
   };
@@ -810,8 +1091,19 @@ const SavedEvents = ({ user }) => {
     <div className="min-h-screen bg-gray-50">
       {/* Header */}
       <div className="bg-white border-b border-gray-200 px-6 py-4">
-        <h1 className="text-2xl font-bold text-gray-900">Saved Events</h1>
-        <p className="text-gray-600">Events saved from your chat conversations</p>
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Saved Events</h1>
+            <p className="text-gray-600">Events saved from your chat conversations</p>
+          </div>
+          <button
+            onClick={() => openCalendarFeed()}
+            className="inline-flex items-center px-4 py-2 bg-white hover:bg-gray-50 text-gray-700 text-sm font-medium rounded-lg shadow-sm border border-gray-300"
+          >
+            <CalendarIcon className="h-4 w-4 mr-2" />
+            Subscribe in Calendar
+          </button>
+        </div>
       </div>
 
       <div className="flex h-screen">
@@ -849,6 +1141,12 @@ const SavedEvents = ({ user }) => {
                           <span className={`px-2 py-1 text-xs rounded-full ${getPriorityColor(event.priority)}`}>
                             {event.priority}
                           </span>
+                          {event.seriesId && (
+                            <span className="inline-flex items-center px-2 py-1 text-xs rounded-full bg-indigo-100 text-indigo-800" title="Part of a recurring series">
+                              <ArrowPathIcon className="h-3 w-3 mr-1" />
+                              #{event.occurrenceIndex + 1}
+                            </span>
+                          )}
                           <span className="text-xs text-gray-500">
                             {event.checklist?.filter(item => !item.isTimeHeader && item.completed).length || 0}/
                             {event.checklist?.filter(item => !item.isTimeHeader).length || 0} tasks
@@ -904,6 +1202,38 @@ const SavedEvents = ({ user }) => {
         <div className="flex-1 bg-gray-50">
           {selectedEvent ? (
             <div className="p-6">
+              <PolicyChangeAlerts
+                alerts={policyAlerts}
+                onAcknowledge={acknowledgePolicyChanges}
+                acknowledging={acknowledgingPolicies}
+              />
+              <ComplianceWarnings report={compliance} />
+              <VenueConflicts conflicts={venueConflicts} />
+              <ScheduleRisk schedule={schedule} onReschedule={rescheduleTasks} rescheduling={rescheduling} />
+
+              {selectedEvent.seriesId && (
+                <div className="mb-6 rounded-md border border-indigo-200 bg-indigo-50 p-4 flex items-center justify-between">
+                  <div className="flex items-center text-sm text-indigo-800">
+                    <ArrowPathIcon className="h-5 w-5 mr-2 text-indigo-600" />
+                    Occurrence {selectedEvent.occurrenceIndex + 1} of a recurring series
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <button
+                      onClick={() => applyToFutureOccurrences(selectedEvent)}
+                      className="px-3 py-1 text-xs rounded-md border border-indigo-300 text-indigo-700 bg-white hover:bg-indigo-100"
+                    >
+                      Apply to future occurrences
+                    </button>
+                    <button
+                      onClick={() => endSeries(selectedEvent)}
+                      className="px-3 py-1 text-xs rounded-md border border-red-300 text-red-700 bg-white hover:bg-red-50"
+                    >
+                      End series
+                    </button>
+                  </div>
+                </div>
+              )}
+
               {/* Event Header */}
               <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
                 <div className="flex items-start justify-between">
@@ -916,6 +1246,16 @@ const SavedEvents = ({ user }) => {
                         <CalendarIcon className="h-4 w-4" />
                         <span>{formatDate(selectedEvent.eventDate)}</span>
                       </div>
+                      {selectedEvent.location?.venue && (
+                        <div className="flex items-center space-x-1">
+                          <MapPinIcon className="h-4 w-4" />
+                          <span>
+                            {selectedEvent.location.venue}
+                            {selectedEvent.location.room && `, room ${selectedEvent.location.room}`}
+                            {selectedEvent.startTime && ` • ${describeBookingTime(selectedEvent)}`}
+                          </span>
+                        </div>
+                      )}
                       <span className={`px-2 py-1 rounded-full ${getPriorityColor(selectedEvent.priority)}`}>
                         {selectedEvent.priority} priority
                       </span>
@@ -1006,6 +1346,70 @@ const SavedEvents = ({ user }) => {
                         <DocumentTextIcon className="h-4 w-4 mr-2" />
                         Past Communications
                       </button>
+
+                      <button
+                        onClick={() => saveAsTemplate(selectedEvent)}
+                        className="inline-flex items-center px-4 py-2 bg-white hover:bg-gray-50 text-gray-700 text-sm font-medium rounded-lg shadow-sm border border-gray-300 transition-colors focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-400"
+                      >
+                        <DocumentDuplicateIcon className="h-4 w-4 mr-2" />
+                        Save as Template
+                      </button>
+
+                      {selectedEvent.eventDate && (
+                        <button
+                          onClick={() => setCloneModal({ open: true, eventDate: '', title: selectedEvent.title, keepCollaborators: false, keepSharing: false, saving: false })}
+                          className="inline-flex items-center px-4 py-2 bg-white hover:bg-gray-50 text-gray-700 text-sm font-medium rounded-lg shadow-sm border border-gray-300 transition-colors focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-400"
+                        >
+                          <CalendarIcon className="h-4 w-4 mr-2" />
+                          Duplicate for New Date
+                        </button>
+                      )}
+
+                      {selectedEvent.eventDate && (
+                        <button
+                          onClick={openBookingModal}
+                          className="inline-flex items-center px-4 py-2 bg-white hover:bg-gray-50 text-gray-700 text-sm font-medium rounded-lg shadow-sm border border-gray-300 transition-colors focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-400"
+                        >
+                          <MapPinIcon className="h-4 w-4 mr-2" />
+                          Venue &amp; Time
+                        </button>
+                      )}
+
+                      {selectedEvent.eventDate && (
+                        <button
+                          onClick={() => navigate(`/events/${selectedEvent._id}/timeline`)}
+                          className="inline-flex items-center px-4 py-2 bg-white hover:bg-gray-50 text-gray-700 text-sm font-medium rounded-lg shadow-sm border border-gray-300 transition-colors focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-400"
+                        >
+                          <ChartBarIcon className="h-4 w-4 mr-2" />
+                          Timeline
+                        </button>
+                      )}
+
+                      <button
+                        onClick={() => downloadExport(selectedEvent, 'calendar.ics', 'calendar')}
+                        className="inline-flex items-center px-4 py-2 bg-white hover:bg-gray-50 text-gray-700 text-sm font-medium rounded-lg shadow-sm border border-gray-300 transition-colors focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-400"
+                      >
+                        <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
+                        Add to Calendar (.ics)
+                      </button>
+
+                      <button
+                        onClick={() => downloadExport(selectedEvent, 'export.pdf', 'PDF')}
+                        className="inline-flex items-center px-4 py-2 bg-white hover:bg-gray-50 text-gray-700 text-sm font-medium rounded-lg shadow-sm border border-gray-300 transition-colors focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-400"
+                      >
+                        <DocumentTextIcon className="h-4 w-4 mr-2" />
+                        Print PDF
+                      </button>
+
+                      {selectedEvent.eventDate && !selectedEvent.seriesId && (
+                        <button
+                          onClick={() => setSeriesModal({ open: true, frequency: 'weekly', interval: 1, count: 4, saving: false })}
+                          className="inline-flex items-center px-4 py-2 bg-white hover:bg-gray-50 text-gray-700 text-sm font-medium rounded-lg shadow-sm border border-gray-300 transition-colors focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-400"
+                        >
+                          <ArrowPathIcon className="h-4 w-4 mr-2" />
+                          Make Recurring
+                        </button>
+                      )}
                     </div>
                   </div>
                   
@@ -1203,9 +1607,44 @@ const SavedEvents = ({ user }) => {
                 
                 return (
                   <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
-                    <h2 className="text-lg font-semibold text-gray-900 mb-4">
-                      Checklist ({completedCount}/{taskCount})
-                    </h2>
+                    <div className="flex items-center justify-between mb-4">
+                      <h2 className="text-lg font-semibold text-gray-900">
+                        Checklist ({completedCount}/{taskCount})
+                      </h2>
+                      <div className="flex items-center space-x-2 text-sm">
+                        <button
+                          onClick={() => downloadExport(selectedEvent, 'checklist/export?format=csv', 'checklist')}
+                          className="inline-flex items-center px-2 py-1 rounded-md border border-gray-300 text-gray-700 bg-white hover:bg-gray-50"
+                        >
+                          <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+                          CSV
+                        </button>
+                        <button
+                          onClick={() => downloadExport(selectedEvent, 'checklist/export?format=xlsx', 'checklist')}
+                          className="inline-flex items-center px-2 py-1 rounded-md border border-gray-300 text-gray-700 bg-white hover:bg-gray-50"
+                        >
+                          <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+                          Excel
+                        </button>
+                        <button
+                          onClick={() => importInputRef.current?.click()}
+                          className="inline-flex items-center px-2 py-1 rounded-md border border-gray-300 text-gray-700 bg-white hover:bg-gray-50"
+                        >
+                          <ArrowUpTrayIcon className="h-4 w-4 mr-1" />
+                          Import
+                        </button>
+                        <input
+                          ref={importInputRef}
+                          type="file"
+                          accept=".csv,.xlsx"
+                          className="hidden"
+                          onChange={(e) => {
+                            previewChecklistImport(e.target.files[0]);
+                            e.target.value = '';
+                          }}
+                        />
+                      </div>
+                    </div>
                     <div className="space-y-2" key={`checklist-${selectedEvent._id}-${selectedEvent.updatedAt || Date.now()}`}>
                       {organizedChecklist.map((item, index) => (
                         <div key={`${selectedEvent._id}-${index}-${item.task}-${item.completed}`}>
@@ -1307,6 +1746,15 @@ const SavedEvents = ({ user }) => {
                                         {item.priority}
                                       </span>
                                     )}
+                                    {(() => {
+                                      const risk = schedule?.tasks.find(task => task.itemId === item._id);
+                                      if (risk?.threatensEvent) {
+                                        return <span className="px-2 py-1 text-xs rounded-full bg-red-600 text-white">Threatens event</span>;
+                                      }
+                                      return risk?.critical && schedule.criticalPath.length > 1 ? (
+                                        <span className="px-2 py-1 text-xs rounded-full bg-orange-100 text-orange-800 border border-orange-200">Critical path</span>
+                                      ) : null;
+                                    })()}
                                   </div>
                                 </div>
                               </div>
@@ -1330,23 +1778,51 @@ const SavedEvents = ({ user }) => {
                                         <p className="text-sm text-gray-700">{taskDetails.estimatedTime}</p>
                                       </div>
 
-                                      {/* Dependencies */}
-                                      {taskDetails.dependencies.length > 0 && (
-                                        <div>
-                                          <h4 className="flex items-center text-sm font-medium text-gray-900 mb-2">
-                                            <CheckCircleIcon className="h-4 w-4 mr-1 text-orange-600" />
-                                            Dependencies
-                                          </h4>
-                                          <ul className="text-sm text-gray-700 space-y-1">
-                                            {taskDetails.dependencies.map((dep, depIndex) => (
-                                              <li key={depIndex} className="flex items-start">
-                                                <span className="text-orange-600 mr-2">•</span>
-                                                {dep}
-                                              </li>
-                                            ))}
-                                          </ul>
-                                        </div>
-                                      )}
+                                      {/* Dependencies: other checklist items (by id) that must be done first */}
+                                      {item._id && (() => {
+                                        const tasks = selectedEvent.checklist.filter(other => !other.isTimeHeader && other._id);
+                                        const current = (item.dependencies || []).filter(id => tasks.some(other => other._id === id));
+                                        const options = tasks.filter(other => other._id !== item._id && !current.includes(other._id));
+                                        return (
+                                          <div>
+                                            <h4 className="flex items-center text-sm font-medium text-gray-900 mb-2">
+                                              <CheckCircleIcon className="h-4 w-4 mr-1 text-orange-600" />
+                                              Depends on
+                                            </h4>
+                                            {current.length > 0 ? (
+                                              <ul className="text-sm text-gray-700 space-y-1 mb-2">
+                                                {current.map(id => (
+                                                  <li key={id} className="flex items-start">
+                                                    <span className="text-orange-600 mr-2">•</span>
+                                                    {tasks.find(other => other._id === id).task}
+                                                    <button
+                                                      onClick={() => updateDependencies(item, current.filter(dep => dep !== id))}
+                                                      className="ml-2 text-gray-400 hover:text-red-600"
+                                                      title="Remove dependency"
+                                                    >
+                                                      <XMarkIcon className="h-4 w-4" />
+                                                    </button>
+                                                  </li>
+                                                ))}
+                                              </ul>
+                                            ) : (
+                                              <p className="text-sm text-gray-500 mb-2">No other task has to be done first.</p>
+                                            )}
+                                            {options.length > 0 && (
+                                              <select
+                                                value=""
+                                                onChange={(e) => e.target.value && updateDependencies(item, [...current, e.target.value])}
+                                                className="text-sm px-2 py-1 border border-gray-300 rounded-md bg-white max-w-full"
+                                              >
+                                                <option value="">Add a task that must be done first...</option>
+                                                {options.map(other => (
+                                                  <option key={other._id} value={other._id}>{other.task}</option>
+                                                ))}
+                                              </select>
+                                            )}
+                                          </div>
+                                        );
+                                      })()}
 
                                       {/* Tips */}
                                       {taskDetails.tips.length > 0 && (
@@ -1466,6 +1942,350 @@ const SavedEvents = ({ user }) => {
         </div>
       </div>
 
+      {/* Duplicate Modal */}
+      {cloneModal.open && (
+        <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg shadow-xl w-full max-w-lg p-6">
+            <h3 className="text-lg font-semibold text-gray-900">Duplicate this event</h3>
+            <p className="text-sm text-gray-600 mt-1">Every task moves with the new date and starts out not completed.</p>
+            <div className="mt-4 space-y-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Title</label>
+                <input
+                  type="text"
+                  value={cloneModal.title}
+                  onChange={(e) => setCloneModal(prev => ({ ...prev, title: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md text-gray-800"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">New event date</label>
+                <input
+                  type="date"
+                  value={cloneModal.eventDate}
+                  onChange={(e) => setCloneModal(prev => ({ ...prev, eventDate: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md text-gray-800"
+                />
+              </div>
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={cloneModal.keepCollaborators}
+                  onChange={(e) => setCloneModal(prev => ({ ...prev, keepCollaborators: e.target.checked }))}
+                  className="mr-2"
+                />
+                Keep collaborators
+              </label>
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={cloneModal.keepSharing}
+                  onChange={(e) => setCloneModal(prev => ({ ...prev, keepSharing: e.target.checked }))}
+                  className="mr-2"
+                />
+                Keep public sharing (with a new link)
+              </label>
+              <div className="flex items-center justify-end space-x-2">
+                <button
+                  onClick={cloneEvent}
+                  disabled={!cloneModal.eventDate || cloneModal.saving}
+                  className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-md disabled:opacity-50"
+                >
+                  {cloneModal.saving ? 'Duplicating...' : 'Duplicate'}
+                </button>
+                <button
+                  onClick={() => setCloneModal(prev => ({ ...prev, open: false }))}
+                  className="px-4 py-2 bg-white border border-gray-300 text-gray-700 text-sm font-medium rounded-md"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Venue Booking Modal */}
+      {bookingModal.open && (
+        <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg shadow-xl w-full max-w-lg p-6">
+            <h3 className="text-lg font-semibold text-gray-900">Venue and time</h3>
+            <p className="text-sm text-gray-600 mt-1">
+              On {formatDate(selectedEvent.eventDate)}. Without times the venue is held for the whole day.
+            </p>
+            <div className="mt-4 space-y-3">
+              <div className="grid grid-cols-3 gap-2">
+                <div className="col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Venue</label>
+                  <input
+                    type="text"
+                    value={bookingModal.venue}
+                    onChange={(e) => setBookingModal(prev => ({ ...prev, venue: e.target.value, availability: null }))}
+                    placeholder="e.g. Sarratt Student Center"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md text-gray-800"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Room</label>
+                  <input
+                    type="text"
+                    value={bookingModal.room}
+                    onChange={(e) => setBookingModal(prev => ({ ...prev, room: e.target.value, availability: null }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md text-gray-800"
+                  />
+                </div>
+              </div>
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Starts</label>
+                  <input
+                    type="time"
+                    value={bookingModal.startTime}
+                    onChange={(e) => setBookingModal(prev => ({ ...prev, startTime: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md text-gray-800"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Ends</label>
+                  <input
+                    type="time"
+                    value={bookingModal.endTime}
+                    onChange={(e) => setBookingModal(prev => ({ ...prev, endTime: e.target.value }))}
+                    disabled={!bookingModal.startTime}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md text-gray-800 disabled:bg-gray-50"
+                  />
+                </div>
+              </div>
+
+              {bookingModal.venue.trim() && bookingModal.availability && (
+                <div className="rounded-md border border-gray-200 p-3">
+                  <p className="text-sm font-medium text-gray-700">Already planned there that day</p>
+                  {bookingModal.availability.length === 0 ? (
+                    <p className="text-sm text-gray-500 mt-1">Nothing yet.</p>
+                  ) : (
+                    <ul className="mt-1 space-y-1 text-sm text-gray-700">
+                      {bookingModal.availability.map((booking, index) => (
+                        <li key={booking.eventId || index}>
+                          <span className="font-medium">{booking.title}</span>
+                          {booking.room && ` • room ${booking.room}`}
+                          {` • ${describeBookingTime(booking)}`}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+
+              {bookingModal.error && <p className="text-sm text-red-600">{bookingModal.error}</p>}
+
+              <div className="flex items-center justify-end space-x-2">
+                <button
+                  onClick={saveBooking}
+                  disabled={bookingModal.saving}
+                  className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-md disabled:opacity-50"
+                >
+                  {bookingModal.saving ? 'Saving...' : 'Save'}
+                </button>
+                <button
+                  onClick={() => setBookingModal(prev => ({ ...prev, open: false }))}
+                  className="px-4 py-2 bg-white border border-gray-300 text-gray-700 text-sm font-medium rounded-md"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Checklist Import Modal */}
+      {importModal.open && (
+        <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl p-6 max-h-[85vh] flex flex-col">
+            <h3 className="text-lg font-semibold text-gray-900">Import checklist</h3>
+            <p className="text-sm text-gray-600 mt-1">
+              {importModal.file?.name}: rows that match an existing task update it; other rows add tasks. Tasks not in the file are kept.
+            </p>
+
+            {importModal.loading && !importModal.preview && <p className="mt-4 text-sm text-gray-500">Reading file...</p>}
+            {importModal.error && (
+              <div className="mt-4 p-3 rounded-md bg-red-50 border border-red-200 text-sm text-red-800">{importModal.error}</div>
+            )}
+
+            {importModal.preview && (
+              <div className="mt-4 overflow-y-auto space-y-4">
+                <p className="text-sm text-gray-700">
+                  {importModal.preview.summary.add} to add, {importModal.preview.summary.update} to update,{' '}
+                  {importModal.preview.summary.unchanged} unchanged
+                  {importModal.preview.summary.duplicate > 0 && `, ${importModal.preview.summary.duplicate} duplicate rows skipped`}
+                </p>
+
+                {importModal.preview.errors.length > 0 && (
+                  <div className="p-3 rounded-md bg-red-50 border border-red-200 text-sm text-red-800">
+                    <p className="font-medium">Fix these rows and upload the file again:</p>
+                    <ul className="mt-1 list-disc list-inside">
+                      {importModal.preview.errors.map((error, index) => (
+                        <li key={index}>Row {error.row}: {error.message}</li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                <ul className="divide-y divide-gray-100 text-sm">
+                  {importModal.preview.changes.filter(change => change.type === 'add' || change.type === 'update').map(change => (
+                    <li key={change.row} className="py-2">
+                      <span className={`mr-2 px-2 py-0.5 rounded-full text-xs ${change.type === 'add' ? 'bg-green-100 text-green-800' : 'bg-blue-100 text-blue-800'}`}>
+                        {change.type === 'add' ? 'Add' : 'Update'}
+                      </span>
+                      <span className="text-gray-900">{change.existingTask || change.task}</span>
+                      {change.fields && (
+                        <div className="mt-1 ml-2 text-xs text-gray-500">
+                          {change.fields.map(({ field, from, to }) => (
+                            <div key={field}>
+                              {field}: {String(from ?? '—')} → {String(to ?? '—')}
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                      {change.skipped && (
+                        <div className="mt-1 ml-2 text-xs text-yellow-700">Not changed (set by policy): {change.skipped.join(', ')}</div>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div className="mt-4 flex items-center justify-end space-x-2">
+              <button
+                onClick={applyChecklistImport}
+                disabled={importModal.loading || !importModal.preview || importModal.preview.errors.length > 0 ||
+                  importModal.preview.summary.add + importModal.preview.summary.update === 0}
+                className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-md disabled:opacity-50"
+              >
+                {importModal.loading && importModal.preview ? 'Importing...' : 'Apply changes'}
+              </button>
+              <button
+                onClick={() => setImportModal({ open: false, file: null, preview: null, loading: false, error: '' })}
+                className="px-4 py-2 bg-white border border-gray-300 text-gray-700 text-sm font-medium rounded-md"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Calendar Feed Modal */}
+      {feedModal.open && (
+        <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg shadow-xl w-full max-w-lg p-6">
+            <h3 className="text-lg font-semibold text-gray-900">Subscribe to your events</h3>
+            <p className="text-sm text-gray-600 mt-1">
+              Add this URL in Outlook (Add calendar → From internet) or Google Calendar (Other calendars → From URL).
+              It shows all your events and their open tasks, and follows your changes. Keep it private: anyone with the URL can read the calendar.
+            </p>
+            <div className="mt-4">
+              <input
+                type="text"
+                readOnly
+                value={feedModal.loading ? 'Loading...' : feedModal.feedUrl}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-gray-800 bg-gray-50"
+                onFocus={(e) => e.target.select()}
+              />
+              <div className="mt-3 flex items-center justify-between">
+                <button
+                  onClick={() => openCalendarFeed(true)}
+                  disabled={feedModal.loading}
+                  className="text-sm text-red-600 hover:text-red-800 disabled:opacity-50"
+                >
+                  Reset URL
+                </button>
+                <div className="flex items-center space-x-2">
+                  <button
+                    onClick={() => copyToClipboard(feedModal.feedUrl, 'Feed URL copied to clipboard!')}
+                    disabled={feedModal.loading}
+                    className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-md disabled:opacity-50"
+                  >
+                    Copy URL
+                  </button>
+                  <button
+                    onClick={() => setFeedModal({ open: false, feedUrl: '', loading: false })}
+                    className="px-4 py-2 bg-white border border-gray-300 text-gray-700 text-sm font-medium rounded-md"
+                  >
+                    Close
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Make Recurring Modal */}
+      {seriesModal.open && (
+        <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg shadow-xl w-full max-w-lg p-6">
+            <h3 className="text-lg font-semibold text-gray-900">Make this event recurring</h3>
+            <p className="text-sm text-gray-600 mt-1">
+              This event becomes the first occurrence. Each later occurrence gets its own copy of the checklist;
+              space booking is done once, here, for every date.
+            </p>
+            <div className="mt-4 space-y-3">
+              <div className="grid grid-cols-3 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Repeats</label>
+                  <select
+                    value={seriesModal.frequency}
+                    onChange={(e) => setSeriesModal(prev => ({ ...prev, frequency: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md text-gray-800 bg-white"
+                  >
+                    <option value="weekly">Weekly</option>
+                    <option value="monthly">Monthly</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Every</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={seriesModal.interval}
+                    onChange={(e) => setSeriesModal(prev => ({ ...prev, interval: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md text-gray-800"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Occurrences</label>
+                  <input
+                    type="number"
+                    min="2"
+                    max="52"
+                    value={seriesModal.count}
+                    onChange={(e) => setSeriesModal(prev => ({ ...prev, count: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md text-gray-800"
+                  />
+                </div>
+              </div>
+              <div className="flex items-center justify-end space-x-2">
+                <button
+                  onClick={makeRecurring}
+                  disabled={seriesModal.saving || Number(seriesModal.count) < 2}
+                  className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-md disabled:opacity-50"
+                >
+                  {seriesModal.saving ? 'Creating...' : 'Create series'}
+                </button>
+                <button
+                  onClick={() => setSeriesModal(prev => ({ ...prev, open: false }))}
+                  className="px-4 py-2 bg-white border border-gray-300 text-gray-700 text-sm font-medium rounded-md"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Share Modal */}
       {shareModal.open && (
         <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50">
@@ -1512,7 +2332,7 @@ const SavedEvents = ({ user }) => {
         <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-50">
           <div className="bg-white rounded-lg shadow-xl w-full max-w-lg p-6">
             <h3 className="text-lg font-semibold text-gray-900">Collaboration Enabled!</h3>
-            <p className="text-sm text-gray-600 mt-1">Anyone with this link can edit this event collaboratively.</p>
+            <p className="text-sm text-gray-600 mt-1">Open this link to manage collaborators. Each person you invite there gets their own one-time invite link.</p>
             <div className="mt-4">
               <input
                 type="text"
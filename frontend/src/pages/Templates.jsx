@@ -0,0 +1,232 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { DocumentDuplicateIcon, ExclamationTriangleIcon, StarIcon, TrashIcon } from '@heroicons/react/24/outline';
+import axios from 'axios';
+
+// Mirrors the Event/Template eventType enum in backend/src/models.js
+const EVENT_TYPES = ['mixer', 'concert', 'workshop', 'lecture', 'meeting', 'social', 'academic', 'other'];
+
+// "-28" → "28 days before", "2" → "2 days after"
+const describeOffset = (offsetDays) => {
+  if (offsetDays == null) return 'No due date';
+  if (offsetDays === 0) return 'Day of event';
+  const days = Math.abs(offsetDays);
+  return `${days} day${days === 1 ? '' : 's'} ${offsetDays < 0 ? 'before' : 'after'}`;
+};
+
+const isOwner = (template, user) => String(template.owner) === String(user._id);
+
+const Templates = ({ user }) => {
+  const navigate = useNavigate();
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [eventType, setEventType] = useState('');
+  const [selected, setSelected] = useState(null);
+  const [newEvent, setNewEvent] = useState({ title: '', eventDate: '' });
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchTemplates = async () => {
+    try {
+      const response = await axios.get('/api/templates', { params: eventType ? { eventType } : {} });
+      setTemplates(response.data);
+    } catch (err) {
+      console.error('Error fetching templates:', err);
+      setError('Failed to load templates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTemplates();
+  }, [eventType]);
+
+  const openTemplate = (template) => {
+    setSelected(template);
+    setNewEvent({ title: template.name, eventDate: '' });
+    setError(null);
+  };
+
+  const updateTemplate = async (template, changes) => {
+    try {
+      const response = await axios.put(`/api/templates/${template._id}`, changes);
+      setTemplates(prev => prev.map(t => t._id === template._id ? response.data : t));
+      if (selected?._id === template._id) setSelected(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update template');
+    }
+  };
+
+  const deleteTemplate = async (template) => {
+    if (!window.confirm(`Delete the template "${template.name}"?`)) return;
+    try {
+      await axios.delete(`/api/templates/${template._id}`);
+      setTemplates(prev => prev.filter(t => t._id !== template._id));
+      if (selected?._id === template._id) setSelected(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete template');
+    }
+  };
+
+  const createEvent = async (e) => {
+    e.preventDefault();
+    try {
+      setCreating(true);
+      const response = await axios.post(`/api/templates/${selected._id}/events`, newEvent);
+      navigate(`/events/${response.data._id}`);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to create event');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-vanderbilt-gold"></div>
+      </div>
+    );
+  }
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm focus:ring-vanderbilt-gold focus:border-vanderbilt-gold';
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Event Templates</h1>
+          <p className="text-sm text-gray-500">Start a new event from a checklist that worked before. Save one from any event on the Saved Events page.</p>
+        </div>
+        <select value={eventType} onChange={(e) => setEventType(e.target.value)} className="px-3 py-2 border border-gray-300 rounded-md text-sm bg-white">
+          <option value="">All event types</option>
+          {EVENT_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+        </select>
+      </div>
+
+      {error && (
+        <div className="mb-4 flex items-start p-3 rounded-md bg-red-50 border border-red-200 text-sm text-red-800">
+          <ExclamationTriangleIcon className="h-5 w-5 mr-2 flex-shrink-0" />
+          {error}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Template list */}
+        <div className="bg-white rounded-lg shadow divide-y divide-gray-100">
+          {templates.length === 0 && (
+            <div className="p-4 text-sm text-gray-500">No templates yet.</div>
+          )}
+          {templates.map(template => (
+            <button
+              key={template._id}
+              onClick={() => openTemplate(template)}
+              className={`w-full text-left p-4 hover:bg-gray-50 ${selected?._id === template._id ? 'bg-yellow-50' : ''}`}
+            >
+              <div className="flex items-center justify-between">
+                <span className="text-sm font-medium text-gray-900">{template.name}</span>
+                {template.curated && <StarIcon className="h-4 w-4 text-vanderbilt-gold" title="Curated" />}
+              </div>
+              <div className="mt-1 text-xs text-gray-500">
+                <span className="capitalize">{template.eventType}</span>
+                {' • '}{template.tasks.length} tasks
+                {template.shared && ' • Shared'}
+                {!isOwner(template, user) && template.ownerName && ` • by ${template.ownerName}`}
+              </div>
+            </button>
+          ))}
+        </div>
+
+        {/* Template detail */}
+        <div className="lg:col-span-2">
+          {!selected ? (
+            <div className="bg-white rounded-lg shadow p-6 text-sm text-gray-500">Select a template to see its checklist.</div>
+          ) : (
+            <div className="bg-white rounded-lg shadow p-6">
+              <div className="flex items-start justify-between">
+                <div>
+                  <h2 className="text-lg font-semibold text-gray-900">{selected.name}</h2>
+                  {selected.description && <p className="mt-1 text-sm text-gray-600">{selected.description}</p>}
+                </div>
+                {(isOwner(selected, user) || user.isAdmin) && (
+                  <div className="flex items-center space-x-3">
+                    <label className="flex items-center text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={selected.shared}
+                        onChange={() => updateTemplate(selected, { shared: !selected.shared })}
+                        className="mr-1"
+                      />
+                      Shared
+                    </label>
+                    {user.isAdmin && (
+                      <label className="flex items-center text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={selected.curated}
+                          onChange={() => updateTemplate(selected, { curated: !selected.curated })}
+                          className="mr-1"
+                        />
+                        Curated
+                      </label>
+                    )}
+                    <button onClick={() => deleteTemplate(selected)} className="text-red-600 hover:text-red-800 p-1" title="Delete template">
+                      <TrashIcon className="h-5 w-5" />
+                    </button>
+                  </div>
+                )}
+              </div>
+
+              <ul className="mt-4 divide-y divide-gray-100 text-sm">
+                {selected.tasks.map((task, index) => (
+                  <li key={index} className="py-2 flex items-center justify-between">
+                    <span className="text-gray-900">
+                      {task.task}
+                      {task.timingType === 'required' && (
+                        <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-red-100 text-red-800">required</span>
+                      )}
+                    </span>
+                    <span className="ml-4 flex-shrink-0 text-xs text-gray-500">{describeOffset(task.offsetDays)}</span>
+                  </li>
+                ))}
+              </ul>
+
+              <form onSubmit={createEvent} className="mt-6 pt-4 border-t border-gray-200 grid grid-cols-1 md:grid-cols-3 gap-3 items-end">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Event title</label>
+                  <input
+                    value={newEvent.title}
+                    onChange={(e) => setNewEvent(prev => ({ ...prev, title: e.target.value }))}
+                    className={inputClass}
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Event date</label>
+                  <input
+                    type="date"
+                    value={newEvent.eventDate}
+                    onChange={(e) => setNewEvent(prev => ({ ...prev, eventDate: e.target.value }))}
+                    className={inputClass}
+                    required
+                  />
+                </div>
+                <button
+                  type="submit"
+                  disabled={creating}
+                  className="inline-flex items-center justify-center px-4 py-2 rounded-md text-sm font-medium text-white bg-vanderbilt-gold hover:bg-yellow-600 disabled:opacity-50"
+                >
+                  <DocumentDuplicateIcon className="h-4 w-4 mr-2" />
+                  {creating ? 'Creating...' : 'Create event'}
+                </button>
+              </form>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Templates;